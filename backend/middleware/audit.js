@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// What the routes under each mount point act on, for changes recorded without an explicit audit
+const TARGET_TYPES = {
+  '/api/users': 'User',
+  '/api/events': 'Event',
+  '/api/registrations': 'Registration',
+  '/api/departments': 'Department',
+  '/api/categories': 'Category',
+  '/api/notifications': 'Notification',
+  '/api/announcements': 'Announcement',
+  '/api/reports': 'ReportSchedule',
+  '/api/feedback': 'Feedback',
+  '/api/certificates': 'Certificate',
+  '/api/approvals': 'ApprovalChain',
+  '/api/audit': 'AuditSettings'
+};
+
+const requestDetails = (req, res) => ({
+  actor: req.user._id,
+  actorRole: req.user.role,
+  privilege: req.elevated,
+  method: req.method,
+  path: req.originalUrl.split('?')[0],
+  statusCode: res.statusCode,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const writeEntries = async (entries) => {
+  try {
+    if (entries.length > 0) await AuditLog.insertMany(entries);
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+  }
+};
+
+const toIds = (value) => (Array.isArray(value) ? value : [value])
+  .filter(id => mongoose.isValidObjectId(id))
+  .map(id => id.toString());
+
+const loadTargets = async (model, ids, select) => {
+  const documents = ids.length > 0 ? await model.find({ _id: { $in: ids } }).select(select).lean() : [];
+  return new Map(documents.map(document => [document._id.toString(), document]));
+};
+
+// Records a route's change to each document it targets: `targets` names them from the request, and
+// the fields in `select` are read before the handler runs and again once it has succeeded. Targets
+// the route left as they were aren't recorded. `action` can be a function of the request, and `when`
+// limits auditing to the requests that need it.
+const audit = (action, { model, targets = (req) => req.params.id, select, when = () => true }) => async (req, res, next) => {
+  if (!when(req)) return next();
+
+  try {
+    const ids = toIds(await targets(req));
+    const before = await loadTargets(model, ids, select);
+    req.audited = true;
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const after = await loadTargets(model, ids, select);
+        const details = requestDetails(req, res);
+        const name = typeof action === 'function' ? action(req) : action;
+
+        await writeEntries(ids
+          .filter(id => JSON.stringify(before.get(id) ?? null) !== JSON.stringify(after.get(id) ?? null))
+          .map(id => ({
+            ...details,
+            action: name,
+            targetType: model.modelName,
+            targetId: id,
+            before: before.get(id) ?? null,
+            after: after.get(id) ?? null
+          })));
+      } catch (error) {
+        console.error('Failed to write audit log:', error.message);
+      }
+    });
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare audit log',
+      error: error.message
+    });
+  }
+};
+
+// Records every successful change made through a permission or role check (see middleware/auth)
+// whose route doesn't audit itself, so nothing done with elevated access goes unrecorded
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    if (!req.elevated || req.audited || res.statusCode >= 400) return;
+
+    const route = `${req.baseUrl}${req.route?.path || ''}`;
+    writeEntries([{
+      ...requestDetails(req, res),
+      action: `${req.method} ${route}`,
+      targetType: TARGET_TYPES[req.baseUrl] || 'Other',
+      targetId: toIds(req.params?.id)[0],
+      before: null,
+      after: null
+    }]);
+  });
+
+  next();
+};
+
+module.exports = {
+  audit,
+  auditTrail
+};
@@ -47,6 +47,8 @@ const authorize = (...roles) => {
         message: 'Access denied. Insufficient permissions.'
       });
     }
+    // Changes made past this check are recorded in the audit log
+    req.elevated = req.user.role;
     next();
   };
 };
@@ -59,6 +61,7 @@ const checkPermission = (permission) => {
         message: `Access denied. Required permission: ${permission}`
       });
     }
+    req.elevated = permission;
     next();
   };
 };
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { isValidTimezone } = require('../services/timezone');
+const { parseCron } = require('../services/cron');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -27,6 +29,20 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Conditions must come before the validators they guard, so each rule starts from the condition
+const recurrenceRules = (condition) => [
+  body('recurrence.frequency').if(condition).isIn(['daily', 'weekly', 'monthly', 'yearly']).withMessage('Recurrence frequency must be daily, weekly, monthly or yearly'),
+  body('recurrence.interval').if(condition).optional().isInt({ min: 1, max: 52 }).withMessage('Recurrence interval must be between 1 and 52'),
+  body('recurrence.endDate').if(condition).isISO8601().withMessage('Recurring events need a valid recurrence end date'),
+  body('recurrence.days').if(condition).optional().isArray().withMessage('Recurrence days must be an array'),
+  body('recurrence.days.*').if(condition).optional().isInt({ min: 0, max: 6 }).withMessage('Recurrence days must be weekday numbers from 0 (Sunday) to 6')
+];
+
+const reminderRules = [
+  body('features.reminderOffsets').optional().isArray({ max: 5 }).withMessage('At most 5 reminder offsets are allowed'),
+  body('features.reminderOffsets.*').isInt({ min: 5, max: 43200 }).withMessage('Reminder offsets must be between 5 minutes and 30 days, in minutes').toInt()
+];
+
 const validateEvent = [
   body('title').trim().notEmpty().withMessage('Event title is required'),
   body('description').trim().notEmpty().withMessage('Event description is required'),
@@ -35,6 +51,70 @@ const validateEvent = [
   body('schedule.startDate').isISO8601().withMessage('Valid start date is required'),
   body('schedule.endDate').isISO8601().withMessage('Valid end date is required'),
   body('registration.maxCapacity').optional().isInt({ min: 1 }).withMessage('Capacity must be positive'),
+  ...recurrenceRules(body('isRecurring').equals('true')),
+  ...reminderRules,
+  handleValidationErrors
+];
+
+const validateEventUpdate = [
+  body('scope').optional().isIn(['this', 'following', 'all']).withMessage('Scope must be this, following or all'),
+  body('schedule.startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('schedule.endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  ...recurrenceRules(body('recurrence').exists()),
+  ...reminderRules,
+  handleValidationErrors
+];
+
+// Rejections go back to the organizer, so they must say why
+const validateEventApproval = [
+  body('approved').isBoolean().withMessage('Approved must be true or false').toBoolean(),
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+  body('comment').custom((comment, { req }) => req.body.approved !== false || Boolean(String(comment ?? req.body.reason ?? '').trim()))
+    .withMessage('A reason is required when rejecting an event'),
+  handleValidationErrors
+];
+
+const APPROVER_ROLES = ['student', 'faculty', 'organizer', 'admin', 'authority', 'hod', 'principal', 'registrar'];
+const APPROVER_PERMISSIONS = ['create_events', 'approve_events', 'manage_users', 'view_analytics', 'manage_departments', 'send_notifications', 'generate_reports', 'manage_categories', 'bulk_operations', 'system_settings'];
+
+// The step a steps[n].field path belongs to
+const stepAt = (req, path) => req.body.steps?.[Number(path.match(/\[(\d+)\]/)?.[1])] || {};
+
+const approvalStepRules = [
+  body('steps.*.name').trim().notEmpty().withMessage('Every step needs a name'),
+  body('steps.*.approverType').isIn(['hod', 'role', 'permission']).withMessage('Approver type must be hod, role or permission'),
+  body('steps.*.role').custom((role, { req, path }) => stepAt(req, path).approverType !== 'role' || APPROVER_ROLES.includes(role))
+    .withMessage('Role steps need a valid role'),
+  body('steps.*.permission').custom((permission, { req, path }) => stepAt(req, path).approverType !== 'permission' || APPROVER_PERMISSIONS.includes(permission))
+    .withMessage('Permission steps need a valid permission')
+];
+
+// On update every field is optional
+const approvalChainRules = (optional) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  return [
+    field('name').trim().notEmpty().withMessage('Chain name is required'),
+    field('steps').isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 approval steps are required'),
+    ...approvalStepRules,
+    body('conditions.match').optional().isIn(['all', 'any']).withMessage('Match must be all or any'),
+    body('conditions.hasFee').optional().isBoolean().withMessage('hasFee must be true or false'),
+    body('conditions.minCapacity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Minimum capacity must be a positive integer'),
+    body('conditions.categories.*').optional().isMongoId().withMessage('Valid category ID required'),
+    body('conditions.departments.*').optional().isMongoId().withMessage('Valid department ID required'),
+    body('priority').optional().isInt().withMessage('Priority must be an integer'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    handleValidationErrors
+  ];
+};
+
+const validateApprovalChain = approvalChainRules(false);
+const validateApprovalChainUpdate = approvalChainRules(true);
+
+const validateEventImport = [
+  body('category').isMongoId().withMessage('Valid default category is required'),
+  body('department').optional({ values: 'falsy' }).isMongoId().withMessage('Valid department ID required'),
+  body('timezone').optional({ values: 'falsy' }).custom(isValidTimezone).withMessage('Timezone must be an IANA time zone such as Asia/Kolkata'),
+  body('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be true or false'),
   handleValidationErrors
 ];
 
@@ -60,14 +140,162 @@ const validateNotification = [
   body('message').trim().notEmpty().withMessage('Notification message is required'),
   body('type').optional().isIn(['info', 'success', 'warning', 'error', 'event', 'registration', 'approval', 'reminder']),
   body('recipients').isArray({ min: 1 }).withMessage('At least one recipient is required'),
+  body('channels').optional().isArray({ min: 1 }).withMessage('Channels must be a non-empty array'),
+  body('channels.*').isIn(['in-app', 'email', 'sms', 'push']).withMessage('Channels must be in-app, email, sms or push'),
+  handleValidationErrors
+];
+
+const validateAnnouncement = [
+  body('title').trim().notEmpty().withMessage('Announcement title is required'),
+  body('content').trim().notEmpty().withMessage('Announcement content is required'),
+  body('type').optional().isIn(['general', 'urgent', 'event', 'academic', 'administrative', 'emergency']),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'critical']),
+  body('status').optional().isIn(['draft', 'published']).withMessage('Status must be draft or published'),
+  body('schedule.publishAt').optional().isISO8601().withMessage('Valid publish date is required'),
+  body('schedule.expiresAt').optional().isISO8601().withMessage('Valid expiry date is required'),
+  body('targetAudience.departments').optional().isArray(),
+  body('targetAudience.departments.*').optional().isMongoId().withMessage('Valid department ID required'),
+  body('targetAudience.specific.*').optional().isMongoId().withMessage('Valid user ID required'),
+  handleValidationErrors
+];
+
+// On update every field is optional, an empty expiresAt clears the expiry and an announcement can be archived
+const validateAnnouncementUpdate = [
+  body('title').optional().trim().notEmpty().withMessage('Announcement title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('content').optional().trim().notEmpty().withMessage('Announcement content cannot be empty')
+    .isLength({ max: 2000 }).withMessage('Content cannot exceed 2000 characters'),
+  body('type').optional().isIn(['general', 'urgent', 'event', 'academic', 'administrative', 'emergency']).withMessage('Invalid announcement type'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'critical']).withMessage('Priority must be low, normal, high or critical'),
+  body('status').optional().isIn(['draft', 'published', 'archived']).withMessage('Status must be draft, published or archived'),
+  body('visibility').optional().isIn(['public', 'private', 'department', 'role']).withMessage('Visibility must be public, private, department or role'),
+  body('schedule.publishAt').optional().isISO8601().withMessage('Valid publish date is required'),
+  body('schedule.expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('Valid expiry date is required'),
+  body('targetAudience').optional().isObject().withMessage('Target audience must be an object'),
+  body('targetAudience.roles').optional().isArray(),
+  body('targetAudience.roles.*').isIn(['student', 'faculty', 'organizer', 'admin', 'authority', 'hod', 'principal', 'registrar']).withMessage('Invalid audience role'),
+  body('targetAudience.departments').optional().isArray(),
+  body('targetAudience.departments.*').isMongoId().withMessage('Valid department ID required'),
+  body('targetAudience.years').optional().isArray(),
+  body('targetAudience.years.*').isInt({ min: 1, max: 4 }).withMessage('Audience years must be between 1 and 4'),
+  body('targetAudience.specific').optional().isArray(),
+  body('targetAudience.specific.*').isMongoId().withMessage('Valid user ID required'),
+  body('attachments').optional().isArray().withMessage('Attachments must be an array'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  handleValidationErrors
+];
+
+const validateEventResult = [
+  body('summary').if((value, { req }) => req.method === 'POST').trim().notEmpty().withMessage('Result summary is required'),
+  body('summary').optional().isLength({ max: 2000 }).withMessage('Summary cannot exceed 2000 characters'),
+  body('winners').optional().isArray(),
+  body('winners.*.position').optional().isInt({ min: 1 }).withMessage('Winner position must be a positive integer'),
+  body('winners.*.participant').optional().isMongoId().withMessage('Valid winner participant ID is required'),
+  body('speakers').optional().isArray(),
+  body('speakers.*.rating').optional().isFloat({ min: 1, max: 5 }).withMessage('Speaker rating must be between 1 and 5'),
+  body('publish').optional().isBoolean(),
+  handleValidationErrors
+];
+
+const coordinateRules = (field) => [
+  body(`${field}.latitude`).optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body(`${field}.longitude`).optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+const validateCheckIn = [
+  body('token').trim().notEmpty().withMessage('Check-in token is required'),
+  ...coordinateRules('location'),
+  handleValidationErrors
+];
+
+const validateSelfCheckIn = [
+  ...coordinateRules('location'),
+  handleValidationErrors
+];
+
+const validateGeofence = [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('radius').optional().isInt({ min: 10, max: 10000 }).withMessage('Radius must be between 10 and 10000 metres'),
+  body('enforcement').optional().isIn(['reject', 'flag']).withMessage('Enforcement must be reject or flag'),
+  ...coordinateRules('coordinates'),
+  handleValidationErrors
+];
+
+const validateReconcileCapacity = [
+  body('eventId').optional().isMongoId().withMessage('Valid event ID is required'),
+  handleValidationErrors
+];
+
+const validateReportFormat = [
+  query('format').optional().isIn(['json', 'csv', 'xlsx', 'pdf']).withMessage('Format must be json, csv, xlsx or pdf'),
+  query('eventId').optional().isMongoId().withMessage('Valid eventId is required'),
+  query('department').optional().isMongoId().withMessage('Valid department is required'),
+  query('category').optional().isMongoId().withMessage('Valid category is required'),
+  handleValidationErrors
+];
+
+const validateDigestPreview = [
+  query('format').optional().isIn(['json', 'html']).withMessage('Format must be json or html'),
   handleValidationErrors
 ];
 
+// Reports go out at most once an hour, so the minute field must be a single value
+const isHourlyOrLess = (value) => {
+  const cron = parseCron(value);
+  if (cron.minutes.size !== 1) {
+    throw new Error('Scheduled reports can run at most once an hour; use a single minute value');
+  }
+  return true;
+};
+
+// On update every field is optional
+const reportScheduleRules = (optional) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  return [
+    field('name').trim().notEmpty().withMessage('Schedule name is required'),
+    field('reportType').isIn(['events', 'registrations', 'attendance', 'users', 'departments']).withMessage('Report type must be events, registrations, attendance, users or departments'),
+    body('format').optional().isIn(['csv', 'xlsx', 'pdf']).withMessage('Format must be csv, xlsx or pdf'),
+    field('recipients').isArray({ min: 1, max: 50 }).withMessage('Between 1 and 50 recipients are required'),
+    body('recipients.*').isEmail().withMessage('Recipients must be valid email addresses').normalizeEmail({ gmail_remove_dots: false }),
+    field('schedule.cron').custom(isHourlyOrLess),
+    body('schedule.timezone').optional().custom(isValidTimezone).withMessage('Timezone must be an IANA time zone such as Asia/Kolkata'),
+    body('filters.period').optional().isIn(['previous_day', 'previous_week', 'previous_month', 'last_7_days', 'last_30_days', 'all']).withMessage('Invalid report period'),
+    body('filters.department').optional({ values: 'falsy' }).isMongoId().withMessage('Valid department ID required'),
+    body('filters.category').optional({ values: 'falsy' }).isMongoId().withMessage('Valid category ID required'),
+    body('filters.active').optional({ values: 'null' }).isBoolean().withMessage('Active filter must be true or false'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    handleValidationErrors
+  ];
+};
+
+const validateReportSchedule = reportScheduleRules(false);
+const validateReportScheduleUpdate = reportScheduleRules(true);
+
 const validateObjectId = (field = 'id') => [
   param(field).isMongoId().withMessage(`Valid ${field} is required`),
   handleValidationErrors
 ];
 
+const validateAuditQuery = [
+  query('actor').optional().isMongoId().withMessage('Valid actor ID required'),
+  query('targetId').optional().isMongoId().withMessage('Valid target ID required'),
+  query('action').optional().trim().notEmpty().withMessage('Action cannot be empty'),
+  query('targetType').optional().trim().notEmpty().withMessage('Target type cannot be empty'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  handleValidationErrors
+];
+
+const validateAuditSettings = [
+  body('retentionDays').isInt({ min: 30, max: 3650 }).withMessage('Retention must be between 30 and 3650 days'),
+  handleValidationErrors
+];
+
+const validateEventVersion = [
+  param('version').isInt({ min: 0 }).withMessage('Version must be a whole number, starting from 0'),
+  handleValidationErrors
+];
+
 const validatePagination = [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
@@ -86,10 +314,29 @@ module.exports = {
   validateUser,
   validateLogin,
   validateEvent,
+  validateEventUpdate,
+  validateEventApproval,
+  validateEventImport,
   validateRegistration,
   validateDepartment,
   validateCategory,
   validateNotification,
+  validateAnnouncement,
+  validateAnnouncementUpdate,
+  validateEventResult,
+  validateCheckIn,
+  validateSelfCheckIn,
+  validateGeofence,
+  validateReconcileCapacity,
+  validateReportFormat,
+  validateReportSchedule,
+  validateReportScheduleUpdate,
+  validateDigestPreview,
+  validateApprovalChain,
+  validateApprovalChainUpdate,
+  validateEventVersion,
+  validateAuditQuery,
+  validateAuditSettings,
   validateObjectId,
   validatePagination,
   validateSearch,
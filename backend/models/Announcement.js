@@ -56,7 +56,7 @@ const announcementSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'published', 'expired', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'expired', 'archived', 'failed'],
     default: 'draft'
   },
   visibility: {
@@ -122,6 +122,98 @@ announcementSchema.methods.incrementViews = function() {
   return this.save();
 };
 
+announcementSchema.methods.isTargetedAt = function(user) {
+  const audience = this.targetAudience || {};
+  const departmentId = user.department?._id || user.department;
+  const specific = audience.specific || [];
+  const hasGroupTargets = ['roles', 'departments', 'years'].some(key => audience[key] && audience[key].length > 0);
+
+  if (specific.some(id => id.toString() === user._id.toString())) {
+    return true;
+  }
+
+  if (specific.length > 0 && !hasGroupTargets) {
+    return false;
+  }
+
+  if (audience.roles && audience.roles.length > 0 && !audience.roles.includes(user.role)) {
+    return false;
+  }
+
+  if (audience.departments && audience.departments.length > 0 &&
+      !audience.departments.some(id => departmentId && id.toString() === departmentId.toString())) {
+    return false;
+  }
+
+  if (audience.years && audience.years.length > 0 && !audience.years.includes(user.year)) {
+    return false;
+  }
+
+  return true;
+};
+
+announcementSchema.methods.like = function(userId) {
+  const alreadyLiked = this.interactions.likes.some(like => like.user.toString() === userId.toString());
+  if (!alreadyLiked) {
+    this.interactions.likes.push({ user: userId });
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+announcementSchema.methods.unlike = function(userId) {
+  const index = this.interactions.likes.findIndex(like => like.user.toString() === userId.toString());
+  if (index !== -1) {
+    this.interactions.likes.splice(index, 1);
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+announcementSchema.statics.audienceFilter = function(user) {
+  const departmentId = user.department?._id || user.department;
+  const matchesOrEmpty = (path, value) => ({
+    $or: [
+      { [path]: { $size: 0 } },
+      { [path]: { $exists: false } },
+      ...(value !== undefined && value !== null ? [{ [path]: value }] : [])
+    ]
+  });
+
+  return {
+    $or: [
+      { 'targetAudience.specific': user._id },
+      {
+        $and: [
+          matchesOrEmpty('targetAudience.roles', user.role),
+          matchesOrEmpty('targetAudience.departments', departmentId),
+          matchesOrEmpty('targetAudience.years', user.year),
+          {
+            $or: [
+              { 'targetAudience.specific': { $size: 0 } },
+              { 'targetAudience.specific': { $exists: false } },
+              { 'targetAudience.roles.0': { $exists: true } },
+              { 'targetAudience.departments.0': { $exists: true } },
+              { 'targetAudience.years.0': { $exists: true } }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+};
+
+announcementSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    status: 'published',
+    'schedule.publishAt': { $lte: now },
+    $or: [
+      { 'schedule.expiresAt': null },
+      { 'schedule.expiresAt': { $gte: now } }
+    ]
+  };
+};
+
 announcementSchema.index({ author: 1 });
 announcementSchema.index({ status: 1 });
 announcementSchema.index({ 'schedule.publishAt': 1 });
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['student', 'faculty', 'organizer', 'admin', 'authority', 'hod', 'principal', 'registrar'];
+
+const approvalChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  // A chain without conditions applies to every event
+  conditions: {
+    match: {
+      type: String,
+      enum: ['all', 'any'],
+      default: 'all'
+    },
+    hasFee: {
+      type: Boolean,
+      default: false
+    },
+    minCapacity: {
+      type: Number,
+      min: 1
+    },
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    departments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    }]
+  },
+  steps: {
+    type: [{
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+      },
+      // hod: the head of the event's department; role: anyone with the role; permission: anyone holding it
+      approverType: {
+        type: String,
+        enum: ['hod', 'role', 'permission'],
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ROLES
+      },
+      permission: String
+    }],
+    validate: [steps => steps.length > 0, 'An approval chain needs at least one step']
+  },
+  // Chains are tried from the highest priority down; the first one that matches is used
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+approvalChainSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model('ApprovalChain', approvalChainSchema);
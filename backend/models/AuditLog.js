@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: String,
+  // The permission or role that let the actor through, e.g. manage_users or admin
+  privilege: String,
+  // Dotted names such as user.update-role for audited routes, or the route itself (POST /api/categories)
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: mongoose.Schema.Types.ObjectId,
+  // The audited fields of the target; null before a create or after a delete
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const MIN_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+
+const defaultRetentionDays = () => {
+  const days = parseInt(process.env.AUDIT_RETENTION_DAYS);
+  return days >= MIN_RETENTION_DAYS && days <= MAX_RETENTION_DAYS ? days : 365;
+};
+
+// A single document; AUDIT_RETENTION_DAYS only seeds it
+const auditSettingsSchema = new mongoose.Schema({
+  retentionDays: {
+    type: Number,
+    min: MIN_RETENTION_DAYS,
+    max: MAX_RETENTION_DAYS,
+    default: defaultRetentionDays
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+auditSettingsSchema.statics.current = function() {
+  return this.findOneAndUpdate(
+    {},
+    { $setOnInsert: { retentionDays: defaultRetentionDays() } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('AuditSettings', auditSettingsSchema);
@@ -50,6 +50,22 @@ const eventSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    geofence: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      radius: {
+        type: Number,
+        min: 10,
+        default: 200
+      },
+      enforcement: {
+        type: String,
+        enum: ['reject', 'flag'],
+        default: 'flag'
+      }
     }
   },
   schedule: {
@@ -84,6 +100,22 @@ const eventSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    waitlist: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      maxSize: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      confirmWindowHours: {
+        type: Number,
+        min: 1,
+        default: 24
+      }
+    },
     deadline: Date,
     fee: {
       amount: {
@@ -148,6 +180,11 @@ const eventSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Minutes before the start time
+    reminderOffsets: {
+      type: [Number],
+      default: [1440, 60]
+    },
     generateCertificates: {
       type: Boolean,
       default: false
@@ -157,6 +194,28 @@ const eventSchema = new mongoose.Schema({
       default: true
     }
   },
+  certificateTemplate: {
+    title: {
+      type: String,
+      default: 'Certificate of Participation',
+      maxlength: 100
+    },
+    body: {
+      type: String,
+      default: 'This is to certify that {{name}} has successfully participated in {{eventTitle}} held on {{date}}.',
+      maxlength: 1000
+    },
+    signatories: [{
+      name: String,
+      designation: String
+    }],
+    backgroundImage: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: Date
+  },
   requirements: {
     prerequisites: [String],
     materials: [String],
@@ -198,7 +257,42 @@ const eventSchema = new mongoose.Schema({
       ref: 'User'
     },
     approvedAt: Date,
-    rejectionReason: String
+    rejectionReason: String,
+    chain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalChain'
+    },
+    chainName: String,
+    currentStep: {
+      type: Number,
+      default: 0
+    },
+    // Copied from the chain on submission, so editing a chain doesn't affect events already in it
+    steps: [{
+      name: String,
+      approverType: {
+        type: String,
+        enum: ['hod', 'role', 'permission']
+      },
+      role: String,
+      permission: String,
+      assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      status: {
+        type: String,
+        enum: ['waiting', 'pending', 'approved', 'rejected'],
+        default: 'waiting'
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      decidedAt: Date,
+      comment: String
+    }],
+    submittedAt: Date
   },
   isRecurring: {
     type: Boolean,
@@ -212,6 +306,44 @@ const eventSchema = new mongoose.Schema({
     interval: Number,
     endDate: Date,
     days: [Number]
+  },
+  series: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    index: Number,
+    originalStartDate: Date,
+    isException: {
+      type: Boolean,
+      default: false
+    }
+  },
+  remindersSent: [{
+    offset: Number,
+    startDate: Date,
+    sentAt: Date,
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    }
+  }],
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  imported: {
+    uid: String,
+    fileName: String,
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    importedAt: Date
   }
 }, {
   timestamps: true,
@@ -276,7 +408,9 @@ eventSchema.methods.canUserRegister = function(user) {
     return false;
   }
   
-  if (this.registration.allowedDepartments.length > 0 && !this.registration.allowedDepartments.includes(user.department)) {
+  // req.user has its department populated, so compare by id
+  const departmentId = user.department?._id || user.department;
+  if (this.registration.allowedDepartments.length > 0 && !this.registration.allowedDepartments.includes(departmentId)) {
     return false;
   }
   
@@ -287,6 +421,22 @@ eventSchema.methods.canUserRegister = function(user) {
   return true;
 };
 
+eventSchema.statics.getMonthlyCounts = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          year: { $year: '$schedule.startDate' },
+          month: { $month: '$schedule.startDate' }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1 } }
+  ]);
+};
+
 eventSchema.index({ title: 'text', description: 'text', tags: 'text' });
 eventSchema.index({ 'schedule.startDate': 1 });
 eventSchema.index({ status: 1 });
@@ -295,5 +445,7 @@ eventSchema.index({ organizer: 1 });
 eventSchema.index({ department: 1 });
 eventSchema.index({ visibility: 1 });
 eventSchema.index({ 'approval.status': 1 });
+eventSchema.index({ 'series.id': 1, 'schedule.startDate': 1 });
+eventSchema.index({ 'imported.uid': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
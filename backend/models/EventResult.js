@@ -102,7 +102,8 @@ const eventResultSchema = new mongoose.Schema({
     count: {
       type: Number,
       default: 0
-    }
+    },
+    generatedAt: Date
   },
   publishedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One saved edit of an event: the fields it changed with their old and new values.
+// Version 0 is the event as it was created and has no entry of its own.
+const eventVersionSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'series-update', 'restore'],
+    default: 'update'
+  },
+  restoredFrom: Number,
+  // Dotted paths such as schedule.startDate; a missing value means the field was unset
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  notifiedRegistrants: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+eventVersionSchema.index({ event: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('EventVersion', eventVersionSchema);
@@ -13,7 +13,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['info', 'success', 'warning', 'error', 'event', 'registration', 'approval', 'reminder'],
+    enum: ['info', 'success', 'warning', 'error', 'event', 'registration', 'approval', 'reminder', 'digest'],
     default: 'info'
   },
   recipients: [{
@@ -26,7 +26,25 @@ const notificationSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    readAt: Date
+    readAt: Date,
+    deliveries: [{
+      channel: {
+        type: String,
+        enum: ['email', 'sms', 'push']
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'delivered', 'skipped', 'failed'],
+        default: 'pending'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      nextAttemptAt: Date,
+      deliveredAt: Date,
+      error: String
+    }]
   }],
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -63,7 +81,7 @@ const notificationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'sent', 'failed'],
+    enum: ['draft', 'scheduled', 'sent', 'failed', 'expired'],
     default: 'draft'
   },
   analytics: {
@@ -124,7 +142,7 @@ notificationSchema.statics.createForUsers = async function(userIds, notification
   const notification = new this({
     ...notificationData,
     recipients,
-    status: 'sent'
+    status: notificationData.status || 'sent'
   });
   
   notification.analytics.sent = recipients.length;
@@ -142,8 +160,9 @@ notificationSchema.statics.createForRoles = async function(roles, notificationDa
 notificationSchema.index({ 'recipients.user': 1 });
 notificationSchema.index({ type: 1 });
 notificationSchema.index({ priority: 1 });
-notificationSchema.index({ scheduledFor: 1 });
+notificationSchema.index({ status: 1, scheduledFor: 1 });
 notificationSchema.index({ expiresAt: 1 });
+notificationSchema.index({ 'recipients.deliveries.status': 1 }, { sparse: true });
 notificationSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
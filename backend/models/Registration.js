@@ -13,7 +13,7 @@ const registrationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled', 'attended', 'absent'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'attended', 'absent', 'waitlisted', 'offered'],
     default: 'pending'
   },
   registrationDate: {
@@ -27,6 +27,12 @@ const registrationSchema = new mongoose.Schema({
   approvedAt: Date,
   rejectionReason: String,
   cancellationReason: String,
+  waitlist: {
+    joinedAt: Date,
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    confirmedAt: Date
+  },
   attendanceMarked: {
     type: Boolean,
     default: false
@@ -50,7 +56,8 @@ const registrationSchema = new mongoose.Schema({
       default: false
     },
     url: String,
-    generatedAt: Date
+    generatedAt: Date,
+    verificationCode: String
   },
   payment: {
     required: {
@@ -87,8 +94,25 @@ const registrationSchema = new mongoose.Schema({
     },
     method: {
       type: String,
-      enum: ['qr', 'manual', 'nfc'],
+      enum: ['qr', 'manual', 'nfc', 'self'],
       default: 'manual'
+    },
+    distance: Number,
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected']
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      note: String
     }
   },
   checkOut: {
@@ -112,7 +136,7 @@ registrationSchema.virtual('duration').get(function() {
 
 registrationSchema.statics.getRegistrationStats = async function(eventId) {
   const stats = await this.aggregate([
-    { $match: { event: mongoose.Types.ObjectId(eventId) } },
+    { $match: { event: new mongoose.Types.ObjectId(eventId) } },
     {
       $group: {
         _id: '$status',
@@ -128,6 +152,8 @@ registrationSchema.statics.getRegistrationStats = async function(eventId) {
     cancelled: 0,
     attended: 0,
     absent: 0,
+    waitlisted: 0,
+    offered: 0,
     total: 0
   };
   
@@ -139,19 +165,61 @@ registrationSchema.statics.getRegistrationStats = async function(eventId) {
   return result;
 };
 
-registrationSchema.methods.approve = function(approver) {
-  this.status = 'approved';
-  this.approvedBy = approver._id;
-  this.approvedAt = new Date();
-  return this.save();
+registrationSchema.statics.getAttendanceCounts = async function(eventId) {
+  const [checkedIn, checkedOut] = await Promise.all([
+    this.countDocuments({ event: eventId, status: 'attended', 'checkIn.time': { $ne: null } }),
+    this.countDocuments({ event: eventId, status: 'attended', 'checkOut.time': { $ne: null } })
+  ]);
+
+  return {
+    checkedIn,
+    checkedOut,
+    present: checkedIn - checkedOut
+  };
 };
 
-registrationSchema.methods.reject = function(reason, approver) {
-  this.status = 'rejected';
-  this.rejectionReason = reason;
-  this.approvedBy = approver._id;
-  this.approvedAt = new Date();
-  return this.save();
+registrationSchema.statics.getWaitlistPosition = async function(registration) {
+  const ahead = await this.countDocuments({
+    event: registration.event?._id || registration.event,
+    status: 'waitlisted',
+    'waitlist.joinedAt': { $lt: registration.waitlist.joinedAt }
+  });
+  return ahead + 1;
+};
+
+// Moves a registration between statuses only if it is still in one of fromStatuses,
+// resolving the previous document so callers know whether (and from what) it changed
+registrationSchema.statics.transition = function(id, fromStatuses, update) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: fromStatuses } },
+    { $set: update },
+    { new: false }
+  );
+};
+
+registrationSchema.methods.approve = async function(approver) {
+  const update = {
+    status: 'approved',
+    approvedBy: approver._id,
+    approvedAt: new Date()
+  };
+
+  const previous = await this.constructor.transition(this._id, ['pending'], update);
+  if (previous) this.set(update);
+  return previous;
+};
+
+registrationSchema.methods.reject = async function(reason, approver) {
+  const update = {
+    status: 'rejected',
+    rejectionReason: reason,
+    approvedBy: approver._id,
+    approvedAt: new Date()
+  };
+
+  const previous = await this.constructor.transition(this._id, ['pending'], update);
+  if (previous) this.set(update);
+  return previous;
 };
 
 registrationSchema.methods.markAttendance = function(present = true) {
@@ -171,5 +239,8 @@ registrationSchema.index({ event: 1 });
 registrationSchema.index({ user: 1 });
 registrationSchema.index({ status: 1 });
 registrationSchema.index({ registrationDate: -1 });
+registrationSchema.index({ event: 1, 'checkIn.flagged': 1 });
+registrationSchema.index({ event: 1, status: 1, 'waitlist.joinedAt': 1 });
+registrationSchema.index({ 'certificate.verificationCode': 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('Registration', registrationSchema);
\ No newline at end of file
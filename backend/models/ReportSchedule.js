@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const reportScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  reportType: {
+    type: String,
+    enum: ['events', 'registrations', 'attendance', 'users', 'departments'],
+    required: true
+  },
+  filters: {
+    period: {
+      type: String,
+      enum: ['previous_day', 'previous_week', 'previous_month', 'last_7_days', 'last_30_days', 'all'],
+      default: 'all'
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    status: String,
+    role: String,
+    active: Boolean
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'pdf'],
+    default: 'pdf'
+  },
+  recipients: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  schedule: {
+    cron: {
+      type: String,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: Date,
+  lastRun: {
+    at: Date,
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    error: String,
+    recipients: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+reportScheduleSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
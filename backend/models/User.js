@@ -125,7 +125,14 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
-  }
+  },
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  digestSentAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
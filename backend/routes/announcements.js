@@ -0,0 +1,472 @@
+const express = require('express');
+const Announcement = require('../models/Announcement');
+const publishing = require('../services/publishing');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateAnnouncement, validateAnnouncementUpdate, validateObjectId, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+const canManage = (announcement, user) => {
+  const authorId = announcement.author?._id || announcement.author;
+  return authorId.toString() === user._id.toString() || user.role === 'admin';
+};
+
+const resolveStatus = (requestedStatus, publishAt) => {
+  if (requestedStatus === 'draft') return 'draft';
+  return publishAt > new Date() ? 'scheduled' : 'published';
+};
+
+router.get('/', auth, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, priority, pinned, status, mine } = req.query;
+    const skip = (page - 1) * limit;
+
+    const canSeeAll = req.user.role === 'admin' || req.user.hasPermission('send_notifications');
+    const conditions = [];
+
+    if (mine === 'true') {
+      conditions.push({ author: req.user._id });
+      if (status) conditions.push({ status });
+    } else if (status && canSeeAll) {
+      conditions.push({ status });
+    } else {
+      conditions.push(Announcement.activeFilter());
+      conditions.push(Announcement.audienceFilter(req.user));
+    }
+
+    if (type) conditions.push({ type });
+    if (priority) conditions.push({ priority });
+    if (pinned !== undefined) conditions.push({ isPinned: pinned === 'true' });
+
+    const filter = { $and: conditions };
+
+    const announcements = await Announcement.find(filter)
+      .populate('author', 'firstName lastName avatar role')
+      .sort({ isPinned: -1, 'schedule.publishAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Announcement.countDocuments(filter);
+
+    const userAnnouncements = announcements.map(announcement => ({
+      ...announcement.toObject(),
+      likedByMe: announcement.interactions.likes.some(
+        like => like.user.toString() === req.user._id.toString()
+      )
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        announcements: userAnnouncements,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:id', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (!canManage(announcement, req.user) &&
+        (!announcement.isActive || !announcement.isTargetedAt(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (announcement.isActive) {
+      await announcement.incrementViews();
+    }
+
+    await announcement.populate([
+      { path: 'author', select: 'firstName lastName avatar role' },
+      { path: 'interactions.comments.user', select: 'firstName lastName avatar' },
+      { path: 'targetAudience.departments', select: 'name code' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        announcement,
+        likedByMe: announcement.interactions.likes.some(
+          like => like.user.toString() === req.user._id.toString()
+        )
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcement',
+      error: error.message
+    });
+  }
+});
+
+router.post('/', auth, checkPermission('send_notifications'), validateAnnouncement, async (req, res) => {
+  try {
+    const { title, content, type, priority, targetAudience, attachments, schedule, status, visibility, tags, isPinned } = req.body;
+
+    const publishAt = schedule?.publishAt ? new Date(schedule.publishAt) : new Date();
+    const expiresAt = schedule?.expiresAt ? new Date(schedule.expiresAt) : undefined;
+
+    if (expiresAt && expiresAt <= publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be after the publish date'
+      });
+    }
+
+    const announcement = new Announcement({
+      title,
+      content,
+      type,
+      priority,
+      author: req.user._id,
+      targetAudience,
+      attachments,
+      schedule: { publishAt, expiresAt },
+      status: resolveStatus(status, publishAt),
+      visibility,
+      tags,
+      isPinned: Boolean(isPinned)
+    });
+
+    await announcement.save();
+    await announcement.populate('author', 'firstName lastName avatar role');
+
+    publishing.scheduleAnnouncement(announcement);
+
+    if (announcement.status === 'published') {
+      publishing.emitAnnouncement(announcement);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement created successfully',
+      data: { announcement }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create announcement',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id', auth, validateObjectId('id'), validateAnnouncementUpdate, async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (!canManage(announcement, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this announcement'
+      });
+    }
+
+    const allowedUpdates = [
+      'title', 'content', 'type', 'priority', 'targetAudience',
+      'attachments', 'visibility', 'tags'
+    ];
+
+    allowedUpdates.forEach(key => {
+      if (req.body[key] !== undefined) {
+        announcement[key] = req.body[key];
+      }
+    });
+
+    if (req.body.schedule) {
+      if (req.body.schedule.publishAt) {
+        announcement.schedule.publishAt = new Date(req.body.schedule.publishAt);
+      }
+      if (req.body.schedule.expiresAt !== undefined) {
+        announcement.schedule.expiresAt = req.body.schedule.expiresAt
+          ? new Date(req.body.schedule.expiresAt)
+          : undefined;
+      }
+    }
+
+    if (announcement.schedule.expiresAt && announcement.schedule.expiresAt <= announcement.schedule.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be after the publish date'
+      });
+    }
+
+    const wasPublished = announcement.status === 'published';
+
+    if (req.body.status === 'archived') {
+      announcement.status = 'archived';
+    } else if (req.body.status || req.body.schedule?.publishAt) {
+      announcement.status = resolveStatus(req.body.status || announcement.status, announcement.schedule.publishAt);
+    }
+
+    await announcement.save();
+    await announcement.populate('author', 'firstName lastName avatar role');
+
+    publishing.scheduleAnnouncement(announcement);
+
+    if (!wasPublished && announcement.status === 'published') {
+      publishing.emitAnnouncement(announcement);
+    } else if (wasPublished) {
+      publishing.emitAnnouncement(announcement, 'announcement-updated');
+    }
+
+    res.json({
+      success: true,
+      message: 'Announcement updated successfully',
+      data: { announcement }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update announcement',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (!canManage(announcement, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this announcement'
+      });
+    }
+
+    await Announcement.findByIdAndDelete(req.params.id);
+    publishing.cancelAnnouncement(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Announcement deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete announcement',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id/pin', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const { pinned = true } = req.body;
+
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    if (!canManage(announcement, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pin this announcement'
+      });
+    }
+
+    announcement.isPinned = Boolean(pinned);
+    await announcement.save();
+
+    res.json({
+      success: true,
+      message: `Announcement ${announcement.isPinned ? 'pinned' : 'unpinned'} successfully`,
+      data: { announcement }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pin status',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/like', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement || !announcement.isActive || !announcement.isTargetedAt(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    await announcement.like(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Announcement liked',
+      data: { likeCount: announcement.likeCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to like announcement',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id/like', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement || !announcement.isActive || !announcement.isTargetedAt(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    await announcement.unlike(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Announcement unliked',
+      data: { likeCount: announcement.likeCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlike announcement',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/comments', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement || !announcement.isActive || !announcement.isTargetedAt(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    announcement.interactions.comments.push({
+      user: req.user._id,
+      content: content.trim()
+    });
+    await announcement.save();
+    await announcement.populate('interactions.comments.user', 'firstName lastName avatar');
+
+    const comment = announcement.interactions.comments[announcement.interactions.comments.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id/comments/:commentId', auth, validateObjectId('id'), validateObjectId('commentId'), async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    const comment = announcement.interactions.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const canDelete = comment.user?.toString() === req.user._id.toString() ||
+                     canManage(announcement, req.user);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    comment.deleteOne();
+    await announcement.save();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const Event = require('../models/Event');
+const ApprovalChain = require('../models/ApprovalChain');
+const approvals = require('../services/approvals');
+const { auth, checkPermission } = require('../middleware/auth');
+const { validateApprovalChain, validateApprovalChainUpdate, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+const chainFields = ['name', 'description', 'conditions', 'steps', 'priority', 'isActive'];
+
+const populateApproval = (query) => query
+  .populate('organizer', 'firstName lastName email')
+  .populate('category', 'name color')
+  .populate('department', 'name code')
+  .populate('approval.steps.assignee', 'firstName lastName')
+  .populate('approval.steps.decidedBy', 'firstName lastName')
+  .sort({ 'approval.submittedAt': 1, 'schedule.startDate': 1 });
+
+// A recurring series goes through approval as a whole, so it is listed once with its number of dates
+const listSeriesOnce = (events) => {
+  const items = [];
+  const bySeries = new Map();
+
+  events.forEach(event => {
+    const seriesId = event.series?.id?.toString();
+    if (seriesId && bySeries.has(seriesId)) {
+      bySeries.get(seriesId).occurrences += 1;
+      return;
+    }
+
+    const item = { ...event.toObject(), occurrences: 1 };
+    if (seriesId) bySeries.set(seriesId, item);
+    items.push(item);
+  });
+
+  return items;
+};
+
+// Events whose current approval step is waiting on the current user
+router.get('/', auth, async (req, res) => {
+  try {
+    const events = await populateApproval(Event.find(approvals.waitingOnFilter(req.user)));
+
+    res.json({
+      success: true,
+      data: { events: listSeriesOnce(events) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approval queue',
+      error: error.message
+    });
+  }
+});
+
+// The current user's own events that are in approval or were sent back
+router.get('/submitted', auth, async (req, res) => {
+  try {
+    const events = await populateApproval(Event.find({
+      $or: [
+        { organizer: req.user._id },
+        { coOrganizers: req.user._id }
+      ],
+      status: 'draft',
+      'approval.status': { $in: ['pending', 'rejected'] }
+    }));
+
+    res.json({
+      success: true,
+      data: { events: listSeriesOnce(events) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch submitted events',
+      error: error.message
+    });
+  }
+});
+
+router.get('/chains', auth, checkPermission('system_settings'), async (req, res) => {
+  try {
+    const chains = await ApprovalChain.find()
+      .populate('conditions.categories', 'name')
+      .populate('conditions.departments', 'name code')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { chains }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approval chains',
+      error: error.message
+    });
+  }
+});
+
+router.post('/chains', auth, checkPermission('system_settings'), validateApprovalChain, async (req, res) => {
+  try {
+    const chain = new ApprovalChain({ createdBy: req.user._id });
+    chainFields.forEach(field => {
+      if (req.body[field] !== undefined) chain[field] = req.body[field];
+    });
+    await chain.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval chain created successfully',
+      data: { chain }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create approval chain',
+      error: error.message
+    });
+  }
+});
+
+// Events already in approval keep the steps they were submitted with
+router.put('/chains/:id', auth, checkPermission('system_settings'), validateObjectId('id'), validateApprovalChainUpdate, async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findById(req.params.id);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    chainFields.forEach(field => {
+      if (req.body[field] !== undefined) chain[field] = req.body[field];
+    });
+    await chain.save();
+
+    res.json({
+      success: true,
+      message: 'Approval chain updated successfully',
+      data: { chain }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update approval chain',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/chains/:id', auth, checkPermission('system_settings'), validateObjectId('id'), async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findByIdAndDelete(req.params.id);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Approval chain deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete approval chain',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const AuditSettings = require('../models/AuditSettings');
+const { auth, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { validateAuditQuery, validateAuditSettings, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', auth, authorize('admin'), validatePagination, validateAuditQuery, async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message
+    });
+  }
+});
+
+router.get('/settings', auth, authorize('admin'), async (req, res) => {
+  try {
+    const settings = await AuditSettings.current();
+    await settings.populate('updatedBy', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: { settings }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit settings',
+      error: error.message
+    });
+  }
+});
+
+// Entries older than the new retention are removed by the next nightly purge
+router.put('/settings', auth, authorize('admin'), validateAuditSettings, audit('audit.update-retention', {
+  model: AuditSettings,
+  targets: async () => (await AuditSettings.current())._id,
+  select: 'retentionDays'
+}), async (req, res) => {
+  try {
+    const settings = await AuditSettings.current();
+    settings.retentionDays = req.body.retentionDays;
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Audit settings updated successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update audit settings',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const crypto = require('crypto');
+const moment = require('moment');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Department = require('../models/Department');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { buildCalendar, sendCalendar } = require('../services/ical');
+const { auth } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+const PUBLIC_STATUSES = ['published', 'cancelled', 'completed'];
+const FEED_HISTORY_DAYS = 90;
+
+const apiUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+
+const feedLinks = (req, path) => {
+  const url = `${apiUrl(req)}/calendar/${path}`;
+  return {
+    url,
+    webcal: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+const createToken = () => crypto.randomBytes(24).toString('hex');
+
+const ensureCalendarToken = async (userId) => {
+  const user = await User.findById(userId).select('+calendarToken');
+  if (!user.calendarToken) {
+    user.calendarToken = createToken();
+    await user.save();
+  }
+  return user.calendarToken;
+};
+
+const findFeedEvents = (filter) => {
+  return Event.find({
+    ...filter,
+    status: { $in: PUBLIC_STATUSES },
+    'schedule.endDate': { $gte: moment().subtract(FEED_HISTORY_DAYS, 'days').toDate() }
+  })
+    .populate('category', 'name')
+    .sort({ 'schedule.startDate': 1 });
+};
+
+router.get('/feeds', auth, async (req, res) => {
+  try {
+    const token = await ensureCalendarToken(req.user._id);
+    const departmentId = req.user.department?._id || req.user.department;
+
+    res.json({
+      success: true,
+      data: {
+        personal: feedLinks(req, `${token}.ics`),
+        department: departmentId ? feedLinks(req, `departments/${departmentId}.ics`) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feeds',
+      error: error.message
+    });
+  }
+});
+
+router.post('/feeds/reset', auth, async (req, res) => {
+  try {
+    const token = createToken();
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarToken: token } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed link reset. Previous subscriptions will stop updating.',
+      data: {
+        personal: feedLinks(req, `${token}.ics`)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar feed',
+      error: error.message
+    });
+  }
+});
+
+router.get('/departments/:id.ics', validateObjectId('id'), async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id).select('name');
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const events = await findFeedEvents({ department: department._id });
+
+    sendCalendar(res, buildCalendar({
+      name: `${department.name} Events`,
+      description: `Events organised by ${department.name}`,
+      events
+    }), `department-${department._id}.ics`, 'inline');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build department calendar',
+      error: error.message
+    });
+  }
+});
+
+router.get('/categories/:id.ics', validateObjectId('id'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id).select('name');
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const events = await findFeedEvents({ category: category._id });
+
+    sendCalendar(res, buildCalendar({
+      name: `${category.name} Events`,
+      description: `${category.name} events on campus`,
+      events
+    }), `category-${category._id}.ics`, 'inline');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build category calendar',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const token = String(req.params.token).toLowerCase();
+    const user = /^[0-9a-f]{48}$/.test(token)
+      ? await User.findOne({ calendarToken: token, isActive: true }).select('firstName lastName')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const registrations = await Registration.find({
+      user: user._id,
+      status: { $in: ['approved', 'attended'] }
+    }).select('event');
+
+    const events = await Event.find({
+      _id: { $in: registrations.map(registration => registration.event) },
+      status: { $in: PUBLIC_STATUSES }
+    })
+      .populate('category', 'name')
+      .sort({ 'schedule.startDate': 1 });
+
+    // Registrations are per occurrence, so series dates are listed individually
+    sendCalendar(res, buildCalendar({
+      name: `${user.firstName}'s Campus Events`,
+      description: 'Events you are registered for',
+      events,
+      expandSeries: true
+    }), 'my-events.ics', 'inline');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
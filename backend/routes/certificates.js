@@ -0,0 +1,400 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const EventResult = require('../models/EventResult');
+const Notification = require('../models/Notification');
+const publishing = require('../services/publishing');
+const {
+  TEMPLATE_DIR,
+  certificatePath,
+  generateCertificate,
+  createVerificationCode,
+  parseVerificationCode,
+  isValidVerificationCode
+} = require('../services/certificates');
+const { auth } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(TEMPLATE_DIR, { recursive: true });
+      cb(null, TEMPLATE_DIR);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.params.eventId}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Certificate background must be a PNG or JPEG image'));
+    }
+  }
+});
+
+const uploadBackground = (req, res, next) => {
+  upload.single('background')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+const canManageEvent = (event, user) => {
+  return event.organizer.toString() === user._id.toString() ||
+         event.coOrganizers.includes(user._id) ||
+         user.role === 'admin';
+};
+
+router.get('/my', auth, async (req, res) => {
+  try {
+    const registrations = await Registration.find({
+      user: req.user._id,
+      'certificate.generated': true
+    })
+      .populate('event', 'title schedule venue')
+      .sort({ 'certificate.generatedAt': -1 });
+
+    res.json({
+      success: true,
+      data: { certificates: registrations }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch certificates',
+      error: error.message
+    });
+  }
+});
+
+router.get('/events/:eventId/template', auth, validateObjectId('eventId'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('title organizer coOrganizers certificateTemplate features');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage certificates for this event'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: event.certificateTemplate,
+        enabled: event.features.generateCertificates,
+        placeholders: ['name', 'firstName', 'lastName', 'studentId', 'department', 'eventTitle', 'date', 'endDate', 'venue', 'certificateId', 'signatory1', 'signatory1Designation']
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch certificate template',
+      error: error.message
+    });
+  }
+});
+
+router.put('/events/:eventId/template', auth, validateObjectId('eventId'), uploadBackground, async (req, res) => {
+  const discardUpload = () => {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  };
+
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      discardUpload();
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      discardUpload();
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage certificates for this event'
+      });
+    }
+
+    const { title, body } = req.body;
+    let { signatories } = req.body;
+
+    if (typeof signatories === 'string') {
+      try {
+        signatories = JSON.parse(signatories);
+      } catch (error) {
+        discardUpload();
+        return res.status(400).json({
+          success: false,
+          message: 'Signatories must be a JSON array'
+        });
+      }
+    }
+
+    if (signatories !== undefined && (!Array.isArray(signatories) || signatories.some(s => !s || !s.name))) {
+      discardUpload();
+      return res.status(400).json({
+        success: false,
+        message: 'Each signatory requires a name'
+      });
+    }
+
+    if (title !== undefined) event.certificateTemplate.title = title;
+    if (body !== undefined) event.certificateTemplate.body = body;
+    if (signatories !== undefined) event.certificateTemplate.signatories = signatories;
+
+    if (req.file) {
+      const previous = event.certificateTemplate.backgroundImage;
+      if (previous) {
+        fs.promises.unlink(path.join(TEMPLATE_DIR, path.basename(previous))).catch(() => {});
+      }
+      event.certificateTemplate.backgroundImage = req.file.filename;
+    } else if (req.body.removeBackground === 'true' || req.body.removeBackground === true) {
+      event.certificateTemplate.backgroundImage = undefined;
+    }
+
+    event.certificateTemplate.updatedBy = req.user._id;
+    event.certificateTemplate.updatedAt = new Date();
+    event.features.generateCertificates = true;
+
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Certificate template saved successfully',
+      data: { template: event.certificateTemplate }
+    });
+  } catch (error) {
+    discardUpload();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save certificate template',
+      error: error.message
+    });
+  }
+});
+
+router.post('/events/:eventId/generate', auth, validateObjectId('eventId'), async (req, res) => {
+  try {
+    const { regenerate = false } = req.body;
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage certificates for this event'
+      });
+    }
+
+    if (!event.features.generateCertificates) {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates are not enabled for this event'
+      });
+    }
+
+    const filter = { event: event._id, status: 'attended' };
+    if (!regenerate) {
+      filter['certificate.generated'] = { $ne: true };
+    }
+
+    const registrations = await Registration.find(filter)
+      .populate({
+        path: 'user',
+        select: 'firstName lastName studentId department',
+        populate: { path: 'department', select: 'name' }
+      });
+
+    const results = [];
+    const generatedUserIds = [];
+    for (const registration of registrations) {
+      try {
+        if (!registration.certificate.verificationCode) {
+          registration.certificate.verificationCode = createVerificationCode(registration);
+        }
+
+        await generateCertificate(registration, event);
+
+        registration.certificate.generated = true;
+        registration.certificate.url = `/api/certificates/${registration._id}/download`;
+        registration.certificate.generatedAt = new Date();
+        await registration.save();
+
+        results.push({ id: registration._id, success: true });
+        generatedUserIds.push(registration.user._id);
+      } catch (error) {
+        results.push({ id: registration._id, success: false, error: error.message });
+      }
+    }
+
+    const totalGenerated = await Registration.countDocuments({
+      event: event._id,
+      'certificate.generated': true
+    });
+
+    await EventResult.findOneAndUpdate(
+      { event: event._id },
+      {
+        $set: {
+          'certificates.generated': totalGenerated > 0,
+          'certificates.template': event.certificateTemplate.title,
+          'certificates.count': totalGenerated,
+          'certificates.generatedAt': new Date()
+        }
+      }
+    );
+
+    if (generatedUserIds.length > 0) {
+      const notification = await Notification.createForUsers(generatedUserIds, {
+        title: 'Your certificate is ready',
+        message: `Your certificate for "${event.title}" is ready to download.`,
+        type: 'success',
+        sender: req.user._id,
+        relatedEvent: event._id,
+        metadata: {
+          actionUrl: `/events/${event._id}`,
+          actionText: 'Download certificate'
+        }
+      });
+      publishing.deliverNotification(notification);
+    }
+
+    res.json({
+      success: true,
+      message: `Generated ${generatedUserIds.length} certificate(s)`,
+      data: {
+        results,
+        totalGenerated
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate certificates',
+      error: error.message
+    });
+  }
+});
+
+router.get('/verify/:code', async (req, res) => {
+  try {
+    const parsed = parseVerificationCode(req.params.code);
+
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code format'
+      });
+    }
+
+    const registration = await Registration.findById(parsed.registrationId)
+      .populate('user', 'firstName lastName studentId')
+      .populate('event', 'title schedule venue.name');
+
+    const isAuthentic = registration &&
+      registration.certificate.generated &&
+      registration.certificate.verificationCode === req.params.code.trim().toUpperCase() &&
+      isValidVerificationCode(req.params.code, registration);
+
+    if (!isAuthentic) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate matches this verification code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Certificate is authentic',
+      data: {
+        certificate: {
+          verificationCode: registration.certificate.verificationCode,
+          holderName: `${registration.user.firstName} ${registration.user.lastName}`,
+          eventTitle: registration.event.title,
+          eventDate: registration.event.schedule.startDate,
+          venue: registration.event.venue?.name,
+          attendanceStatus: registration.status,
+          issuedAt: registration.certificate.generatedAt
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify certificate',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:registrationId/download', auth, validateObjectId('registrationId'), async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId)
+      .populate('event', 'title organizer coOrganizers');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const isOwner = registration.user.toString() === req.user._id.toString();
+    if (!isOwner && !canManageEvent(registration.event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this certificate'
+      });
+    }
+
+    const filePath = certificatePath(registration.event._id, registration._id);
+
+    if (!registration.certificate.generated || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate has not been generated yet'
+      });
+    }
+
+    const fileName = `certificate-${registration.event.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.pdf`;
+    res.download(filePath, fileName);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download certificate',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
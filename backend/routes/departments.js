@@ -2,6 +2,7 @@ const express = require('express');
 const Department = require('../models/Department');
 const User = require('../models/User');
 const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { validateDepartment, validateObjectId, validatePagination } = require('../middleware/validation');
 
 const router = express.Router();
@@ -145,7 +146,10 @@ router.post('/', auth, checkPermission('manage_departments'), validateDepartment
   }
 });
 
-router.put('/:id', auth, checkPermission('manage_departments'), validateObjectId('id'), async (req, res) => {
+router.put('/:id', auth, checkPermission('manage_departments'), validateObjectId('id'), audit('department.update', {
+  model: Department,
+  select: '-statistics'
+}), async (req, res) => {
   try {
     const department = await Department.findByIdAndUpdate(
       req.params.id,
@@ -174,7 +178,10 @@ router.put('/:id', auth, checkPermission('manage_departments'), validateObjectId
   }
 });
 
-router.delete('/:id', auth, authorize('admin'), validateObjectId('id'), async (req, res) => {
+router.delete('/:id', auth, authorize('admin'), validateObjectId('id'), audit('department.delete', {
+  model: Department,
+  select: '-statistics'
+}), async (req, res) => {
   try {
     const department = await Department.findById(req.params.id);
     
@@ -208,7 +215,12 @@ router.delete('/:id', auth, authorize('admin'), validateObjectId('id'), async (r
   }
 });
 
-router.post('/:id/members', auth, checkPermission('manage_departments'), validateObjectId('id'), async (req, res) => {
+// Each member moved into the department is recorded against the user
+router.post('/:id/members', auth, checkPermission('manage_departments'), validateObjectId('id'), audit('department.add-members', {
+  model: User,
+  targets: (req) => req.body.userIds,
+  select: 'role department'
+}), async (req, res) => {
   try {
     const { userIds, role } = req.body;
     
@@ -1,14 +1,93 @@
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
 const Event = require('../models/Event');
 const Registration = require('../models/Registration');
 const Comment = require('../models/Comment');
 const Rating = require('../models/Rating');
 const EventResult = require('../models/EventResult');
+const Category = require('../models/Category');
+const Department = require('../models/Department');
+const EventVersion = require('../models/EventVersion');
+const { parseCheckInToken, isValidCheckInToken } = require('../services/checkin');
+const { hasCoordinates, isGeofenced, evaluateGeofence } = require('../services/geofence');
+const seats = require('../services/seats');
+const recurrence = require('../services/recurrence');
+const reminders = require('../services/reminders');
+const approvals = require('../services/approvals');
+const eventHistory = require('../services/eventHistory');
+const { recommendEvents } = require('../services/recommendations');
+const { eventRoom, eventManagers, emitToUsers } = require('../services/realtime');
+const { buildCalendar, calendarFileName, sendCalendar } = require('../services/ical');
+const { previewImport, createImportedEvents } = require('../services/eventImport');
+const { DEFAULT_TIMEZONE } = require('../services/timezone');
 const { auth, authorize, checkPermission, optional } = require('../middleware/auth');
-const { validateEvent, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const { audit } = require('../middleware/audit');
+const { validateEvent, validateEventUpdate, validateEventApproval, validateEventVersion, validateEventImport, validateEventResult, validateCheckIn, validateSelfCheckIn, validateGeofence, validateReconcileCapacity, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
 
 const router = express.Router();
 
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || path.extname(file.originalname).toLowerCase() === '.ics') {
+      cb(null, true);
+    } else {
+      cb(new Error('Calendar import must be an .ics file'));
+    }
+  }
+});
+
+const uploadCalendar = (req, res, next) => {
+  calendarUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An .ics file is required'
+      });
+    }
+    next();
+  });
+};
+
+const prepareImport = async (req, res) => {
+  const { category, department, timezone } = req.body;
+
+  const [categoryExists, departmentExists] = await Promise.all([
+    Category.exists({ _id: category }),
+    department ? Department.exists({ _id: department }) : true
+  ]);
+
+  if (!categoryExists || !departmentExists) {
+    res.status(400).json({
+      success: false,
+      message: categoryExists ? 'Department not found' : 'Category not found'
+    });
+    return null;
+  }
+
+  try {
+    return await previewImport(req.file.buffer.toString('utf8'), {
+      category,
+      department: department || null,
+      timeZone: timezone || DEFAULT_TIMEZONE
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+};
+
 router.get('/', optional, validatePagination, validateSearch, async (req, res) => {
   try {
     const { 
@@ -138,6 +217,24 @@ router.get('/my-events', auth, async (req, res) => {
   }
 });
 
+router.get('/recommended', auth, validatePagination, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const events = await recommendEvents(req.user, { limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: { events }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommended events',
+      error: error.message
+    });
+  }
+});
+
 router.get('/stats', auth, checkPermission('view_analytics'), async (req, res) => {
   try {
     const totalEvents = await Event.countDocuments();
@@ -188,19 +285,7 @@ router.get('/stats', auth, checkPermission('view_analytics'), async (req, res) =
       }
     ]);
 
-    const monthlyEvents = await Event.aggregate([
-      { $match: { status: 'published' } },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$schedule.startDate' },
-            month: { $month: '$schedule.startDate' }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1 } }
-    ]);
+    const monthlyEvents = await Event.getMonthlyCounts({ status: 'published' });
 
     res.json({
       success: true,
@@ -225,6 +310,103 @@ router.get('/stats', auth, checkPermission('view_analytics'), async (req, res) =
   }
 });
 
+router.post('/reconcile-capacity', auth, authorize('admin'), validateReconcileCapacity, async (req, res) => {
+  try {
+    const { eventId } = req.body;
+
+    if (eventId && !(await Event.exists({ _id: eventId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const result = await seats.reconcile(eventId);
+
+    res.json({
+      success: true,
+      message: `Checked ${result.checked} event(s), corrected ${result.corrected.length}` +
+        (result.skipped.length > 0 ? `, skipped ${result.skipped.length} that changed while being checked` : ''),
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile event capacity',
+      error: error.message
+    });
+  }
+});
+
+router.post('/import/preview', auth, checkPermission('create_events'), uploadCalendar, validateEventImport, async (req, res) => {
+  try {
+    const preview = await prepareImport(req, res);
+    if (!preview) return;
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview calendar import',
+      error: error.message
+    });
+  }
+});
+
+router.post('/import', auth, checkPermission('create_events'), uploadCalendar, validateEventImport, async (req, res) => {
+  try {
+    const preview = await prepareImport(req, res);
+    if (!preview) return;
+
+    const skipInvalid = req.body.skipInvalid === true || req.body.skipInvalid === 'true';
+
+    if (preview.summary.valid === 0 || (preview.summary.invalid > 0 && !skipInvalid)) {
+      return res.status(400).json({
+        success: false,
+        message: preview.summary.valid === 0
+          ? 'No importable events found in the file'
+          : `${preview.summary.invalid} entr${preview.summary.invalid === 1 ? 'y has' : 'ies have'} errors. Fix them or set skipInvalid to import the rest.`,
+        data: preview
+      });
+    }
+
+    const created = await createImportedEvents(preview.entries, {
+      user: req.user,
+      fileName: req.file.originalname
+    });
+
+    for (const { event } of created) {
+      await approvals.notifyApprovers(req.io, event);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} event(s) as drafts pending approval`,
+      data: {
+        events: created.map(({ event, occurrences }) => ({
+          _id: event._id,
+          title: event.title,
+          schedule: event.schedule,
+          occurrences
+        })),
+        skipped: preview.entries
+          .filter(entry => !entry.valid)
+          .map(({ index, uid, errors }) => ({ index, uid, errors })),
+        summary: preview.summary
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import events',
+      error: error.message
+    });
+  }
+});
+
 router.get('/:id', optional, validateObjectId('id'), async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
@@ -266,7 +448,7 @@ router.get('/:id', optional, validateObjectId('id'), async (req, res) => {
       });
     }
 
-    req.io.to(`event-${event._id}`).emit('event-view', {
+    req.io.to(eventRoom(event._id)).emit('event-view', {
       eventId: event._id,
       views: event.analytics.views
     });
@@ -296,32 +478,44 @@ router.post('/', auth, checkPermission('create_events'), validateEvent, async (r
       ...req.body,
       organizer: req.user._id
     };
+    const needsApproval = req.user.role !== 'admin' && req.user.role !== 'principal';
 
-    if (req.user.role !== 'admin' && req.user.role !== 'principal') {
+    if (needsApproval) {
       eventData.status = 'draft';
-      eventData.approval = { status: 'pending' };
     }
 
-    const event = new Event(eventData);
+    const event = recurrence.startSeries(new Event(eventData));
+    if (needsApproval) {
+      event.approval = await approvals.buildApproval(event);
+    }
     await event.save();
 
+    const occurrences = event.series?.id ? await recurrence.createOccurrences(event) : [];
+    await reminders.refreshReminders(event.series?.id ? { 'series.id': event.series.id } : { _id: event._id });
+
     await event.populate([
       { path: 'organizer', select: 'firstName lastName' },
       { path: 'category', select: 'name color' },
       { path: 'department', select: 'name code' }
     ]);
 
-    if (eventData.approval?.status === 'pending') {
-      req.io.emit('event-approval-needed', {
-        event: event,
-        organizer: req.user
-      });
+    if (needsApproval) {
+      await approvals.notifyApprovers(req.io, event);
     }
 
     res.status(201).json({
       success: true,
-      message: 'Event created successfully',
-      data: { event }
+      message: occurrences.length > 0
+        ? `Event series created with ${occurrences.length + 1} occurrences`
+        : 'Event created successfully',
+      data: {
+        event,
+        occurrences: occurrences.map(occurrence => ({
+          _id: occurrence._id,
+          schedule: occurrence.schedule,
+          series: occurrence.series
+        }))
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -332,8 +526,85 @@ router.post('/', auth, checkPermission('create_events'), validateEvent, async (r
   }
 });
 
-router.put('/:id', auth, validateObjectId('id'), async (req, res) => {
+const NESTED_UPDATE_FIELDS = ['venue', 'schedule', 'registration', 'requirements', 'contact', 'social', 'features'];
+
+// Sections such as venue or registration are merged field by field, so an edit form that sends
+// the fields it knows about can't wipe the rest (geofence, the live registration count, ...)
+const toUpdatePaths = (updates) => {
+  const $set = {};
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (NESTED_UPDATE_FIELDS.includes(key) && value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value)
+        .filter(([field]) => !(key === 'registration' && field === 'currentCount'))
+        .forEach(([field, fieldValue]) => {
+          $set[`${key}.${field}`] = fieldValue;
+        });
+    } else {
+      $set[key] = value;
+    }
+  });
+
+  return $set;
+};
+
+// Records a version for each edited event whose tracked fields changed; registrants of events that
+// were live hear about schedule and venue changes
+const recordEdits = async (events, before, user, options) => {
+  for (const updated of events) {
+    const previous = before.get(updated._id.toString());
+    if (!previous) continue;
+
+    const version = await eventHistory.recordVersion(updated._id, previous, eventHistory.snapshot(updated), user, options);
+    if (version && previous.status === 'published') {
+      await eventHistory.notifyRegistrants(updated, version, user);
+    }
+  }
+};
+
+// Saves an edit to a single event. A published event goes back through approval, with the chain
+// picked for the edited event since a new fee or capacity can need more sign-off.
+const applyEventEdit = async (req, event, update, versionOptions) => {
+  const before = eventHistory.snapshot(event);
+  const paths = [...Object.keys(update.$set), ...Object.keys(update.$unset || {})];
+
+  if (event.series?.id && paths.length > 0) {
+    update.$set['series.isException'] = true;
+  }
+
+  const resubmit = event.status === 'published' && paths.length > 0;
+  if (resubmit) {
+    update.$set.status = 'draft';
+    Object.keys(update.$unset || {}).forEach(path => event.set(path, undefined));
+    update.$set.approval = await approvals.buildApproval(event.set(update.$set));
+  }
+
+  const updatedEvent = await Event.findByIdAndUpdate(
+    event._id,
+    update,
+    { new: true, runValidators: true }
+  ).populate([
+    { path: 'organizer', select: 'firstName lastName' },
+    { path: 'category', select: 'name color' },
+    { path: 'department', select: 'name code' }
+  ]);
+  reminders.scheduleReminders(updatedEvent);
+
+  req.io.to(eventRoom(event._id)).emit('event-updated', {
+    event: updatedEvent
+  });
+
+  if (resubmit) {
+    await approvals.notifyApprovers(req.io, updatedEvent);
+  }
+
+  await recordEdits([updatedEvent], new Map([[event._id.toString(), before]]), req.user, versionOptions);
+  return updatedEvent;
+};
+
+router.put('/:id', auth, validateObjectId('id'), validateEventUpdate, async (req, res) => {
   try {
+    const { scope = 'this' } = req.body;
     const event = await Event.findById(req.params.id);
     
     if (!event) {
@@ -367,24 +638,61 @@ router.put('/:id', auth, validateObjectId('id'), async (req, res) => {
       }
     });
 
-    if (event.status === 'published' && Object.keys(updates).length > 0) {
-      updates.status = 'draft';
-      updates.approval = { status: 'pending' };
-    }
+    if (scope !== 'this') {
+      if (!event.series?.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event is not part of a recurring series'
+        });
+      }
 
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
-      { $set: updates },
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'organizer', select: 'firstName lastName' },
-      { path: 'category', select: 'name color' },
-      { path: 'department', select: 'name code' }
-    ]);
+      const seriesBefore = await Event.find({ 'series.id': event.series.id });
+      const result = await recurrence.updateSeries(event, updates, {
+        scope,
+        recurrence: req.body.recurrence,
+        user: req.user
+      });
+      await reminders.refreshReminders({ 'series.id': result.seriesId });
+      await recordEdits(
+        await Event.find({ _id: { $in: result.updated } }),
+        new Map(seriesBefore.map(occurrence => [occurrence._id.toString(), eventHistory.snapshot(occurrence)])),
+        req.user,
+        { action: 'series-update' }
+      );
+
+      if (result.resubmitted) {
+        await approvals.notifyApprovers(req.io, result.resubmitted);
+      }
 
-    req.io.to(`event-${event._id}`).emit('event-updated', {
-      event: updatedEvent
-    });
+      const updatedEvent = await Event.findById(event._id).populate([
+        { path: 'organizer', select: 'firstName lastName' },
+        { path: 'category', select: 'name color' },
+        { path: 'department', select: 'name code' }
+      ]);
+
+      result.updated.forEach(occurrenceId => {
+        req.io.to(eventRoom(occurrenceId)).emit('event-updated', {
+          eventId: occurrenceId,
+          seriesId: result.seriesId,
+          scope
+        });
+      });
+
+      return res.json({
+        success: true,
+        message: `Updated ${result.updated.length} occurrence(s) in the series`,
+        data: {
+          event: updatedEvent,
+          seriesId: result.seriesId,
+          updated: result.updated.length,
+          created: result.created.length,
+          removed: result.removed.length,
+          cancelled: result.cancelled.length
+        }
+      });
+    }
+
+    const updatedEvent = await applyEventEdit(req, event, { $set: toUpdatePaths(updates) });
 
     res.json({
       success: true,
@@ -400,10 +708,14 @@ router.put('/:id', auth, validateObjectId('id'), async (req, res) => {
   }
 });
 
-router.post('/:id/approve', auth, checkPermission('approve_events'), validateObjectId('id'), async (req, res) => {
+router.post('/:id/approve', auth, validateObjectId('id'), validateEventApproval, audit((req) => (req.body.approved ? 'event.approve' : 'event.reject'), {
+  model: Event,
+  select: 'title status approval'
+}), async (req, res) => {
   try {
-    const { approved, reason } = req.body;
-    
+    const { approved } = req.body;
+    const comment = req.body.comment ?? req.body.reason;
+
     const event = await Event.findById(req.params.id);
     if (!event) {
       return res.status(404).json({
@@ -419,28 +731,43 @@ router.post('/:id/approve', auth, checkPermission('approve_events'), validateObj
       });
     }
 
-    event.approval.status = approved ? 'approved' : 'rejected';
-    event.approval.approvedBy = req.user._id;
-    event.approval.approvedAt = new Date();
-    
-    if (approved) {
-      event.status = 'published';
-    } else {
-      event.approval.rejectionReason = reason;
+    if (!approvals.canApprove(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This approval step is not waiting on you'
+      });
     }
 
+    const outcome = approvals.decide(event, req.user, { approved, comment });
+
     await event.save();
     await event.populate('organizer', 'firstName lastName email');
 
-    req.io.emit('event-approval-result', {
-      event: event,
-      approved: approved,
-      approver: req.user
-    });
+    if (event.series?.id) {
+      await Event.updateMany(
+        // Cancelled dates keep the approval they had, but must never be published with the rest
+        { 'series.id': event.series.id, _id: { $ne: event._id }, status: { $ne: 'cancelled' }, 'approval.status': 'pending' },
+        {
+          $set: {
+            approval: event.toObject().approval,
+            ...(outcome === 'approved' ? { status: 'published' } : {})
+          }
+        }
+      );
+    }
+
+    if (outcome === 'advanced') {
+      await approvals.notifyApprovers(req.io, event);
+    } else {
+      await reminders.refreshReminders(event.series?.id ? { 'series.id': event.series.id } : { _id: event._id });
+      await approvals.notifyResult(req.io, event, req.user);
+    }
 
     res.json({
       success: true,
-      message: `Event ${approved ? 'approved' : 'rejected'} successfully`,
+      message: outcome === 'advanced'
+        ? `Approved; now waiting on ${approvals.currentStep(event).name}`
+        : `Event ${outcome} successfully`,
       data: { event }
     });
   } catch (error) {
@@ -452,10 +779,10 @@ router.post('/:id/approve', auth, checkPermission('approve_events'), validateObj
   }
 });
 
-router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
+// Sends a rejected event back through its approval chain after the organizer has made changes
+router.post('/:id/submit', auth, validateObjectId('id'), async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
-    
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -463,53 +790,59 @@ router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
       });
     }
 
-    const canDelete = event.organizer.toString() === req.user._id.toString() ||
+    const canSubmit = eventManagers(event).some(id => id.toString() === req.user._id.toString()) ||
                      req.user.role === 'admin';
 
-    if (!canDelete) {
+    if (!canSubmit) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this event'
+        message: 'Not authorized to submit this event'
       });
     }
 
-    if (event.status === 'published' && event.registration.currentCount > 0) {
+    if (event.approval.status !== 'rejected') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete event with existing registrations'
+        message: 'Only rejected events can be resubmitted'
       });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
-    await Registration.deleteMany({ event: req.params.id });
-    await Comment.deleteMany({ event: req.params.id });
-    await Rating.deleteMany({ event: req.params.id });
+    event.approval = await approvals.buildApproval(event);
+    await event.save();
+
+    if (event.series?.id) {
+      await Event.updateMany(
+        { 'series.id': event.series.id, _id: { $ne: event._id }, status: { $ne: 'cancelled' }, 'approval.status': 'rejected' },
+        { $set: { approval: event.toObject().approval } }
+      );
+    }
+
+    await approvals.notifyApprovers(req.io, event);
 
     res.json({
       success: true,
-      message: 'Event deleted successfully'
+      message: 'Event resubmitted for approval',
+      data: { event }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to delete event',
+      message: 'Failed to resubmit event',
       error: error.message
     });
   }
 });
 
-router.post('/:id/comments', auth, validateObjectId('id'), async (req, res) => {
+// Organizers and approvers can see every saved edit to an event
+const canViewHistory = (event, user) => eventManagers(event).some(id => id.toString() === user._id.toString()) ||
+  user.role === 'admin' ||
+  user.hasPermission('approve_events');
+
+router.get('/:id/versions', auth, validateObjectId('id'), validatePagination, async (req, res) => {
   try {
-    const { content, parent } = req.body;
-    
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Comment content is required'
-      });
-    }
+    const { page = 1, limit = 20 } = req.query;
+    const event = await Event.findById(req.params.id).select('organizer coOrganizers');
 
-    const event = await Event.findById(req.params.id);
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -517,46 +850,48 @@ router.post('/:id/comments', auth, validateObjectId('id'), async (req, res) => {
       });
     }
 
-    const comment = new Comment({
-      content: content.trim(),
-      author: req.user._id,
-      event: req.params.id,
-      parent: parent || null
-    });
+    if (!canViewHistory(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this event'
+      });
+    }
 
-    await comment.save();
-    await comment.populate('author', 'firstName lastName avatar');
+    const versions = await EventVersion.find({ event: event._id })
+      .populate('changedBy', 'firstName lastName')
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
 
-    req.io.to(`event-${req.params.id}`).emit('new-comment', {
-      comment: comment
-    });
+    const total = await EventVersion.countDocuments({ event: event._id });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Comment added successfully',
-      data: { comment }
+      data: {
+        versions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+          limit: parseInt(limit)
+        }
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to add comment',
+      message: 'Failed to fetch event history',
       error: error.message
     });
   }
 });
 
-router.post('/:id/rate', auth, validateObjectId('id'), async (req, res) => {
+// A version together with the event's editable fields as they were once it was saved; version 0 is the event as created
+router.get('/:id/versions/:version', auth, validateObjectId('id'), validateEventVersion, async (req, res) => {
   try {
-    const { score, review, aspects, isAnonymous } = req.body;
-    
-    if (!score || score < 1 || score > 5) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rating score must be between 1 and 5'
-      });
-    }
-
+    const versionNumber = parseInt(req.params.version);
     const event = await Event.findById(req.params.id);
+
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -564,22 +899,375 @@ router.post('/:id/rate', auth, validateObjectId('id'), async (req, res) => {
       });
     }
 
-    const registration = await Registration.findOne({
-      user: req.user._id,
-      event: req.params.id,
-      status: 'attended'
-    });
+    if (!canViewHistory(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this event'
+      });
+    }
 
-    if (!registration) {
-      return res.status(400).json({
+    const version = versionNumber === 0
+      ? null
+      : await EventVersion.findOne({ event: event._id, version: versionNumber }).populate('changedBy', 'firstName lastName');
+
+    if (versionNumber > 0 && !version) {
+      return res.status(404).json({
         success: false,
-        message: 'You can only rate events you have attended'
+        message: 'Version not found'
       });
     }
 
-    const existingRating = await Rating.findOne({
-      user: req.user._id,
-      event: req.params.id
+    res.json({
+      success: true,
+      data: {
+        version: version || { event: event._id, version: 0, changes: [] },
+        snapshot: eventHistory.unflatten(await eventHistory.stateAt(event, versionNumber))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event version',
+      error: error.message
+    });
+  }
+});
+
+// Puts the editable fields back the way they were at a version. The restore is saved as a new version
+// and is treated like any other edit, so a published event goes back through approval.
+router.post('/:id/versions/:version/restore', auth, validateObjectId('id'), validateEventVersion, async (req, res) => {
+  try {
+    const versionNumber = parseInt(req.params.version);
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canEdit = event.organizer.toString() === req.user._id.toString() ||
+                   event.coOrganizers.includes(req.user._id) ||
+                   req.user.role === 'admin';
+
+    if (!canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this event'
+      });
+    }
+
+    if (event.status === 'cancelled' || event.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `A ${event.status} event cannot be restored`
+      });
+    }
+
+    const latest = await EventVersion.findOne({ event: event._id }).sort({ version: -1 }).select('version');
+    if (versionNumber > (latest?.version || 0)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const update = eventHistory.restoreUpdate(event, await eventHistory.stateAt(event, versionNumber));
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+    if (Object.keys(update.$set).length === 0 && !update.$unset) {
+      return res.status(400).json({
+        success: false,
+        message: `Event already matches version ${versionNumber}`
+      });
+    }
+
+    const updatedEvent = await applyEventEdit(req, event, update, { action: 'restore', restoredFrom: versionNumber });
+
+    res.json({
+      success: true,
+      message: `Event restored to version ${versionNumber}`,
+      data: { event: updatedEvent }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore event version',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:id/ics', optional, validateObjectId('id'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).populate('category', 'name');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const publicStatuses = ['published', 'cancelled', 'completed'];
+    const isPublic = publicStatuses.includes(event.status);
+    const canView = isPublic || (req.user && (
+      event.organizer.toString() === req.user._id.toString() ||
+      event.coOrganizers.includes(req.user._id) ||
+      req.user.role === 'admin'
+    ));
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    let events = [event];
+    if (req.query.series === 'true' && event.series?.id) {
+      const filter = { 'series.id': event.series.id };
+      if (isPublic) {
+        filter.status = { $in: publicStatuses };
+      }
+      events = await Event.find(filter).populate('category', 'name');
+    }
+
+    const calendar = buildCalendar({
+      name: event.title,
+      events,
+      expandSeries: req.query.series !== 'true'
+    });
+
+    sendCalendar(res, calendar, calendarFileName(event.title));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export event calendar',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:id/occurrences', optional, validateObjectId('id'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('series');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const occurrences = event.series?.id
+      ? await Event.find({ 'series.id': event.series.id })
+        .select('title status schedule venue.name registration.currentCount registration.maxCapacity series cancellation.reason')
+        .sort({ 'schedule.startDate': 1 })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        seriesId: event.series?.id || null,
+        occurrences
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event occurrences',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/cancel', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canCancel = event.organizer.toString() === req.user._id.toString() ||
+                     event.coOrganizers.includes(req.user._id) ||
+                     req.user.role === 'admin';
+
+    if (!canCancel) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this event'
+      });
+    }
+
+    if (event.status === 'cancelled' || event.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: `Event is already ${event.status}`
+      });
+    }
+
+    const notifiedUsers = await recurrence.cancelOccurrence(event, req.user, reason);
+    reminders.cancelReminders(event._id);
+
+    req.io.to(eventRoom(event._id)).emit('event-cancelled', {
+      eventId: event._id,
+      seriesId: event.series?.id || null,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Event cancelled successfully',
+      data: {
+        event,
+        cancelledRegistrations: notifiedUsers.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel event',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canDelete = event.organizer.toString() === req.user._id.toString() ||
+                     req.user.role === 'admin';
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this event'
+      });
+    }
+
+    if (event.status === 'published' && event.registration.currentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete event with existing registrations'
+      });
+    }
+
+    await Event.findByIdAndDelete(req.params.id);
+    reminders.cancelReminders(req.params.id);
+    await Registration.deleteMany({ event: req.params.id });
+    await Comment.deleteMany({ event: req.params.id });
+    await Rating.deleteMany({ event: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Event deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete event',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/comments', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const { content, parent } = req.body;
+    
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const comment = new Comment({
+      content: content.trim(),
+      author: req.user._id,
+      event: req.params.id,
+      parent: parent || null
+    });
+
+    await comment.save();
+    await comment.populate('author', 'firstName lastName avatar');
+
+    req.io.to(eventRoom(req.params.id)).emit('new-comment', {
+      comment: comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/rate', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const { score, review, aspects, isAnonymous } = req.body;
+    
+    if (!score || score < 1 || score > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating score must be between 1 and 5'
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const registration = await Registration.findOne({
+      user: req.user._id,
+      event: req.params.id,
+      status: 'attended'
+    });
+
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only rate events you have attended'
+      });
+    }
+
+    const existingRating = await Rating.findOne({
+      user: req.user._id,
+      event: req.params.id
     });
 
     let rating;
@@ -598,22 +1286,654 @@ router.post('/:id/rate', auth, validateObjectId('id'), async (req, res) => {
         aspects,
         isAnonymous
       });
-      await rating.save();
+      await rating.save();
+    }
+
+    if (!isAnonymous) {
+      await rating.populate('user', 'firstName lastName avatar');
+    }
+
+    res.json({
+      success: true,
+      message: 'Rating submitted successfully',
+      data: { rating }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit rating',
+      error: error.message
+    });
+  }
+});
+
+const resultFields = ['summary', 'highlights', 'outcomes', 'winners', 'speakers', 'media', 'feedback', 'financials'];
+
+const populateResult = (result) => result.populate([
+  { path: 'event', select: 'title schedule venue organizer' },
+  { path: 'winners.participant', select: 'firstName lastName avatar studentId department' },
+  { path: 'publishedBy', select: 'firstName lastName' }
+]);
+
+// Financials are only for the event's managers
+const publicResult = (result) => {
+  const data = result.toObject();
+  delete data.financials;
+  return data;
+};
+
+const applyResultPublishing = (result, publish) => {
+  if (publish === true && !result.isPublished) {
+    result.isPublished = true;
+    result.publishedAt = new Date();
+  } else if (publish === false) {
+    result.isPublished = false;
+    result.publishedAt = undefined;
+  }
+};
+
+router.get('/:id/results', optional, validateObjectId('id'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canManage = req.user && (
+      event.organizer.toString() === req.user._id.toString() ||
+      event.coOrganizers.includes(req.user._id) ||
+      req.user.role === 'admin'
+    );
+
+    const result = await EventResult.findOne({ event: req.params.id });
+
+    if (!result || (!result.isPublished && !canManage)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Results have not been published for this event'
+      });
+    }
+
+    await populateResult(result);
+
+    res.json({
+      success: true,
+      data: { result: canManage ? result.toObject() : publicResult(result) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event results',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/results', auth, validateObjectId('id'), validateEventResult, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canManage = event.organizer.toString() === req.user._id.toString() ||
+                     event.coOrganizers.includes(req.user._id) ||
+                     req.user.role === 'admin';
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish results for this event'
+      });
+    }
+
+    const existingResult = await EventResult.findOne({ event: req.params.id });
+    if (existingResult) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results already exist for this event. Use PUT to update them.'
+      });
+    }
+
+    const result = new EventResult({
+      event: event._id,
+      publishedBy: req.user._id
+    });
+
+    resultFields.forEach(key => {
+      if (req.body[key] !== undefined) {
+        result[key] = req.body[key];
+      }
+    });
+
+    applyResultPublishing(result, req.body.publish);
+    await result.calculateStatistics();
+    await populateResult(result);
+
+    if (result.isPublished) {
+      req.io.to(eventRoom(event._id)).emit('event-results-published', {
+        eventId: event._id,
+        result: publicResult(result)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.isPublished ? 'Event results published successfully' : 'Event results saved as draft',
+      data: { result }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save event results',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id/results', auth, validateObjectId('id'), validateEventResult, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canManage = event.organizer.toString() === req.user._id.toString() ||
+                     event.coOrganizers.includes(req.user._id) ||
+                     req.user.role === 'admin';
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish results for this event'
+      });
+    }
+
+    const result = await EventResult.findOne({ event: req.params.id });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No results found for this event'
+      });
     }
 
-    if (!isAnonymous) {
-      await rating.populate('user', 'firstName lastName avatar');
+    const wasPublished = result.isPublished;
+
+    resultFields.forEach(key => {
+      if (req.body[key] !== undefined) {
+        result[key] = req.body[key];
+      }
+    });
+
+    result.publishedBy = req.user._id;
+    applyResultPublishing(result, req.body.publish);
+    await result.calculateStatistics();
+    await populateResult(result);
+
+    if (result.isPublished) {
+      req.io.to(eventRoom(event._id)).emit(wasPublished ? 'event-results-updated' : 'event-results-published', {
+        eventId: event._id,
+        result: publicResult(result)
+      });
     }
 
     res.json({
       success: true,
-      message: 'Rating submitted successfully',
-      data: { rating }
+      message: 'Event results updated successfully',
+      data: { result }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to submit rating',
+      message: 'Failed to update event results',
+      error: error.message
+    });
+  }
+});
+
+const canScanAttendance = (event, user) => {
+  return event.organizer.toString() === user._id.toString() ||
+         event.coOrganizers.includes(user._id) ||
+         user.hasPermission('approve_events') ||
+         user.role === 'admin';
+};
+
+const findScannedRegistration = async (event, token) => {
+  const parsed = parseCheckInToken(token);
+  if (!parsed) return null;
+
+  const registration = await Registration.findById(parsed.registrationId);
+  if (!registration ||
+      registration.event.toString() !== event._id.toString() ||
+      !isValidCheckInToken(token, registration)) {
+    return null;
+  }
+
+  return registration;
+};
+
+// Guarding on the previous state makes simultaneous check-ins of the same registration succeed only once
+const recordCheckIn = (registrationId, checkIn) => {
+  const now = new Date();
+  const update = {
+    status: 'attended',
+    attendanceMarked: true,
+    attendanceTime: now,
+    'checkIn.time': now
+  };
+  Object.keys(checkIn).forEach(key => {
+    update[`checkIn.${key}`] = checkIn[key];
+  });
+
+  return Registration.findOneAndUpdate(
+    { _id: registrationId, status: 'approved', 'checkIn.time': null },
+    { $set: update },
+    { new: true }
+  ).populate('user', 'firstName lastName studentId avatar');
+};
+
+const emitAttendanceUpdate = async (io, eventId) => {
+  const counts = await Registration.getAttendanceCounts(eventId);
+  io.to(eventRoom(eventId)).emit('attendance-updated', {
+    eventId: eventId,
+    ...counts
+  });
+  return counts;
+};
+
+router.get('/:id/attendance', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canScanAttendance(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view attendance for this event'
+      });
+    }
+
+    const counts = await Registration.getAttendanceCounts(event._id);
+
+    res.json({
+      success: true,
+      data: { attendance: counts }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/check-in', auth, validateObjectId('id'), validateCheckIn, async (req, res) => {
+  try {
+    const { token, location } = req.body;
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canScanAttendance(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in attendees for this event'
+      });
+    }
+
+    const registration = await findScannedRegistration(event, token);
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: 'QR code is not valid for this event'
+      });
+    }
+
+    if (registration.checkIn.time) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendee has already checked in',
+        data: { checkedInAt: registration.checkIn.time }
+      });
+    }
+
+    if (registration.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in a registration that is ${registration.status}`
+      });
+    }
+
+    const checkIn = { method: 'qr' };
+    if (location) {
+      const geofence = evaluateGeofence(event, location);
+      checkIn.location = location;
+      if (geofence) checkIn.distance = geofence.distance;
+    }
+
+    const checkedIn = await recordCheckIn(registration._id, checkIn);
+
+    if (!checkedIn) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendee has already checked in'
+      });
+    }
+
+    // The event room only learns who checked in; the organizers get the full registration
+    req.io.to(eventRoom(event._id)).emit('attendance-marked', {
+      eventId: event._id,
+      registrationId: checkedIn._id,
+      userId: checkedIn.user._id,
+      present: true
+    });
+    emitToUsers(req.io, eventManagers(event), 'attendee-attendance-marked', {
+      registration: checkedIn,
+      present: true
+    });
+    const attendance = await emitAttendanceUpdate(req.io, event._id);
+
+    res.json({
+      success: true,
+      message: `${checkedIn.user.firstName} ${checkedIn.user.lastName} checked in`,
+      data: {
+        registration: checkedIn,
+        attendance
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in attendee',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/self-check-in', auth, validateObjectId('id'), validateSelfCheckIn, async (req, res) => {
+  try {
+    const { location } = req.body;
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const registration = await Registration.findOne({ event: event._id, user: req.user._id });
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered for this event'
+      });
+    }
+
+    if (registration.checkIn.time) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already checked in',
+        data: { checkedInAt: registration.checkIn.time }
+      });
+    }
+
+    if (registration.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in a registration that is ${registration.status}`
+      });
+    }
+
+    const now = new Date();
+    const opensAt = new Date(event.schedule.startDate.getTime() - 60 * 60 * 1000);
+    if (now < opensAt || now > event.schedule.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Self check-in is open from one hour before the event starts until it ends'
+      });
+    }
+
+    if (isGeofenced(event) && !hasCoordinates(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your location is required to check in to this event'
+      });
+    }
+
+    const checkIn = { method: 'self' };
+    const geofence = location ? evaluateGeofence(event, location) : null;
+
+    if (geofence?.rejected) {
+      return res.status(403).json({
+        success: false,
+        message: `You are ${geofence.distance} m from the venue. Check-in is only allowed within ${geofence.radius} m.`,
+        data: {
+          distance: geofence.distance,
+          radius: geofence.radius
+        }
+      });
+    }
+
+    if (location) checkIn.location = location;
+    if (geofence) {
+      checkIn.distance = geofence.distance;
+      checkIn.flagged = geofence.flagged;
+      if (geofence.flagged) checkIn.review = { status: 'pending' };
+    }
+
+    const checkedIn = await recordCheckIn(registration._id, checkIn);
+
+    if (!checkedIn) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already checked in'
+      });
+    }
+
+    req.io.to(eventRoom(event._id)).emit('attendance-marked', {
+      eventId: event._id,
+      registrationId: checkedIn._id,
+      userId: checkedIn.user._id,
+      present: true
+    });
+    emitToUsers(req.io, eventManagers(event), 'attendee-attendance-marked', {
+      registration: checkedIn,
+      present: true
+    });
+    // Flagged check-ins carry the attendee's location, so only the organizers reviewing them hear about it
+    if (checkedIn.checkIn.flagged) {
+      emitToUsers(req.io, eventManagers(event), 'check-in-flagged', {
+        registration: checkedIn,
+        distance: checkedIn.checkIn.distance
+      });
+    }
+    const attendance = await emitAttendanceUpdate(req.io, event._id);
+
+    res.json({
+      success: true,
+      message: checkedIn.checkIn.flagged
+        ? 'Checked in. Your location was outside the venue, so the organizer will review this check-in.'
+        : 'Checked in successfully',
+      data: {
+        registration: checkedIn,
+        attendance
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id/geofence', auth, validateObjectId('id'), validateGeofence, async (req, res) => {
+  try {
+    const { enabled, radius, enforcement, coordinates } = req.body;
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canEdit = event.organizer.toString() === req.user._id.toString() ||
+                   event.coOrganizers.includes(req.user._id) ||
+                   req.user.role === 'admin';
+
+    if (!canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this event'
+      });
+    }
+
+    if (coordinates) event.venue.coordinates = coordinates;
+    if (enabled !== undefined) event.venue.geofence.enabled = enabled;
+    if (radius !== undefined) event.venue.geofence.radius = radius;
+    if (enforcement !== undefined) event.venue.geofence.enforcement = enforcement;
+
+    if (event.venue.geofence.enabled) {
+      if (event.venue.type === 'virtual') {
+        return res.status(400).json({
+          success: false,
+          message: 'Geofencing is not available for virtual events'
+        });
+      }
+      if (!hasCoordinates(event.venue.coordinates)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Venue coordinates are required to enable geofencing'
+        });
+      }
+    }
+
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Geofence updated successfully',
+      data: {
+        coordinates: event.venue.coordinates,
+        geofence: event.venue.geofence
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update geofence',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/check-out', auth, validateObjectId('id'), validateCheckIn, async (req, res) => {
+  try {
+    const { token, location } = req.body;
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canScanAttendance(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check out attendees for this event'
+      });
+    }
+
+    const registration = await findScannedRegistration(event, token);
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: 'QR code is not valid for this event'
+      });
+    }
+
+    if (registration.status !== 'attended' || !registration.checkIn.time) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendee has not checked in'
+      });
+    }
+
+    if (registration.checkOut.time) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendee has already checked out',
+        data: { checkedOutAt: registration.checkOut.time }
+      });
+    }
+
+    const update = { 'checkOut.time': new Date() };
+    if (location) {
+      update['checkOut.location'] = location;
+    }
+
+    const checkedOut = await Registration.findOneAndUpdate(
+      { _id: registration._id, 'checkOut.time': null },
+      { $set: update },
+      { new: true }
+    ).populate('user', 'firstName lastName studentId avatar');
+
+    if (!checkedOut) {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendee has already checked out'
+      });
+    }
+
+    req.io.to(eventRoom(event._id)).emit('attendance-checked-out', {
+      eventId: event._id,
+      registrationId: checkedOut._id,
+      userId: checkedOut.user._id
+    });
+    emitToUsers(req.io, eventManagers(event), 'attendee-checked-out', {
+      registration: checkedOut
+    });
+    const attendance = await emitAttendanceUpdate(req.io, event._id);
+
+    res.json({
+      success: true,
+      message: `${checkedOut.user.firstName} ${checkedOut.user.lastName} checked out`,
+      data: {
+        registration: checkedOut,
+        duration: checkedOut.duration,
+        attendance
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out attendee',
       error: error.message
     });
   }
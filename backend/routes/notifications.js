@@ -1,7 +1,10 @@
 const express = require('express');
 const Notification = require('../models/Notification');
+const publishing = require('../services/publishing');
+const { buildDigest, summarizeDigest } = require('../services/digest');
+const { renderDigestEmail } = require('../services/emailTemplates');
 const { auth, checkPermission } = require('../middleware/auth');
-const { validateNotification, validateObjectId, validatePagination } = require('../middleware/validation');
+const { validateNotification, validateDigestPreview, validateObjectId, validatePagination } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -12,6 +15,7 @@ router.get('/', auth, validatePagination, async (req, res) => {
 
     const filter = {
       'recipients.user': req.user._id,
+      status: 'sent',
       $or: [
         { expiresAt: { $exists: false } },
         { expiresAt: { $gte: new Date() } }
@@ -35,6 +39,7 @@ router.get('/', auth, validatePagination, async (req, res) => {
     const unreadCount = await Notification.countDocuments({
       'recipients.user': req.user._id,
       'recipients.read': false,
+      status: 'sent',
       $or: [
         { expiresAt: { $exists: false } },
         { expiresAt: { $gte: new Date() } }
@@ -75,20 +80,65 @@ router.get('/', auth, validatePagination, async (req, res) => {
   }
 });
 
+// Preview of the user's own weekly digest as it would be sent right now
+router.get('/digest/preview', auth, validateDigestPreview, async (req, res) => {
+  try {
+    const digest = await buildDigest(req.user);
+    const summary = summarizeDigest(digest);
+
+    if (req.query.format === 'html') {
+      const { html } = renderDigestEmail({
+        title: 'Your weekly digest',
+        message: summary,
+        metadata: { actionUrl: '/dashboard', actionText: 'Open your dashboard' }
+      }, req.user, digest);
+
+      return res.type('html').send(html);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subscribed: req.user.preferences?.weeklyDigest === true,
+        lastSentAt: req.user.digestSentAt || null,
+        summary,
+        digest
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build digest preview',
+      error: error.message
+    });
+  }
+});
+
 router.post('/', auth, checkPermission('send_notifications'), validateNotification, async (req, res) => {
   try {
     const { title, message, type, recipients, priority, scheduledFor, expiresAt, metadata, channels } = req.body;
 
+    const sendAt = scheduledFor ? new Date(scheduledFor) : new Date();
+    const isScheduled = sendAt > new Date();
+
+    if (expiresAt && new Date(expiresAt) <= sendAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be after the scheduled send time'
+      });
+    }
+
     const notificationData = {
       title,
       message,
       type,
       priority,
       sender: req.user._id,
-      scheduledFor: scheduledFor ? new Date(scheduledFor) : new Date(),
+      scheduledFor: sendAt,
       expiresAt: expiresAt ? new Date(expiresAt) : undefined,
       metadata,
-      channels: channels || ['in-app']
+      channels: channels || ['in-app'],
+      status: isScheduled ? 'scheduled' : 'sent'
     };
 
     let notification;
@@ -103,14 +153,15 @@ router.post('/', auth, checkPermission('send_notifications'), validateNotificati
       });
     }
 
-    req.io.emit('new-notification', {
-      notification: notification,
-      recipients: notification.recipients.map(r => r.user)
-    });
+    if (isScheduled) {
+      publishing.scheduleNotification(notification);
+    } else {
+      publishing.deliverNotification(notification);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Notification sent successfully',
+      message: isScheduled ? 'Notification scheduled successfully' : 'Notification sent successfully',
       data: { notification }
     });
   } catch (error) {
@@ -209,6 +260,7 @@ router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
     }
 
     await Notification.findByIdAndDelete(req.params.id);
+    publishing.cancelNotification(req.params.id);
 
     res.json({
       success: true,
@@ -223,6 +275,59 @@ router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
   }
 });
 
+router.get('/:id/deliveries', auth, checkPermission('send_notifications'), validateObjectId('id'), async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id)
+      .populate('recipients.user', 'firstName lastName email');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.sender?.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const summary = {};
+    const recipients = notification.recipients.map(recipient => {
+      recipient.deliveries.forEach(delivery => {
+        summary[delivery.channel] = summary[delivery.channel] || { pending: 0, delivered: 0, skipped: 0, failed: 0 };
+        summary[delivery.channel][delivery.status] += 1;
+      });
+
+      return {
+        user: recipient.user,
+        read: recipient.read,
+        readAt: recipient.readAt,
+        deliveries: recipient.deliveries
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status: notification.status,
+        channels: notification.channels,
+        analytics: notification.analytics,
+        summary,
+        recipients
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery status',
+      error: error.message
+    });
+  }
+});
+
 router.get('/stats', auth, checkPermission('view_analytics'), async (req, res) => {
   try {
     const stats = await Notification.aggregate([
@@ -231,6 +336,7 @@ router.get('/stats', auth, checkPermission('view_analytics'), async (req, res) =
           _id: '$type',
           count: { $sum: 1 },
           totalSent: { $sum: '$analytics.sent' },
+          totalDelivered: { $sum: '$analytics.delivered' },
           totalRead: { $sum: '$analytics.read' }
         }
       }
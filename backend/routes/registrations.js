@@ -1,11 +1,22 @@
 const express = require('express');
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
+const { createCheckInToken, createCheckInQrCode } = require('../services/checkin');
+const waitlist = require('../services/waitlist');
+const { eventRoom, eventManagers, emitToUsers } = require('../services/realtime');
+const { holdsSeat, reserveSeat, releaseSeat } = require('../services/seats');
 const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { validateRegistration, validateObjectId, validatePagination } = require('../middleware/validation');
 
 const router = express.Router();
 
+const auditRegistrationApproval = (targets) => audit((req) => (req.body.approved ? 'registration.approve' : 'registration.reject'), {
+  model: Registration,
+  targets,
+  select: 'event user status approvedBy approvedAt rejectionReason'
+});
+
 router.post('/', auth, validateRegistration, async (req, res) => {
   try {
     const { eventId, preferences } = req.body;
@@ -51,18 +62,25 @@ router.post('/', auth, validateRegistration, async (req, res) => {
       });
     }
 
-    const currentRegistrations = await Registration.countDocuments({
-      event: eventId,
-      status: { $in: ['approved', 'pending'] }
-    });
+    const reservedEvent = await reserveSeat(eventId);
 
-    if (currentRegistrations >= event.registration.maxCapacity) {
+    if (!reservedEvent && !event.registration.waitlist.enabled) {
       return res.status(400).json({
         success: false,
         message: 'Event is full'
       });
     }
 
+    if (!reservedEvent && event.registration.waitlist.maxSize > 0) {
+      const waitlistSize = await Registration.countDocuments({ event: eventId, status: 'waitlisted' });
+      if (waitlistSize >= event.registration.waitlist.maxSize) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event and waitlist are full'
+        });
+      }
+    }
+
     const registrationData = {
       user: req.user._id,
       event: eventId,
@@ -70,6 +88,11 @@ router.post('/', auth, validateRegistration, async (req, res) => {
       preferences: preferences || {}
     };
 
+    if (!reservedEvent) {
+      registrationData.status = 'waitlisted';
+      registrationData.waitlist = { joinedAt: new Date() };
+    }
+
     if (event.registration.fee.amount > 0) {
       registrationData.payment = {
         required: true,
@@ -79,25 +102,53 @@ router.post('/', auth, validateRegistration, async (req, res) => {
     }
 
     const registration = new Registration(registrationData);
-    await registration.save();
-
-    await Event.findByIdAndUpdate(eventId, {
-      $inc: { 'registration.currentCount': 1 }
-    });
+    try {
+      await registration.save();
+    } catch (error) {
+      if (reservedEvent) {
+        await releaseSeat(eventId);
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are already registered for this event'
+        });
+      }
+      throw error;
+    }
 
     await registration.populate([
       { path: 'user', select: 'firstName lastName email' },
       { path: 'event', select: 'title organizer' }
     ]);
 
-    req.io.to(`event-${eventId}`).emit('new-registration', {
-      registration: registration,
+    if (registration.status === 'waitlisted') {
+      const waitlistPosition = await Registration.getWaitlistPosition(registration);
+
+      emitToUsers(req.io, [registration.user, ...eventManagers(event)], 'waitlist-joined', {
+        registration: registration,
+        eventId: eventId,
+        waitlistPosition
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `Event is full. You are number ${waitlistPosition} on the waitlist.`,
+        data: { registration, waitlistPosition }
+      });
+    }
+
+    // Everyone viewing the event sees the new count; only the organizers get the registrant's details
+    req.io.to(eventRoom(eventId)).emit('new-registration', {
       eventId: eventId,
-      currentCount: currentRegistrations + 1
+      registrationId: registration._id,
+      userId: registration.user._id,
+      status: registration.status,
+      currentCount: reservedEvent.registration.currentCount
     });
 
     if (event.registration.approvalRequired) {
-      req.io.emit('registration-approval-needed', {
+      emitToUsers(req.io, eventManagers(event), 'registration-approval-needed', {
         registration: registration
       });
     }
@@ -118,12 +169,16 @@ router.post('/', auth, validateRegistration, async (req, res) => {
 
 router.get('/', auth, validatePagination, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, eventId, userId } = req.query;
+    const { page = 1, limit = 20, status, eventId, userId, flagged } = req.query;
     const skip = (page - 1) * limit;
 
     const filter = {};
     if (status) filter.status = status;
     if (eventId) filter.event = eventId;
+    if (flagged === 'true') {
+      filter['checkIn.flagged'] = true;
+      filter['checkIn.review.status'] = 'pending';
+    }
     
     if (req.user.role === 'student') {
       filter.user = req.user._id;
@@ -140,10 +195,16 @@ router.get('/', auth, validatePagination, async (req, res) => {
 
     const total = await Registration.countDocuments(filter);
 
+    const registrationsWithPosition = await Promise.all(registrations.map(async registration => (
+      registration.status === 'waitlisted'
+        ? { ...registration.toObject(), waitlistPosition: await Registration.getWaitlistPosition(registration) }
+        : registration
+    )));
+
     res.json({
       success: true,
       data: {
-        registrations,
+        registrations: registrationsWithPosition,
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -183,10 +244,11 @@ router.get('/event/:eventId', auth, validateObjectId('eventId'), async (req, res
       });
     }
 
-    const { status, search } = req.query;
+    const { status, search, flagged } = req.query;
     const filter = { event: req.params.eventId };
     
     if (status) filter.status = status;
+    if (flagged === 'true') filter['checkIn.flagged'] = true;
 
     const registrations = await Registration.find(filter)
       .populate('user', 'firstName lastName email studentId department year section phone')
@@ -203,6 +265,11 @@ router.get('/event/:eventId', auth, validateObjectId('eventId'), async (req, res
     }
 
     const stats = await Registration.getRegistrationStats(req.params.eventId);
+    stats.flaggedCheckIns = await Registration.countDocuments({
+      event: req.params.eventId,
+      'checkIn.flagged': true,
+      'checkIn.review.status': 'pending'
+    });
 
     res.json({
       success: true,
@@ -220,7 +287,50 @@ router.get('/event/:eventId', auth, validateObjectId('eventId'), async (req, res
   }
 });
 
-router.put('/:id/approve', auth, validateObjectId('id'), async (req, res) => {
+router.get('/:id/qr', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this check-in code'
+      });
+    }
+
+    if (!['approved', 'attended'].includes(registration.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in codes are only issued for approved registrations'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: createCheckInToken(registration),
+        qrCode: await createCheckInQrCode(registration),
+        checkIn: registration.checkIn,
+        checkOut: registration.checkOut
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate check-in code',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id/approve', auth, validateObjectId('id'), auditRegistrationApproval((req) => req.params.id), async (req, res) => {
   try {
     const { approved, reason } = req.body;
     
@@ -254,17 +364,25 @@ router.put('/:id/approve', auth, validateObjectId('id'), async (req, res) => {
       });
     }
 
-    if (approved) {
-      await registration.approve(req.user);
-    } else {
-      await registration.reject(reason, req.user);
-      
-      await Event.findByIdAndUpdate(registration.event._id, {
-        $inc: { 'registration.currentCount': -1 }
+    const previous = approved
+      ? await registration.approve(req.user)
+      : await registration.reject(reason, req.user);
+
+    if (!previous) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration was already processed'
       });
     }
 
-    req.io.to(`event-${registration.event._id}`).emit('registration-status-updated', {
+    if (!approved) {
+      await releaseSeat(registration.event._id);
+      await waitlist.promoteNext(registration.event._id);
+    }
+
+    emitToUsers(req.io, [registration.user, ...eventManagers(registration.event)], 'registration-status-updated', {
+      eventId: registration.event._id,
+      userId: registration.user._id,
       registration: registration,
       approved: approved
     });
@@ -324,11 +442,23 @@ router.put('/:id/attendance', auth, validateObjectId('id'), async (req, res) =>
       await registration.save();
     }
 
-    req.io.to(`event-${registration.event._id}`).emit('attendance-marked', {
+    req.io.to(eventRoom(registration.event._id)).emit('attendance-marked', {
+      eventId: registration.event._id,
+      registrationId: registration._id,
+      userId: registration.user._id,
+      present: present
+    });
+    emitToUsers(req.io, eventManagers(registration.event), 'attendee-attendance-marked', {
       registration: registration,
       present: present
     });
 
+    const attendance = await Registration.getAttendanceCounts(registration.event._id);
+    req.io.to(eventRoom(registration.event._id)).emit('attendance-updated', {
+      eventId: registration.event._id,
+      ...attendance
+    });
+
     res.json({
       success: true,
       message: `Attendance marked as ${present ? 'present' : 'absent'}`,
@@ -343,6 +473,148 @@ router.put('/:id/attendance', auth, validateObjectId('id'), async (req, res) =>
   }
 });
 
+router.put('/:id/check-in-review', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const { accepted, note } = req.body;
+
+    const registration = await Registration.findById(req.params.id)
+      .populate('event')
+      .populate('user', 'firstName lastName');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const canReview = registration.event.organizer.toString() === req.user._id.toString() ||
+                     registration.event.coOrganizers.includes(req.user._id) ||
+                     req.user.hasPermission('approve_events') ||
+                     req.user.role === 'admin';
+
+    if (!canReview) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review check-ins'
+      });
+    }
+
+    if (!registration.checkIn.flagged || registration.checkIn.review?.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This check-in is not awaiting review'
+      });
+    }
+
+    registration.checkIn.review = {
+      status: accepted ? 'accepted' : 'rejected',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      note
+    };
+
+    if (!accepted) {
+      registration.status = 'absent';
+    }
+
+    await registration.save();
+
+    req.io.to(eventRoom(registration.event._id)).emit('attendance-marked', {
+      eventId: registration.event._id,
+      registrationId: registration._id,
+      userId: registration.user._id,
+      present: Boolean(accepted)
+    });
+    emitToUsers(req.io, eventManagers(registration.event), 'attendee-attendance-marked', {
+      registration: registration,
+      present: Boolean(accepted)
+    });
+
+    const attendance = await Registration.getAttendanceCounts(registration.event._id);
+    req.io.to(eventRoom(registration.event._id)).emit('attendance-updated', {
+      eventId: registration.event._id,
+      ...attendance
+    });
+
+    res.json({
+      success: true,
+      message: `Check-in ${accepted ? 'accepted' : 'rejected'}`,
+      data: { registration }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review check-in',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/confirm-offer', auth, validateObjectId('id'), async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id).populate('event');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to confirm this registration'
+      });
+    }
+
+    if (registration.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open seat offer for this registration'
+      });
+    }
+
+    const confirmed = await waitlist.confirmOffer(registration, registration.event);
+
+    if (!confirmed) {
+      return res.status(410).json({
+        success: false,
+        message: 'This seat offer has expired'
+      });
+    }
+
+    await confirmed.populate('user', 'firstName lastName email');
+
+    req.io.to(eventRoom(registration.event._id)).emit('new-registration', {
+      eventId: registration.event._id,
+      registrationId: confirmed._id,
+      userId: confirmed.user._id,
+      status: confirmed.status,
+      fromWaitlist: true
+    });
+
+    if (confirmed.status === 'pending') {
+      emitToUsers(req.io, eventManagers(registration.event), 'registration-approval-needed', {
+        registration: confirmed
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Seat confirmed successfully',
+      data: { registration: confirmed }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm seat',
+      error: error.message
+    });
+  }
+});
+
 router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
   try {
     const registration = await Registration.findById(req.params.id).populate('event');
@@ -366,16 +638,34 @@ router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
     }
 
     const { reason } = req.body;
-    
+
+    const previous = await Registration.transition(
+      registration._id,
+      ['pending', 'approved', 'waitlisted', 'offered', 'attended', 'absent'],
+      { status: 'cancelled', cancellationReason: reason }
+    );
+
+    if (!previous) {
+      return res.status(400).json({
+        success: false,
+        message: `Registration is already ${registration.status}`
+      });
+    }
+
     registration.status = 'cancelled';
     registration.cancellationReason = reason;
-    await registration.save();
 
-    await Event.findByIdAndUpdate(registration.event._id, {
-      $inc: { 'registration.currentCount': -1 }
-    });
+    if (previous.status === 'offered') {
+      waitlist.cancelOffer(registration._id);
+    }
+
+    if (holdsSeat(previous.status)) {
+      await releaseSeat(registration.event._id);
+      await waitlist.promoteNext(registration.event._id);
+    }
 
-    req.io.to(`event-${registration.event._id}`).emit('registration-cancelled', {
+    emitToUsers(req.io, [registration.user, ...eventManagers(registration.event)], 'registration-cancelled', {
+      eventId: registration.event._id,
       registration: registration
     });
 
@@ -392,7 +682,7 @@ router.delete('/:id', auth, validateObjectId('id'), async (req, res) => {
   }
 });
 
-router.post('/bulk-approve', auth, checkPermission('approve_events'), async (req, res) => {
+router.post('/bulk-approve', auth, checkPermission('approve_events'), auditRegistrationApproval((req) => req.body.registrationIds), async (req, res) => {
   try {
     const { registrationIds, approved, reason } = req.body;
 
@@ -409,15 +699,21 @@ router.post('/bulk-approve', auth, checkPermission('approve_events'), async (req
     }).populate('event').populate('user', 'firstName lastName email');
 
     const results = [];
+    const freedEvents = new Set();
     for (const registration of registrations) {
       try {
-        if (approved) {
-          await registration.approve(req.user);
-        } else {
-          await registration.reject(reason, req.user);
-          await Event.findByIdAndUpdate(registration.event._id, {
-            $inc: { 'registration.currentCount': -1 }
-          });
+        const previous = approved
+          ? await registration.approve(req.user)
+          : await registration.reject(reason, req.user);
+
+        if (!previous) {
+          results.push({ id: registration._id, success: false, error: 'Registration was already processed' });
+          continue;
+        }
+
+        if (!approved) {
+          await releaseSeat(registration.event._id);
+          freedEvents.add(registration.event._id.toString());
         }
         results.push({ id: registration._id, success: true });
       } catch (error) {
@@ -425,6 +721,10 @@ router.post('/bulk-approve', auth, checkPermission('approve_events'), async (req
       }
     }
 
+    for (const eventId of freedEvents) {
+      await waitlist.promoteNext(eventId);
+    }
+
     res.json({
       success: true,
       message: `Bulk ${approved ? 'approval' : 'rejection'} completed`,
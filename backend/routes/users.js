@@ -2,10 +2,15 @@ const express = require('express');
 const User = require('../models/User');
 const Department = require('../models/Department');
 const { auth, authorize, checkPermission, adminOrSelf } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { validateObjectId, validatePagination } = require('../middleware/validation');
 
 const router = express.Router();
 
+// What the audit log keeps of a user when an admin or a bulk action changes them
+const AUDITED_USER_FIELDS = 'firstName lastName phone bio interests skills socialLinks preferences role permissions isActive department';
+const ADMIN_ONLY_USER_FIELDS = ['role', 'permissions', 'isActive', 'department'];
+
 router.get('/', auth, checkPermission('manage_users'), validatePagination, async (req, res) => {
   try {
     const { page = 1, limit = 20, role, department, search, isActive } = req.query;
@@ -150,16 +155,21 @@ router.get('/:id', auth, validateObjectId('id'), async (req, res) => {
   }
 });
 
-router.put('/:id', auth, adminOrSelf, validateObjectId('id'), async (req, res) => {
+router.put('/:id', auth, adminOrSelf, validateObjectId('id'), audit('user.update', {
+  model: User,
+  select: AUDITED_USER_FIELDS,
+  // Admins' edits to other accounts, and any change to an admin-only field, including an admin's own
+  when: (req) => (req.user.role === 'admin' && req.user._id.toString() !== req.params.id) ||
+    ADMIN_ONLY_USER_FIELDS.some(field => field in req.body)
+}), async (req, res) => {
   try {
     const allowedUpdates = ['firstName', 'lastName', 'phone', 'bio', 'interests', 'skills', 'socialLinks', 'preferences'];
-    const adminOnlyUpdates = ['role', 'permissions', 'isActive', 'department'];
 
     const updates = {};
     Object.keys(req.body).forEach(key => {
       if (allowedUpdates.includes(key)) {
         updates[key] = req.body[key];
-      } else if (adminOnlyUpdates.includes(key) && req.user.role === 'admin') {
+      } else if (ADMIN_ONLY_USER_FIELDS.includes(key) && req.user.role === 'admin') {
         updates[key] = req.body[key];
       }
     });
@@ -191,7 +201,10 @@ router.put('/:id', auth, adminOrSelf, validateObjectId('id'), async (req, res) =
   }
 });
 
-router.delete('/:id', auth, authorize('admin'), validateObjectId('id'), async (req, res) => {
+router.delete('/:id', auth, authorize('admin'), validateObjectId('id'), audit('user.deactivate', {
+  model: User,
+  select: AUDITED_USER_FIELDS
+}), async (req, res) => {
   try {
     const user = await User.findByIdAndUpdate(
       req.params.id,
@@ -219,7 +232,11 @@ router.delete('/:id', auth, authorize('admin'), validateObjectId('id'), async (r
   }
 });
 
-router.post('/bulk-action', auth, checkPermission('bulk_operations'), async (req, res) => {
+router.post('/bulk-action', auth, checkPermission('bulk_operations'), audit((req) => `user.bulk-${req.body.action}`, {
+  model: User,
+  targets: (req) => req.body.userIds,
+  select: AUDITED_USER_FIELDS
+}), async (req, res) => {
   try {
     const { userIds, action, data } = req.body;
 
@@ -17,6 +17,20 @@ const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
 const reportRoutes = require('./routes/reports');
 const feedbackRoutes = require('./routes/feedback');
+const announcementRoutes = require('./routes/announcements');
+const certificateRoutes = require('./routes/certificates');
+const calendarRoutes = require('./routes/calendar');
+const approvalRoutes = require('./routes/approvals');
+const auditRoutes = require('./routes/audit');
+const publishing = require('./services/publishing');
+const waitlist = require('./services/waitlist');
+const reportDelivery = require('./services/reportDelivery');
+const notificationDelivery = require('./services/notificationDelivery');
+const reminders = require('./services/reminders');
+const digestDelivery = require('./services/digestDelivery');
+const auditRetention = require('./services/auditRetention');
+const realtime = require('./services/realtime');
+const { auditTrail } = require('./middleware/audit');
 
 const app = express();
 const server = createServer(app);
@@ -49,6 +63,34 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus-ev
 
 mongoose.connection.on('connected', () => {
   console.log('Connected to MongoDB');
+
+  publishing.start(io).catch((err) => {
+    console.error('Failed to start publishing scheduler:', err);
+  });
+
+  waitlist.start(io).catch((err) => {
+    console.error('Failed to start waitlist scheduler:', err);
+  });
+
+  reportDelivery.start().catch((err) => {
+    console.error('Failed to start report scheduler:', err);
+  });
+
+  notificationDelivery.start().catch((err) => {
+    console.error('Failed to start notification delivery:', err);
+  });
+
+  reminders.start().catch((err) => {
+    console.error('Failed to start reminder scheduler:', err);
+  });
+
+  digestDelivery.start().catch((err) => {
+    console.error('Failed to start weekly digest:', err);
+  });
+
+  auditRetention.start().catch((err) => {
+    console.error('Failed to start audit log purge:', err);
+  });
 });
 
 mongoose.connection.on('error', (err) => {
@@ -60,6 +102,8 @@ app.use((req, res, next) => {
   next();
 });
 
+app.use(auditTrail);
+
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
@@ -70,26 +114,17 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/audit', auditRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-event', (eventId) => {
-    socket.join(`event-${eventId}`);
-  });
-
-  socket.on('leave-event', (eventId) => {
-    socket.leave(`event-${eventId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+realtime.attach(io);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
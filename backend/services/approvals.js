@@ -0,0 +1,230 @@
+const ApprovalChain = require('../models/ApprovalChain');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const publishing = require('./publishing');
+const { eventManagers, emitToUsers, emitToRole, emitToPermission } = require('./realtime');
+
+// Used when no chain matches, which keeps the original single sign-off by anyone with approve_events
+const DEFAULT_STEPS = [{ name: 'Event approval', approverType: 'permission', permission: 'approve_events' }];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const chainMatches = (chain, event) => {
+  const { match = 'all', hasFee, minCapacity, categories = [], departments = [] } = chain.conditions || {};
+  const checks = [];
+
+  if (hasFee) checks.push((event.registration?.fee?.amount || 0) > 0);
+  if (minCapacity) checks.push((event.registration?.maxCapacity || 0) >= minCapacity);
+  if (categories.length > 0) checks.push(categories.some(id => idOf(id) === idOf(event.category)));
+  if (departments.length > 0) checks.push(departments.some(id => idOf(id) === idOf(event.department)));
+
+  if (checks.length === 0) return true;
+  return match === 'any' ? checks.some(Boolean) : checks.every(Boolean);
+};
+
+const findChain = async (event) => {
+  const chains = await ApprovalChain.find({ isActive: true }).sort({ priority: -1, createdAt: 1 });
+  return chains.find(chain => chainMatches(chain, event)) || null;
+};
+
+// HOD steps go to the head of the event's department; without one, anyone with approve_events can sign off
+const resolveStep = async (step, event) => {
+  const resolved = {
+    name: step.name,
+    approverType: step.approverType,
+    role: step.role,
+    permission: step.permission,
+    status: 'waiting'
+  };
+
+  if (step.approverType === 'hod') {
+    const department = event.department ? await Department.findById(idOf(event.department)).select('hod') : null;
+
+    if (department?.hod) {
+      resolved.assignee = department.hod;
+    } else {
+      resolved.approverType = 'permission';
+      resolved.permission = 'approve_events';
+    }
+  }
+
+  return resolved;
+};
+
+// A fresh approval for `event` from the first matching chain, waiting on its first step
+const buildApproval = async (event, now = new Date()) => {
+  const chain = await findChain(event);
+  const steps = [];
+
+  for (const step of chain ? chain.steps : DEFAULT_STEPS) {
+    steps.push(await resolveStep(step, event));
+  }
+  steps[0].status = 'pending';
+
+  return {
+    status: 'pending',
+    chain: chain?._id,
+    chainName: chain?.name,
+    currentStep: 0,
+    steps,
+    submittedAt: now
+  };
+};
+
+const currentStep = (event) => event.approval?.steps?.[event.approval.currentStep] || null;
+
+const isStepApprover = (user, step) => {
+  switch (step.approverType) {
+    case 'hod':
+      return idOf(step.assignee) === idOf(user._id);
+    case 'role':
+      return user.role === step.role;
+    case 'permission':
+      return user.hasPermission(step.permission);
+    default:
+      return false;
+  }
+};
+
+// Admins can sign off any step. Events submitted before approval chains existed have no steps
+// and are approved in one go by anyone with approve_events.
+const canApprove = (user, event) => {
+  if (event.approval?.status !== 'pending') return false;
+  if (user.role === 'admin') return true;
+
+  const step = currentStep(event);
+  return step ? isStepApprover(user, step) : user.hasPermission('approve_events');
+};
+
+// Events whose current step is waiting on `user`. Admins can sign off any step (see canApprove),
+// so their queue holds every event in approval.
+const waitingOnFilter = (user) => {
+  if (user.role === 'admin') {
+    return { status: 'draft', 'approval.status': 'pending' };
+  }
+
+  const approvers = [
+    { approverType: 'hod', assignee: user._id },
+    { approverType: 'role', role: user.role },
+    { approverType: 'permission', permission: { $in: user.permissions } }
+  ];
+  const filter = {
+    status: 'draft',
+    'approval.status': 'pending',
+    $or: [{ 'approval.steps': { $elemMatch: { status: 'pending', $or: approvers } } }]
+  };
+
+  if (user.hasPermission('approve_events')) {
+    filter.$or.push({ 'approval.steps.0': { $exists: false } });
+  }
+  return filter;
+};
+
+// Records `user`'s decision on the current step and resolves to 'advanced', 'approved' or 'rejected'.
+// Approving the last step publishes the event; rejecting any step sends it back to the organizer.
+const decide = (event, user, { approved, comment }, now = new Date()) => {
+  const step = currentStep(event);
+
+  if (step) {
+    step.status = approved ? 'approved' : 'rejected';
+    step.decidedBy = user._id;
+    step.decidedAt = now;
+    step.comment = comment;
+  }
+
+  const next = event.approval.currentStep + 1;
+  if (approved && step && next < event.approval.steps.length) {
+    event.approval.currentStep = next;
+    event.approval.steps[next].status = 'pending';
+    return 'advanced';
+  }
+
+  event.approval.status = approved ? 'approved' : 'rejected';
+  event.approval.approvedBy = user._id;
+  event.approval.approvedAt = now;
+
+  if (approved) {
+    event.status = 'published';
+  } else {
+    event.approval.rejectionReason = comment;
+  }
+  return approved ? 'approved' : 'rejected';
+};
+
+const stepApprovers = async (step) => {
+  if (step.approverType === 'hod') return [step.assignee];
+
+  const filter = step.approverType === 'role' ? { role: step.role } : { permissions: step.permission };
+  const users = await User.find({ ...filter, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+// Tells whoever the current step is waiting on, both live and with an in-app notification
+const notifyApprovers = async (io, event) => {
+  const step = currentStep(event) || DEFAULT_STEPS[0];
+  const payload = {
+    event,
+    organizer: event.organizer,
+    step: step.name
+  };
+
+  if (step.approverType === 'hod') {
+    emitToUsers(io, [step.assignee], 'event-approval-needed', payload);
+  } else if (step.approverType === 'role') {
+    emitToRole(io, step.role, 'event-approval-needed', payload);
+  } else {
+    emitToPermission(io, step.permission, 'event-approval-needed', payload);
+  }
+
+  const approvers = await stepApprovers(step);
+  if (approvers.length === 0) return;
+
+  const notification = await Notification.createForUsers(approvers, {
+    title: 'Event awaiting your approval',
+    message: `"${event.title}" is waiting on ${step.name}.`,
+    type: 'approval',
+    relatedEvent: event._id,
+    metadata: {
+      actionUrl: '/approvals',
+      actionText: 'Review'
+    }
+  });
+  publishing.deliverNotification(notification);
+};
+
+// Tells the organizers how the chain ended; rejections carry the approver's reason
+const notifyResult = async (io, event, approver) => {
+  const approved = event.approval.status === 'approved';
+
+  emitToUsers(io, eventManagers(event), 'event-approval-result', {
+    event,
+    approved,
+    approver
+  });
+
+  const notification = await Notification.createForUsers(eventManagers(event).map(idOf), {
+    title: approved ? 'Event approved' : 'Event needs changes',
+    message: approved
+      ? `"${event.title}" has been approved and published.`
+      : `"${event.title}" was not approved.${event.approval.rejectionReason ? ` Reason: ${event.approval.rejectionReason}` : ''}`,
+    type: 'approval',
+    priority: approved ? 'normal' : 'high',
+    relatedEvent: event._id,
+    metadata: {
+      actionUrl: approved ? `/events/${event._id}` : `/events/${event._id}/edit`,
+      actionText: approved ? 'View event' : 'Edit event'
+    }
+  });
+  publishing.deliverNotification(notification);
+};
+
+module.exports = {
+  buildApproval,
+  currentStep,
+  canApprove,
+  waitingOnFilter,
+  decide,
+  notifyApprovers,
+  notifyResult
+};
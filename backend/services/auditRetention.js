@@ -0,0 +1,55 @@
+const moment = require('moment');
+const AuditLog = require('../models/AuditLog');
+const AuditSettings = require('../models/AuditSettings');
+const scheduler = require('./scheduler');
+const { nextRun } = require('./cron');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+const JOBS = {
+  purge: 'audit:purge'
+};
+
+const RUN_ID = 'daily';
+
+// Nightly, when the fewest admins are looking at the log
+const PURGE_CRON = '0 3 * * *';
+
+const purgeExpired = async (now = new Date()) => {
+  const { retentionDays } = await AuditSettings.current();
+  const cutoff = moment(now).subtract(retentionDays, 'days').toDate();
+
+  const result = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+  return result.deletedCount;
+};
+
+const scheduleNext = (after = new Date()) => {
+  const runAt = nextRun(PURGE_CRON, after, DEFAULT_TIMEZONE);
+
+  if (runAt) {
+    scheduler.schedule(JOBS.purge, RUN_ID, runAt);
+  }
+  return runAt;
+};
+
+const runPurge = async () => {
+  const deleted = await purgeExpired();
+
+  if (deleted > 0) {
+    console.log(`Purged ${deleted} expired audit log entries`);
+  }
+  scheduleNext();
+};
+
+const start = async () => {
+  scheduler.define(JOBS.purge, runPurge);
+
+  // Catches up on a purge missed while the server was down
+  await purgeExpired();
+  const runAt = scheduleNext();
+
+  console.log(`Audit log purge scheduled for ${runAt.toISOString()}`);
+};
+
+module.exports = {
+  start
+};
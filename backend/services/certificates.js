@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+
+const UPLOAD_ROOT = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const CERTIFICATE_DIR = path.join(UPLOAD_ROOT, 'certificates');
+const TEMPLATE_DIR = path.join(CERTIFICATE_DIR, 'templates');
+const SIGNATURE_LENGTH = 16;
+
+const getSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+
+const sign = (value) => {
+  return crypto.createHmac('sha256', getSecret())
+    .update(value)
+    .digest('hex')
+    .slice(0, SIGNATURE_LENGTH)
+    .toUpperCase();
+};
+
+const signingPayload = (registration) => {
+  const eventId = registration.event?._id || registration.event;
+  const userId = registration.user?._id || registration.user;
+  return `${registration._id}:${eventId}:${userId}`;
+};
+
+const createVerificationCode = (registration) => {
+  return `${registration._id.toString().toUpperCase()}-${sign(signingPayload(registration))}`;
+};
+
+const parseVerificationCode = (code) => {
+  const match = /^([0-9A-F]{24})-([0-9A-F]{16})$/.exec(String(code).trim().toUpperCase());
+  if (!match) return null;
+  return { registrationId: match[1].toLowerCase(), signature: match[2] };
+};
+
+const isValidVerificationCode = (code, registration) => {
+  const parsed = parseVerificationCode(code);
+  if (!parsed || parsed.registrationId !== registration._id.toString()) return false;
+
+  const expected = Buffer.from(sign(signingPayload(registration)));
+  const actual = Buffer.from(parsed.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const verificationUrl = (code) => {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify/${code}`;
+};
+
+const fillPlaceholders = (text, values) => {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  ));
+};
+
+const certificatePath = (eventId, registrationId) => {
+  return path.join(CERTIFICATE_DIR, eventId.toString(), `${registrationId}.pdf`);
+};
+
+const buildValues = (registration, event) => {
+  const user = registration.user;
+  const signatories = event.certificateTemplate?.signatories || [];
+
+  const values = {
+    name: `${user.firstName} ${user.lastName}`,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    studentId: user.studentId || '',
+    department: user.department?.name || '',
+    eventTitle: event.title,
+    date: moment(event.schedule.startDate).format('MMMM D, YYYY'),
+    endDate: moment(event.schedule.endDate).format('MMMM D, YYYY'),
+    venue: event.venue?.name || '',
+    certificateId: registration._id.toString(),
+    verificationCode: registration.certificate?.verificationCode || createVerificationCode(registration)
+  };
+
+  signatories.forEach((signatory, index) => {
+    values[`signatory${index + 1}`] = signatory.name;
+    values[`signatory${index + 1}Designation`] = signatory.designation || '';
+  });
+
+  return values;
+};
+
+const renderCertificate = (filePath, template, values) => new Promise((resolve, reject) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+  const stream = fs.createWriteStream(filePath);
+
+  stream.on('finish', () => resolve(filePath));
+  stream.on('error', reject);
+  doc.on('error', reject);
+  doc.pipe(stream);
+
+  const { width, height } = doc.page;
+  const contentWidth = width - 200;
+  const backgroundPath = template.backgroundImage
+    ? path.join(TEMPLATE_DIR, path.basename(template.backgroundImage))
+    : null;
+
+  if (backgroundPath && fs.existsSync(backgroundPath)) {
+    doc.image(backgroundPath, 0, 0, { width, height });
+  } else {
+    doc.lineWidth(4).rect(20, 20, width - 40, height - 40).stroke('#1E3A8A');
+    doc.lineWidth(1).rect(32, 32, width - 64, height - 64).stroke('#93C5FD');
+  }
+
+  doc.font('Helvetica-Bold').fontSize(34).fillColor('#1E3A8A')
+    .text(fillPlaceholders(template.title, values), 100, 100, { align: 'center', width: contentWidth });
+
+  doc.font('Helvetica').fontSize(14).fillColor('#4B5563')
+    .text('This certificate is proudly presented to', 100, 175, { align: 'center', width: contentWidth });
+
+  doc.font('Helvetica-Bold').fontSize(28).fillColor('#111827')
+    .text(values.name, 100, 205, { align: 'center', width: contentWidth });
+
+  doc.font('Helvetica').fontSize(14).fillColor('#374151')
+    .text(fillPlaceholders(template.body, values), 100, 265, { align: 'center', width: contentWidth, lineGap: 4 });
+
+  const signatories = template.signatories || [];
+  if (signatories.length > 0) {
+    const slotWidth = (width - 100) / signatories.length;
+    const lineY = height - 140;
+
+    signatories.forEach((signatory, index) => {
+      const x = 50 + slotWidth * index + 20;
+      const lineWidth = slotWidth - 40;
+
+      doc.lineWidth(1).moveTo(x, lineY).lineTo(x + lineWidth, lineY).stroke('#6B7280');
+      doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827')
+        .text(signatory.name || '', x, lineY + 8, { align: 'center', width: lineWidth });
+      doc.font('Helvetica').fontSize(10).fillColor('#4B5563')
+        .text(signatory.designation || '', x, lineY + 24, { align: 'center', width: lineWidth });
+    });
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor('#9CA3AF')
+    .text(`Verification code: ${values.verificationCode}`, 50, height - 66, { align: 'center', width: width - 100 })
+    .text(`Verify at ${verificationUrl(values.verificationCode)}`, 50, height - 54, { align: 'center', width: width - 100 });
+
+  doc.end();
+});
+
+const generateCertificate = (registration, event) => {
+  const values = buildValues(registration, event);
+  return renderCertificate(certificatePath(event._id, registration._id), event.certificateTemplate, values);
+};
+
+module.exports = {
+  TEMPLATE_DIR,
+  certificatePath,
+  generateCertificate,
+  fillPlaceholders,
+  createVerificationCode,
+  parseVerificationCode,
+  isValidVerificationCode
+};
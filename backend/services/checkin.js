@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const SIGNATURE_LENGTH = 24;
+
+const getSecret = () => process.env.CHECKIN_SECRET || process.env.JWT_SECRET;
+
+const sign = (value) => {
+  return crypto.createHmac('sha256', getSecret())
+    .update(value)
+    .digest('hex')
+    .slice(0, SIGNATURE_LENGTH);
+};
+
+const signingPayload = (registration) => {
+  const eventId = registration.event?._id || registration.event;
+  const userId = registration.user?._id || registration.user;
+  return `checkin:${registration._id}:${eventId}:${userId}`;
+};
+
+const createCheckInToken = (registration) => {
+  return `${registration._id}.${sign(signingPayload(registration))}`;
+};
+
+const parseCheckInToken = (token) => {
+  const match = /^([0-9a-f]{24})\.([0-9a-f]{24})$/.exec(String(token).trim().toLowerCase());
+  if (!match) return null;
+  return { registrationId: match[1], signature: match[2] };
+};
+
+const isValidCheckInToken = (token, registration) => {
+  const parsed = parseCheckInToken(token);
+  if (!parsed || parsed.registrationId !== registration._id.toString()) return false;
+
+  const expected = Buffer.from(sign(signingPayload(registration)));
+  const actual = Buffer.from(parsed.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const createCheckInQrCode = (registration) => {
+  return QRCode.toDataURL(createCheckInToken(registration), { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+};
+
+module.exports = {
+  createCheckInToken,
+  parseCheckInToken,
+  isValidCheckInToken,
+  createCheckInQrCode
+};
@@ -0,0 +1,137 @@
+const { toWallClock, fromWallClock } = require('./timezone');
+
+const SEARCH_YEARS = 5;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const SHORTCUTS = {
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const parseNumber = (text, field) => {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  // Month names start at 1, weekday names at 0
+  const value = nameIndex >= 0 ? nameIndex + field.min : Number(text);
+
+  if (!/^\d+$/.test(text) && nameIndex < 0) {
+    throw new Error(`Invalid ${field.name} "${text}"`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseNumber(to, field);
+    }
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name} "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+// Standard five-field cron syntax: minute hour day-of-month month day-of-week
+const parseCron = (expression) => {
+  const text = String(expression || '').trim();
+  const parts = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Schedule must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// When both day fields are restricted cron matches either of them
+const matchesDay = (cron, wall) => {
+  const dayOfMonth = cron.daysOfMonth.has(wall.date());
+  const dayOfWeek = cron.daysOfWeek.has(wall.day());
+
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+// The first time after `after` that matches `expression`, read as wall-clock time in `timeZone`
+const nextRun = (expression, after = new Date(), timeZone = 'UTC') => {
+  const cron = parseCron(expression);
+  const cursor = toWallClock(after, timeZone).startOf('minute').add(1, 'minute');
+  const limit = cursor.clone().add(SEARCH_YEARS, 'years');
+
+  while (cursor.isBefore(limit)) {
+    if (!cron.months.has(cursor.month() + 1)) {
+      cursor.add(1, 'month').startOf('month');
+    } else if (!matchesDay(cron, cursor)) {
+      cursor.add(1, 'day').startOf('day');
+    } else if (!cron.hours.has(cursor.hour())) {
+      cursor.add(1, 'hour').startOf('hour');
+    } else if (!cron.minutes.has(cursor.minute())) {
+      cursor.add(1, 'minute');
+    } else {
+      const runAt = fromWallClock(cursor, timeZone);
+      // A time repeated when clocks go back can resolve to before `after`
+      if (runAt > after) return runAt;
+      cursor.add(1, 'minute');
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextRun
+};
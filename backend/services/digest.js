@@ -0,0 +1,160 @@
+const moment = require('moment');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Announcement = require('../models/Announcement');
+
+// How far ahead events are picked for the user
+const UPCOMING_DAYS = 14;
+// How far back announcements count as new
+const LOOKBACK_DAYS = 7;
+
+const MAX_EVENTS = 8;
+const MAX_REGISTRATIONS = 10;
+const MAX_ANNOUNCEMENTS = 5;
+
+const EVENT_FIELDS = 'title shortDescription schedule venue department tags registration.allowedDepartments registration.allowedYears';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const openTo = (path, value) => ({
+  $or: [
+    { [path]: { $size: 0 } },
+    ...(value !== undefined && value !== null ? [{ [path]: value }] : [])
+  ]
+});
+
+// Explains why an event was picked, so the digest reads as more than a list
+const matchReasons = (event, user, departmentId, interests) => {
+  const reasons = [];
+
+  if (departmentId && (event.department?.toString() === departmentId.toString() ||
+      (event.registration?.allowedDepartments || []).some(id => id.toString() === departmentId.toString()))) {
+    reasons.push('Your department');
+  }
+  if (user.year && (event.registration?.allowedYears || []).includes(user.year)) {
+    reasons.push(`Open to year ${user.year}`);
+  }
+
+  const matched = (event.tags || []).filter(tag => interests.includes(tag.toLowerCase()));
+  if (matched.length > 0) {
+    reasons.push(`Matches your interests: ${matched.join(', ')}`);
+  }
+
+  return reasons;
+};
+
+const findEvents = async (user, now, until, excludeIds) => {
+  const departmentId = user.department?._id || user.department;
+  const interests = (user.interests || []).map(interest => interest.trim().toLowerCase()).filter(Boolean);
+
+  const matches = [];
+  if (departmentId) {
+    matches.push({ department: departmentId }, { 'registration.allowedDepartments': departmentId });
+  }
+  if (user.year) {
+    matches.push({ 'registration.allowedYears': user.year });
+  }
+  if (interests.length > 0) {
+    matches.push({ tags: { $in: interests.map(interest => new RegExp(`^${escapeRegex(interest)}$`, 'i')) } });
+  }
+
+  if (matches.length === 0) return [];
+
+  const events = await Event.find({
+    status: 'published',
+    visibility: { $ne: 'private' },
+    organizer: { $ne: user._id },
+    _id: { $nin: excludeIds },
+    'schedule.startDate': { $gte: now, $lte: until },
+    $and: [
+      { $or: matches },
+      openTo('registration.allowedRoles', user.role),
+      openTo('registration.allowedDepartments', departmentId),
+      openTo('registration.allowedYears', user.year)
+    ]
+  })
+    .select(EVENT_FIELDS)
+    .sort({ 'schedule.startDate': 1 })
+    .limit(MAX_EVENTS * 3)
+    .lean();
+
+  return events
+    .map(event => ({ ...event, reasons: matchReasons(event, user, departmentId, interests) }))
+    .sort((a, b) => b.reasons.length - a.reasons.length || a.schedule.startDate - b.schedule.startDate)
+    .slice(0, MAX_EVENTS)
+    .sort((a, b) => a.schedule.startDate - b.schedule.startDate);
+};
+
+const findRegistrations = async (user, now) => {
+  const registrations = await Registration.find({
+    user: user._id,
+    status: { $in: ['approved', 'pending', 'waitlisted', 'offered'] }
+  })
+    .select('event status waitlist.offerExpiresAt')
+    .populate({
+      path: 'event',
+      match: { status: 'published', 'schedule.startDate': { $gte: now } },
+      select: 'title schedule venue'
+    })
+    .lean();
+
+  return registrations
+    .filter(registration => registration.event)
+    .sort((a, b) => a.event.schedule.startDate - b.event.schedule.startDate)
+    .slice(0, MAX_REGISTRATIONS);
+};
+
+const findAnnouncements = (user, since, now) => {
+  return Announcement.find({
+    $and: [
+      Announcement.activeFilter(now),
+      Announcement.audienceFilter(user),
+      { 'schedule.publishAt': { $gt: since } }
+    ]
+  })
+    .select('title content type priority isPinned schedule.publishAt')
+    .sort({ isPinned: -1, 'schedule.publishAt': -1 })
+    .limit(MAX_ANNOUNCEMENTS)
+    .lean();
+};
+
+// Compiles one user's digest: events picked for them, what they're registered for and what was announced
+const buildDigest = async (user, now = new Date()) => {
+  const from = moment(now).subtract(LOOKBACK_DAYS, 'days').toDate();
+  const until = moment(now).add(UPCOMING_DAYS, 'days').toDate();
+
+  const registrations = await findRegistrations(user, now);
+  const allRegistrations = await Registration.find({ user: user._id }).distinct('event');
+  const [events, announcements] = await Promise.all([
+    findEvents(user, now, until, allRegistrations),
+    findAnnouncements(user, from, now)
+  ]);
+
+  return {
+    generatedAt: now,
+    since: from,
+    until,
+    events,
+    registrations,
+    announcements,
+    isEmpty: events.length === 0 && registrations.length === 0 && announcements.length === 0
+  };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const summarizeDigest = (digest) => {
+  const parts = [];
+  if (digest.events.length > 0) parts.push(`${plural(digest.events.length, 'event')} picked for you`);
+  if (digest.registrations.length > 0) parts.push(plural(digest.registrations.length, 'upcoming registration'));
+  if (digest.announcements.length > 0) parts.push(plural(digest.announcements.length, 'new announcement'));
+
+  if (parts.length === 0) return 'Nothing new this week.';
+  const last = parts.pop();
+  return `This week: ${parts.length > 0 ? `${parts.join(', ')} and ${last}` : last}.`;
+};
+
+module.exports = {
+  buildDigest,
+  summarizeDigest
+};
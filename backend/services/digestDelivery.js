@@ -0,0 +1,130 @@
+const moment = require('moment');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const publishing = require('./publishing');
+const scheduler = require('./scheduler');
+const { nextRun, isValidCron } = require('./cron');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./timezone');
+const { buildDigest, summarizeDigest } = require('./digest');
+
+const JOBS = {
+  sendDigests: 'digest:weekly'
+};
+
+const RUN_ID = 'weekly';
+
+// Mondays at 8 AM unless DIGEST_CRON says otherwise
+const DEFAULT_CRON = '0 8 * * 1';
+// A run missed while the server was down is still sent if it is at most this late
+const CATCH_UP_WINDOW = 12 * 60 * 60 * 1000;
+
+const digestSchedule = () => {
+  const cron = process.env.DIGEST_CRON;
+  const timezone = process.env.DIGEST_TIMEZONE;
+
+  return {
+    cron: cron && isValidCron(cron) ? cron : DEFAULT_CRON,
+    timezone: timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE
+  };
+};
+
+const scheduleNext = (after = new Date()) => {
+  const { cron, timezone } = digestSchedule();
+  const runAt = nextRun(cron, after, timezone);
+
+  if (runAt) {
+    scheduler.schedule(JOBS.sendDigests, RUN_ID, runAt, { slot: runAt });
+  }
+  return runAt;
+};
+
+// The latest run that should have happened in the catch-up window but didn't get the chance
+const missedRun = (now) => {
+  const { cron, timezone } = digestSchedule();
+  let missed = null;
+  let runAt = nextRun(cron, new Date(now.getTime() - CATCH_UP_WINDOW), timezone);
+
+  while (runAt && runAt <= now) {
+    missed = runAt;
+    runAt = nextRun(cron, runAt, timezone);
+  }
+  return missed;
+};
+
+const notSentSince = (slot) => ({
+  $or: [
+    { digestSentAt: null },
+    { digestSentAt: { $lt: slot } }
+  ]
+});
+
+const sendDigest = async (user, slot, now) => {
+  // Recording the digest before sending it means a restart or retry never sends it twice
+  const claimed = await User.updateOne(
+    { _id: user._id, 'preferences.weeklyDigest': true, ...notSentSince(slot) },
+    { $set: { digestSentAt: now } }
+  );
+
+  if (claimed.modifiedCount === 0) return false;
+
+  const digest = await buildDigest(user, now);
+  if (digest.isEmpty) return false;
+
+  const notification = await Notification.createForUsers([user._id], {
+    title: 'Your weekly digest',
+    message: summarizeDigest(digest),
+    type: 'digest',
+    priority: 'low',
+    channels: ['in-app', 'email'],
+    expiresAt: moment(now).add(7, 'days').toDate(),
+    metadata: {
+      actionUrl: '/dashboard',
+      actionText: 'Open your dashboard'
+    }
+  });
+
+  publishing.deliverNotification(notification);
+  return true;
+};
+
+const sendDigests = async (id, { slot } = {}) => {
+  const now = new Date();
+  const runSlot = slot ? new Date(slot) : now;
+
+  const users = User.find({ isActive: true, 'preferences.weeklyDigest': true, ...notSentSince(runSlot) })
+    .select('firstName email role department year interests preferences')
+    .cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    // One user's failure shouldn't hold up everyone else's digest
+    try {
+      if (await sendDigest(user, runSlot, now)) sent += 1;
+    } catch (error) {
+      console.error(`Weekly digest for user ${user._id} failed:`, error.message);
+    }
+  }
+
+  console.log(`Sent ${sent} weekly digests`);
+  scheduleNext(now);
+};
+
+const start = async () => {
+  scheduler.define(JOBS.sendDigests, sendDigests);
+
+  const now = new Date();
+  const missed = missedRun(now);
+
+  if (missed) {
+    scheduler.schedule(JOBS.sendDigests, RUN_ID, now, { slot: missed });
+    console.log(`Weekly digest catching up on the run due ${missed.toISOString()}`);
+    return;
+  }
+
+  const runAt = scheduleNext(now);
+  console.log(`Weekly digest scheduled for ${runAt ? runAt.toISOString() : 'never'}`);
+};
+
+module.exports = {
+  start
+};
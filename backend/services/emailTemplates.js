@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveTimezone, toWallClock } = require('./timezone');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const ACCENTS = {
+  info: '#2563EB',
+  success: '#059669',
+  warning: '#D97706',
+  error: '#DC2626',
+  event: '#7C3AED',
+  registration: '#0891B2',
+  approval: '#4F46E5',
+  reminder: '#EA580C',
+  digest: '#0D9488'
+};
+
+const REGISTRATION_LABELS = {
+  approved: 'Confirmed',
+  pending: 'Awaiting approval',
+  waitlisted: 'Waitlisted',
+  offered: 'Spot offered - confirm soon'
+};
+
+const EXCERPT_LENGTH = 160;
+
+const templates = new Map();
+
+const loadTemplate = (name) => {
+  if (!templates.has(name)) {
+    templates.set(name, fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8'));
+  }
+  return templates.get(name);
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Values must already be safe HTML; plain text goes through escapeHtml first
+const fill = (template, values) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? '');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const absoluteUrl = (url) => (/^https?:\/\//i.test(url) ? url : `${clientUrl()}${url.startsWith('/') ? '' : '/'}${url}`);
+
+const collegeName = () => process.env.COLLEGE_NAME || 'Campus Event Platform';
+
+const formatEventDate = (event) => {
+  const timeZone = resolveTimezone(event);
+  return `${toWallClock(event.schedule.startDate, timeZone).format('ddd, DD MMM YYYY, h:mm A')} (${timeZone})`;
+};
+
+const renderEventDetails = (event, accent) => {
+  if (!event?.schedule) return '';
+
+  const rows = [
+    ['Event', event.title],
+    ['When', formatEventDate(event)],
+    ['Where', event.venue?.name]
+  ].filter(([, value]) => value);
+
+  return `<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;margin:0 0 24px;border-left:3px solid ${accent};background-color:#F9FAFB;">
+${rows.map(([label, value]) => `  <tr><td style="padding:6px 12px;font-size:13px;color:#6B7280;width:70px;">${label}</td><td style="padding:6px 12px;font-size:14px;">${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>`;
+};
+
+const renderAction = (metadata, accent) => {
+  if (!metadata?.actionUrl) return '';
+
+  return `<a href="${escapeHtml(absoluteUrl(metadata.actionUrl))}" style="display:inline-block;padding:12px 24px;background-color:${accent};color:#FFFFFF;text-decoration:none;border-radius:6px;font-weight:bold;font-size:14px;">${escapeHtml(metadata.actionText || 'View details')}</a>`;
+};
+
+const renderText = (notification, user, event) => {
+  const lines = [notification.title, '', `Hi ${user.firstName},`, '', notification.message];
+
+  if (event?.schedule) {
+    lines.push('', `Event: ${event.title}`, `When: ${formatEventDate(event)}`);
+    if (event.venue?.name) lines.push(`Where: ${event.venue.name}`);
+  }
+  if (notification.metadata?.actionUrl) {
+    lines.push('', `${notification.metadata.actionText || 'View details'}: ${absoluteUrl(notification.metadata.actionUrl)}`);
+  }
+  lines.push('', '--', collegeName(), `Manage email preferences: ${clientUrl()}/profile`);
+
+  return lines.join('\n');
+};
+
+const excerpt = (text) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : value;
+};
+
+const digestSections = (digest) => [
+  {
+    heading: 'Picked for you',
+    items: digest.events.map(event => ({
+      title: event.title,
+      url: `/events/${event._id}`,
+      details: [formatEventDate(event), event.venue?.name, event.reasons.join(' · ')]
+    }))
+  },
+  {
+    heading: 'Your upcoming registrations',
+    items: digest.registrations.map(registration => ({
+      title: registration.event.title,
+      url: `/events/${registration.event._id}`,
+      details: [formatEventDate(registration.event), REGISTRATION_LABELS[registration.status]]
+    }))
+  },
+  {
+    heading: 'New announcements',
+    items: digest.announcements.map(announcement => ({
+      title: announcement.title,
+      details: [excerpt(announcement.content)]
+    }))
+  }
+].filter(section => section.items.length > 0);
+
+const renderDigestSections = (digest, accent) => digestSections(digest).map(section => {
+  const items = section.items.map(item => {
+    const title = item.url
+      ? `<a href="${escapeHtml(absoluteUrl(item.url))}" style="color:${accent};text-decoration:none;font-weight:bold;">${escapeHtml(item.title)}</a>`
+      : `<strong>${escapeHtml(item.title)}</strong>`;
+    const details = item.details.filter(Boolean)
+      .map(detail => `<br><span style="font-size:13px;color:#6B7280;">${escapeHtml(detail)}</span>`)
+      .join('');
+    return `  <tr><td style="padding:8px 12px;font-size:14px;border-bottom:1px solid #E5E7EB;">${title}${details}</td></tr>`;
+  });
+
+  return `<h2 style="margin:0 0 8px;font-size:16px;">${escapeHtml(section.heading)}</h2>
+<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;margin:0 0 24px;border-left:3px solid ${accent};background-color:#F9FAFB;">
+${items.join('\n')}
+</table>`;
+}).join('\n');
+
+const renderDigestText = (notification, user, digest) => {
+  const lines = [notification.title, '', `Hi ${user.firstName},`, '', notification.message];
+
+  digestSections(digest).forEach(section => {
+    lines.push('', section.heading.toUpperCase());
+    section.items.forEach(item => {
+      lines.push(`- ${item.title}`);
+      item.details.filter(Boolean).forEach(detail => lines.push(`  ${detail}`));
+      if (item.url) lines.push(`  ${absoluteUrl(item.url)}`);
+    });
+  });
+  lines.push('', '--', collegeName(), `Manage your digest and email preferences: ${clientUrl()}/profile`);
+
+  return lines.join('\n');
+};
+
+// Renders a user's weekly digest, with the notification supplying the title and summary
+const renderDigestEmail = (notification, user, digest) => {
+  const accent = ACCENTS.digest;
+
+  const values = {
+    accent,
+    title: escapeHtml(notification.title),
+    firstName: escapeHtml(user.firstName),
+    message: escapeHtml(notification.message),
+    collegeName: escapeHtml(collegeName()),
+    preferencesUrl: escapeHtml(`${clientUrl()}/profile`),
+    sections: renderDigestSections(digest, accent),
+    action: renderAction(notification.metadata, accent)
+  };
+
+  return {
+    subject: notification.title,
+    html: fill(loadTemplate('layout'), { ...values, content: fill(loadTemplate('digest'), values) }),
+    text: renderDigestText(notification, user, digest)
+  };
+};
+
+// Renders a notification as an email for one recipient using the template for its type
+const renderNotificationEmail = (notification, user, { event } = {}) => {
+  const type = ACCENTS[notification.type] ? notification.type : 'info';
+  const accent = ACCENTS[type];
+
+  const values = {
+    accent,
+    title: escapeHtml(notification.title),
+    firstName: escapeHtml(user.firstName),
+    message: escapeHtml(notification.message).replace(/\r?\n/g, '<br>'),
+    collegeName: escapeHtml(collegeName()),
+    preferencesUrl: escapeHtml(`${clientUrl()}/profile`),
+    eventDetails: renderEventDetails(event, accent),
+    action: renderAction(notification.metadata, accent)
+  };
+
+  return {
+    subject: notification.priority === 'urgent' ? `[Urgent] ${notification.title}` : notification.title,
+    html: fill(loadTemplate('layout'), { ...values, content: fill(loadTemplate(type), values) }),
+    text: renderText(notification, user, event)
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  renderNotificationEmail,
+  renderDigestEmail
+};
@@ -0,0 +1,198 @@
+const EventVersion = require('../models/EventVersion');
+const Registration = require('../models/Registration');
+const Notification = require('../models/Notification');
+const publishing = require('./publishing');
+const { ACTIVE_REGISTRATION_STATUSES } = require('./recurrence');
+const { resolveTimezone, toWallClock } = require('./timezone');
+
+// Everything an organizer can edit, plus status so a published event falling back to draft is on record
+const TRACKED_FIELDS = [
+  'title', 'description', 'shortDescription', 'venue', 'schedule',
+  'registration', 'images', 'attachments', 'tags', 'requirements',
+  'contact', 'social', 'features', 'status'
+];
+
+// The live count moves with every registration, and restoring a status would skip approval
+const UNTRACKED_PATHS = ['registration.currentCount'];
+const UNRESTORED_PATHS = ['status'];
+
+// Registrants are only told about the changes that decide where and when they need to be
+const NOTICE_FIELDS = {
+  'schedule.startDate': 'Starts',
+  'schedule.endDate': 'Ends',
+  'schedule.timezone': 'Time zone',
+  'venue.type': 'Venue type',
+  'venue.name': 'Venue',
+  'venue.address': 'Address',
+  'venue.meetingLink': 'Meeting link'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const flatten = (value, prefix, paths) => {
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    const path = `${prefix}.${key}`;
+    if (isPlainObject(fieldValue)) {
+      flatten(fieldValue, path, paths);
+    } else if (fieldValue !== undefined) {
+      paths[path] = fieldValue;
+    }
+  });
+  return paths;
+};
+
+const unflatten = (paths) => {
+  const value = {};
+
+  Object.entries(paths).forEach(([path, fieldValue]) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, value);
+    parent[keys[keys.length - 1]] = fieldValue;
+  });
+
+  return value;
+};
+
+// The tracked fields of `event` keyed by dotted path, so edits are compared and restored leaf by leaf
+const snapshot = (event) => {
+  const data = event.toObject({ depopulate: true, virtuals: false });
+  const paths = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    if (isPlainObject(data[field])) {
+      flatten(data[field], field, paths);
+    } else if (data[field] !== undefined) {
+      paths[field] = data[field];
+    }
+  });
+  UNTRACKED_PATHS.forEach(path => delete paths[path]);
+
+  return paths;
+};
+
+// Subdocument ids are regenerated whenever an array is sent back whole, so they don't count as a change
+const comparable = (value) => JSON.stringify(value ?? null, (key, fieldValue) => (key === '_id' ? undefined : fieldValue));
+
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter(field => comparable(before[field]) !== comparable(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Saves what changed between two snapshots as the event's next version; nothing is saved for a no-op edit
+const recordVersion = async (eventId, before, after, user, { action = 'update', restoredFrom } = {}) => {
+  const changes = diff(before, after);
+  if (changes.length === 0) return null;
+
+  for (let attempt = 0; ; attempt++) {
+    const latest = await EventVersion.findOne({ event: eventId }).sort({ version: -1 }).select('version');
+
+    try {
+      return await EventVersion.create({
+        event: eventId,
+        version: (latest?.version || 0) + 1,
+        changedBy: user._id,
+        action,
+        restoredFrom,
+        changes
+      });
+    } catch (error) {
+      // Another edit took the same version number first
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+};
+
+// The tracked fields as they were right after `version` was saved, worked back from the current event
+const stateAt = async (event, version) => {
+  const state = snapshot(event);
+  const later = await EventVersion.find({ event: event._id, version: { $gt: version } }).sort({ version: -1 });
+
+  later.forEach(entry => entry.changes.forEach(change => {
+    if (change.from === undefined) {
+      delete state[change.field];
+    } else {
+      state[change.field] = change.from;
+    }
+  }));
+
+  return state;
+};
+
+// The update that brings `event` back to `target`, leaving status and the live count alone
+const restoreUpdate = (event, target) => {
+  const update = { $set: {}, $unset: {} };
+
+  diff(snapshot(event), target)
+    .filter(change => !UNRESTORED_PATHS.includes(change.field))
+    .forEach(change => {
+      if (change.to === undefined) {
+        update.$unset[change.field] = '';
+      } else {
+        update.$set[change.field] = change.to;
+      }
+    });
+
+  return update;
+};
+
+const describeValue = (field, value, timeZone) => {
+  if (value === undefined || value === null || value === '') return 'none';
+  if (field === 'schedule.startDate' || field === 'schedule.endDate') {
+    return `${toWallClock(value, timeZone).format('ddd, DD MMM YYYY, h:mm A')} (${timeZone})`;
+  }
+  return String(value);
+};
+
+// Sends registrants a "What changed" notice when `version` moved the schedule or venue
+const notifyRegistrants = async (event, version, user) => {
+  const changes = version.changes.filter(change => NOTICE_FIELDS[change.field]);
+  if (changes.length === 0) return 0;
+
+  const registrations = await Registration.find({
+    event: event._id,
+    status: { $in: ACTIVE_REGISTRATION_STATUSES }
+  }).select('user');
+
+  if (registrations.length === 0) return 0;
+
+  const timeZone = resolveTimezone(event);
+  const lines = changes.map(change =>
+    `${NOTICE_FIELDS[change.field]}: ${describeValue(change.field, change.from, timeZone)} → ${describeValue(change.field, change.to, timeZone)}`
+  );
+
+  const notification = await Notification.createForUsers(registrations.map(registration => registration.user), {
+    title: `What changed: ${event.title}`.slice(0, 200),
+    message: `"${event.title}" has been updated. ${lines.join('. ')}.`.slice(0, 1000),
+    type: 'event',
+    priority: 'high',
+    channels: ['in-app', 'email'],
+    sender: user._id,
+    relatedEvent: event._id,
+    metadata: {
+      actionUrl: `/events/${event._id}`,
+      actionText: 'View event'
+    }
+  });
+  publishing.deliverNotification(notification);
+
+  version.notifiedRegistrants = registrations.length;
+  await version.save();
+
+  return registrations.length;
+};
+
+module.exports = {
+  snapshot,
+  unflatten,
+  diff,
+  recordVersion,
+  stateAt,
+  restoreUpdate,
+  notifyRegistrants
+};
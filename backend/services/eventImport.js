@@ -0,0 +1,302 @@
+const moment = require('moment');
+const Event = require('../models/Event');
+const Category = require('../models/Category');
+const { WEEKDAYS, parseCalendar, getProperty, getText, parseDateValue, parseDuration } = require('./ical');
+const { MAX_OCCURRENCES, expandDates, startSeries, createOccurrences } = require('./recurrence');
+const { buildApproval } = require('./approvals');
+const { toWallClock } = require('./timezone');
+
+const DEFAULT_DURATION = 60 * 60 * 1000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const PLACEHOLDER_VENUE = 'To be announced';
+const RULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'WKST'];
+
+// Recurrence end dates are stored as the calendar date (UTC midnight) in the event's time zone
+const calendarDate = (date, timeZone) => toWallClock(date, timeZone).startOf('day').toDate();
+
+const parseRule = (value, start) => {
+  const parts = {};
+  value.split(';').filter(Boolean).forEach(part => {
+    const [key, partValue = ''] = part.split('=');
+    parts[key.toUpperCase()] = partValue.toUpperCase();
+  });
+
+  const errors = [];
+  const unsupported = Object.keys(parts).filter(key => !SUPPORTED_RULE_PARTS.includes(key));
+  if (unsupported.length > 0) {
+    errors.push(`Repeat rule uses ${unsupported.join(', ')}, which cannot be imported`);
+  }
+
+  if (!RULE_FREQUENCIES.includes(parts.FREQ)) {
+    errors.push(`Repeat frequency "${parts.FREQ || ''}" is not supported; use daily, weekly, monthly or yearly`);
+    return { errors };
+  }
+
+  const recurrence = {
+    frequency: parts.FREQ.toLowerCase(),
+    interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1
+  };
+
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1 || recurrence.interval > 52) {
+    errors.push('Repeat interval must be between 1 and 52');
+  }
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',');
+    if (recurrence.frequency !== 'weekly' || days.some(day => !WEEKDAYS.includes(day))) {
+      errors.push('Repeat rules can only pick weekdays for weekly events');
+    } else {
+      recurrence.days = days.map(day => WEEKDAYS.indexOf(day));
+    }
+  }
+
+  if (parts.UNTIL) {
+    const until = parseDateValue(parts.UNTIL, {}, start.timeZone);
+    if (!until) {
+      errors.push('Repeat end date (UNTIL) is invalid');
+    } else {
+      recurrence.endDate = until.allDay ? until.wall.toDate() : calendarDate(until.date, start.timeZone);
+    }
+  } else if (parts.COUNT) {
+    const count = parseInt(parts.COUNT, 10);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      errors.push(`Repeat count must be between 1 and ${MAX_OCCURRENCES}`);
+    } else if (errors.length === 0) {
+      const dates = expandDates(start.date, {
+        ...recurrence,
+        endDate: moment.utc(start.date).add(100, 'years').toDate()
+      }, start.timeZone);
+      if (dates.length === 0) {
+        errors.push('Repeat rule does not produce any dates');
+      } else {
+        recurrence.endDate = calendarDate(dates[Math.min(count, dates.length) - 1], start.timeZone);
+      }
+    }
+  } else {
+    errors.push('Repeating events need an end date (UNTIL or COUNT)');
+  }
+
+  if (errors.length === 0 && recurrence.endDate < calendarDate(start.date, start.timeZone)) {
+    errors.push('Repeat end date is before the first date');
+  }
+
+  return { recurrence, errors };
+};
+
+const parseVenue = (properties, warnings) => {
+  const location = getText(properties, 'LOCATION');
+  const venue = {};
+
+  if (/^https?:\/\//i.test(location)) {
+    venue.name = 'Online';
+    venue.type = 'virtual';
+    venue.meetingLink = location;
+  } else if (location) {
+    const [name, ...address] = location.split(',').map(part => part.trim());
+    venue.name = name;
+    if (address.length > 0) venue.address = address.join(', ');
+  } else {
+    venue.name = PLACEHOLDER_VENUE;
+    warnings.push(`No LOCATION given; venue set to "${PLACEHOLDER_VENUE}"`);
+  }
+
+  const geo = getText(properties, 'GEO').split(';').map(Number);
+  if (geo.length === 2 && geo.every(Number.isFinite)) {
+    venue.coordinates = { latitude: geo[0], longitude: geo[1] };
+  }
+
+  return venue;
+};
+
+const mapEntry = (properties, index, context) => {
+  const errors = [];
+  const warnings = [];
+  const uid = getText(properties, 'UID') || null;
+  const title = getText(properties, 'SUMMARY');
+
+  if (!title) {
+    errors.push('SUMMARY (title) is missing');
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    errors.push(`Title is longer than ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (getProperty(properties, 'RECURRENCE-ID')) {
+    errors.push('Changes to a single date of a repeating event are not imported');
+  }
+  if (getText(properties, 'STATUS').toUpperCase() === 'CANCELLED') {
+    errors.push('Event is cancelled in the source calendar');
+  }
+  if (uid && context.importedUids.has(uid)) {
+    errors.push('This event has already been imported');
+  }
+  if (uid && context.seenUids.has(uid) && !getProperty(properties, 'RECURRENCE-ID')) {
+    errors.push('Another entry in this file has the same UID');
+  }
+  if (uid) context.seenUids.add(uid);
+
+  const startProperty = getProperty(properties, 'DTSTART');
+  const start = startProperty && parseDateValue(startProperty.value, startProperty.params, context.timeZone);
+  let endDate = null;
+
+  if (!start) {
+    errors.push('DTSTART is missing or invalid');
+  } else {
+    if (start.unknownTimezone) {
+      warnings.push(`Time zone "${startProperty.params.TZID}" is not recognised; times were read as ${start.timeZone}`);
+    }
+
+    const endProperty = getProperty(properties, 'DTEND');
+    const durationProperty = getProperty(properties, 'DURATION');
+
+    if (endProperty) {
+      const end = parseDateValue(endProperty.value, endProperty.params, start.timeZone);
+      if (end) {
+        endDate = end.date;
+      } else {
+        errors.push('DTEND is invalid');
+      }
+    } else if (durationProperty) {
+      const duration = parseDuration(durationProperty.value);
+      if (duration === null) {
+        errors.push('DURATION is invalid');
+      } else {
+        endDate = new Date(start.date.getTime() + duration);
+      }
+    } else if (start.allDay) {
+      endDate = moment(start.date).add(1, 'day').toDate();
+    } else {
+      endDate = new Date(start.date.getTime() + DEFAULT_DURATION);
+      warnings.push('No end time given; the event was set to one hour');
+    }
+
+    if (endDate && endDate <= start.date) {
+      errors.push('End time must be after the start time');
+    }
+    if (start.date < context.now) {
+      warnings.push('Event starts in the past');
+    }
+  }
+
+  let description = getText(properties, 'DESCRIPTION');
+  if (!description) {
+    description = title;
+    warnings.push('No DESCRIPTION given; the title was used');
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    description = description.slice(0, MAX_DESCRIPTION_LENGTH);
+    warnings.push(`Description was shortened to ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const sourceCategories = getText(properties, 'CATEGORIES').split(',').map(name => name.trim()).filter(Boolean);
+  const matchedCategory = sourceCategories
+    .map(name => context.categoriesByName.get(name.toLowerCase()))
+    .find(Boolean);
+
+  const event = {
+    title,
+    description,
+    category: matchedCategory || context.category,
+    department: context.department || undefined,
+    venue: parseVenue(properties, warnings),
+    schedule: start ? {
+      startDate: start.date,
+      endDate,
+      timezone: start.timeZone
+    } : undefined,
+    tags: sourceCategories.filter(name => !context.categoriesByName.has(name.toLowerCase()))
+  };
+
+  let occurrences = start ? 1 : 0;
+  const ruleProperty = getProperty(properties, 'RRULE');
+  if (ruleProperty && start) {
+    const rule = parseRule(ruleProperty.value, start);
+    errors.push(...rule.errors);
+
+    if (rule.errors.length === 0) {
+      event.isRecurring = true;
+      event.recurrence = rule.recurrence;
+      occurrences = expandDates(start.date, rule.recurrence, start.timeZone).length;
+      if (occurrences >= MAX_OCCURRENCES) {
+        warnings.push(`Only the first ${MAX_OCCURRENCES} dates of this series will be created`);
+      }
+    }
+  }
+
+  return {
+    index,
+    uid,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    occurrences,
+    event
+  };
+};
+
+// Parses an .ics file and maps each VEVENT onto an Event, reporting per-entry problems.
+// Nothing is written to the database.
+const previewImport = async (text, { category, department, timeZone }) => {
+  const components = parseCalendar(text);
+  const uids = components
+    .map(properties => getText(properties, 'UID'))
+    .filter(Boolean);
+
+  const [categories, imported] = await Promise.all([
+    Category.find({ isActive: true }).select('name'),
+    uids.length > 0 ? Event.find({ 'imported.uid': { $in: uids } }).distinct('imported.uid') : []
+  ]);
+
+  const context = {
+    category,
+    department,
+    timeZone,
+    now: new Date(),
+    importedUids: new Set(imported),
+    seenUids: new Set(),
+    categoriesByName: new Map(categories.map(item => [item.name.toLowerCase(), item._id.toString()]))
+  };
+
+  const entries = components.map((properties, index) => mapEntry(properties, index, context));
+
+  return {
+    entries,
+    summary: {
+      total: entries.length,
+      valid: entries.filter(entry => entry.valid).length,
+      invalid: entries.filter(entry => !entry.valid).length,
+      occurrences: entries.filter(entry => entry.valid).reduce((sum, entry) => sum + entry.occurrences, 0)
+    }
+  };
+};
+
+// Creates every valid entry as a draft awaiting approval, expanding repeating entries into series
+const createImportedEvents = async (entries, { user, fileName }) => {
+  const created = [];
+
+  for (const entry of entries.filter(item => item.valid)) {
+    const event = startSeries(new Event({
+      ...entry.event,
+      organizer: user._id,
+      status: 'draft',
+      imported: {
+        uid: entry.uid || undefined,
+        fileName,
+        importedBy: user._id,
+        importedAt: new Date()
+      }
+    }));
+    event.approval = await buildApproval(event);
+    await event.save();
+
+    const occurrences = event.series?.id ? await createOccurrences(event) : [];
+    created.push({ event, occurrences: occurrences.length + 1 });
+  }
+
+  return created;
+};
+
+module.exports = {
+  previewImport,
+  createImportedEvents
+};
@@ -0,0 +1,51 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const hasCoordinates = (point) => {
+  return Boolean(point) &&
+    Number.isFinite(Number(point.latitude)) &&
+    Number.isFinite(Number(point.longitude));
+};
+
+// Haversine great-circle distance, accurate to well under a metre at campus scale
+const distanceInMeters = (from, to) => {
+  const lat1 = toRadians(Number(from.latitude));
+  const lat2 = toRadians(Number(to.latitude));
+  const deltaLat = lat2 - lat1;
+  const deltaLon = toRadians(Number(to.longitude) - Number(from.longitude));
+
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const isGeofenced = (event) => {
+  return Boolean(event.venue?.geofence?.enabled) &&
+    event.venue.type !== 'virtual' &&
+    hasCoordinates(event.venue.coordinates);
+};
+
+const evaluateGeofence = (event, location) => {
+  if (!isGeofenced(event)) return null;
+
+  const { radius, enforcement } = event.venue.geofence;
+  const distance = Math.round(distanceInMeters(event.venue.coordinates, location));
+  const inside = distance <= radius;
+
+  return {
+    distance,
+    radius,
+    inside,
+    rejected: !inside && enforcement === 'reject',
+    flagged: !inside && enforcement === 'flag'
+  };
+};
+
+module.exports = {
+  hasCoordinates,
+  distanceInMeters,
+  isGeofenced,
+  evaluateGeofence
+};
@@ -0,0 +1,423 @@
+const moment = require('moment');
+const { expandDates, seriesUntil } = require('./recurrence');
+const { resolveTimezone, isValidTimezone, toWallClock, offsetMinutes, fromWallClock } = require('./timezone');
+
+const PRODUCT_ID = '-//Campus Event Platform//Events//EN';
+const UID_DOMAIN = 'campus-events';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+const timezoneDefinitions = new Map();
+
+const formatLocal = (date, timeZone) => toWallClock(date, timeZone).format('YYYYMMDD[T]HHmmss');
+
+const formatUtc = (date) => moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Narrows a day in which the UTC offset changes down to the minute it changes
+const findTransition = (from, to, timeZone) => {
+  let low = from;
+  let high = to;
+  const before = offsetMinutes(new Date(low), timeZone);
+
+  while (high - low > 60000) {
+    const middle = low + Math.floor((high - low) / 120000) * 60000;
+    if (offsetMinutes(new Date(middle), timeZone) === before) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return high;
+};
+
+const transitionRule = (localStart) => {
+  const day = localStart.date();
+  const week = day > localStart.daysInMonth() - 7 ? -1 : Math.ceil(day / 7);
+  return `FREQ=YEARLY;BYMONTH=${localStart.month() + 1};BYDAY=${week}${WEEKDAYS[localStart.day()]}`;
+};
+
+// Builds a VTIMEZONE from the offsets the zone actually uses in `year`;
+// daylight-saving zones get yearly rules derived from that year's transitions
+const buildTimezone = (timeZone, year) => {
+  const key = `${timeZone}:${year}`;
+  if (timezoneDefinitions.has(key)) return timezoneDefinitions.get(key);
+
+  const day = 24 * 60 * 60 * 1000;
+  const yearStart = Date.UTC(year, 0, 1);
+  const yearEnd = Date.UTC(year + 1, 0, 1);
+  const transitions = [];
+
+  let previous = offsetMinutes(new Date(yearStart), timeZone);
+  for (let time = yearStart + day; time <= yearEnd; time += day) {
+    const current = offsetMinutes(new Date(time), timeZone);
+    if (current !== previous) {
+      transitions.push({ at: findTransition(time - day, time, timeZone), from: previous, to: current });
+      previous = current;
+    }
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(previous);
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  } else {
+    transitions.forEach(transition => {
+      const component = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+      const localStart = moment.utc(transition.at + transition.from * 60000);
+      lines.push(
+        `BEGIN:${component}`,
+        `DTSTART:${localStart.format('YYYYMMDD[T]HHmmss')}`,
+        `RRULE:${transitionRule(localStart)}`,
+        `TZOFFSETFROM:${formatOffset(transition.from)}`,
+        `TZOFFSETTO:${formatOffset(transition.to)}`,
+        `END:${component}`
+      );
+    });
+  }
+
+  lines.push('END:VTIMEZONE');
+  timezoneDefinitions.set(key, lines);
+  return lines;
+};
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are limited to 75 octets; continuation lines start with a single space
+const foldLine = (line) => {
+  const folded = [];
+  let current = '';
+  let size = 0;
+
+  for (const character of line) {
+    const characterSize = Buffer.byteLength(character);
+    const limit = folded.length === 0 ? 75 : 74;
+    if (size + characterSize > limit) {
+      folded.push(current);
+      current = '';
+      size = 0;
+    }
+    current += character;
+    size += characterSize;
+  }
+  folded.push(current);
+
+  return folded.join('\r\n ');
+};
+
+const eventUrl = (event) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/events/${event._id}`;
+
+const describeLocation = (venue = {}) => {
+  if (venue.type === 'virtual') {
+    return venue.meetingLink || venue.name;
+  }
+  return [venue.name, venue.address].filter(Boolean).join(', ');
+};
+
+const describeEvent = (event) => {
+  const parts = [event.shortDescription || event.description];
+  if (event.venue?.meetingLink && event.venue.type !== 'physical') {
+    parts.push(`Join online: ${event.venue.meetingLink}`);
+  }
+  if (event.status === 'cancelled' && event.cancellation?.reason) {
+    parts.push(`Cancelled: ${event.cancellation.reason}`);
+  }
+  parts.push(`Details: ${eventUrl(event)}`);
+  return parts.filter(Boolean).join('\n\n');
+};
+
+const buildRule = (recurrence, startDates, timeZone) => {
+  const rule = [`FREQ=${FREQUENCIES[recurrence.frequency]}`];
+
+  if (recurrence.interval > 1) {
+    rule.push(`INTERVAL=${recurrence.interval}`);
+  }
+
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = new Set(startDates.map(date => toWallClock(date, timeZone).day()));
+    rule.push(`BYDAY=${WEEKDAYS.filter((day, index) => weekdays.has(index)).join(',')}`);
+  }
+
+  rule.push(`UNTIL=${formatUtc(seriesUntil(recurrence, timeZone))}`);
+  return rule.join(';');
+};
+
+const buildEvent = (event, { uid, rule, exceptions = [] } = {}) => {
+  const timeZone = resolveTimezone(event);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid || `${event._id}@${UID_DOMAIN}`}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART;TZID=${timeZone}:${formatLocal(event.schedule.startDate, timeZone)}`,
+    `DTEND;TZID=${timeZone}:${formatLocal(event.schedule.endDate, timeZone)}`
+  ];
+
+  if (rule) {
+    lines.push(`RRULE:${rule}`);
+  }
+  if (exceptions.length > 0) {
+    lines.push(`EXDATE;TZID=${timeZone}:${exceptions.map(date => formatLocal(date, timeZone)).join(',')}`);
+  }
+
+  lines.push(
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(describeEvent(event))}`,
+    `LOCATION:${escapeText(describeLocation(event.venue))}`,
+    `URL:${eventUrl(event)}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  );
+
+  if (event.venue?.coordinates?.latitude !== undefined && event.venue?.coordinates?.longitude !== undefined) {
+    lines.push(`GEO:${event.venue.coordinates.latitude};${event.venue.coordinates.longitude}`);
+  }
+  if (event.category?.name) {
+    lines.push(`CATEGORIES:${escapeText(event.category.name)}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Turns the loaded occurrences of one series into a single RRULE event. Dates the rule produces
+// but that are cancelled, missing or edited individually become EXDATEs, and the edited
+// occurrences are listed as standalone events.
+const buildSeries = (occurrences) => {
+  const [first] = occurrences;
+  const timeZone = resolveTimezone(first);
+
+  if (!first.series?.id) {
+    return buildEvent(first, { rule: buildRule(first.recurrence, [first.schedule.startDate], timeZone) });
+  }
+
+  const generated = expandDates(first.schedule.startDate, first.recurrence, timeZone);
+  const matches = new Map(
+    occurrences
+      .filter(occurrence => occurrence.status !== 'cancelled' && !occurrence.series?.isException)
+      .map(occurrence => [occurrence.schedule.startDate.getTime(), occurrence])
+  );
+
+  const exceptions = generated.filter(date => !matches.has(date.getTime()));
+  const matched = new Set(generated.filter(date => matches.has(date.getTime())).map(date => date.getTime()));
+  const standalone = occurrences.filter(occurrence =>
+    occurrence.status !== 'cancelled' && !matched.has(occurrence.schedule.startDate.getTime())
+  );
+
+  return [
+    ...buildEvent(first, {
+      uid: `series-${first.series?.id || first._id}@${UID_DOMAIN}`,
+      rule: buildRule(first.recurrence, [...matches.values()].map(occurrence => occurrence.schedule.startDate), timeZone),
+      exceptions
+    }),
+    ...standalone.flatMap(occurrence => buildEvent(occurrence))
+  ];
+};
+
+const isSeriesRule = (event) => Boolean(event.isRecurring && event.recurrence?.frequency && event.recurrence?.endDate);
+
+// Events from one recurring series are collapsed into an RRULE unless `expandSeries` is set,
+// which keeps every occurrence separate (used for feeds of individually registered dates)
+const buildCalendar = ({ name, description, events, expandSeries = false }) => {
+  const groups = new Map();
+
+  events.forEach(event => {
+    const key = !expandSeries && isSeriesRule(event)
+      ? `series:${event.series?.id || event._id}`
+      : `event:${event._id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  });
+
+  const components = [];
+  const timezones = new Map();
+
+  groups.forEach((group, key) => {
+    group.sort((a, b) => a.schedule.startDate - b.schedule.startDate);
+    const first = group[0];
+    const timeZone = resolveTimezone(first);
+    const year = toWallClock(first.schedule.startDate, timeZone).year();
+
+    if (!timezones.has(timeZone) || timezones.get(timeZone) > year) {
+      timezones.set(timeZone, year);
+    }
+
+    components.push(...(key.startsWith('series:') ? buildSeries(group) : buildEvent(first)));
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+
+  timezones.forEach((year, timeZone) => lines.push(...buildTimezone(timeZone, year)));
+  lines.push(...components, 'END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const calendarFileName = (title) => {
+  const slug = String(title || 'event')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'event'}.ics`;
+};
+
+const sendCalendar = (res, calendar, fileName, disposition = 'attachment') => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${fileName}"`
+  });
+  res.send(calendar);
+};
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, character) => (
+  character === 'n' || character === 'N' ? '\n' : character
+));
+
+// Splits "NAME;PARAM=a;PARAM2="b:c":value" at the first colon outside quotes
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let index = 0; index < line.length; index += 1) {
+    if (line[index] === '"') inQuotes = !inQuotes;
+    if (line[index] === ':' && !inQuotes) {
+      separator = index;
+      break;
+    }
+  }
+
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separator + 1)
+  };
+};
+
+// Returns the VEVENTs of a calendar as maps of property name to a list of { params, value }
+const parseCalendar = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const components = [];
+  const stack = [];
+
+  lines.forEach(rawLine => {
+    const property = parseContentLine(rawLine.trim());
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.toUpperCase(), properties: {} });
+    } else if (property.name === 'END') {
+      const component = stack.pop();
+      if (component && component.type === 'VEVENT') {
+        components.push(component.properties);
+      }
+    } else if (stack.length > 0) {
+      const { properties } = stack[stack.length - 1];
+      if (!properties[property.name]) properties[property.name] = [];
+      properties[property.name].push({ params: property.params, value: property.value });
+    }
+  });
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('File is not an iCalendar (.ics) document');
+  }
+
+  return components;
+};
+
+const getProperty = (properties, name) => (properties[name] ? properties[name][0] : null);
+
+const getText = (properties, name) => {
+  const property = getProperty(properties, name);
+  return property ? unescapeText(property.value).trim() : '';
+};
+
+// Resolves DTSTART/DTEND/UNTIL-style values. UTC values end in Z; others are wall-clock times
+// in their TZID, or in `fallbackTimezone` when the TZID is missing or not a recognised zone.
+const parseDateValue = (value, params = {}, fallbackTimezone = 'UTC') => {
+  const tzid = params.TZID;
+  const timeZone = tzid && isValidTimezone(tzid) ? tzid : fallbackTimezone;
+  const text = String(value).trim();
+
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(text)) {
+    const wall = moment.utc(text, 'YYYYMMDD', true);
+    return wall.isValid() ? { date: fromWallClock(wall, timeZone), wall, allDay: true, timeZone } : null;
+  }
+
+  if (/^\d{8}T\d{6}Z$/.test(text)) {
+    const date = moment.utc(text, 'YYYYMMDD[T]HHmmss[Z]', true);
+    return date.isValid() ? { date: date.toDate(), wall: toWallClock(date.toDate(), timeZone), allDay: false, timeZone } : null;
+  }
+
+  if (/^\d{8}T\d{6}$/.test(text)) {
+    const wall = moment.utc(text, 'YYYYMMDD[T]HHmmss', true);
+    return wall.isValid() ? { date: fromWallClock(wall, timeZone), wall, allDay: false, timeZone, unknownTimezone: Boolean(tzid) && timeZone !== tzid } : null;
+  }
+
+  return null;
+};
+
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const milliseconds = ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400 +
+    Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+
+  return sign === '-' ? -milliseconds : milliseconds;
+};
+
+module.exports = {
+  WEEKDAYS,
+  buildCalendar,
+  calendarFileName,
+  sendCalendar,
+  parseCalendar,
+  getProperty,
+  getText,
+  parseDateValue,
+  parseDuration
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'logs', 'mail');
+const DEFAULT_FROM = 'Campus Events <no-reply@campus-events.local>';
+
+let transport = null;
+
+// SMTP when a host is configured; otherwise messages are logged so development needs no mail server
+const transportType = () => process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+const createTransport = (type) => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}"; use ${TRANSPORTS.join(', ')}`);
+  }
+};
+
+const getTransport = () => {
+  const type = transportType();
+  if (!transport || transport.type !== type) {
+    transport = { type, transporter: createTransport(type) };
+  }
+  return transport;
+};
+
+// The file transport writes each message as an .eml file that mail clients can open
+const saveMessage = (info) => {
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+  const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_');
+  const filePath = path.join(MAIL_DIR, `${Date.now()}-${id}.eml`);
+  fs.writeFileSync(filePath, info.message);
+  return filePath;
+};
+
+const sendMail = async (message) => {
+  const { type, transporter } = getTransport();
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+
+  if (type === 'file') {
+    info.filePath = saveMessage(info);
+  } else if (type === 'console') {
+    const recipients = [].concat(message.to || [], message.bcc || []).join(', ');
+    const attachments = (message.attachments || []).map(attachment => attachment.filename).join(', ');
+    console.log(`Mail to ${recipients}: "${message.subject}"${attachments ? ` [${attachments}]` : ''}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  TRANSPORTS,
+  sendMail
+};
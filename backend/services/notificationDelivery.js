@@ -0,0 +1,218 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const scheduler = require('./scheduler');
+const { sendMail } = require('./mailer');
+const { renderNotificationEmail, renderDigestEmail } = require('./emailTemplates');
+const { buildDigest } = require('./digest');
+
+const JOBS = {
+  processDeliveries: 'notification:deliver'
+};
+
+// Wait before each retry; a delivery fails for good once these run out
+const RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+// How long a claimed delivery is held before another run may pick it up again
+const CLAIM_TIMEOUT = 10 * 60 * 1000;
+
+const channels = new Map();
+
+// A channel is { skip(user, notification), prepare(notification), deliver(notification, user, context) }.
+// `skip` returns a reason when the recipient shouldn't get this channel, `prepare` loads anything
+// shared by all recipients once, and `deliver` throws when the message could not be sent.
+const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+registerChannel('email', {
+  skip: (user) => {
+    if (!user.email) return 'Recipient has no email address';
+    if (user.preferences?.emailNotifications === false) return 'Recipient turned off email notifications';
+    return null;
+  },
+  prepare: async (notification) => ({
+    event: notification.relatedEvent
+      ? await Event.findById(notification.relatedEvent).select('title schedule venue')
+      : null
+  }),
+  deliver: async (notification, user, context) => {
+    // Digests are personal, so each recipient's content is compiled when their email goes out
+    const email = notification.type === 'digest'
+      ? renderDigestEmail(notification, user, await buildDigest(user))
+      : renderNotificationEmail(notification, user, context);
+
+    await sendMail({
+      to: user.email,
+      ...email
+    });
+  }
+});
+
+const externalChannels = (notification) => (notification.channels || []).filter(channel => channel !== 'in-app');
+
+// Notifications without any channels predate channel selection and are in-app only
+const includesInApp = (notification) => {
+  return !notification.channels || notification.channels.length === 0 || notification.channels.includes('in-app');
+};
+
+const updateDelivery = (notificationId, recipient, delivery, changes, conditions = {}, extra = {}) => {
+  const $set = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    $set[`recipients.$[r].deliveries.$[d].${key}`] = value;
+  });
+
+  return Notification.updateOne(
+    { _id: notificationId },
+    { $set, ...extra },
+    { arrayFilters: [{ 'r._id': recipient._id }, { 'd._id': delivery._id, ...conditions }] }
+  );
+};
+
+const attemptDelivery = async (notification, recipient, delivery, user, contexts) => {
+  const channel = channels.get(delivery.channel);
+  let reason = null;
+
+  if (!channel) {
+    reason = `No ${delivery.channel} channel is configured`;
+  } else if (!user || !user.isActive) {
+    reason = 'Recipient account is inactive';
+  } else if (channel.skip) {
+    reason = channel.skip(user, notification);
+  }
+
+  if (reason) {
+    return { status: 'skipped', error: reason };
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  try {
+    await channel.deliver(notification, user, contexts.get(delivery.channel));
+    return { status: 'delivered', attempts, deliveredAt: new Date(), error: null };
+  } catch (error) {
+    if (attempts >= MAX_ATTEMPTS) {
+      return { status: 'failed', attempts, error: error.message };
+    }
+    return {
+      status: 'pending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + RETRY_DELAYS[attempts - 1]),
+      error: error.message
+    };
+  }
+};
+
+const scheduleRetry = (notification) => {
+  const pending = notification.recipients
+    .flatMap(recipient => recipient.deliveries)
+    .filter(delivery => delivery.status === 'pending');
+
+  if (pending.length === 0) return false;
+
+  const runAt = Math.min(...pending.map(delivery => new Date(delivery.nextAttemptAt || Date.now()).getTime()));
+  scheduler.schedule(JOBS.processDeliveries, notification._id.toString(), runAt);
+  return true;
+};
+
+// Attempts every due delivery of a notification, then schedules the next retry if any are left
+const processDeliveries = async (notificationId) => {
+  const notification = await Notification.findById(notificationId);
+  if (!notification) return;
+
+  const now = new Date();
+  const due = [];
+  notification.recipients.forEach(recipient => {
+    recipient.deliveries.forEach(delivery => {
+      if (delivery.status === 'pending' && (!delivery.nextAttemptAt || delivery.nextAttemptAt <= now)) {
+        due.push({ recipient, delivery });
+      }
+    });
+  });
+
+  if (due.length > 0) {
+    const users = await User.find({ _id: { $in: [...new Set(due.map(({ recipient }) => recipient.user.toString()))] } })
+      .select('firstName lastName email role department year interests isActive preferences');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const contexts = new Map();
+    for (const name of new Set(due.map(({ delivery }) => delivery.channel))) {
+      const channel = channels.get(name);
+      contexts.set(name, channel?.prepare ? await channel.prepare(notification) : {});
+    }
+
+    for (const { recipient, delivery } of due) {
+      // Claiming first keeps overlapping runs (or a second server) from sending the same message twice
+      const claim = await updateDelivery(
+        notification._id, recipient, delivery,
+        { nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT) },
+        { 'd.status': 'pending', 'd.attempts': delivery.attempts }
+      );
+      if (claim.modifiedCount === 0) {
+        delivery.status = 'claimed';
+        continue;
+      }
+
+      const result = await attemptDelivery(notification, recipient, delivery, usersById.get(recipient.user.toString()), contexts);
+      await updateDelivery(
+        notification._id, recipient, delivery, result, {},
+        result.status === 'delivered' ? { $inc: { 'analytics.delivered': 1 } } : {}
+      );
+      Object.assign(delivery, result);
+    }
+  }
+
+  if (scheduleRetry(notification)) return;
+
+  // A notification that only went out on external channels has failed if none of them got through
+  const deliveries = notification.recipients.flatMap(recipient => recipient.deliveries);
+  if (!includesInApp(notification) && deliveries.some(delivery => delivery.status === 'failed') &&
+      !deliveries.some(delivery => ['delivered', 'claimed'].includes(delivery.status))) {
+    await Notification.updateOne({ _id: notification._id, status: 'sent' }, { $set: { status: 'failed' } });
+  }
+};
+
+// Called once a notification is sent: counts in-app delivery and queues one delivery
+// per recipient for each external channel
+const dispatch = async (notification) => {
+  const names = externalChannels(notification);
+  const inAppDelivered = includesInApp(notification) ? notification.recipients.length : 0;
+
+  if (names.length === 0) {
+    if (inAppDelivered > 0) {
+      await Notification.updateOne({ _id: notification._id }, { $inc: { 'analytics.delivered': inAppDelivered } });
+    }
+    return;
+  }
+
+  const queued = await Notification.updateOne(
+    { _id: notification._id, 'recipients.deliveries.0': { $exists: false } },
+    {
+      $set: { 'recipients.$[].deliveries': names.map(channel => ({ channel, status: 'pending', attempts: 0 })) },
+      $inc: { 'analytics.delivered': inAppDelivered }
+    }
+  );
+
+  if (queued.modifiedCount > 0) {
+    await processDeliveries(notification._id);
+  }
+};
+
+const recover = async () => {
+  const notifications = await Notification.find({ 'recipients.deliveries.status': 'pending' }).select('recipients');
+  notifications.forEach(scheduleRetry);
+  return notifications.length;
+};
+
+const start = async () => {
+  scheduler.define(JOBS.processDeliveries, processDeliveries);
+
+  const recovered = await recover();
+  console.log(`Notification delivery recovered ${recovered} notifications with pending deliveries`);
+};
+
+module.exports = {
+  start,
+  registerChannel,
+  dispatch
+};
@@ -0,0 +1,186 @@
+const Announcement = require('../models/Announcement');
+const Notification = require('../models/Notification');
+const scheduler = require('./scheduler');
+const notificationDelivery = require('./notificationDelivery');
+const realtime = require('./realtime');
+
+const JOBS = {
+  publishAnnouncement: 'announcement:publish',
+  expireAnnouncement: 'announcement:expire',
+  sendNotification: 'notification:send',
+  expireNotification: 'notification:expire'
+};
+
+let io = null;
+
+const emitAnnouncement = (announcement, name = 'new-announcement', payload = { announcement }) => {
+  realtime.emitToAudience(io, announcement.targetAudience, name, payload).catch((error) => {
+    console.error(`Failed to emit ${name} for announcement ${announcement._id}:`, error.message);
+  });
+};
+
+// Each recipient only hears about their own notification, without the rest of the recipient list
+const emitNotification = (notification) => {
+  const { recipients, ...data } = notification.toObject();
+  realtime.emitToUsers(io, recipients.map(r => r.user), 'new-notification', {
+    notification: { ...data, read: false }
+  });
+};
+
+const scheduleAnnouncement = (announcement) => {
+  const id = announcement._id.toString();
+
+  scheduler.cancel(JOBS.publishAnnouncement, id);
+  scheduler.cancel(JOBS.expireAnnouncement, id);
+
+  if (announcement.status === 'scheduled') {
+    scheduler.schedule(JOBS.publishAnnouncement, id, announcement.schedule.publishAt);
+  } else if (announcement.status === 'published' && announcement.schedule.expiresAt) {
+    scheduler.schedule(JOBS.expireAnnouncement, id, announcement.schedule.expiresAt);
+  }
+};
+
+const cancelAnnouncement = (announcementId) => {
+  scheduler.cancel(JOBS.publishAnnouncement, announcementId.toString());
+  scheduler.cancel(JOBS.expireAnnouncement, announcementId.toString());
+};
+
+const scheduleNotification = (notification) => {
+  const id = notification._id.toString();
+
+  scheduler.cancel(JOBS.sendNotification, id);
+  scheduler.cancel(JOBS.expireNotification, id);
+
+  if (notification.status === 'scheduled') {
+    scheduler.schedule(JOBS.sendNotification, id, notification.scheduledFor);
+  } else if (notification.status === 'sent' && notification.expiresAt) {
+    scheduler.schedule(JOBS.expireNotification, id, notification.expiresAt);
+  }
+};
+
+const cancelNotification = (notificationId) => {
+  scheduler.cancel(JOBS.sendNotification, notificationId.toString());
+  scheduler.cancel(JOBS.expireNotification, notificationId.toString());
+};
+
+const deliverNotification = (notification) => {
+  emitNotification(notification);
+  scheduleNotification(notification);
+
+  notificationDelivery.dispatch(notification).catch((error) => {
+    console.error(`Failed to dispatch notification ${notification._id}:`, error.message);
+  });
+};
+
+const publishAnnouncement = async (announcementId) => {
+  const missedWindow = await Announcement.findOneAndUpdate(
+    { _id: announcementId, status: 'scheduled', 'schedule.expiresAt': { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+
+  if (missedWindow) return;
+
+  const announcement = await Announcement.findOneAndUpdate(
+    { _id: announcementId, status: 'scheduled' },
+    { $set: { status: 'published' } },
+    { new: true }
+  ).populate('author', 'firstName lastName avatar role');
+
+  if (!announcement) return;
+
+  emitAnnouncement(announcement);
+  scheduleAnnouncement(announcement);
+};
+
+const expireAnnouncement = async (announcementId) => {
+  const announcement = await Announcement.findOneAndUpdate(
+    { _id: announcementId, status: 'published', 'schedule.expiresAt': { $ne: null } },
+    { $set: { status: 'expired' } },
+    { new: true }
+  );
+
+  if (announcement) {
+    emitAnnouncement(announcement, 'announcement-expired', { announcementId: announcement._id });
+  }
+};
+
+const sendNotification = async (notificationId) => {
+  const missedWindow = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'scheduled', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+
+  if (missedWindow) return;
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'scheduled' },
+    { $set: { status: 'sent' } },
+    { new: true }
+  );
+
+  if (!notification) return;
+
+  deliverNotification(notification);
+};
+
+const expireNotification = async (notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'sent', expiresAt: { $ne: null } },
+    { $set: { status: 'expired' } },
+    { new: true }
+  );
+
+  if (notification) {
+    realtime.emitToUsers(io, notification.recipients.map(r => r.user), 'notification-expired', {
+      notificationId: notification._id
+    });
+  }
+};
+
+// Scheduled items whose job kept failing are marked failed rather than left scheduled
+const failAnnouncement = async (announcementId) => {
+  await Announcement.updateOne({ _id: announcementId, status: 'scheduled' }, { $set: { status: 'failed' } });
+};
+
+const failNotification = async (notificationId) => {
+  await Notification.updateOne({ _id: notificationId, status: 'scheduled' }, { $set: { status: 'failed' } });
+};
+
+const recover = async () => {
+  const [scheduledAnnouncements, expiringAnnouncements, scheduledNotifications, expiringNotifications] = await Promise.all([
+    Announcement.find({ status: 'scheduled' }).select('status schedule'),
+    Announcement.find({ status: 'published', 'schedule.expiresAt': { $ne: null } }).select('status schedule'),
+    Notification.find({ status: 'scheduled' }).select('status scheduledFor expiresAt'),
+    Notification.find({ status: 'sent', expiresAt: { $ne: null } }).select('status scheduledFor expiresAt')
+  ]);
+
+  [...scheduledAnnouncements, ...expiringAnnouncements].forEach(scheduleAnnouncement);
+  [...scheduledNotifications, ...expiringNotifications].forEach(scheduleNotification);
+
+  return {
+    announcements: scheduledAnnouncements.length + expiringAnnouncements.length,
+    notifications: scheduledNotifications.length + expiringNotifications.length
+  };
+};
+
+const start = async (socketServer) => {
+  io = socketServer;
+
+  scheduler.define(JOBS.publishAnnouncement, publishAnnouncement, { onFailure: failAnnouncement });
+  scheduler.define(JOBS.expireAnnouncement, expireAnnouncement);
+  scheduler.define(JOBS.sendNotification, sendNotification, { onFailure: failNotification });
+  scheduler.define(JOBS.expireNotification, expireNotification);
+
+  const recovered = await recover();
+  console.log(`Publishing scheduler recovered ${recovered.announcements} announcement and ${recovered.notifications} notification jobs`);
+};
+
+module.exports = {
+  start,
+  scheduleAnnouncement,
+  cancelAnnouncement,
+  scheduleNotification,
+  cancelNotification,
+  deliverNotification,
+  emitAnnouncement
+};
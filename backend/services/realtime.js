@@ -0,0 +1,148 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const userRoom = (userId) => `user-${idOf(userId)}`;
+const roleRoom = (role) => `role-${role}`;
+const departmentRoom = (departmentId) => `department-${idOf(departmentId)}`;
+const permissionRoom = (permission) => `permission-${permission}`;
+const eventRoom = (eventId) => `event-${idOf(eventId)}`;
+
+const tokenFrom = (handshake) => {
+  return handshake.auth?.token || handshake.headers?.authorization?.replace('Bearer ', '') || null;
+};
+
+// Socket.io middleware: rejects the handshake unless it carries a valid JWT for an active user
+const authenticate = async (socket, next) => {
+  try {
+    const token = tokenFrom(socket.handshake);
+
+    if (!token) {
+      return next(new Error('No token, authorization denied'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('role department permissions isActive');
+
+    if (!user || !user.isActive) {
+      return next(new Error('Token is not valid'));
+    }
+
+    socket.data.user = {
+      id: user._id.toString(),
+      role: user.role,
+      department: user.department ? user.department.toString() : null,
+      permissions: user.permissions || []
+    };
+    next();
+  } catch (error) {
+    next(new Error('Token is not valid'));
+  }
+};
+
+const joinRooms = (socket) => {
+  const { id, role, department, permissions } = socket.data.user;
+
+  socket.join([
+    userRoom(id),
+    roleRoom(role),
+    ...(department ? [departmentRoom(department)] : []),
+    ...permissions.map(permissionRoom)
+  ]);
+};
+
+const attach = (io) => {
+  io.use(authenticate);
+
+  io.on('connection', (socket) => {
+    joinRooms(socket);
+    console.log(`User ${socket.data.user.id} connected:`, socket.id);
+
+    socket.on('join-event', (eventId) => {
+      if (typeof eventId === 'string') socket.join(eventRoom(eventId));
+    });
+
+    socket.on('leave-event', (eventId) => {
+      if (typeof eventId === 'string') socket.leave(eventRoom(eventId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`User ${socket.data.user.id} disconnected:`, socket.id);
+    });
+  });
+};
+
+// io.to([]) would broadcast to everyone, so an empty room list sends nothing
+const emitToRooms = (io, rooms, name, payload) => {
+  const unique = [...new Set(rooms)];
+  if (io && unique.length > 0) {
+    io.to(unique).emit(name, payload);
+  }
+};
+
+const emitToUsers = (io, userIds, name, payload) => {
+  emitToRooms(io, userIds.filter(Boolean).map(userRoom), name, payload);
+};
+
+const emitToPermission = (io, permission, name, payload) => {
+  emitToRooms(io, [permissionRoom(permission)], name, payload);
+};
+
+const emitToRole = (io, role, name, payload) => {
+  emitToRooms(io, [roleRoom(role)], name, payload);
+};
+
+// The organizer and co-organizers, who see every registration for their event
+const eventManagers = (event) => [event.organizer, ...(event.coOrganizers || [])];
+
+// Rooms for an announcement audience. A single dimension maps onto role or department rooms;
+// combinations (e.g. 2nd-year CSE students) are resolved to the matching users.
+const audienceRooms = async (targetAudience = {}) => {
+  const { roles = [], departments = [], years = [], specific = [] } = targetAudience;
+  const rooms = specific.map(userRoom);
+
+  if (roles.length === 0 && departments.length === 0 && years.length === 0) {
+    return specific.length > 0 ? rooms : null;
+  }
+  if (departments.length === 0 && years.length === 0) {
+    return [...rooms, ...roles.map(roleRoom)];
+  }
+  if (roles.length === 0 && years.length === 0) {
+    return [...rooms, ...departments.map(departmentRoom)];
+  }
+
+  const filter = { isActive: true };
+  if (roles.length > 0) filter.role = { $in: roles };
+  if (departments.length > 0) filter.department = { $in: departments };
+  if (years.length > 0) filter.year = { $in: years };
+
+  const users = await User.find(filter).select('_id');
+  return [...rooms, ...users.map(user => userRoom(user._id))];
+};
+
+// Announcements without a target audience go to every connected user
+const emitToAudience = async (io, targetAudience, name, payload) => {
+  if (!io) return;
+
+  const rooms = await audienceRooms(targetAudience);
+  if (rooms === null) {
+    io.emit(name, payload);
+  } else {
+    emitToRooms(io, rooms, name, payload);
+  }
+};
+
+module.exports = {
+  attach,
+  userRoom,
+  roleRoom,
+  departmentRoom,
+  permissionRoom,
+  eventRoom,
+  eventManagers,
+  emitToUsers,
+  emitToPermission,
+  emitToRole,
+  emitToAudience
+};
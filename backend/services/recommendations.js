@@ -0,0 +1,164 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Rating = require('../models/Rating');
+
+// Upcoming events considered before ranking; the rest are too far down to matter
+const MAX_CANDIDATES = 200;
+const HIGH_RATING = 4;
+
+const WEIGHTS = {
+  interest: 3,
+  skill: 2,
+  department: 2,
+  year: 1.5,
+  category: 3,
+  popularity: 2
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Categories the user has engaged with: attending counts once, rating an event highly counts twice
+const categoryAffinity = async (userId) => {
+  const [attended, ratings] = await Promise.all([
+    Registration.find({ user: userId, status: 'attended' }).select('event'),
+    Rating.find({ user: userId, score: { $gte: HIGH_RATING } }).select('event')
+  ]);
+
+  const weights = new Map();
+  const add = (events, weight) => events.forEach(event => {
+    const category = idOf(event.category);
+    if (category) weights.set(category, (weights.get(category) || 0) + weight);
+  });
+
+  const eventIds = [...attended, ...ratings].map(doc => doc.event);
+  const events = await Event.find({ _id: { $in: eventIds } }).select('category');
+  const byId = new Map(events.map(event => [event._id.toString(), event]));
+  const lookup = (docs) => docs.map(doc => byId.get(doc.event.toString())).filter(Boolean);
+
+  add(lookup(attended), 1);
+  add(lookup(ratings), 2);
+
+  return weights;
+};
+
+const registrationCounts = async (eventIds) => {
+  const counts = await Registration.aggregate([
+    { $match: { event: { $in: eventIds }, status: { $in: ['approved', 'attended'] } } },
+    { $group: { _id: '$event', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const scoreEvent = (event, profile, popularity) => {
+  const tags = event.tags || [];
+  const reasons = [];
+  let score = 0;
+
+  const interests = tags.filter(tag => profile.interests.has(normalize(tag)));
+  if (interests.length > 0) {
+    score += WEIGHTS.interest * Math.min(interests.length, 2);
+    reasons.push(`Matches your interests: ${interests.join(', ')}`);
+  }
+
+  const skills = tags.filter(tag => profile.skills.has(normalize(tag)) && !profile.interests.has(normalize(tag)));
+  if (skills.length > 0) {
+    score += WEIGHTS.skill * Math.min(skills.length, 2);
+    reasons.push(`Uses your skills: ${skills.join(', ')}`);
+  }
+
+  if (profile.department && (idOf(event.department) === profile.department ||
+      event.registration.allowedDepartments.some(id => idOf(id) === profile.department))) {
+    score += WEIGHTS.department;
+    reasons.push('From your department');
+  }
+
+  if (profile.year && event.registration.allowedYears.includes(profile.year)) {
+    score += WEIGHTS.year;
+    reasons.push(`Aimed at year ${profile.year}`);
+  }
+
+  const affinity = profile.categories.get(idOf(event.category)) || 0;
+  if (affinity > 0) {
+    score += WEIGHTS.category * (affinity / profile.maxAffinity);
+    reasons.push(`Similar to events you enjoyed${event.category?.name ? ` in ${event.category.name}` : ''}`);
+  }
+
+  score += WEIGHTS.popularity * popularity;
+  if (popularity >= 0.75) {
+    reasons.push('Popular on campus');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+// Ranks upcoming published events for a user by how well they fit their profile and history,
+// leaving out events they can't register for or are already involved in
+const recommendEvents = async (user, { limit = 10, now = new Date() } = {}) => {
+  const [registered, categories] = await Promise.all([
+    Registration.find({ user: user._id }).distinct('event'),
+    categoryAffinity(user._id)
+  ]);
+
+  const candidates = await Event.find({
+    status: 'published',
+    visibility: { $ne: 'private' },
+    'schedule.startDate': { $gte: now },
+    _id: { $nin: registered },
+    organizer: { $ne: user._id },
+    coOrganizers: { $ne: user._id },
+    $or: [
+      { 'registration.deadline': null },
+      { 'registration.deadline': { $gte: now } }
+    ]
+  })
+    .populate('organizer', 'firstName lastName avatar')
+    .populate('category', 'name color icon')
+    .populate('department', 'name code')
+    .sort({ 'schedule.startDate': 1 })
+    .limit(MAX_CANDIDATES);
+
+  const eligible = candidates.filter(event => event.canUserRegister(user));
+  if (eligible.length === 0) return [];
+
+  const counts = await registrationCounts(eligible.map(event => event._id));
+  const maxViews = Math.max(...eligible.map(event => event.analytics?.views || 0));
+  const maxRegistrations = Math.max(...counts.values(), 0);
+
+  // Popularity is relative to the other candidates, on a log scale so one viral event doesn't drown the rest
+  const popularityOf = (event) => {
+    const views = maxViews > 0 ? Math.log1p(event.analytics?.views || 0) / Math.log1p(maxViews) : 0;
+    const registrations = maxRegistrations > 0
+      ? Math.log1p(counts.get(event._id.toString()) || 0) / Math.log1p(maxRegistrations)
+      : 0;
+    return (views + registrations) / 2;
+  };
+
+  const profile = {
+    interests: new Set((user.interests || []).map(normalize).filter(Boolean)),
+    skills: new Set((user.skills || []).map(normalize).filter(Boolean)),
+    department: idOf(user.department),
+    year: user.year,
+    categories,
+    maxAffinity: Math.max(...categories.values(), 1)
+  };
+
+  return eligible
+    .map(event => {
+      const registrationCount = counts.get(event._id.toString()) || 0;
+      return {
+        ...event.toObject(),
+        currentRegistrations: registrationCount,
+        availableSlots: Math.max(0, event.registration.maxCapacity - registrationCount),
+        recommendation: scoreEvent(event, profile, popularityOf(event))
+      };
+    })
+    .sort((a, b) => b.recommendation.score - a.recommendation.score ||
+      new Date(a.schedule.startDate) - new Date(b.schedule.startDate))
+    .slice(0, limit);
+};
+
+module.exports = {
+  recommendEvents
+};
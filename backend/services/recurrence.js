@@ -0,0 +1,378 @@
+const moment = require('moment');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Notification = require('../models/Notification');
+const publishing = require('./publishing');
+const waitlist = require('./waitlist');
+const { buildApproval } = require('./approvals');
+const { resolveTimezone, toWallClock, fromWallClock } = require('./timezone');
+
+const MAX_OCCURRENCES = 200;
+const FREQUENCY_UNITS = {
+  daily: 'days',
+  monthly: 'months',
+  yearly: 'years'
+};
+const ACTIVE_REGISTRATION_STATUSES = ['pending', 'approved', 'waitlisted', 'offered'];
+
+// The recurrence end date is a calendar date; the series runs until the end of that day
+const wallClockUntil = (recurrence) => {
+  const endDate = new Date(recurrence.endDate);
+  return moment.utc([endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate()]).endOf('day');
+};
+
+const seriesUntil = (recurrence, timeZone) => fromWallClock(wallClockUntil(recurrence), timeZone);
+
+// Dates are stepped on the event's wall clock, so a 10:00 series stays at 10:00 across DST changes
+const expandDates = (startDate, recurrence, timeZone = 'UTC') => {
+  const start = toWallClock(startDate, timeZone);
+  const until = wallClockUntil(recurrence);
+  const interval = Math.max(1, recurrence.interval || 1);
+  const dates = [];
+
+  const add = (date) => {
+    if (dates.length < MAX_OCCURRENCES && !date.isBefore(start) && !date.isAfter(until)) {
+      dates.push(fromWallClock(date, timeZone));
+    }
+  };
+
+  if (recurrence.frequency === 'weekly') {
+    const days = recurrence.days && recurrence.days.length > 0
+      ? [...new Set(recurrence.days)].sort((a, b) => a - b)
+      : [start.day()];
+    const firstWeek = start.clone().subtract(start.day(), 'days');
+
+    for (let week = 0; dates.length < MAX_OCCURRENCES; week += interval) {
+      const weekStart = firstWeek.clone().add(week, 'weeks');
+      if (weekStart.isAfter(until)) break;
+      days.forEach(day => add(weekStart.clone().add(day, 'days')));
+    }
+  } else {
+    const unit = FREQUENCY_UNITS[recurrence.frequency];
+
+    // Always offset from the first date so monthly series on the 31st don't drift after short months
+    for (let step = 0; dates.length < MAX_OCCURRENCES; step += 1) {
+      const date = start.clone().add(step * interval, unit);
+      if (date.isAfter(until)) break;
+      add(date);
+    }
+  }
+
+  return dates;
+};
+
+const shiftDate = (date, offset) => (date ? new Date(new Date(date).getTime() + offset) : date);
+
+// `status` and `approval` are given by the caller rather than copied, since the template's own
+// standing (say, an approval granted before these dates existed) doesn't always carry over
+const buildOccurrence = (template, startDate, index, seriesId, { status, approval }) => {
+  const source = template.toObject({ virtuals: false, depopulate: true });
+  const { _id, id, createdAt, updatedAt, __v, analytics, cancellation, ...fields } = source;
+  const offset = startDate.getTime() - new Date(source.schedule.startDate).getTime();
+
+  return {
+    ...fields,
+    status,
+    approval,
+    schedule: {
+      ...fields.schedule,
+      startDate,
+      endDate: shiftDate(fields.schedule.endDate, offset)
+    },
+    registration: {
+      ...fields.registration,
+      currentCount: 0,
+      deadline: shiftDate(fields.registration.deadline, offset)
+    },
+    series: {
+      id: seriesId,
+      index,
+      originalStartDate: startDate,
+      isException: false
+    }
+  };
+};
+
+// Makes an unsaved recurring event the head of its own series
+const startSeries = (event) => {
+  if (event.isRecurring && event.recurrence?.frequency) {
+    event.series = {
+      id: event._id,
+      index: 0,
+      originalStartDate: event.schedule.startDate
+    };
+  }
+  return event;
+};
+
+const createOccurrences = (firstEvent) => {
+  const firstStart = firstEvent.schedule.startDate.getTime();
+  const dates = expandDates(firstEvent.schedule.startDate, firstEvent.recurrence, resolveTimezone(firstEvent))
+    .filter(date => date.getTime() !== firstStart);
+
+  return Event.insertMany(
+    dates.map((date, index) => buildOccurrence(firstEvent, date, index + 1, firstEvent._id, {
+      status: firstEvent.status,
+      approval: firstEvent.toObject().approval
+    }))
+  );
+};
+
+const reindexSeries = async (seriesId) => {
+  const occurrences = await Event.find({ 'series.id': seriesId })
+    .select('_id')
+    .sort({ 'schedule.startDate': 1 });
+
+  if (occurrences.length === 0) return;
+
+  await Event.bulkWrite(occurrences.map((occurrence, index) => ({
+    updateOne: {
+      filter: { _id: occurrence._id },
+      update: { $set: { 'series.index': index } }
+    }
+  })));
+};
+
+// Detaches `event` and every later occurrence into a new series headed by `event`,
+// and ends the original series the day before
+const splitSeries = async (event) => {
+  const previousSeriesId = event.series.id;
+  const splitAt = event.schedule.startDate;
+  const previousEnd = toWallClock(splitAt, resolveTimezone(event)).subtract(1, 'day').startOf('day');
+
+  await Event.updateMany(
+    { 'series.id': previousSeriesId, 'schedule.startDate': { $gte: splitAt } },
+    { $set: { 'series.id': event._id } }
+  );
+
+  await Event.updateMany(
+    { 'series.id': previousSeriesId },
+    { $set: { 'recurrence.endDate': previousEnd.toDate() } }
+  );
+
+  await Promise.all([reindexSeries(previousSeriesId), reindexSeries(event._id)]);
+
+  event.series.id = event._id;
+  return event._id;
+};
+
+const cancelOccurrence = async (event, user, reason) => {
+  event.status = 'cancelled';
+  event.cancellation = {
+    reason,
+    cancelledBy: user._id,
+    cancelledAt: new Date()
+  };
+  event.registration.currentCount = 0;
+  await event.save();
+
+  const registrations = await Registration.find({
+    event: event._id,
+    status: { $in: ACTIVE_REGISTRATION_STATUSES }
+  }).select('user status');
+
+  registrations
+    .filter(registration => registration.status === 'offered')
+    .forEach(registration => waitlist.cancelOffer(registration._id));
+
+  await Registration.updateMany(
+    { _id: { $in: registrations.map(registration => registration._id) } },
+    { $set: { status: 'cancelled', cancellationReason: 'Event cancelled' } }
+  );
+
+  const userIds = registrations.map(registration => registration.user);
+  if (userIds.length > 0) {
+    const notification = await Notification.createForUsers(userIds, {
+      title: 'Event cancelled',
+      message: `"${event.title}" on ${moment(event.schedule.startDate).format('MMM D, YYYY')} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+      type: 'event',
+      priority: 'high',
+      channels: ['in-app', 'email'],
+      sender: user._id,
+      relatedEvent: event._id,
+      metadata: {
+        actionUrl: `/events/${event._id}`
+      }
+    });
+    publishing.deliverNotification(notification);
+  }
+
+  return userIds;
+};
+
+// Brings a series in line with a new recurrence rule, keeping occurrences whose dates still match,
+// creating the missing ones and removing the rest (cancelling any that already have registrations).
+// Only dates from now on change; past and completed occurrences keep their attendance history.
+const regenerateSeries = async (seriesId, recurrence, user) => {
+  const now = Date.now();
+  const occurrences = await Event.find({ 'series.id': seriesId }).sort({ 'schedule.startDate': 1 });
+  const [first, ...rest] = occurrences;
+
+  const dates = expandDates(first.schedule.startDate, recurrence, resolveTimezone(first));
+  const wanted = new Set(dates.map(date => date.getTime()));
+  const existing = new Set(occurrences.map(occurrence => occurrence.schedule.startDate.getTime()));
+
+  const removed = [];
+  const cancelled = [];
+  for (const occurrence of rest) {
+    if (wanted.has(occurrence.schedule.startDate.getTime()) ||
+      ['cancelled', 'completed'].includes(occurrence.status) ||
+      occurrence.schedule.startDate.getTime() < now) continue;
+
+    const hasRegistrations = await Registration.exists({
+      event: occurrence._id,
+      status: { $nin: ['cancelled', 'rejected'] }
+    });
+
+    if (hasRegistrations) {
+      await cancelOccurrence(occurrence, user, 'This date was removed from the event series');
+      cancelled.push(occurrence._id);
+    } else {
+      await Event.deleteOne({ _id: occurrence._id });
+      removed.push(occurrence._id);
+    }
+  }
+
+  await Event.updateMany({ 'series.id': seriesId }, { $set: { recurrence } });
+
+  // New dates are copied from an occurrence that is still going ahead. They share the approval of a
+  // series that is still in review, but dates added to a published series need approving first.
+  const template = occurrences.find(occurrence => !['cancelled', 'completed'].includes(occurrence.status));
+  let created = [];
+
+  if (template) {
+    template.recurrence = recurrence;
+    const standing = template.status === 'published'
+      ? { status: 'draft', approval: await buildApproval(template) }
+      : { status: template.status, approval: template.toObject().approval };
+
+    created = await Event.insertMany(
+      dates
+        .filter(date => !existing.has(date.getTime()) && date.getTime() >= now)
+        .map(date => buildOccurrence(template, date, 0, seriesId, standing))
+    );
+  }
+
+  await reindexSeries(seriesId);
+
+  return {
+    created: created.map(occurrence => occurrence._id),
+    removed,
+    cancelled
+  };
+};
+
+const SERIES_LOCKED_REGISTRATION_FIELDS = ['currentCount', 'deadline'];
+
+// Applies an edit made on `event` to the rest of its series ('following' or 'all').
+// Schedule changes move every occurrence by the same wall-clock amount and give them the new duration;
+// a registration deadline keeps the same lead time before each occurrence.
+// Resolves the ids of every occurrence that was touched and, if published dates went back for approval,
+// the edited event with its new approval.
+const updateSeries = async (event, updates, { scope, recurrence, user }) => {
+  if (scope === 'following' && event.series.index > 0) {
+    await splitSeries(event);
+  }
+
+  const seriesId = event.series.id;
+  // Dates that have already happened keep the schedule and details they took place with
+  const filter = {
+    'series.id': seriesId,
+    status: { $nin: ['cancelled', 'completed'] },
+    'schedule.startDate': { $gte: new Date() }
+  };
+
+  const { schedule, registration, ...fields } = updates;
+  const $set = { ...fields };
+
+  if (registration) {
+    Object.keys(registration)
+      .filter(key => !SERIES_LOCKED_REGISTRATION_FIELDS.includes(key))
+      .forEach(key => {
+        $set[`registration.${key}`] = registration[key];
+      });
+  }
+
+  if (schedule?.timezone) {
+    $set['schedule.timezone'] = schedule.timezone;
+  }
+
+  if (Object.keys($set).length > 0) {
+    await Event.updateMany(filter, { $set });
+  }
+
+  const thisStart = event.schedule.startDate.getTime();
+  const newStart = schedule?.startDate ? new Date(schedule.startDate).getTime() : thisStart;
+  const newEnd = schedule?.endDate
+    ? new Date(schedule.endDate).getTime()
+    : newStart + (event.schedule.endDate.getTime() - thisStart);
+  const deadline = registration?.deadline !== undefined ? registration.deadline : event.registration.deadline;
+  const timeZone = resolveTimezone({ schedule: { timezone: schedule?.timezone || event.schedule.timezone } });
+  const shift = toWallClock(newStart, timeZone).diff(toWallClock(thisStart, timeZone));
+  const duration = newEnd - newStart;
+  const deadlineLead = deadline ? newStart - new Date(deadline).getTime() : null;
+
+  if (schedule?.startDate || schedule?.endDate || registration?.deadline !== undefined) {
+    const occurrences = await Event.find(filter).select('schedule.startDate');
+
+    if (occurrences.length > 0) {
+      await Event.bulkWrite(occurrences.map(occurrence => {
+        const start = fromWallClock(toWallClock(occurrence.schedule.startDate, timeZone).add(shift, 'ms'), timeZone).getTime();
+        return {
+          updateOne: {
+            filter: { _id: occurrence._id },
+            update: {
+              $set: {
+                'schedule.startDate': new Date(start),
+                'schedule.endDate': new Date(start + duration),
+                'registration.deadline': deadlineLead === null ? null : new Date(start - deadlineLead)
+              }
+            }
+          }
+        };
+      }));
+    }
+  }
+
+  let changes = { created: [], removed: [], cancelled: [] };
+  if (recurrence) {
+    changes = await regenerateSeries(seriesId, recurrence, user);
+  }
+
+  let resubmitted = null;
+  if (Object.keys(updates).length > 0 || recurrence) {
+    const published = await Event.find({ ...filter, status: 'published' }).select('_id');
+
+    if (published.length > 0) {
+      resubmitted = await Event.findById(event._id);
+      const approval = await buildApproval(resubmitted);
+      await Event.updateMany(
+        { _id: { $in: published.map(occurrence => occurrence._id) } },
+        { $set: { status: 'draft', approval } }
+      );
+      resubmitted.approval = approval;
+    }
+  }
+
+  const occurrences = await Event.find(filter).select('_id');
+
+  return {
+    seriesId,
+    updated: occurrences.map(occurrence => occurrence._id),
+    resubmitted,
+    ...changes
+  };
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  ACTIVE_REGISTRATION_STATUSES,
+  expandDates,
+  seriesUntil,
+  startSeries,
+  createOccurrences,
+  splitSeries,
+  cancelOccurrence,
+  regenerateSeries,
+  updateSeries
+};
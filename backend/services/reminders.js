@@ -0,0 +1,157 @@
+const moment = require('moment');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const publishing = require('./publishing');
+const scheduler = require('./scheduler');
+const { resolveTimezone, toWallClock } = require('./timezone');
+
+const JOBS = {
+  sendReminder: 'event:reminder'
+};
+
+const URGENT_OFFSET = 60;
+
+// Offsets with a timer per event, so they can be cancelled when the event changes
+const armed = new Map();
+
+const jobId = (eventId, offset) => `${eventId}:${offset}`;
+
+const cancelReminders = (eventId) => {
+  const id = eventId.toString();
+  (armed.get(id) || []).forEach(offset => scheduler.cancel(JOBS.sendReminder, jobId(id, offset)));
+  armed.delete(id);
+};
+
+const offsetsFor = (event) => {
+  const offsets = event.features?.reminderOffsets || [];
+  return [...new Set(offsets.filter(offset => Number.isInteger(offset) && offset > 0))].sort((a, b) => b - a);
+};
+
+// Arms a timer for each reminder still ahead of the event. A reminder missed while the server
+// was down is still sent if it is less than half its offset late (e.g. a 24h reminder up to 12h
+// late); only the latest such reminder is sent so users aren't flooded.
+const scheduleReminders = (event) => {
+  const id = event._id.toString();
+  cancelReminders(id);
+
+  const now = Date.now();
+  const startDate = new Date(event.schedule.startDate).getTime();
+
+  if (event.status !== 'published' || event.features?.sendReminders === false || startDate <= now) {
+    return;
+  }
+
+  const offsets = offsetsFor(event);
+  const upcoming = offsets.filter(offset => startDate - offset * 60000 > now);
+  const missed = offsets.filter(offset => {
+    const runAt = startDate - offset * 60000;
+    return runAt <= now && now - runAt < (offset * 60000) / 2;
+  });
+  const toArm = missed.length > 0 ? [...upcoming, missed[missed.length - 1]] : upcoming;
+
+  toArm.forEach(offset => {
+    scheduler.schedule(JOBS.sendReminder, jobId(id, offset), Math.max(now, startDate - offset * 60000), {
+      eventId: id,
+      offset,
+      startDate: event.schedule.startDate
+    });
+  });
+
+  if (toArm.length > 0) {
+    armed.set(id, toArm);
+  }
+};
+
+// Re-reads events after they change (including bulk series updates) and re-arms their reminders
+const refreshReminders = async (filter) => {
+  const events = await Event.find(filter).select('status schedule features');
+  events.forEach(scheduleReminders);
+  return events.length;
+};
+
+const reminderMessage = (event, now) => {
+  const timeZone = resolveTimezone(event);
+  const when = toWallClock(event.schedule.startDate, timeZone).format('ddd, MMM D [at] h:mm A');
+  const venue = event.venue?.name ? ` at ${event.venue.name}` : '';
+  return `"${event.title}" starts ${moment(event.schedule.startDate).from(now)} (${when}${venue}).`;
+};
+
+const sendReminder = async (id, { eventId, offset, startDate }) => {
+  const remaining = (armed.get(eventId) || []).filter(value => value !== offset);
+  if (remaining.length > 0) {
+    armed.set(eventId, remaining);
+  } else {
+    armed.delete(eventId);
+  }
+
+  const now = new Date();
+  const event = await Event.findById(eventId).select('title schedule venue status features');
+
+  // A rescheduled or cancelled event has its timers replaced, but a stale job can still slip through
+  if (!event || event.status !== 'published' || event.features?.sendReminders === false ||
+      event.schedule.startDate.getTime() !== new Date(startDate).getTime() || event.schedule.startDate <= now) {
+    return;
+  }
+
+  // Recording the reminder before sending it means a restart never sends it twice
+  const claimed = await Event.updateOne(
+    { _id: event._id, remindersSent: { $not: { $elemMatch: { offset, startDate: event.schedule.startDate } } } },
+    { $push: { remindersSent: { offset, startDate: event.schedule.startDate, sentAt: now } } }
+  );
+
+  if (claimed.modifiedCount === 0) return;
+
+  const registrations = await Registration.find({ event: event._id, status: 'approved' }).select('user');
+  const users = await User.find({
+    _id: { $in: registrations.map(registration => registration.user) },
+    isActive: true,
+    'preferences.eventReminders': { $ne: false }
+  }).select('_id');
+
+  if (users.length === 0) return;
+
+  const notification = await Notification.createForUsers(users.map(user => user._id), {
+    title: `Reminder: ${event.title}`,
+    message: reminderMessage(event, now),
+    type: 'reminder',
+    priority: offset <= URGENT_OFFSET ? 'high' : 'normal',
+    channels: ['in-app'],
+    relatedEvent: event._id,
+    expiresAt: event.schedule.endDate,
+    metadata: {
+      actionUrl: `/events/${event._id}`,
+      actionText: 'View event'
+    }
+  });
+
+  await Event.updateOne(
+    { _id: event._id, remindersSent: { $elemMatch: { offset, startDate: event.schedule.startDate } } },
+    { $set: { 'remindersSent.$.notification': notification._id } }
+  );
+
+  publishing.deliverNotification(notification);
+};
+
+const recover = async () => {
+  return refreshReminders({
+    status: 'published',
+    'features.sendReminders': { $ne: false },
+    'schedule.startDate': { $gt: new Date() }
+  });
+};
+
+const start = async () => {
+  scheduler.define(JOBS.sendReminder, sendReminder);
+
+  const recovered = await recover();
+  console.log(`Reminder scheduler armed reminders for ${recovered} upcoming events`);
+};
+
+module.exports = {
+  start,
+  scheduleReminders,
+  refreshReminders,
+  cancelReminders
+};
@@ -0,0 +1,156 @@
+const moment = require('moment');
+const ReportSchedule = require('../models/ReportSchedule');
+const scheduler = require('./scheduler');
+const { nextRun } = require('./cron');
+const { sendMail } = require('./mailer');
+const { renderReportFile } = require('./reports');
+const { toWallClock, fromWallClock } = require('./timezone');
+
+const JOBS = {
+  deliverReport: 'report:deliver'
+};
+
+const PERIOD_LABELS = {
+  previous_day: 'Yesterday',
+  previous_week: 'Last week',
+  previous_month: 'Last month',
+  last_7_days: 'Last 7 days',
+  last_30_days: 'Last 30 days',
+  all: 'All time'
+};
+
+// Calendar periods follow the schedule's time zone, so "last week" is Monday to Monday locally
+const periodRange = (period, now, timeZone) => {
+  const today = toWallClock(now, timeZone).startOf('day');
+
+  switch (period) {
+    case 'previous_day':
+      return { start: fromWallClock(today.clone().subtract(1, 'day'), timeZone), end: fromWallClock(today, timeZone) };
+    case 'previous_week': {
+      const weekStart = today.clone().subtract((today.day() + 6) % 7, 'days');
+      return { start: fromWallClock(weekStart.clone().subtract(1, 'week'), timeZone), end: fromWallClock(weekStart, timeZone) };
+    }
+    case 'previous_month': {
+      const monthStart = today.clone().startOf('month');
+      return { start: fromWallClock(monthStart.clone().subtract(1, 'month'), timeZone), end: fromWallClock(monthStart, timeZone) };
+    }
+    case 'last_7_days':
+      return { start: moment(now).subtract(7, 'days').toDate(), end: now };
+    case 'last_30_days':
+      return { start: moment(now).subtract(30, 'days').toDate(), end: now };
+    default:
+      return null;
+  }
+};
+
+const reportFilters = (schedule, now) => {
+  const { period, department, category, status, role, active } = schedule.filters || {};
+  const filters = {};
+  const range = schedule.reportType !== 'departments' && periodRange(period, now, schedule.schedule.timezone);
+
+  if (range) {
+    filters.startDate = range.start.toISOString();
+    // Report filters are inclusive, so stop just short of the next period
+    filters.endDate = new Date(range.end.getTime() - 1).toISOString();
+  }
+  if (department) filters.department = department.toString();
+  if (category) filters.category = category.toString();
+  if (status) filters.status = status;
+  if (role) filters.role = role;
+  if (active !== undefined && active !== null) filters.active = String(active);
+
+  return filters;
+};
+
+const computeNextRun = (schedule, after = new Date()) => {
+  return schedule.isActive ? nextRun(schedule.schedule.cron, after, schedule.schedule.timezone) : null;
+};
+
+const scheduleReport = (schedule) => {
+  const id = schedule._id.toString();
+  scheduler.cancel(JOBS.deliverReport, id);
+
+  if (schedule.isActive && schedule.nextRunAt) {
+    scheduler.schedule(JOBS.deliverReport, id, schedule.nextRunAt);
+  }
+};
+
+const cancelReport = (scheduleId) => {
+  scheduler.cancel(JOBS.deliverReport, scheduleId.toString());
+};
+
+// Generates the report and mails it to every recipient, recording the outcome on the schedule
+const sendReport = async (schedule, now = new Date()) => {
+  let lastRun;
+
+  try {
+    const filters = reportFilters(schedule, now);
+    const attachment = await renderReportFile(schedule.reportType, filters, schedule.format);
+    const period = schedule.reportType === 'departments' ? null : PERIOD_LABELS[schedule.filters?.period || 'all'];
+
+    await sendMail({
+      to: schedule.recipients,
+      subject: `${schedule.name} - ${moment(now).format('DD MMM YYYY')}`,
+      text: [
+        `Attached is the scheduled ${schedule.reportType} report "${schedule.name}".`,
+        period ? `Period: ${period}` : null,
+        `Generated: ${toWallClock(now, schedule.schedule.timezone).format('DD MMM YYYY, HH:mm')} (${schedule.schedule.timezone})`
+      ].filter(Boolean).join('\n'),
+      attachments: [attachment]
+    });
+
+    lastRun = { at: now, status: 'sent', recipients: schedule.recipients.length };
+  } catch (error) {
+    console.error(`Scheduled report ${schedule._id} failed:`, error.message);
+    lastRun = { at: now, status: 'failed', error: error.message, recipients: 0 };
+  }
+
+  await ReportSchedule.updateOne({ _id: schedule._id }, { $set: { lastRun } });
+  return lastRun;
+};
+
+const deliverReport = async (scheduleId) => {
+  const now = new Date();
+  const schedule = await ReportSchedule.findOne({ _id: scheduleId, isActive: true });
+
+  if (!schedule || !schedule.nextRunAt) return;
+
+  if (schedule.nextRunAt > now) {
+    scheduleReport(schedule);
+    return;
+  }
+
+  // Moving nextRunAt forward claims this run, so a restart or second instance can't send it again
+  const claimed = await ReportSchedule.findOneAndUpdate(
+    { _id: schedule._id, isActive: true, nextRunAt: schedule.nextRunAt },
+    { $set: { nextRunAt: computeNextRun(schedule, now) } },
+    { new: true }
+  );
+
+  if (!claimed) return;
+
+  // Failures are recorded on the schedule rather than retried, so recipients never get duplicates
+  await sendReport(claimed, now);
+  scheduleReport(claimed);
+};
+
+const recover = async () => {
+  const schedules = await ReportSchedule.find({ isActive: true, nextRunAt: { $ne: null } }).select('isActive nextRunAt');
+  schedules.forEach(scheduleReport);
+  return schedules.length;
+};
+
+const start = async () => {
+  scheduler.define(JOBS.deliverReport, deliverReport);
+
+  const recovered = await recover();
+  console.log(`Report scheduler recovered ${recovered} scheduled reports`);
+};
+
+module.exports = {
+  start,
+  computeNextRun,
+  scheduleReport,
+  cancelReport,
+  sendReport
+};
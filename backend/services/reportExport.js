@@ -0,0 +1,112 @@
+const { once } = require('events');
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const DATE_FORMAT = 'YYYY-MM-DD HH:mm';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const isExportFormat = (format) => EXPORT_FORMATS.includes(format);
+
+const reportFileName = (name, format) => `${name}-report-${moment().format('YYYY-MM-DD')}.${format}`;
+
+const formatCsvValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'date') return moment(value).format(DATE_FORMAT);
+
+  // Leading formula characters are neutralised so spreadsheet apps don't evaluate user-entered text
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Excel stores dates without a zone, so shift them to show the same wall-clock time as the CSV
+const toExcelDate = (value) => {
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+};
+
+const createCsvWriter = (res, columns) => {
+  const writeLine = async (line) => {
+    if (!res.write(`${line}\r\n`)) {
+      await once(res, 'drain');
+    }
+  };
+
+  return {
+    // The byte order mark makes Excel open the file as UTF-8
+    start: () => writeLine(`\uFEFF${columns.map(column => formatCsvValue(column.header, {})).join(',')}`),
+    write: (row) => writeLine(columns.map(column => formatCsvValue(row[column.key], column)).join(',')),
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+const createXlsxWriter = (res, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  return {
+    start: async () => {
+      worksheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || 18,
+        style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined
+      }));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.getRow(1).commit();
+    },
+    write: async (row) => {
+      const values = {};
+      columns.forEach(column => {
+        const value = row[column.key];
+        values[column.key] = column.type === 'date' && value ? toExcelDate(value) : value;
+      });
+      worksheet.addRow(values).commit();
+
+      if (res.writableNeedDrain) {
+        await once(res, 'drain');
+      }
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Streams rows straight to the response as they are produced, so large reports
+// are never held in memory. `produce` receives a `write(row)` function to await per row.
+const streamReport = async (res, { format, name, sheetName, columns }, produce) => {
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${reportFileName(name, format)}"`
+  });
+
+  const writer = format === 'xlsx'
+    ? createXlsxWriter(res, columns, sheetName || name)
+    : createCsvWriter(res, columns);
+
+  await writer.start();
+  await produce(row => writer.write(row));
+  await writer.end();
+};
+
+const fullName = (person) => (person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : '');
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  reportFileName,
+  streamReport,
+  fullName
+};
@@ -0,0 +1,258 @@
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 40;
+const ROW_HEIGHT = 18;
+const CHART_HEIGHT = 160;
+const MAX_CHART_MONTHS = 24;
+const COLORS = {
+  primary: '#1E3A8A',
+  text: '#111827',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+  header: '#EFF6FF',
+  bar: '#3B82F6'
+};
+
+const collegeName = () => process.env.COLLEGE_NAME || 'Campus Event Platform';
+
+// totalEvents -> Total Events
+const humanize = (key) => key
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/[_-]+/g, ' ')
+  .replace(/^./, letter => letter.toUpperCase());
+
+const formatRate = (value) => `${(Number(value) || 0).toFixed(1)}%`;
+
+const formatValue = (value, key = '') => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (value instanceof Date) return moment(value).format('DD MMM YYYY, HH:mm');
+  if (typeof value === 'number' && /rate$/i.test(key)) return formatRate(value);
+  if (typeof value === 'number') return Number.isInteger(value) ? value.toLocaleString('en-IN') : value.toFixed(1);
+  return String(value);
+};
+
+// Splits a report's summary object into the headline figures and its `byX` breakdowns
+const splitSummary = (summary = {}) => {
+  const figures = [];
+  const breakdowns = [];
+
+  Object.entries(summary).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      breakdowns.push({
+        title: humanize(key),
+        columns: [
+          { header: humanize(key.replace(/^by/, '')) || 'Group', key: 'label', width: 3 },
+          { header: 'Count', key: 'count', align: 'right' }
+        ],
+        rows: Object.entries(value)
+          .sort((a, b) => b[1] - a[1])
+          .map(([label, count]) => ({ label: humanize(label), count }))
+      });
+    } else {
+      figures.push({ label: humanize(key), value: formatValue(value, key) });
+    }
+  });
+
+  return { figures, breakdowns };
+};
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2;
+const bottomLimit = (doc) => doc.page.height - MARGIN - 20;
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > bottomLimit(doc)) {
+    doc.addPage();
+    doc.y = MARGIN;
+  }
+};
+
+const drawHeader = (doc, { title, generatedAt, filters }) => {
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.primary)
+    .text(collegeName(), MARGIN, MARGIN, { width: contentWidth(doc), align: 'center' });
+  doc.font('Helvetica').fontSize(13).fillColor(COLORS.text)
+    .text(title, { width: contentWidth(doc), align: 'center' });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`Generated ${moment(generatedAt).format('DD MMM YYYY, HH:mm')}`, { width: contentWidth(doc), align: 'center' });
+
+  const applied = filters.filter(filter => filter.value);
+  doc.text(
+    applied.length > 0
+      ? `Filters: ${applied.map(filter => `${filter.label}: ${filter.value}`).join('  |  ')}`
+      : 'Filters: none',
+    { width: contentWidth(doc), align: 'center' }
+  );
+
+  const lineY = doc.y + 8;
+  doc.lineWidth(1).moveTo(MARGIN, lineY).lineTo(doc.page.width - MARGIN, lineY).stroke(COLORS.primary);
+  doc.y = lineY + 14;
+};
+
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.primary)
+    .text(title, MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.y += 6;
+};
+
+const drawTable = (doc, { columns, rows, emptyText = 'No data for the selected filters' }) => {
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => (contentWidth(doc) * (column.width || 1)) / totalWeight);
+
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+
+    if (fill) {
+      doc.rect(MARGIN, y, contentWidth(doc), ROW_HEIGHT).fill(fill);
+    }
+    doc.lineWidth(0.5).moveTo(MARGIN, y + ROW_HEIGHT).lineTo(doc.page.width - MARGIN, y + ROW_HEIGHT).stroke(COLORS.border);
+
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text);
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 4, y + 5, {
+        width: widths[index] - 8,
+        height: ROW_HEIGHT - 5,
+        align: columns[index].align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += widths[index];
+    });
+
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const drawColumnHeaders = () => drawRow(columns.map(column => column.header), { bold: true, fill: COLORS.header });
+
+  drawColumnHeaders();
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.muted)
+      .text(emptyText, MARGIN + 4, doc.y + 5, { width: contentWidth(doc) - 8 });
+    doc.y += 4;
+  }
+
+  rows.forEach(row => {
+    // Repeat the column headers at the top of each continuation page
+    if (doc.y + ROW_HEIGHT > bottomLimit(doc)) {
+      doc.addPage();
+      doc.y = MARGIN;
+      drawColumnHeaders();
+    }
+    drawRow(columns.map(column => formatValue(row[column.key], column.key)));
+  });
+
+  doc.y += 16;
+};
+
+const drawBarChart = (doc, { points }) => {
+  const data = points.slice(-MAX_CHART_MONTHS);
+  ensureSpace(doc, CHART_HEIGHT + 40);
+
+  if (data.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.muted)
+      .text('No data for this period', MARGIN, doc.y, { width: contentWidth(doc) });
+    doc.y += 16;
+    return;
+  }
+
+  const top = doc.y + 12;
+  const baseline = top + CHART_HEIGHT;
+  const max = Math.max(...data.map(point => point.value), 1);
+  const slot = contentWidth(doc) / data.length;
+  const barWidth = Math.min(slot * 0.6, 36);
+
+  doc.lineWidth(1).moveTo(MARGIN, baseline).lineTo(doc.page.width - MARGIN, baseline).stroke(COLORS.muted);
+
+  data.forEach((point, index) => {
+    const height = (point.value / max) * (CHART_HEIGHT - 14);
+    const x = MARGIN + slot * index + (slot - barWidth) / 2;
+
+    if (height > 0) {
+      doc.rect(x, baseline - height, barWidth, height).fill(COLORS.bar);
+    }
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.text)
+      .text(String(point.value), x - 6, baseline - height - 10, { width: barWidth + 12, align: 'center', lineBreak: false });
+    doc.fillColor(COLORS.muted)
+      .text(point.label, MARGIN + slot * index, baseline + 4, { width: slot, align: 'center', lineBreak: false });
+  });
+
+  doc.y = baseline + 28;
+};
+
+const drawFooters = (doc) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise trigger an automatic page break
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`${collegeName()}  |  Page ${index + 1} of ${range.count}`, MARGIN, doc.page.height - MARGIN + 8, {
+        width: contentWidth(doc),
+        align: 'center',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// Monthly counts from Event.getMonthlyCounts as chart points
+const monthlyPoints = (monthly) => monthly.map(item => ({
+  label: moment.utc([item._id.year, item._id.month - 1]).format('MMM YY'),
+  value: item.count
+}));
+
+// Renders a printable report into `stream`. Sections are either tables
+// ({ title, columns, rows }) or monthly charts ({ title, chart }).
+const renderReportPdf = (stream, { title, generatedAt = new Date(), filters = [], summary, sections = [] }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info: { Title: title, Author: collegeName() } });
+
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.on('error', reject);
+  doc.pipe(stream);
+
+  drawHeader(doc, { title, generatedAt, filters });
+
+  const { figures, breakdowns } = splitSummary(summary);
+  drawSectionTitle(doc, 'Summary');
+  drawTable(doc, {
+    columns: [
+      { header: 'Measure', key: 'label', width: 3 },
+      { header: 'Value', key: 'value', align: 'right' }
+    ],
+    rows: figures
+  });
+
+  [...breakdowns, ...sections].forEach(section => {
+    drawSectionTitle(doc, section.title);
+    if (section.chart) {
+      drawBarChart(doc, { points: monthlyPoints(section.chart) });
+    } else {
+      drawTable(doc, section);
+    }
+  });
+
+  drawFooters(doc);
+  doc.end();
+});
+
+const sendReportPdf = (res, fileName, report) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+
+  return renderReportPdf(res, report);
+};
+
+module.exports = {
+  formatRate,
+  renderReportPdf,
+  sendReportPdf
+};
@@ -0,0 +1,850 @@
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Category = require('../models/Category');
+const { isExportFormat, reportFileName, streamReport, fullName } = require('./reportExport');
+const { sendReportPdf } = require('./reportPdf');
+
+const REPORT_TYPES = ['events', 'registrations', 'attendance', 'users', 'departments'];
+
+const EVENT_COLUMNS = [
+  { header: 'Event Title', key: 'title', width: 36 },
+  { header: 'Start', key: 'startDate', type: 'date' },
+  { header: 'End', key: 'endDate', type: 'date' },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Category', key: 'category' },
+  { header: 'Department', key: 'department' },
+  { header: 'Organizer', key: 'organizer', width: 24 },
+  { header: 'Organizer Email', key: 'organizerEmail', width: 28 },
+  { header: 'Venue', key: 'venue', width: 24 },
+  { header: 'Capacity', key: 'capacity', width: 10 },
+  { header: 'Registrations', key: 'registrations', width: 14 },
+  { header: 'Approved', key: 'approved', width: 10 },
+  { header: 'Attended', key: 'attended', width: 10 },
+  { header: 'Absent', key: 'absent', width: 10 },
+  { header: 'Attendance Rate (%)', key: 'attendanceRate', width: 18 }
+];
+
+const REGISTRATION_COLUMNS = [
+  { header: 'User Name', key: 'userName', width: 24 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Student ID', key: 'studentId', width: 14 },
+  { header: 'Role', key: 'role', width: 12 },
+  { header: 'Department', key: 'department' },
+  { header: 'Event Title', key: 'eventTitle', width: 36 },
+  { header: 'Event Date', key: 'eventDate', type: 'date' },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Registered At', key: 'registeredAt', type: 'date' },
+  { header: 'Check-in Time', key: 'checkInTime', type: 'date' },
+  { header: 'Check-out Time', key: 'checkOutTime', type: 'date' }
+];
+
+const ATTENDANCE_COLUMNS = [
+  { header: 'Event Title', key: 'eventTitle', width: 36 },
+  { header: 'Event Date', key: 'eventDate', type: 'date' },
+  { header: 'User Name', key: 'userName', width: 24 },
+  { header: 'Student ID', key: 'studentId', width: 14 },
+  { header: 'Department', key: 'department' },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Check-in Time', key: 'checkInTime', type: 'date' },
+  { header: 'Check-in Method', key: 'checkInMethod', width: 16 },
+  { header: 'Check-out Time', key: 'checkOutTime', type: 'date' }
+];
+
+const USER_COLUMNS = [
+  { header: 'User Name', key: 'userName', width: 24 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Role', key: 'role', width: 12 },
+  { header: 'Student ID', key: 'studentId', width: 14 },
+  { header: 'Employee ID', key: 'employeeId', width: 14 },
+  { header: 'Department', key: 'department' },
+  { header: 'Year', key: 'year', width: 8 },
+  { header: 'Active', key: 'active', width: 8 },
+  { header: 'Joined', key: 'joined', type: 'date' },
+  { header: 'Registrations', key: 'registrations', width: 14 },
+  { header: 'Events Attended', key: 'attended', width: 16 },
+  { header: 'Last Activity', key: 'lastActivity', type: 'date' }
+];
+
+const DEPARTMENT_COLUMNS = [
+  { header: 'Department', key: 'name', width: 28 },
+  { header: 'Code', key: 'code', width: 10 },
+  { header: 'Head of Department', key: 'hod', width: 24 },
+  { header: 'Students', key: 'students', width: 10 },
+  { header: 'Faculty', key: 'faculty', width: 10 },
+  { header: 'Published Events', key: 'events', width: 16 },
+  { header: 'Registrations', key: 'registrations', width: 14 }
+];
+
+const DEPARTMENT_BREAKDOWN_COLUMNS = [
+  { header: 'Department', key: 'department', width: 3 },
+  { header: 'Events', key: 'events', align: 'right' },
+  { header: 'Registrations', key: 'registrations', align: 'right' },
+  { header: 'Attended', key: 'attended', align: 'right' },
+  { header: 'Attendance Rate', key: 'attendanceRate', align: 'right' }
+];
+
+const FILTER_LABELS = {
+  startDate: 'From',
+  endDate: 'To',
+  department: 'Department',
+  category: 'Category',
+  eventId: 'Event',
+  status: 'Status',
+  role: 'Role',
+  active: 'Active'
+};
+
+// Filters as printed in the PDF header, with ids replaced by names
+const describeFilters = async (filters) => {
+  const [department, category, event] = await Promise.all([
+    filters.department ? Department.findById(filters.department).select('name') : null,
+    filters.category ? Category.findById(filters.category).select('name') : null,
+    filters.eventId ? Event.findById(filters.eventId).select('title') : null
+  ]);
+  const names = { department: department?.name, category: category?.name, eventId: event?.title };
+
+  return Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => ({
+      label: FILTER_LABELS[key] || key,
+      value: names[key] || (/Date$/.test(key) ? moment(value).format('DD MMM YYYY') : String(value))
+    }));
+};
+
+const sendPdf = async (res, name, title, filters, report) => {
+  await sendReportPdf(res, reportFileName(name, 'pdf'), {
+    title,
+    filters: await describeFilters(filters),
+    ...report
+  });
+};
+
+const attendanceRate = (attended, total) => (total > 0 ? (attended / total) * 100 : 0);
+
+// Rolls per-event totals up into one row per department
+const departmentBreakdown = (events) => {
+  const rows = new Map();
+
+  events.forEach(({ department, registrations, attended }) => {
+    const name = department || 'No Department';
+    const row = rows.get(name) || { department: name, events: 0, registrations: 0, attended: 0 };
+    row.events += 1;
+    row.registrations += registrations;
+    row.attended += attended;
+    rows.set(name, row);
+  });
+
+  return [...rows.values()]
+    .map(row => ({ ...row, attendanceRate: attendanceRate(row.attended, row.registrations) }))
+    .sort((a, b) => b.events - a.events);
+};
+
+// Same shape as Event.getMonthlyCounts, for dates already in memory
+const countByMonth = (dates) => {
+  const counts = new Map();
+
+  dates.filter(Boolean).forEach(date => {
+    const month = moment(date);
+    const key = month.format('YYYY-MM');
+    const entry = counts.get(key) || { _id: { year: month.year(), month: month.month() + 1 }, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+
+  return [...counts.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, entry]) => entry);
+};
+
+// Shared by the JSON and export paths: registrations joined with their user, event and user's department
+const registrationPipeline = (filter, department) => {
+  const pipeline = [
+    { $match: filter },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'user',
+        foreignField: '_id',
+        as: 'userInfo'
+      }
+    },
+    { $unwind: '$userInfo' },
+    {
+      $lookup: {
+        from: 'events',
+        localField: 'event',
+        foreignField: '_id',
+        as: 'eventInfo'
+      }
+    },
+    { $unwind: '$eventInfo' }
+  ];
+
+  if (department) {
+    pipeline.push({
+      $match: { 'userInfo.department': new mongoose.Types.ObjectId(department) }
+    });
+  }
+
+  pipeline.push({
+    $lookup: {
+      from: 'departments',
+      localField: 'userInfo.department',
+      foreignField: '_id',
+      as: 'departmentInfo'
+    }
+  });
+
+  return pipeline;
+};
+
+const eventsReport = async (filters, { format, output }) => {
+  const { startDate, endDate, department, category, status } = filters;
+  
+  const filter = {};
+  
+  if (startDate || endDate) {
+    filter['schedule.startDate'] = {};
+    if (startDate) filter['schedule.startDate'].$gte = new Date(startDate);
+    if (endDate) filter['schedule.startDate'].$lte = new Date(endDate);
+  }
+  
+  if (department) filter.department = new mongoose.Types.ObjectId(department);
+  if (category) filter.category = new mongoose.Types.ObjectId(category);
+  if (status) filter.status = status;
+
+  if (isExportFormat(format)) {
+    return streamReport(output, { format, name: 'events', sheetName: 'Events', columns: EVENT_COLUMNS }, async (write) => {
+      const cursor = Event.find(filter)
+        .populate('organizer', 'firstName lastName email')
+        .populate('category', 'name')
+        .populate('department', 'name code')
+        .sort({ 'schedule.startDate': -1 })
+        .cursor();
+
+      for await (const event of cursor) {
+        const stats = await Registration.getRegistrationStats(event._id);
+        await write({
+          title: event.title,
+          startDate: event.schedule.startDate,
+          endDate: event.schedule.endDate,
+          status: event.status,
+          category: event.category?.name,
+          department: event.department?.name,
+          organizer: fullName(event.organizer),
+          organizerEmail: event.organizer?.email,
+          venue: event.venue?.name,
+          capacity: event.registration?.maxCapacity,
+          registrations: stats.total,
+          approved: stats.approved,
+          attended: stats.attended,
+          absent: stats.absent,
+          attendanceRate: stats.total > 0 ? Math.round((stats.attended / stats.total) * 1000) / 10 : 0
+        });
+      }
+    });
+  }
+
+  const events = await Event.find(filter)
+    .populate('organizer', 'firstName lastName email')
+    .populate('category', 'name')
+    .populate('department', 'name code')
+    .sort({ 'schedule.startDate': -1 });
+
+  const eventsWithStats = await Promise.all(events.map(async (event) => {
+    const registrationStats = await Registration.getRegistrationStats(event._id);
+    return {
+      ...event.toObject(),
+      registrationStats
+    };
+  }));
+
+  const summary = {
+    totalEvents: events.length,
+    totalRegistrations: eventsWithStats.reduce((sum, event) => sum + event.registrationStats.total, 0),
+    totalAttendees: eventsWithStats.reduce((sum, event) => sum + event.registrationStats.attended, 0),
+    averageAttendanceRate: eventsWithStats.length > 0 
+      ? eventsWithStats.reduce((sum, event) => {
+          const rate = event.registrationStats.total > 0 
+            ? (event.registrationStats.attended / event.registrationStats.total) * 100 
+            : 0;
+          return sum + rate;
+        }, 0) / eventsWithStats.length 
+      : 0
+  };
+
+  if (format === 'pdf') {
+    return sendPdf(output, 'events', 'Events Report', { startDate, endDate, department, category, status }, {
+      summary,
+      sections: [
+        {
+          title: 'By Department',
+          columns: DEPARTMENT_BREAKDOWN_COLUMNS,
+          rows: departmentBreakdown(eventsWithStats.map(event => ({
+            department: event.department?.name,
+            registrations: event.registrationStats.total,
+            attended: event.registrationStats.attended
+          })))
+        },
+        { title: 'Events per Month', chart: await Event.getMonthlyCounts(filter) },
+        {
+          title: 'Events',
+          columns: [
+            { header: 'Event', key: 'title', width: 4 },
+            { header: 'Date', key: 'date', width: 2 },
+            { header: 'Department', key: 'department', width: 2 },
+            { header: 'Status', key: 'status', width: 1.5 },
+            { header: 'Registered', key: 'registrations', align: 'right', width: 1.5 },
+            { header: 'Attended', key: 'attended', align: 'right', width: 1.5 },
+            { header: 'Rate', key: 'attendanceRate', align: 'right', width: 1.5 }
+          ],
+          rows: eventsWithStats.map(event => ({
+            title: event.title,
+            date: moment(event.schedule.startDate).format('DD MMM YYYY'),
+            department: event.department?.name,
+            status: event.status,
+            registrations: event.registrationStats.total,
+            attended: event.registrationStats.attended,
+            attendanceRate: attendanceRate(event.registrationStats.attended, event.registrationStats.total)
+          }))
+        }
+      ]
+    });
+  }
+
+  return {
+    summary,
+    events: eventsWithStats,
+    generatedAt: new Date(),
+    filters: { startDate, endDate, department, category, status }
+  };
+};
+
+const registrationsReport = async (filters, { format, output }) => {
+  const { startDate, endDate, eventId, status, department } = filters;
+  
+  const filter = {};
+  
+  if (startDate || endDate) {
+    filter.registrationDate = {};
+    if (startDate) filter.registrationDate.$gte = new Date(startDate);
+    if (endDate) filter.registrationDate.$lte = new Date(endDate);
+  }
+  
+  if (eventId) filter.event = new mongoose.Types.ObjectId(eventId);
+  if (status) filter.status = status;
+
+  const pipeline = registrationPipeline(filter, department);
+
+  if (isExportFormat(format)) {
+    return streamReport(output, { format, name: 'registrations', sheetName: 'Registrations', columns: REGISTRATION_COLUMNS }, async (write) => {
+      const cursor = Registration.aggregate([...pipeline, { $sort: { registrationDate: -1 } }]).cursor({ batchSize: 500 });
+
+      for await (const registration of cursor) {
+        await write({
+          userName: fullName(registration.userInfo),
+          email: registration.userInfo.email,
+          studentId: registration.userInfo.studentId,
+          role: registration.userInfo.role,
+          department: registration.departmentInfo[0]?.name,
+          eventTitle: registration.eventInfo.title,
+          eventDate: registration.eventInfo.schedule?.startDate,
+          status: registration.status,
+          registeredAt: registration.registrationDate,
+          checkInTime: registration.checkIn?.time,
+          checkOutTime: registration.checkOut?.time
+        });
+      }
+    });
+  }
+
+  const registrations = await Registration.aggregate(pipeline);
+
+  const summary = {
+    totalRegistrations: registrations.length,
+    byStatus: registrations.reduce((acc, reg) => {
+      acc[reg.status] = (acc[reg.status] || 0) + 1;
+      return acc;
+    }, {}),
+    byDepartment: registrations.reduce((acc, reg) => {
+      const deptName = reg.departmentInfo[0]?.name || 'No Department';
+      acc[deptName] = (acc[deptName] || 0) + 1;
+      return acc;
+    }, {}),
+    byRole: registrations.reduce((acc, reg) => {
+      acc[reg.userInfo.role] = (acc[reg.userInfo.role] || 0) + 1;
+      return acc;
+    }, {})
+  };
+
+  if (format === 'pdf') {
+    return sendPdf(output, 'registrations', 'Registrations Report', { startDate, endDate, eventId, status, department }, {
+      summary,
+      sections: [
+        { title: 'Registrations per Month', chart: countByMonth(registrations.map(reg => reg.registrationDate)) }
+      ]
+    });
+  }
+
+  return {
+    summary,
+    registrations,
+    generatedAt: new Date(),
+    filters: { startDate, endDate, eventId, status, department }
+  };
+};
+
+const attendanceReport = async (filters, { format, output }) => {
+  const { startDate, endDate, eventId, department } = filters;
+  
+  let eventFilter = { status: 'published' };
+  
+  if (startDate || endDate) {
+    eventFilter['schedule.startDate'] = {};
+    if (startDate) eventFilter['schedule.startDate'].$gte = new Date(startDate);
+    if (endDate) eventFilter['schedule.startDate'].$lte = new Date(endDate);
+  }
+  
+  if (eventId) eventFilter._id = new mongoose.Types.ObjectId(eventId);
+  if (department) eventFilter.department = new mongoose.Types.ObjectId(department);
+
+  // Exports list every attendee of the matching events rather than per-event totals
+  if (isExportFormat(format)) {
+    return streamReport(output, { format, name: 'attendance', sheetName: 'Attendance', columns: ATTENDANCE_COLUMNS }, async (write) => {
+      const eventCursor = Event.find(eventFilter)
+        .select('title schedule.startDate')
+        .sort({ 'schedule.startDate': -1 })
+        .cursor();
+
+      for await (const event of eventCursor) {
+        const registrationCursor = Registration.find({
+          event: event._id,
+          status: { $in: ['approved', 'attended', 'absent'] }
+        })
+          .populate({
+            path: 'user',
+            select: 'firstName lastName studentId department',
+            populate: { path: 'department', select: 'name' }
+          })
+          .sort({ 'checkIn.time': 1 })
+          .cursor();
+
+        for await (const registration of registrationCursor) {
+          await write({
+            eventTitle: event.title,
+            eventDate: event.schedule.startDate,
+            userName: fullName(registration.user),
+            studentId: registration.user?.studentId,
+            department: registration.user?.department?.name,
+            status: registration.status,
+            checkInTime: registration.checkIn?.time,
+            checkInMethod: registration.checkIn?.method,
+            checkOutTime: registration.checkOut?.time
+          });
+        }
+      }
+    });
+  }
+
+  const attendanceData = await Event.aggregate([
+    { $match: eventFilter },
+    {
+      $lookup: {
+        from: 'registrations',
+        localField: '_id',
+        foreignField: 'event',
+        as: 'registrations'
+      }
+    },
+    {
+      $project: {
+        title: 1,
+        department: 1,
+        'schedule.startDate': 1,
+        totalRegistrations: { $size: '$registrations' },
+        attendedCount: {
+          $size: {
+            $filter: {
+              input: '$registrations',
+              cond: { $eq: ['$$this.status', 'attended'] }
+            }
+          }
+        },
+        absentCount: {
+          $size: {
+            $filter: {
+              input: '$registrations',
+              cond: { $eq: ['$$this.status', 'absent'] }
+            }
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        attendanceRate: {
+          $cond: [
+            { $gt: ['$totalRegistrations', 0] },
+            { $multiply: [{ $divide: ['$attendedCount', '$totalRegistrations'] }, 100] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { 'schedule.startDate': -1 } }
+  ]);
+
+  const summary = {
+    totalEvents: attendanceData.length,
+    totalRegistrations: attendanceData.reduce((sum, event) => sum + event.totalRegistrations, 0),
+    totalAttended: attendanceData.reduce((sum, event) => sum + event.attendedCount, 0),
+    totalAbsent: attendanceData.reduce((sum, event) => sum + event.absentCount, 0),
+    averageAttendanceRate: attendanceData.length > 0 
+      ? attendanceData.reduce((sum, event) => sum + event.attendanceRate, 0) / attendanceData.length 
+      : 0
+  };
+
+  if (format === 'pdf') {
+    const departments = await Department.find({ _id: { $in: attendanceData.map(event => event.department).filter(Boolean) } }).select('name');
+    const departmentNames = new Map(departments.map(dept => [dept._id.toString(), dept.name]));
+
+    return sendPdf(output, 'attendance', 'Attendance Report', { startDate, endDate, eventId, department }, {
+      summary,
+      sections: [
+        {
+          title: 'By Department',
+          columns: DEPARTMENT_BREAKDOWN_COLUMNS,
+          rows: departmentBreakdown(attendanceData.map(event => ({
+            department: event.department && departmentNames.get(event.department.toString()),
+            registrations: event.totalRegistrations,
+            attended: event.attendedCount
+          })))
+        },
+        { title: 'Events per Month', chart: await Event.getMonthlyCounts(eventFilter) },
+        {
+          title: 'Attendance by Event',
+          columns: [
+            { header: 'Event', key: 'title', width: 4 },
+            { header: 'Date', key: 'date', width: 2 },
+            { header: 'Registered', key: 'totalRegistrations', align: 'right', width: 1.5 },
+            { header: 'Attended', key: 'attendedCount', align: 'right', width: 1.5 },
+            { header: 'Absent', key: 'absentCount', align: 'right', width: 1.5 },
+            { header: 'Rate', key: 'attendanceRate', align: 'right', width: 1.5 }
+          ],
+          rows: attendanceData.map(event => ({
+            ...event,
+            date: moment(event.schedule.startDate).format('DD MMM YYYY')
+          }))
+        }
+      ]
+    });
+  }
+
+  return {
+    summary,
+    events: attendanceData,
+    generatedAt: new Date(),
+    filters: { startDate, endDate, eventId, department }
+  };
+};
+
+const usersReport = async (filters, { format, output }) => {
+  const { role, department, active, startDate, endDate } = filters;
+  
+  const filter = {};
+  
+  if (role) filter.role = role;
+  if (department) filter.department = department;
+  if (active !== undefined) filter.isActive = active === 'true';
+  
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  if (isExportFormat(format)) {
+    return streamReport(output, { format, name: 'users', sheetName: 'Users', columns: USER_COLUMNS }, async (write) => {
+      const cursor = User.aggregate([
+        { $match: department ? { ...filter, department: new mongoose.Types.ObjectId(department) } : filter },
+        { $sort: { createdAt: -1 } },
+        {
+          $lookup: {
+            from: 'registrations',
+            let: { userId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$user', '$$userId'] } } },
+              {
+                $group: {
+                  _id: null,
+                  totalRegistrations: { $sum: 1 },
+                  attendedEvents: { $sum: { $cond: [{ $eq: ['$status', 'attended'] }, 1, 0] } },
+                  lastActivity: { $max: '$registrationDate' }
+                }
+              }
+            ],
+            as: 'activity'
+          }
+        },
+        {
+          $lookup: {
+            from: 'departments',
+            localField: 'department',
+            foreignField: '_id',
+            as: 'departmentInfo'
+          }
+        }
+      ]).cursor({ batchSize: 500 });
+
+      for await (const user of cursor) {
+        const activity = user.activity[0] || {};
+        await write({
+          userName: fullName(user),
+          email: user.email,
+          role: user.role,
+          studentId: user.studentId,
+          employeeId: user.employeeId,
+          department: user.departmentInfo[0]?.name,
+          year: user.year,
+          active: user.isActive ? 'Yes' : 'No',
+          joined: user.createdAt,
+          registrations: activity.totalRegistrations || 0,
+          attended: activity.attendedEvents || 0,
+          lastActivity: activity.lastActivity
+        });
+      }
+    });
+  }
+
+  const users = await User.find(filter)
+    .populate('department', 'name code')
+    .select('-password')
+    .sort({ createdAt: -1 });
+
+  const userActivity = await Registration.aggregate([
+    {
+      $group: {
+        _id: '$user',
+        totalRegistrations: { $sum: 1 },
+        attendedEvents: {
+          $sum: { $cond: [{ $eq: ['$status', 'attended'] }, 1, 0] }
+        },
+        lastActivity: { $max: '$registrationDate' }
+      }
+    }
+  ]);
+
+  const activityMap = userActivity.reduce((acc, activity) => {
+    acc[activity._id.toString()] = activity;
+    return acc;
+  }, {});
+
+  const usersWithActivity = users.map(user => ({
+    ...user.toObject(),
+    activity: activityMap[user._id.toString()] || {
+      totalRegistrations: 0,
+      attendedEvents: 0,
+      lastActivity: null
+    }
+  }));
+
+  const summary = {
+    totalUsers: users.length,
+    byRole: users.reduce((acc, user) => {
+      acc[user.role] = (acc[user.role] || 0) + 1;
+      return acc;
+    }, {}),
+    byDepartment: users.reduce((acc, user) => {
+      const deptName = user.department?.name || 'No Department';
+      acc[deptName] = (acc[deptName] || 0) + 1;
+      return acc;
+    }, {}),
+    activeUsers: users.filter(user => user.isActive).length,
+    inactiveUsers: users.filter(user => !user.isActive).length
+  };
+
+  if (format === 'pdf') {
+    return sendPdf(output, 'users', 'Users Report', { role, department, active, startDate, endDate }, {
+      summary,
+      sections: [
+        {
+          title: 'Most Active Users',
+          columns: [
+            { header: 'Name', key: 'name', width: 3 },
+            { header: 'Role', key: 'role', width: 1.5 },
+            { header: 'Department', key: 'department', width: 3 },
+            { header: 'Registrations', key: 'registrations', align: 'right', width: 1.5 },
+            { header: 'Attended', key: 'attended', align: 'right', width: 1.5 }
+          ],
+          rows: usersWithActivity
+            .filter(user => user.activity.totalRegistrations > 0)
+            .sort((a, b) => b.activity.attendedEvents - a.activity.attendedEvents || b.activity.totalRegistrations - a.activity.totalRegistrations)
+            .slice(0, 20)
+            .map(user => ({
+              name: fullName(user),
+              role: user.role,
+              department: user.department?.name,
+              registrations: user.activity.totalRegistrations,
+              attended: user.activity.attendedEvents
+            }))
+        }
+      ]
+    });
+  }
+
+  return {
+    summary,
+    users: usersWithActivity,
+    generatedAt: new Date(),
+    filters: { role, department, active, startDate, endDate }
+  };
+};
+
+const departmentsReport = async (filters, { format, output }) => {
+  const departments = await Department.find({ isActive: true })
+    .populate('hod', 'firstName lastName email')
+    .sort({ name: 1 });
+
+  const departmentStats = await Promise.all(departments.map(async (dept) => {
+    const studentCount = await User.countDocuments({ 
+      department: dept._id, 
+      role: 'student', 
+      isActive: true 
+    });
+    
+    const facultyCount = await User.countDocuments({ 
+      department: dept._id, 
+      role: { $in: ['faculty', 'hod'] }, 
+      isActive: true 
+    });
+    
+    const eventCount = await Event.countDocuments({ 
+      department: dept._id, 
+      status: 'published' 
+    });
+    
+    const registrationCount = await Registration.countDocuments({
+      event: { 
+        $in: await Event.find({ department: dept._id }).distinct('_id') 
+      }
+    });
+
+    return {
+      ...dept.toObject(),
+      statistics: {
+        students: studentCount,
+        faculty: facultyCount,
+        events: eventCount,
+        registrations: registrationCount
+      }
+    };
+  }));
+
+  if (isExportFormat(format)) {
+    return streamReport(output, { format, name: 'departments', sheetName: 'Departments', columns: DEPARTMENT_COLUMNS }, async (write) => {
+      for (const dept of departmentStats) {
+        await write({
+          name: dept.name,
+          code: dept.code,
+          hod: fullName(dept.hod),
+          ...dept.statistics
+        });
+      }
+    });
+  }
+
+  const summary = {
+    totalDepartments: departments.length,
+    totalStudents: departmentStats.reduce((sum, dept) => sum + dept.statistics.students, 0),
+    totalFaculty: departmentStats.reduce((sum, dept) => sum + dept.statistics.faculty, 0),
+    totalEvents: departmentStats.reduce((sum, dept) => sum + dept.statistics.events, 0),
+    totalRegistrations: departmentStats.reduce((sum, dept) => sum + dept.statistics.registrations, 0)
+  };
+
+  if (format === 'pdf') {
+    return sendPdf(output, 'departments', 'Departments Report', {}, {
+      summary,
+      sections: [
+        {
+          title: 'Departments',
+          columns: [
+            { header: 'Department', key: 'name', width: 3 },
+            { header: 'Code', key: 'code' },
+            { header: 'Head of Department', key: 'hod', width: 2.5 },
+            { header: 'Students', key: 'students', align: 'right' },
+            { header: 'Faculty', key: 'faculty', align: 'right' },
+            { header: 'Events', key: 'events', align: 'right' },
+            { header: 'Registrations', key: 'registrations', align: 'right', width: 1.5 }
+          ],
+          rows: departmentStats.map(dept => ({
+            name: dept.name,
+            code: dept.code,
+            hod: fullName(dept.hod),
+            ...dept.statistics
+          }))
+        },
+        { title: 'Published Events per Month', chart: await Event.getMonthlyCounts({ status: 'published' }) }
+      ]
+    });
+  }
+
+  return {
+    summary,
+    departments: departmentStats,
+    generatedAt: new Date()
+  };
+};
+
+const REPORTS = {
+  events: eventsReport,
+  registrations: registrationsReport,
+  attendance: attendanceReport,
+  users: usersReport,
+  departments: departmentsReport
+};
+
+// JSON reports are returned as data. Every other format is written to `output`, which can be
+// an Express response or any writable stream that accepts headers through `set()`.
+const generateReport = (type, filters, { format = 'json', output } = {}) => REPORTS[type](filters, { format, output });
+
+// Collects a rendered report in memory, standing in for the response outside a request
+class ReportBuffer extends Writable {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.headers = {};
+  }
+
+  set(headers) {
+    Object.assign(this.headers, headers);
+    return this;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(Buffer.from(chunk, encoding));
+    callback();
+  }
+}
+
+// Renders a report as a file, in the shape mail attachments expect
+const renderReportFile = async (type, filters, format) => {
+  const output = new ReportBuffer();
+  await generateReport(type, filters, { format, output });
+  await finished(output);
+
+  return {
+    filename: reportFileName(type, format),
+    content: Buffer.concat(output.chunks),
+    contentType: output.headers['Content-Type']
+  };
+};
+
+module.exports = {
+  REPORT_TYPES,
+  generateReport,
+  renderReportFile
+};
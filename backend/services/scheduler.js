@@ -0,0 +1,89 @@
+const MAX_TIMER_DELAY = 2147483647;
+const RETRY_DELAY = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+class Scheduler {
+  constructor({ retryDelay = RETRY_DELAY, maxAttempts = MAX_ATTEMPTS } = {}) {
+    this.retryDelay = retryDelay;
+    this.maxAttempts = maxAttempts;
+    this.handlers = new Map();
+    this.timers = new Map();
+  }
+
+  // `onFailure` runs once a job has failed `maxAttempts` times, to mark its target as failed
+  define(type, handler, { onFailure } = {}) {
+    this.handlers.set(type, { handler, onFailure });
+  }
+
+  schedule(type, id, runAt, payload) {
+    const key = `${type}:${id}`;
+    this.cancel(type, id);
+
+    const arm = () => {
+      const delay = new Date(runAt).getTime() - Date.now();
+
+      // setTimeout overflows past ~24.8 days, so far-off jobs are re-armed in steps
+      if (delay > MAX_TIMER_DELAY) {
+        this.timers.set(key, setTimeout(arm, MAX_TIMER_DELAY));
+        return;
+      }
+
+      this.timers.set(key, setTimeout(() => this.run(type, id, payload), Math.max(0, delay)));
+    };
+
+    arm();
+  }
+
+  async run(type, id, payload) {
+    this.timers.delete(`${type}:${id}`);
+
+    const job = this.handlers.get(type);
+    if (!job) {
+      console.error(`No handler defined for job type: ${type}`);
+      return;
+    }
+
+    try {
+      await job.handler(id, payload);
+    } catch (error) {
+      // Retries back off exponentially, counting attempts in the payload
+      const attempt = (payload?.attempt || 0) + 1;
+
+      if (attempt < this.maxAttempts) {
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        console.error(`Job ${type}:${id} failed (attempt ${attempt} of ${this.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        this.schedule(type, id, Date.now() + delay, { ...payload, attempt });
+        return;
+      }
+
+      console.error(`Job ${type}:${id} failed ${attempt} times, giving up:`, error.message);
+      if (job.onFailure) {
+        try {
+          await job.onFailure(id, payload, error);
+        } catch (failureError) {
+          console.error(`Failed to mark job ${type}:${id} as failed:`, failureError.message);
+        }
+      }
+    }
+  }
+
+  cancel(type, id) {
+    const key = `${type}:${id}`;
+    const timer = this.timers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(key);
+    }
+  }
+
+  isScheduled(type, id) {
+    return this.timers.has(`${type}:${id}`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,86 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+
+// Statuses that occupy one of an event's seats and are reflected in registration.currentCount
+const SEAT_STATUSES = ['pending', 'approved', 'offered', 'attended', 'absent'];
+
+const holdsSeat = (status) => SEAT_STATUSES.includes(status);
+
+// The capacity check and the increment happen in a single conditional update,
+// so concurrent sign-ups can never push currentCount past maxCapacity.
+// Resolves the updated event, or null when no seat was free.
+const reserveSeat = (eventId) => {
+  return Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      $expr: { $lt: ['$registration.currentCount', '$registration.maxCapacity'] }
+    },
+    { $inc: { 'registration.currentCount': 1 } },
+    { new: true, projection: { registration: 1 } }
+  );
+};
+
+const releaseSeat = async (eventId) => {
+  await Event.updateOne(
+    { _id: eventId, 'registration.currentCount': { $gt: 0 } },
+    { $inc: { 'registration.currentCount': -1 } }
+  );
+};
+
+const countSeats = async (eventIds) => {
+  const match = { status: { $in: SEAT_STATUSES } };
+  if (eventIds) {
+    match.event = { $in: eventIds };
+  }
+
+  const counts = await Registration.aggregate([
+    { $match: match },
+    { $group: { _id: '$event', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+const reconcile = async (eventId) => {
+  const events = await Event.find(eventId ? { _id: eventId } : {})
+    .select('title registration.currentCount registration.maxCapacity');
+
+  const counts = await countSeats(eventId ? events.map(event => event._id) : null);
+
+  const results = events.map(event => ({
+    eventId: event._id,
+    title: event.title,
+    maxCapacity: event.registration.maxCapacity,
+    previousCount: event.registration.currentCount,
+    currentCount: counts.get(event._id.toString()) || 0
+  }));
+
+  const changed = results.filter(result => result.previousCount !== result.currentCount);
+  const corrected = [];
+  const skipped = [];
+
+  // Each correction only applies if the count is still the one that was read, so a seat reserved or
+  // released while the counts were being taken is never overwritten. Skipped events can be checked again.
+  for (const result of changed) {
+    const update = await Event.updateOne(
+      { _id: result.eventId, 'registration.currentCount': result.previousCount },
+      { $set: { 'registration.currentCount': result.currentCount } }
+    );
+
+    (update.matchedCount > 0 ? corrected : skipped).push(result);
+  }
+
+  return {
+    checked: results.length,
+    corrected,
+    skipped
+  };
+};
+
+module.exports = {
+  SEAT_STATUSES,
+  holdsSeat,
+  reserveSeat,
+  releaseSeat,
+  reconcile
+};
@@ -0,0 +1,74 @@
+const moment = require('moment');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const formatters = new Map();
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const resolveTimezone = (event) => {
+  const timeZone = event.schedule?.timezone || DEFAULT_TIMEZONE;
+  return isValidTimezone(timeZone) ? timeZone : 'UTC';
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// The wall-clock time in `timeZone`, as a UTC moment so arithmetic on it ignores DST
+const toWallClock = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+
+  return moment.utc([parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second]);
+};
+
+const offsetMinutes = (date, timeZone) => {
+  const instant = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  return Math.round((toWallClock(date, timeZone).valueOf() - instant) / 60000);
+};
+
+// Converts a wall-clock time back to an instant. Times skipped by a DST jump resolve
+// to the instant just after it, and repeated times resolve to their first occurrence.
+const fromWallClock = (wallClock, timeZone) => {
+  const wall = wallClock.valueOf();
+  const guess = wall - offsetMinutes(wall, timeZone) * 60000;
+  const adjusted = wall - offsetMinutes(guess, timeZone) * 60000;
+  const earlier = wall - offsetMinutes(adjusted - 60 * 60 * 1000, timeZone) * 60000;
+
+  const candidates = [earlier, adjusted, guess]
+    .filter(candidate => toWallClock(candidate, timeZone).valueOf() === wall)
+    .sort((a, b) => a - b);
+
+  return new Date(candidates.length > 0 ? candidates[0] : Math.max(guess, adjusted));
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  toWallClock,
+  offsetMinutes,
+  fromWallClock
+};
@@ -0,0 +1,176 @@
+const moment = require('moment');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Notification = require('../models/Notification');
+const publishing = require('./publishing');
+const scheduler = require('./scheduler');
+const { reserveSeat, releaseSeat } = require('./seats');
+const { eventManagers, emitToUsers } = require('./realtime');
+
+const JOBS = {
+  expireOffer: 'waitlist:expire-offer'
+};
+
+let io = null;
+
+// Offers are personal, so only the registrant and the event's organizers hear about them
+const emitToRegistrant = (event, registration, name, payload) => {
+  emitToUsers(io, [registration.user, ...eventManagers(event)], name, payload);
+};
+
+const notifyUser = async (userId, event, registration, notificationData) => {
+  const notification = await Notification.createForUsers([userId], {
+    type: 'registration',
+    relatedEvent: event._id,
+    relatedRegistration: registration._id,
+    ...notificationData,
+    metadata: {
+      actionUrl: `/events/${event._id}`,
+      ...notificationData.metadata
+    }
+  });
+  publishing.deliverNotification(notification);
+};
+
+const offerExpiry = (event, now) => {
+  const windowEnd = new Date(now.getTime() + event.registration.waitlist.confirmWindowHours * 60 * 60 * 1000);
+  return windowEnd < event.schedule.startDate ? windowEnd : event.schedule.startDate;
+};
+
+const promoteNext = async (eventId) => {
+  const event = await Event.findById(eventId);
+  const promoted = [];
+
+  if (!event || event.status !== 'published' || event.schedule.startDate <= new Date()) {
+    return promoted;
+  }
+
+  while (await Registration.exists({ event: event._id, status: 'waitlisted' }) && await reserveSeat(event._id)) {
+    const now = new Date();
+    const expiresAt = offerExpiry(event, now);
+
+    const registration = await Registration.findOneAndUpdate(
+      { event: event._id, status: 'waitlisted' },
+      {
+        $set: {
+          status: 'offered',
+          'waitlist.offeredAt': now,
+          'waitlist.offerExpiresAt': expiresAt
+        }
+      },
+      { new: true, sort: { 'waitlist.joinedAt': 1 } }
+    );
+
+    if (!registration) {
+      await releaseSeat(event._id);
+      break;
+    }
+
+    scheduler.schedule(JOBS.expireOffer, registration._id.toString(), expiresAt);
+
+    await notifyUser(registration.user, event, registration, {
+      title: 'A seat opened up for you',
+      channels: ['in-app', 'email'],
+      message: `A seat is available for "${event.title}". Confirm by ${moment(expiresAt).format('MMM D, YYYY h:mm A')} or it will pass to the next person on the waitlist.`,
+      priority: 'high',
+      expiresAt,
+      metadata: { actionText: 'Confirm seat' }
+    });
+
+    emitToRegistrant(event, registration, 'waitlist-promoted', {
+      eventId: event._id,
+      registration,
+      offerExpiresAt: expiresAt
+    });
+
+    promoted.push(registration);
+  }
+
+  return promoted;
+};
+
+const expireOffer = async (registrationId) => {
+  const registration = await Registration.findOneAndUpdate(
+    { _id: registrationId, status: 'offered' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancellationReason: 'Waitlist offer expired'
+      }
+    },
+    { new: true }
+  );
+
+  if (!registration) return;
+
+  await releaseSeat(registration.event);
+  const event = await Event.findById(registration.event);
+
+  if (event) {
+    await notifyUser(registration.user, event, registration, {
+      title: 'Your waitlist offer expired',
+      message: `The seat offered to you for "${event.title}" was not confirmed in time and has been released.`
+    });
+
+    emitToRegistrant(event, registration, 'waitlist-offer-expired', {
+      eventId: registration.event,
+      registration
+    });
+  }
+
+  await promoteNext(registration.event);
+};
+
+const confirmOffer = async (registration, event) => {
+  if (registration.waitlist.offerExpiresAt && registration.waitlist.offerExpiresAt <= new Date()) {
+    await expireOffer(registration._id);
+    return null;
+  }
+
+  const confirmed = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'offered' },
+    {
+      $set: {
+        status: event.registration.approvalRequired ? 'pending' : 'approved',
+        'waitlist.confirmedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (confirmed) {
+    scheduler.cancel(JOBS.expireOffer, confirmed._id.toString());
+  }
+
+  return confirmed;
+};
+
+const cancelOffer = (registrationId) => {
+  scheduler.cancel(JOBS.expireOffer, registrationId.toString());
+};
+
+const recover = async () => {
+  const offers = await Registration.find({ status: 'offered' }).select('waitlist');
+
+  offers.forEach(registration => {
+    scheduler.schedule(JOBS.expireOffer, registration._id.toString(), registration.waitlist.offerExpiresAt || new Date());
+  });
+
+  return offers.length;
+};
+
+const start = async (socketServer) => {
+  io = socketServer;
+
+  scheduler.define(JOBS.expireOffer, expireOffer);
+
+  const recovered = await recover();
+  console.log(`Waitlist recovered ${recovered} pending seat offers`);
+};
+
+module.exports = {
+  start,
+  promoteNext,
+  confirmOffer,
+  cancelOffer
+};
@@ -0,0 +1,205 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ApprovalChain = require('../models/ApprovalChain');
+const Department = require('../models/Department');
+const approvals = require('../services/approvals');
+
+const user = (overrides = {}) => ({
+  _id: 'u1',
+  role: 'faculty',
+  permissions: [],
+  hasPermission(permission) {
+    return this.permissions.includes(permission);
+  },
+  ...overrides
+});
+
+const step = (overrides = {}) => ({
+  name: 'Step',
+  approverType: 'permission',
+  permission: 'approve_events',
+  status: 'waiting',
+  ...overrides
+});
+
+const pendingEvent = (steps) => {
+  steps[0].status = 'pending';
+  return {
+    status: 'draft',
+    approval: { status: 'pending', currentStep: 0, steps }
+  };
+};
+
+describe('decide', () => {
+  const now = new Date('2026-01-05T10:00:00Z');
+  const approver = user({ _id: 'a1' });
+
+  it('moves on to the next step when one is approved', () => {
+    const event = pendingEvent([step({ name: 'HOD' }), step({ name: 'Dean' })]);
+
+    const outcome = approvals.decide(event, approver, { approved: true, comment: 'Fine' }, now);
+
+    assert.equal(outcome, 'advanced');
+    assert.equal(event.status, 'draft');
+    assert.equal(event.approval.status, 'pending');
+    assert.equal(event.approval.currentStep, 1);
+    assert.deepEqual(
+      { status: event.approval.steps[0].status, decidedBy: event.approval.steps[0].decidedBy, decidedAt: event.approval.steps[0].decidedAt, comment: event.approval.steps[0].comment },
+      { status: 'approved', decidedBy: 'a1', decidedAt: now, comment: 'Fine' }
+    );
+    assert.equal(event.approval.steps[1].status, 'pending');
+  });
+
+  it('publishes the event when the last step is approved', () => {
+    const event = pendingEvent([step(), step()]);
+    event.approval.steps[0].status = 'approved';
+    event.approval.steps[1].status = 'pending';
+    event.approval.currentStep = 1;
+
+    const outcome = approvals.decide(event, approver, { approved: true }, now);
+
+    assert.equal(outcome, 'approved');
+    assert.equal(event.status, 'published');
+    assert.equal(event.approval.status, 'approved');
+    assert.equal(event.approval.approvedBy, 'a1');
+    assert.equal(event.approval.approvedAt, now);
+  });
+
+  it('ends the chain when any step is rejected', () => {
+    const event = pendingEvent([step(), step()]);
+
+    const outcome = approvals.decide(event, approver, { approved: false, comment: 'Needs a budget' }, now);
+
+    assert.equal(outcome, 'rejected');
+    assert.equal(event.status, 'draft');
+    assert.equal(event.approval.status, 'rejected');
+    assert.equal(event.approval.rejectionReason, 'Needs a budget');
+    assert.equal(event.approval.steps[0].status, 'rejected');
+    assert.equal(event.approval.steps[1].status, 'waiting');
+  });
+
+  it('approves events submitted before approval chains in one go', () => {
+    const event = { status: 'draft', approval: { status: 'pending', currentStep: 0, steps: [] } };
+
+    assert.equal(approvals.decide(event, approver, { approved: true }, now), 'approved');
+    assert.equal(event.status, 'published');
+  });
+});
+
+describe('canApprove', () => {
+  it('only allows pending approvals', () => {
+    const event = pendingEvent([step()]);
+    event.approval.status = 'approved';
+
+    assert.equal(approvals.canApprove(user({ role: 'admin' }), event), false);
+  });
+
+  it('lets admins sign off any step', () => {
+    assert.equal(approvals.canApprove(user({ role: 'admin' }), pendingEvent([step({ approverType: 'role', role: 'dean' })])), true);
+  });
+
+  it('matches the current step\'s approver', () => {
+    const hod = pendingEvent([step({ approverType: 'hod', assignee: { _id: 'u1' } })]);
+    const role = pendingEvent([step({ approverType: 'role', role: 'faculty' })]);
+    const permission = pendingEvent([step({ permission: 'approve_events' })]);
+
+    assert.equal(approvals.canApprove(user(), hod), true);
+    assert.equal(approvals.canApprove(user({ _id: 'u2' }), hod), false);
+    assert.equal(approvals.canApprove(user(), role), true);
+    assert.equal(approvals.canApprove(user({ role: 'student' }), role), false);
+    assert.equal(approvals.canApprove(user(), permission), false);
+    assert.equal(approvals.canApprove(user({ permissions: ['approve_events'] }), permission), true);
+  });
+
+  it('only looks at the current step', () => {
+    const event = pendingEvent([step({ approverType: 'role', role: 'dean' }), step({ approverType: 'role', role: 'faculty' })]);
+
+    assert.equal(approvals.canApprove(user(), event), false);
+  });
+
+  it('falls back to approve_events for events without steps', () => {
+    const event = { approval: { status: 'pending', currentStep: 0, steps: [] } };
+
+    assert.equal(approvals.canApprove(user(), event), false);
+    assert.equal(approvals.canApprove(user({ permissions: ['approve_events'] }), event), true);
+  });
+});
+
+describe('waitingOnFilter', () => {
+  it('matches pending steps assigned to the user, their role or their permissions', () => {
+    const filter = approvals.waitingOnFilter(user({ permissions: ['manage_events'] }));
+
+    assert.equal(filter['approval.status'], 'pending');
+    assert.equal(filter.$or.length, 1);
+    assert.deepEqual(filter.$or[0]['approval.steps'].$elemMatch.$or, [
+      { approverType: 'hod', assignee: 'u1' },
+      { approverType: 'role', role: 'faculty' },
+      { approverType: 'permission', permission: { $in: ['manage_events'] } }
+    ]);
+  });
+
+  it('gives admins every pending event, as they can decide any step', () => {
+    const admin = user({ role: 'admin' });
+    const event = pendingEvent([step({ approverType: 'hod', assignee: 'h1' }), step({ approverType: 'role', role: 'dean' })]);
+
+    assert.deepEqual(approvals.waitingOnFilter(admin), { status: 'draft', 'approval.status': 'pending' });
+    assert.equal(approvals.canApprove(admin, event), true);
+  });
+
+  it('includes events without steps for users with approve_events', () => {
+    const filter = approvals.waitingOnFilter(user({ permissions: ['approve_events'] }));
+
+    assert.deepEqual(filter.$or[1], { 'approval.steps.0': { $exists: false } });
+  });
+});
+
+describe('buildApproval', () => {
+  const event = {
+    category: 'c1',
+    department: 'd1',
+    registration: { maxCapacity: 500, fee: { amount: 0 } }
+  };
+
+  const stubChains = (chains) => mock.method(ApprovalChain, 'find', () => ({ sort: async () => chains }));
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('uses a single approve_events step when no chain matches', async () => {
+    stubChains([{ _id: 'paid', name: 'Paid events', conditions: { hasFee: true }, steps: [step({ name: 'Finance' })] }]);
+
+    const approval = await approvals.buildApproval(event);
+
+    assert.equal(approval.chain, undefined);
+    assert.equal(approval.steps.length, 1);
+    assert.equal(approval.steps[0].permission, 'approve_events');
+    assert.equal(approval.steps[0].status, 'pending');
+  });
+
+  it('uses the first matching chain, waiting on its first step', async () => {
+    stubChains([
+      { _id: 'big', name: 'Large events', conditions: { match: 'any', hasFee: true, minCapacity: 200 }, steps: [step({ name: 'Security' }), step({ name: 'Dean' })] },
+      { _id: 'all', name: 'Everything', steps: [step({ name: 'Default' })] }
+    ]);
+
+    const approval = await approvals.buildApproval(event);
+
+    assert.equal(approval.chain, 'big');
+    assert.deepEqual(approval.steps.map(resolved => [resolved.name, resolved.status]), [['Security', 'pending'], ['Dean', 'waiting']]);
+  });
+
+  it('assigns HOD steps to the department head, or to approve_events without one', async () => {
+    stubChains([{ _id: 'hod', name: 'HOD', steps: [step({ approverType: 'hod', permission: undefined })] }]);
+    const findById = mock.method(Department, 'findById', () => ({ select: async () => ({ hod: 'h1' }) }));
+
+    const assigned = await approvals.buildApproval(event);
+    findById.mock.mockImplementation(() => ({ select: async () => ({ hod: null }) }));
+    const fallback = await approvals.buildApproval(event);
+
+    assert.equal(assigned.steps[0].approverType, 'hod');
+    assert.equal(assigned.steps[0].assignee, 'h1');
+    assert.equal(fallback.steps[0].approverType, 'permission');
+    assert.equal(fallback.steps[0].permission, 'approve_events');
+  });
+});
@@ -0,0 +1,309 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AuditSettings = require('../models/AuditSettings');
+const User = require('../models/User');
+const scheduler = require('../services/scheduler');
+const auditRetention = require('../services/auditRetention');
+const usersRouter = require('../routes/users');
+const { audit, auditTrail } = require('../middleware/audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const adminId = new mongoose.Types.ObjectId();
+const targetId = new mongoose.Types.ObjectId().toString();
+
+const request = (overrides = {}) => ({
+  user: { _id: adminId, role: 'admin' },
+  method: 'PUT',
+  originalUrl: `/api/users/${targetId}?notify=1`,
+  baseUrl: '/api/users',
+  route: { path: '/:id' },
+  params: { id: targetId },
+  body: {},
+  ip: '127.0.0.1',
+  get: () => 'test-agent',
+  ...overrides
+});
+
+const response = (statusCode = 200) => Object.assign(new EventEmitter(), {
+  statusCode,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Runs a middleware, then lets the route "succeed" after `handler` and waits for the finish listeners
+const runRequest = async (middleware, req, res, handler = () => {}) => {
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  if (passed) {
+    handler();
+    res.emit('finish');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return passed;
+};
+
+// What User.find resolves to: the current state of each stored document asked for
+const stubUsers = (documents) => mock.method(User, 'find', (filter) => ({
+  select: () => ({
+    lean: async () => filter._id.$in
+      .filter(id => documents[id])
+      .map(id => ({ _id: id, ...documents[id] }))
+  })
+}));
+
+const stubInsert = () => mock.method(AuditLog, 'insertMany', async (entries) => entries);
+
+const written = (insertMany) => insertMany.mock.calls.flatMap(call => call.arguments[0]);
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('audit', () => {
+  it('records the fields it selects before and after a successful change', async () => {
+    const documents = { [targetId]: { role: 'student', isActive: true } };
+    stubUsers(documents);
+    const insertMany = stubInsert();
+    const req = request({ elevated: 'admin' });
+
+    const passed = await runRequest(audit('user.update', { model: User, select: 'role isActive' }), req, response(), () => {
+      documents[targetId] = { role: 'faculty', isActive: true };
+    });
+
+    assert.equal(passed, true);
+    assert.equal(req.audited, true);
+    const [entry] = written(insertMany);
+    assert.deepEqual(entry, {
+      actor: adminId,
+      actorRole: 'admin',
+      privilege: 'admin',
+      method: 'PUT',
+      path: `/api/users/${targetId}`,
+      statusCode: 200,
+      ip: '127.0.0.1',
+      userAgent: 'test-agent',
+      action: 'user.update',
+      targetType: 'User',
+      targetId,
+      before: { _id: targetId, role: 'student', isActive: true },
+      after: { _id: targetId, role: 'faculty', isActive: true }
+    });
+  });
+
+  it('leaves out targets the route did not change', async () => {
+    const otherId = new mongoose.Types.ObjectId().toString();
+    const documents = { [targetId]: { role: 'student' }, [otherId]: { role: 'student' } };
+    stubUsers(documents);
+    const insertMany = stubInsert();
+
+    await runRequest(audit('user.bulk', { model: User, targets: () => [targetId, otherId] }), request(), response(), () => {
+      documents[otherId] = { role: 'faculty' };
+    });
+
+    assert.deepEqual(written(insertMany).map(entry => entry.targetId), [otherId]);
+  });
+
+  it('records a deleted target with no after state', async () => {
+    const documents = { [targetId]: { role: 'student' } };
+    stubUsers(documents);
+    const insertMany = stubInsert();
+
+    await runRequest(audit('user.delete', { model: User }), request({ method: 'DELETE' }), response(), () => {
+      delete documents[targetId];
+    });
+
+    const [entry] = written(insertMany);
+    assert.deepEqual(entry.before, { _id: targetId, role: 'student' });
+    assert.equal(entry.after, null);
+  });
+
+  it('writes nothing when the route fails', async () => {
+    const documents = { [targetId]: { role: 'student' } };
+    stubUsers(documents);
+    const insertMany = stubInsert();
+
+    await runRequest(audit('user.update', { model: User }), request(), response(400), () => {
+      documents[targetId] = { role: 'faculty' };
+    });
+
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('skips requests its when predicate rules out', async () => {
+    const find = stubUsers({ [targetId]: { role: 'student' } });
+    const insertMany = stubInsert();
+    const req = request();
+
+    const passed = await runRequest(audit('user.update', { model: User, when: (r) => 'role' in r.body }), req, response());
+
+    assert.equal(passed, true);
+    assert.equal(req.audited, undefined);
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('names the action from the request when given a function', async () => {
+    const documents = { [targetId]: { isActive: true } };
+    stubUsers(documents);
+    const insertMany = stubInsert();
+
+    await runRequest(audit((req) => `user.${req.body.action}`, { model: User }), request({ body: { action: 'deactivate' } }), response(), () => {
+      documents[targetId] = { isActive: false };
+    });
+
+    assert.equal(written(insertMany)[0].action, 'user.deactivate');
+  });
+
+  it('answers 500 without running the route when the targets cannot be read', async () => {
+    mock.method(User, 'find', () => ({
+      select: () => ({ lean: async () => { throw new Error('connection lost'); } })
+    }));
+    const res = response();
+
+    const passed = await runRequest(audit('user.update', { model: User }), request(), res);
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { success: false, message: 'Failed to prepare audit log', error: 'connection lost' });
+  });
+});
+
+describe('PUT /users/:id audit', () => {
+  const layer = usersRouter.stack.find(entry => entry.route?.path === '/:id' && entry.route.methods.put);
+  // The audit runs just before the handler
+  const auditUpdate = layer.route.stack.at(-2).handle;
+
+  const audits = async (req) => {
+    stubUsers({ [targetId]: { role: 'student' } });
+    await auditUpdate(req, response(), () => {});
+    mock.restoreAll();
+    return req.audited === true;
+  };
+
+  it('audits an admin editing someone else', async () => {
+    assert.equal(await audits(request({ body: { bio: 'Hi' } })), true);
+  });
+
+  it('audits an admin changing their own admin-only fields', async () => {
+    for (const field of ['role', 'permissions', 'isActive', 'department']) {
+      const req = request({ params: { id: adminId.toString() }, body: { [field]: null } });
+      assert.equal(await audits(req), true, field);
+    }
+  });
+
+  it('skips an admin editing their own profile', async () => {
+    assert.equal(await audits(request({ params: { id: adminId.toString() }, body: { bio: 'Hi' } })), false);
+  });
+
+  it('skips users editing their own profile', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'student' };
+    assert.equal(await audits(request({ user, params: { id: user._id.toString() }, body: { bio: 'Hi' } })), false);
+  });
+});
+
+describe('auditTrail', () => {
+  it('records a change made with elevated access that no route audited', async () => {
+    const insertMany = stubInsert();
+
+    await runRequest(auditTrail, request({ elevated: 'manage_users' }), response());
+
+    const [entry] = written(insertMany);
+    assert.equal(entry.action, 'PUT /api/users/:id');
+    assert.equal(entry.privilege, 'manage_users');
+    assert.equal(entry.targetType, 'User');
+    assert.equal(entry.targetId, targetId);
+    assert.equal(entry.before, null);
+    assert.equal(entry.after, null);
+  });
+
+  it('falls back to Other for mount points it does not know', async () => {
+    const insertMany = stubInsert();
+
+    await runRequest(auditTrail, request({ elevated: 'admin', baseUrl: '/api/unknown', params: {} }), response());
+
+    const [entry] = written(insertMany);
+    assert.equal(entry.targetType, 'Other');
+    assert.equal(entry.targetId, undefined);
+  });
+
+  it('leaves requests without elevated access alone', async () => {
+    const insertMany = stubInsert();
+
+    await runRequest(auditTrail, request(), response());
+
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('leaves changes an audit already recorded alone', async () => {
+    const insertMany = stubInsert();
+
+    await runRequest(auditTrail, request({ elevated: 'admin', audited: true }), response());
+
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('leaves failed and read-only requests alone', async () => {
+    const insertMany = stubInsert();
+
+    await runRequest(auditTrail, request({ elevated: 'admin' }), response(403));
+    await runRequest(auditTrail, request({ elevated: 'admin', method: 'GET' }), response());
+
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+});
+
+describe('audit retention', () => {
+  const stubRetention = (retentionDays, deletedCount = 0) => {
+    mock.method(AuditSettings, 'current', async () => ({ retentionDays }));
+    mock.method(console, 'log', () => {});
+    return {
+      deleteMany: mock.method(AuditLog, 'deleteMany', async () => ({ deletedCount })),
+      define: mock.method(scheduler, 'define', () => {}),
+      schedule: mock.method(scheduler, 'schedule', () => {})
+    };
+  };
+
+  it('deletes entries older than the retention period on start', async () => {
+    const { deleteMany } = stubRetention(90);
+    const startedAt = Date.now();
+
+    await auditRetention.start();
+
+    const [{ arguments: [filter] }] = deleteMany.mock.calls;
+    const cutoff = filter.createdAt.$lt.getTime();
+    assert.ok(cutoff >= startedAt - 90 * DAY && cutoff <= Date.now() - 90 * DAY);
+  });
+
+  it('schedules the next purge for 03:00', async () => {
+    const { schedule } = stubRetention(365);
+
+    await auditRetention.start();
+
+    const [{ arguments: [type, id, runAt] }] = schedule.mock.calls;
+    assert.equal(type, 'audit:purge');
+    assert.equal(id, 'daily');
+    assert.ok(runAt > new Date());
+  });
+
+  it('purges again and reschedules itself each time the job runs', async () => {
+    const { deleteMany, define, schedule } = stubRetention(30, 4);
+    await auditRetention.start();
+    const [{ arguments: [type, runPurge] }] = define.mock.calls;
+
+    await runPurge();
+
+    assert.equal(type, 'audit:purge');
+    assert.equal(deleteMany.mock.callCount(), 2);
+    assert.equal(schedule.mock.callCount(), 2);
+  });
+});
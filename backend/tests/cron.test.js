@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, isValidCron, nextRun } = require('../services/cron');
+const { computeNextRun } = require('../services/reportDelivery');
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const cron = parseCron('0,30 9-17/4 1 * *');
+
+    assert.deepEqual(sorted(cron.minutes), [0, 30]);
+    assert.deepEqual(sorted(cron.hours), [9, 13, 17]);
+    assert.deepEqual(sorted(cron.daysOfMonth), [1]);
+    assert.equal(cron.months.size, 12);
+    assert.equal(cron.anyDayOfMonth, false);
+    assert.equal(cron.anyDayOfWeek, true);
+  });
+
+  it('steps from a single value to the end of the field', () => {
+    assert.deepEqual(sorted(parseCron('50/5 * * * *').minutes), [50, 55]);
+  });
+
+  it('accepts month and weekday names, and 7 for Sunday', () => {
+    const cron = parseCron('0 9 * jan,DEC MON-FRI');
+    const sunday = parseCron('0 9 * * 7');
+
+    assert.deepEqual(sorted(cron.months), [1, 12]);
+    assert.deepEqual(sorted(cron.daysOfWeek), [1, 2, 3, 4, 5]);
+    assert.deepEqual(sorted(sunday.daysOfWeek), [0]);
+  });
+
+  it('accepts shortcuts', () => {
+    const cron = parseCron('@weekly');
+
+    assert.deepEqual(sorted(cron.minutes), [0]);
+    assert.deepEqual(sorted(cron.hours), [0]);
+    assert.deepEqual(sorted(cron.daysOfWeek), [0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('0 9 * *'), /five fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+    assert.throws(() => parseCron('0 17-9 * * *'), /Invalid range/);
+    assert.throws(() => parseCron('0 9 * * FUN'), /Invalid day of week/);
+    assert.equal(isValidCron(''), false);
+    assert.equal(isValidCron('0 9 * * 1'), true);
+  });
+});
+
+describe('nextRun', () => {
+  it('finds the next matching minute after the given time', () => {
+    const runAt = nextRun('*/15 * * * *', new Date('2026-01-05T10:07:30Z'));
+
+    assert.equal(runAt.toISOString(), '2026-01-05T10:15:00.000Z');
+  });
+
+  it('never returns the given time itself', () => {
+    const runAt = nextRun('0 9 * * *', new Date('2026-01-05T09:00:00Z'));
+
+    assert.equal(runAt.toISOString(), '2026-01-06T09:00:00.000Z');
+  });
+
+  it('reads the schedule on the local clock', () => {
+    // Friday 9 January, after 09:00 in Kolkata; the next weekday is Monday
+    const runAt = nextRun('0 9 * * 1-5', new Date('2026-01-09T04:00:00Z'), 'Asia/Kolkata');
+
+    assert.equal(runAt.toISOString(), '2026-01-12T03:30:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // Thursday 1 January 2026; Friday the 2nd comes before the 13th
+    const runAt = nextRun('0 0 13 * 5', new Date('2026-01-01T00:00:00Z'));
+
+    assert.equal(runAt.toISOString(), '2026-01-02T00:00:00.000Z');
+  });
+
+  it('skips months without the requested day', () => {
+    const runAt = nextRun('0 0 31 * *', new Date('2026-01-31T12:00:00Z'));
+
+    assert.equal(runAt.toISOString(), '2026-03-31T00:00:00.000Z');
+  });
+
+  it('keeps the local time across daylight saving changes', () => {
+    const winter = nextRun('0 9 * * *', new Date('2026-03-07T15:00:00Z'), 'America/New_York');
+    const summer = nextRun('0 9 * * *', new Date('2026-03-08T15:00:00Z'), 'America/New_York');
+
+    assert.equal(winter.toISOString(), '2026-03-08T13:00:00.000Z');
+    assert.equal(summer.toISOString(), '2026-03-09T13:00:00.000Z');
+  });
+
+  it('runs a time skipped by the clocks going forward just after the jump', () => {
+    const runAt = nextRun('30 2 * * *', new Date('2026-03-07T12:00:00Z'), 'America/New_York');
+
+    assert.equal(runAt.toISOString(), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('runs a time repeated by the clocks going back only once', () => {
+    const first = nextRun('30 1 * * *', new Date('2026-10-31T12:00:00Z'), 'America/New_York');
+    const next = nextRun('30 1 * * *', first, 'America/New_York');
+
+    assert.equal(first.toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(next.toISOString(), '2026-11-02T06:30:00.000Z');
+  });
+
+  it('returns null for dates that never happen', () => {
+    assert.equal(nextRun('0 0 30 2 *', new Date('2026-01-01T00:00:00Z')), null);
+  });
+});
+
+describe('computeNextRun', () => {
+  const schedule = (overrides = {}) => ({
+    isActive: true,
+    schedule: { cron: '0 8 * * 1', timezone: 'Europe/London' },
+    ...overrides
+  });
+
+  it('uses the schedule\'s cron and time zone', () => {
+    const runAt = computeNextRun(schedule(), new Date('2026-06-01T08:00:00Z'));
+
+    assert.equal(runAt.toISOString(), '2026-06-08T07:00:00.000Z');
+  });
+
+  it('returns null for paused schedules', () => {
+    assert.equal(computeNextRun(schedule({ isActive: false }), new Date('2026-06-01T08:00:00Z')), null);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventVersion = require('../models/EventVersion');
+const history = require('../services/eventHistory');
+
+const userId = new mongoose.Types.ObjectId();
+
+const event = (overrides = {}) => new Event({
+  title: 'Robotics workshop',
+  description: 'Build a robot',
+  organizer: userId,
+  category: new mongoose.Types.ObjectId(),
+  status: 'published',
+  venue: { name: 'Lab 2', type: 'physical' },
+  schedule: {
+    startDate: new Date('2026-06-01T09:00:00Z'),
+    endDate: new Date('2026-06-01T11:00:00Z'),
+    timezone: 'UTC'
+  },
+  registration: { maxCapacity: 30, currentCount: 12 },
+  tags: ['robots'],
+  ...overrides
+});
+
+// What EventVersion.find resolves to for the versions after the one asked for, newest first
+const stubVersions = (versions) => mock.method(EventVersion, 'find', (filter) => ({
+  sort: async () => versions
+    .filter(entry => entry.version > filter.version.$gt)
+    .sort((a, b) => b.version - a.version)
+}));
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('snapshot', () => {
+  it('keys tracked fields by dotted path and leaves out the live count', () => {
+    const state = history.snapshot(event());
+
+    assert.equal(state['venue.name'], 'Lab 2');
+    assert.equal(state['schedule.timezone'], 'UTC');
+    assert.equal(state['registration.maxCapacity'], 30);
+    assert.deepEqual(state.tags, ['robots']);
+    assert.equal(state.status, 'published');
+    assert.ok(!('registration.currentCount' in state));
+    assert.ok(!('organizer' in state));
+  });
+});
+
+describe('diff', () => {
+  it('lists each nested path that changed', () => {
+    const before = history.snapshot(event());
+    const after = history.snapshot(event({
+      venue: { name: 'Main hall', type: 'hybrid', meetingLink: 'https://meet.example.com' },
+      registration: { maxCapacity: 30, currentCount: 20 }
+    }));
+
+    assert.deepEqual(history.diff(before, after), [
+      { field: 'venue.name', from: 'Lab 2', to: 'Main hall' },
+      { field: 'venue.type', from: 'physical', to: 'hybrid' },
+      { field: 'venue.meetingLink', from: undefined, to: 'https://meet.example.com' }
+    ]);
+  });
+
+  it('ignores regenerated subdocument ids', () => {
+    const before = { 'requirements.materials': [{ _id: 'a', name: 'Laptop' }] };
+    const after = { 'requirements.materials': [{ _id: 'b', name: 'Laptop' }] };
+
+    assert.deepEqual(history.diff(before, after), []);
+  });
+});
+
+describe('unflatten', () => {
+  it('turns dotted paths back into nested objects', () => {
+    assert.deepEqual(history.unflatten({ title: 'Talk', 'venue.name': 'Lab 2', 'venue.type': 'physical' }), {
+      title: 'Talk',
+      venue: { name: 'Lab 2', type: 'physical' }
+    });
+  });
+});
+
+describe('recordVersion', () => {
+  const stubLatest = (version) => mock.method(EventVersion, 'findOne', () => ({
+    sort: () => ({ select: async () => (version ? { version } : null) })
+  }));
+
+  it('saves the changes as the next version', async () => {
+    stubLatest(3);
+    const create = mock.method(EventVersion, 'create', async (data) => data);
+
+    const saved = await history.recordVersion('e1', { title: 'Old' }, { title: 'New' }, { _id: userId });
+
+    assert.equal(saved.version, 4);
+    assert.deepEqual(saved.changes, [{ field: 'title', from: 'Old', to: 'New' }]);
+    assert.equal(create.mock.callCount(), 1);
+  });
+
+  it('saves nothing for an edit that changed nothing', async () => {
+    const create = mock.method(EventVersion, 'create', async (data) => data);
+
+    assert.equal(await history.recordVersion('e1', { title: 'Same' }, { title: 'Same' }, { _id: userId }), null);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('takes the next number when another edit saved the same version first', async () => {
+    let latest = 1;
+    mock.method(EventVersion, 'findOne', () => ({ sort: () => ({ select: async () => ({ version: latest }) }) }));
+    mock.method(EventVersion, 'create', async (data) => {
+      if (data.version === 2) {
+        latest = 2;
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      return data;
+    });
+
+    const saved = await history.recordVersion('e1', { title: 'Old' }, { title: 'New' }, { _id: userId });
+
+    assert.equal(saved.version, 3);
+  });
+});
+
+describe('stateAt', () => {
+  // v1 renamed the event, v2 moved it and added a meeting link, v3 renamed it again
+  const versions = [
+    { version: 1, changes: [{ field: 'title', from: 'Robotics', to: 'Robotics workshop' }] },
+    {
+      version: 2,
+      changes: [
+        { field: 'venue.type', from: 'physical', to: 'hybrid' },
+        { field: 'venue.meetingLink', to: 'https://meet.example.com' }
+      ]
+    },
+    { version: 3, changes: [{ field: 'title', from: 'Robotics workshop', to: 'Robotics lab' }] }
+  ];
+  const current = () => event({
+    title: 'Robotics lab',
+    venue: { name: 'Lab 2', type: 'hybrid', meetingLink: 'https://meet.example.com' }
+  });
+
+  it('works back from the current event to a past version', async () => {
+    stubVersions(versions);
+
+    const state = await history.stateAt(current(), 1);
+
+    assert.equal(state.title, 'Robotics workshop');
+    assert.equal(state['venue.type'], 'physical');
+    assert.ok(!('venue.meetingLink' in state));
+    assert.equal(state['venue.name'], 'Lab 2');
+  });
+
+  it('returns the current state for the latest version', async () => {
+    stubVersions(versions);
+
+    assert.deepEqual(await history.stateAt(current(), 3), history.snapshot(current()));
+  });
+
+  it('restores a past version by unsetting fields added later', async () => {
+    stubVersions(versions);
+    const live = current();
+
+    const update = history.restoreUpdate(live, await history.stateAt(live, 1));
+
+    assert.deepEqual(update, {
+      $set: { title: 'Robotics workshop', 'venue.type': 'physical' },
+      $unset: { 'venue.meetingLink': '' }
+    });
+  });
+
+  it('leaves status alone when restoring', async () => {
+    const live = current();
+    const target = { ...history.snapshot(live), status: 'draft' };
+
+    assert.deepEqual(history.restoreUpdate(live, target), { $set: {}, $unset: {} });
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ical = require('../services/ical');
+
+const lines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+const event = (overrides = {}) => ({
+  _id: 'e1',
+  title: 'Weekly talk',
+  description: 'A talk',
+  status: 'published',
+  venue: { name: 'Hall A', type: 'physical' },
+  schedule: {
+    startDate: new Date('2026-01-05T04:30:00Z'),
+    endDate: new Date('2026-01-05T05:30:00Z'),
+    timezone: 'Asia/Kolkata'
+  },
+  ...overrides
+});
+
+const occurrence = (index, startDate, overrides = {}) => event({
+  _id: `e${index}`,
+  isRecurring: true,
+  recurrence: { frequency: 'weekly', endDate: new Date('2026-01-19') },
+  series: { id: 's1', index },
+  schedule: {
+    startDate: new Date(startDate),
+    endDate: new Date(new Date(startDate).getTime() + 60 * 60 * 1000),
+    timezone: 'Asia/Kolkata'
+  },
+  ...overrides
+});
+
+describe('buildCalendar', () => {
+  it('writes events on their local clock with a matching time zone', () => {
+    const calendar = ical.buildCalendar({ name: 'Talks', events: [event()] });
+    const content = lines(calendar);
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(content.includes('DTSTART;TZID=Asia/Kolkata:20260105T100000'));
+    assert.ok(content.includes('DTEND;TZID=Asia/Kolkata:20260105T110000'));
+    assert.ok(content.includes('TZID:Asia/Kolkata'));
+    assert.ok(content.includes('TZOFFSETTO:+0530'));
+    assert.ok(content.includes('UID:e1@campus-events'));
+  });
+
+  it('describes daylight saving changes with yearly rules', () => {
+    const calendar = ical.buildCalendar({
+      name: 'Talks',
+      events: [event({ schedule: { startDate: new Date('2026-03-01T15:00:00Z'), endDate: new Date('2026-03-01T16:00:00Z'), timezone: 'America/New_York' } })]
+    });
+    const content = lines(calendar);
+
+    assert.ok(content.includes('BEGIN:DAYLIGHT'));
+    assert.ok(content.includes('DTSTART:20260308T020000'));
+    assert.ok(content.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU'));
+    assert.ok(content.includes('BEGIN:STANDARD'));
+    assert.ok(content.includes('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU'));
+  });
+
+  it('escapes text and folds long lines', () => {
+    const calendar = ical.buildCalendar({
+      name: 'Talks',
+      events: [event({ title: 'Talk, part 1; intro', description: `Line one\n${'x'.repeat(200)}` })]
+    });
+
+    assert.ok(lines(calendar).includes('SUMMARY:Talk\\, part 1\\; intro'));
+    calendar.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+  });
+
+  it('collapses a series into one rule, excluding cancelled and edited dates', () => {
+    const calendar = ical.buildCalendar({
+      name: 'Talks',
+      events: [
+        occurrence(0, '2026-01-05T04:30:00Z'),
+        occurrence(1, '2026-01-12T04:30:00Z', { status: 'cancelled' }),
+        occurrence(2, '2026-01-19T06:30:00Z', { series: { id: 's1', index: 2, isException: true } })
+      ]
+    });
+    const content = lines(calendar);
+
+    assert.equal(content.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(content.includes('UID:series-s1@campus-events'));
+    assert.ok(content.includes('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260119T182959Z'));
+    assert.ok(content.includes('EXDATE;TZID=Asia/Kolkata:20260112T100000,20260119T100000'));
+    assert.ok(content.includes('UID:e2@campus-events'));
+    assert.ok(content.includes('DTSTART;TZID=Asia/Kolkata:20260119T120000'));
+  });
+
+  it('keeps occurrences separate when asked to', () => {
+    const calendar = ical.buildCalendar({
+      name: 'My registrations',
+      expandSeries: true,
+      events: [occurrence(0, '2026-01-05T04:30:00Z'), occurrence(1, '2026-01-12T04:30:00Z')]
+    });
+    const content = lines(calendar);
+
+    assert.equal(content.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(!content.some(line => line.startsWith('RRULE:FREQ=WEEKLY')));
+  });
+});
+
+describe('calendarFileName', () => {
+  it('turns a title into a file name', () => {
+    assert.equal(ical.calendarFileName('Spring Fest: Day 1!'), 'spring-fest-day-1.ics');
+    assert.equal(ical.calendarFileName('***'), 'event.ics');
+  });
+});
+
+describe('parseCalendar', () => {
+  it('returns the properties of each VEVENT, unfolding continuation lines', () => {
+    const events = ical.parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/London',
+      'END:VTIMEZONE',
+      'BEGIN:VEVENT',
+      'SUMMARY:Open day\\, with',
+      '  tours',
+      'DTSTART;TZID=Europe/London:20260601T090000',
+      'ATTENDEE;CN="Smith: Jo":mailto:jo@example.com',
+      'CATEGORIES:Talks',
+      'CATEGORIES:Open days',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Second',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+
+    assert.equal(events.length, 2);
+    assert.equal(ical.getText(events[0], 'SUMMARY'), 'Open day, with tours');
+    assert.deepEqual(ical.getProperty(events[0], 'DTSTART'), { params: { TZID: 'Europe/London' }, value: '20260601T090000' });
+    assert.deepEqual(ical.getProperty(events[0], 'ATTENDEE'), { params: { CN: 'Smith: Jo' }, value: 'mailto:jo@example.com' });
+    assert.equal(events[0].CATEGORIES.length, 2);
+    assert.equal(ical.getText(events[1], 'DESCRIPTION'), '');
+  });
+
+  it('accepts bare newlines', () => {
+    const events = ical.parseCalendar('BEGIN:VCALENDAR\nBEGIN:VEVENT\nSUMMARY:Talk\nEND:VEVENT\nEND:VCALENDAR\n');
+
+    assert.equal(ical.getText(events[0], 'SUMMARY'), 'Talk');
+  });
+
+  it('reads calendars it wrote', () => {
+    const calendar = ical.buildCalendar({ name: 'Talks', events: [event({ title: 'Talk; part 1' })] });
+    const [parsed] = ical.parseCalendar(calendar);
+
+    assert.equal(ical.getText(parsed, 'SUMMARY'), 'Talk; part 1');
+    const start = ical.getProperty(parsed, 'DTSTART');
+    assert.equal(ical.parseDateValue(start.value, start.params).date.toISOString(), '2026-01-05T04:30:00.000Z');
+  });
+
+  it('rejects files that are not calendars', () => {
+    assert.throws(() => ical.parseCalendar('name,date\nTalk,2026-01-05'), /not an iCalendar/);
+  });
+});
+
+describe('parseDateValue', () => {
+  it('reads UTC times', () => {
+    const parsed = ical.parseDateValue('20260601T090000Z', {}, 'Asia/Kolkata');
+
+    assert.equal(parsed.date.toISOString(), '2026-06-01T09:00:00.000Z');
+    assert.equal(parsed.wall.format('HH:mm'), '14:30');
+    assert.equal(parsed.allDay, false);
+  });
+
+  it('reads local times in their TZID, including daylight saving time', () => {
+    const summer = ical.parseDateValue('20260601T090000', { TZID: 'Europe/London' });
+    const winter = ical.parseDateValue('20260101T090000', { TZID: 'Europe/London' });
+
+    assert.equal(summer.date.toISOString(), '2026-06-01T08:00:00.000Z');
+    assert.equal(winter.date.toISOString(), '2026-01-01T09:00:00.000Z');
+    assert.equal(summer.timeZone, 'Europe/London');
+    assert.equal(summer.unknownTimezone, false);
+  });
+
+  it('falls back to the given zone for floating times and unknown TZIDs', () => {
+    const floating = ical.parseDateValue('20260601T090000', {}, 'Asia/Kolkata');
+    const unknown = ical.parseDateValue('20260601T090000', { TZID: 'Campus Standard Time' }, 'Asia/Kolkata');
+
+    assert.equal(floating.date.toISOString(), '2026-06-01T03:30:00.000Z');
+    assert.equal(floating.unknownTimezone, false);
+    assert.equal(unknown.date.toISOString(), '2026-06-01T03:30:00.000Z');
+    assert.equal(unknown.unknownTimezone, true);
+  });
+
+  it('reads all-day dates as the start of the day', () => {
+    const parsed = ical.parseDateValue('20260601', { VALUE: 'DATE' }, 'Asia/Kolkata');
+
+    assert.equal(parsed.allDay, true);
+    assert.equal(parsed.date.toISOString(), '2026-05-31T18:30:00.000Z');
+  });
+
+  it('returns null for values it cannot read', () => {
+    assert.equal(ical.parseDateValue('2026-06-01'), null);
+    assert.equal(ical.parseDateValue('20261301T090000Z'), null);
+    assert.equal(ical.parseDateValue('20260230'), null);
+  });
+});
+
+describe('parseDuration', () => {
+  it('adds up weeks, days and times', () => {
+    assert.equal(ical.parseDuration('PT1H30M'), 90 * 60 * 1000);
+    assert.equal(ical.parseDuration('P1DT2H'), 26 * 60 * 60 * 1000);
+    assert.equal(ical.parseDuration('P2W'), 14 * 24 * 60 * 60 * 1000);
+    assert.equal(ical.parseDuration('PT45S'), 45 * 1000);
+  });
+
+  it('handles signs', () => {
+    assert.equal(ical.parseDuration('-PT15M'), -15 * 60 * 1000);
+    assert.equal(ical.parseDuration('+PT15M'), 15 * 60 * 1000);
+  });
+
+  it('returns null for values it cannot read', () => {
+    assert.equal(ical.parseDuration('1 hour'), null);
+    assert.equal(ical.parseDuration('PT1.5H'), null);
+  });
+});
@@ -0,0 +1,247 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const ApprovalChain = require('../models/ApprovalChain');
+const recurrence = require('../services/recurrence');
+
+const { expandDates, MAX_OCCURRENCES } = recurrence;
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('expandDates', () => {
+  it('repeats daily up to and including the end date', () => {
+    const dates = expandDates(new Date('2026-01-01T10:00:00Z'), { frequency: 'daily', endDate: '2026-01-03' });
+
+    assert.deepEqual(iso(dates), [
+      '2026-01-01T10:00:00.000Z',
+      '2026-01-02T10:00:00.000Z',
+      '2026-01-03T10:00:00.000Z'
+    ]);
+  });
+
+  it('steps by the interval', () => {
+    const dates = expandDates(new Date('2026-01-01T10:00:00Z'), { frequency: 'daily', interval: 3, endDate: '2026-01-10' });
+
+    assert.deepEqual(iso(dates), [
+      '2026-01-01T10:00:00.000Z',
+      '2026-01-04T10:00:00.000Z',
+      '2026-01-07T10:00:00.000Z',
+      '2026-01-10T10:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the local time across the start of daylight saving time', () => {
+    // New York moves from UTC-5 to UTC-4 on 8 March 2026
+    const dates = expandDates(new Date('2026-03-01T15:00:00Z'), { frequency: 'weekly', endDate: '2026-03-15' }, 'America/New_York');
+
+    assert.deepEqual(iso(dates), [
+      '2026-03-01T15:00:00.000Z',
+      '2026-03-08T14:00:00.000Z',
+      '2026-03-15T14:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the local time across the end of daylight saving time', () => {
+    // London moves from UTC+1 back to UTC on 25 October 2026
+    const dates = expandDates(new Date('2026-10-18T09:00:00Z'), { frequency: 'weekly', endDate: '2026-11-01' }, 'Europe/London');
+
+    assert.deepEqual(iso(dates), [
+      '2026-10-18T09:00:00.000Z',
+      '2026-10-25T10:00:00.000Z',
+      '2026-11-01T10:00:00.000Z'
+    ]);
+  });
+
+  it('clamps monthly dates to short months without drifting', () => {
+    const dates = expandDates(new Date('2026-01-31T10:00:00Z'), { frequency: 'monthly', endDate: '2026-05-31' });
+
+    assert.deepEqual(iso(dates), [
+      '2026-01-31T10:00:00.000Z',
+      '2026-02-28T10:00:00.000Z',
+      '2026-03-31T10:00:00.000Z',
+      '2026-04-30T10:00:00.000Z',
+      '2026-05-31T10:00:00.000Z'
+    ]);
+  });
+
+  it('only lands on 29 February in leap years', () => {
+    const dates = expandDates(new Date('2028-02-29T10:00:00Z'), { frequency: 'yearly', endDate: '2032-12-31' });
+
+    assert.deepEqual(iso(dates), [
+      '2028-02-29T10:00:00.000Z',
+      '2029-02-28T10:00:00.000Z',
+      '2030-02-28T10:00:00.000Z',
+      '2031-02-28T10:00:00.000Z',
+      '2032-02-29T10:00:00.000Z'
+    ]);
+  });
+
+  it('repeats on the chosen weekdays every other week, skipping days before the start', () => {
+    // 7 January 2026 is a Wednesday; Monday the 5th comes before it
+    const dates = expandDates(new Date('2026-01-07T09:00:00Z'), {
+      frequency: 'weekly',
+      interval: 2,
+      days: [3, 1, 3],
+      endDate: '2026-02-04'
+    });
+
+    assert.deepEqual(iso(dates), [
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-19T09:00:00.000Z',
+      '2026-01-21T09:00:00.000Z',
+      '2026-02-02T09:00:00.000Z',
+      '2026-02-04T09:00:00.000Z'
+    ]);
+  });
+
+  it('uses the weekday of the first date when no days are given', () => {
+    const dates = expandDates(new Date('2026-01-07T09:00:00Z'), { frequency: 'weekly', endDate: '2026-01-21' });
+
+    assert.deepEqual(dates.map(date => date.getUTCDay()), [3, 3, 3]);
+  });
+
+  it('uses the local weekday when the time zone puts the event on another UTC day', () => {
+    // 23:30 on Monday 5 January in Kolkata is still Monday 18:00 UTC; Tuesday 22:00 UTC is Wednesday there
+    const dates = expandDates(new Date('2026-01-06T22:00:00Z'), {
+      frequency: 'weekly',
+      days: [3],
+      endDate: '2026-01-14'
+    }, 'Asia/Kolkata');
+
+    assert.deepEqual(iso(dates), [
+      '2026-01-06T22:00:00.000Z',
+      '2026-01-13T22:00:00.000Z'
+    ]);
+  });
+
+  it(`stops at ${MAX_OCCURRENCES} occurrences`, () => {
+    const dates = expandDates(new Date('2026-01-01T10:00:00Z'), { frequency: 'daily', endDate: '2028-01-01' });
+
+    assert.equal(dates.length, MAX_OCCURRENCES);
+  });
+
+  it('returns nothing when the series ends before it starts', () => {
+    assert.deepEqual(expandDates(new Date('2026-01-10T10:00:00Z'), { frequency: 'daily', endDate: '2026-01-09' }), []);
+  });
+});
+
+describe('regenerateSeries', () => {
+  const seriesId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const day = 24 * 60 * 60 * 1000;
+  // Whole minutes an hour from now, so dates counted from it are in the future unless made negative
+  const start = Math.floor(Date.now() / 60000) * 60000 + 60 * 60 * 1000;
+  const at = (days) => new Date(start + days * day);
+
+  const occurrence = (startDate, status, approval) => new Event({
+    title: 'Weekly talk',
+    description: 'A talk',
+    organizer: userId,
+    category: new mongoose.Types.ObjectId(),
+    department: new mongoose.Types.ObjectId(),
+    status,
+    approval,
+    venue: { name: 'Hall A', type: 'physical' },
+    schedule: { startDate, endDate: new Date(startDate.getTime() + 60 * 60 * 1000), timezone: 'UTC' },
+    registration: { maxCapacity: 30, currentCount: 4 },
+    isRecurring: true,
+    recurrence: { frequency: 'weekly', endDate: at(14) },
+    series: { id: seriesId, index: 0 }
+  });
+
+  const stubSeries = (occurrences) => {
+    const chain = { select: () => chain, sort: async () => occurrences };
+    mock.method(Event, 'find', () => chain);
+    mock.method(Event, 'updateMany', async () => ({}));
+    mock.method(Event, 'bulkWrite', async () => ({}));
+    mock.method(Registration, 'exists', async () => null);
+    mock.method(ApprovalChain, 'find', () => ({ sort: async () => [] }));
+    return mock.method(Event, 'insertMany', async (docs) => docs.map(doc => ({ ...doc, _id: new mongoose.Types.ObjectId() })));
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('builds new dates from the first occurrence that is still going ahead', async () => {
+    const cancelled = occurrence(at(0), 'cancelled', { status: 'pending' });
+    const upcoming = occurrence(at(7), 'draft', { status: 'pending', currentStep: 1 });
+    upcoming.title = 'Weekly talk (moved)';
+    const insertMany = stubSeries([cancelled, upcoming]);
+
+    const result = await recurrence.regenerateSeries(seriesId, { frequency: 'weekly', endDate: at(21) }, { _id: userId });
+
+    const created = insertMany.mock.calls[0].arguments[0];
+    assert.equal(result.created.length, 2);
+    assert.deepEqual(iso(created.map(doc => doc.schedule.startDate)), iso([at(14), at(21)]));
+    created.forEach(doc => {
+      assert.equal(doc.title, 'Weekly talk (moved)');
+      assert.equal(doc.status, 'draft');
+      assert.equal(doc.approval.status, 'pending');
+      assert.equal(doc.approval.currentStep, 1);
+      assert.equal(doc.registration.currentCount, 0);
+    });
+  });
+
+  it('sends dates added to a published series through approval', async () => {
+    const published = occurrence(at(0), 'published', { status: 'approved', approvedAt: at(-7) });
+    const insertMany = stubSeries([published]);
+
+    await recurrence.regenerateSeries(seriesId, { frequency: 'weekly', endDate: at(7) }, { _id: userId });
+
+    const [created] = insertMany.mock.calls[0].arguments[0];
+    assert.equal(created.status, 'draft');
+    assert.equal(created.approval.status, 'pending');
+    assert.equal(created.approval.steps[0].status, 'pending');
+  });
+
+  it('only changes dates from now on when the rule changes mid-series', async () => {
+    const approved = { status: 'approved' };
+    const completed = occurrence(at(-14), 'completed', approved);
+    const past = occurrence(at(-7), 'published', approved);
+    const upcoming = [occurrence(at(7), 'published', approved), occurrence(at(14), 'published', approved)];
+    const insertMany = stubSeries([occurrence(at(-21), 'published', approved), completed, past, ...upcoming]);
+    const deleteOne = mock.method(Event, 'deleteOne', async () => ({}));
+
+    // Every third day from three weeks ago: the weekly dates after the first no longer fit
+    const result = await recurrence.regenerateSeries(seriesId, { frequency: 'daily', interval: 3, endDate: at(9) }, { _id: userId });
+
+    const upcomingIds = upcoming.map(event => event._id.toString());
+    assert.deepEqual(result.removed.map(String), upcomingIds);
+    assert.deepEqual(result.cancelled, []);
+    assert.deepEqual(deleteOne.mock.calls.map(call => call.arguments[0]._id.toString()), upcomingIds);
+
+    const created = insertMany.mock.calls[0].arguments[0];
+    assert.deepEqual(iso(created.map(doc => doc.schedule.startDate)), iso([at(0), at(3), at(6), at(9)]));
+  });
+
+  it('creates nothing when every occurrence is cancelled', async () => {
+    const insertMany = stubSeries([occurrence(at(0), 'cancelled')]);
+
+    const result = await recurrence.regenerateSeries(seriesId, { frequency: 'weekly', endDate: at(21) }, { _id: userId });
+
+    assert.equal(insertMany.mock.callCount(), 0);
+    assert.deepEqual(result.created, []);
+  });
+});
+
+describe('updateSeries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves dates that have already started alone', async () => {
+    const updateMany = mock.method(Event, 'updateMany', async () => ({}));
+    const find = mock.method(Event, 'find', () => ({ select: async () => [] }));
+    const event = { _id: 'e1', series: { id: 's1', index: 0 }, schedule: { startDate: new Date(), endDate: new Date() }, registration: {} };
+
+    const before = Date.now();
+    await recurrence.updateSeries(event, { title: 'Renamed' }, { scope: 'all' });
+
+    const [filter] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter.status, { $nin: ['cancelled', 'completed'] });
+    assert.ok(filter['schedule.startDate'].$gte.getTime() >= before);
+    find.mock.calls.forEach(call => assert.ok(call.arguments[0]['schedule.startDate']));
+  });
+});
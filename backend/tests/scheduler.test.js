@@ -0,0 +1,186 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const scheduler = require('../services/scheduler');
+const publishing = require('../services/publishing');
+
+const Scheduler = scheduler.constructor;
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Scheduler', () => {
+  let jobs;
+
+  afterEach(() => {
+    jobs.stop();
+  });
+
+  it('runs a job with its id and payload once it is due', async () => {
+    jobs = new Scheduler();
+    const runs = [];
+    jobs.define('test:run', (id, payload) => runs.push({ id, payload }));
+
+    jobs.schedule('test:run', 'a', Date.now() + 10, { value: 1 });
+    assert.equal(jobs.isScheduled('test:run', 'a'), true);
+
+    await wait(40);
+    assert.deepEqual(runs, [{ id: 'a', payload: { value: 1 } }]);
+    assert.equal(jobs.isScheduled('test:run', 'a'), false);
+  });
+
+  it('runs jobs that are already overdue straight away', async () => {
+    jobs = new Scheduler();
+    const runs = [];
+    jobs.define('test:run', id => runs.push(id));
+
+    jobs.schedule('test:run', 'late', Date.now() - 60 * 1000);
+
+    await wait(10);
+    assert.deepEqual(runs, ['late']);
+  });
+
+  it('replaces an earlier timer when the same job is scheduled again', async () => {
+    jobs = new Scheduler();
+    const runs = [];
+    jobs.define('test:run', (id, payload) => runs.push(payload));
+
+    jobs.schedule('test:run', 'a', Date.now() + 10, 'first');
+    jobs.schedule('test:run', 'a', Date.now() + 20, 'second');
+
+    await wait(50);
+    assert.deepEqual(runs, ['second']);
+  });
+
+  it('does not run cancelled jobs', async () => {
+    jobs = new Scheduler();
+    const runs = [];
+    jobs.define('test:run', id => runs.push(id));
+
+    jobs.schedule('test:run', 'a', Date.now() + 10);
+    jobs.cancel('test:run', 'a');
+
+    await wait(30);
+    assert.deepEqual(runs, []);
+    assert.equal(jobs.isScheduled('test:run', 'a'), false);
+  });
+
+  it('keeps jobs further out than the setTimeout limit scheduled without running them', async () => {
+    jobs = new Scheduler();
+    const runs = [];
+    jobs.define('test:run', id => runs.push(id));
+
+    jobs.schedule('test:run', 'far', Date.now() + 60 * 24 * 60 * 60 * 1000);
+
+    await wait(10);
+    assert.deepEqual(runs, []);
+    assert.equal(jobs.isScheduled('test:run', 'far'), true);
+  });
+
+  it('schedules a retry when a job fails', async () => {
+    jobs = new Scheduler();
+    let attempts = 0;
+    jobs.define('test:fail', () => {
+      attempts += 1;
+      throw new Error('boom');
+    });
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+      jobs.schedule('test:fail', 'a', Date.now());
+      await wait(10);
+    } finally {
+      console.error = error;
+    }
+
+    assert.equal(attempts, 1);
+    assert.equal(jobs.isScheduled('test:fail', 'a'), true);
+  });
+
+  it('backs off between retries and gives up after the last attempt', async () => {
+    jobs = new Scheduler({ retryDelay: 10, maxAttempts: 3 });
+    const runs = [];
+    const failures = [];
+    jobs.define('test:fail', (id, payload) => {
+      runs.push({ at: Date.now(), attempt: payload?.attempt });
+      throw new Error('boom');
+    }, {
+      onFailure: (id, payload, failure) => failures.push({ id, attempt: payload.attempt, message: failure.message })
+    });
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+      jobs.schedule('test:fail', 'a', Date.now(), { value: 1 });
+      await wait(150);
+    } finally {
+      console.error = error;
+    }
+
+    assert.deepEqual(runs.map(run => run.attempt), [undefined, 1, 2]);
+    assert.ok(runs[2].at - runs[1].at >= runs[1].at - runs[0].at);
+    assert.deepEqual(failures, [{ id: 'a', attempt: 2, message: 'boom' }]);
+    assert.equal(jobs.isScheduled('test:fail', 'a'), false);
+  });
+
+  it('stops after the last attempt without a failure handler', async () => {
+    jobs = new Scheduler({ retryDelay: 5, maxAttempts: 2 });
+    let attempts = 0;
+    jobs.define('test:fail', () => {
+      attempts += 1;
+      throw new Error('boom');
+    });
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+      jobs.schedule('test:fail', 'a', Date.now());
+      await wait(60);
+    } finally {
+      console.error = error;
+    }
+
+    assert.equal(attempts, 2);
+    assert.equal(jobs.isScheduled('test:fail', 'a'), false);
+  });
+});
+
+describe('publishing schedules', () => {
+  const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('schedules publishing for a scheduled announcement', () => {
+    publishing.scheduleAnnouncement({ _id: 'a1', status: 'scheduled', schedule: { publishAt: future() } });
+
+    assert.equal(scheduler.isScheduled('announcement:publish', 'a1'), true);
+    assert.equal(scheduler.isScheduled('announcement:expire', 'a1'), false);
+  });
+
+  it('schedules expiry for a published announcement with an expiry date', () => {
+    publishing.scheduleAnnouncement({ _id: 'a2', status: 'published', schedule: { publishAt: new Date(), expiresAt: future() } });
+
+    assert.equal(scheduler.isScheduled('announcement:publish', 'a2'), false);
+    assert.equal(scheduler.isScheduled('announcement:expire', 'a2'), true);
+  });
+
+  it('clears pending jobs when an announcement goes back to draft or is cancelled', () => {
+    publishing.scheduleAnnouncement({ _id: 'a3', status: 'scheduled', schedule: { publishAt: future() } });
+    publishing.scheduleAnnouncement({ _id: 'a3', status: 'draft', schedule: { publishAt: future() } });
+    assert.equal(scheduler.isScheduled('announcement:publish', 'a3'), false);
+
+    publishing.scheduleAnnouncement({ _id: 'a4', status: 'scheduled', schedule: { publishAt: future() } });
+    publishing.cancelAnnouncement('a4');
+    assert.equal(scheduler.isScheduled('announcement:publish', 'a4'), false);
+  });
+
+  it('schedules sending and expiry of notifications by status', () => {
+    publishing.scheduleNotification({ _id: 'n1', status: 'scheduled', scheduledFor: future() });
+    publishing.scheduleNotification({ _id: 'n2', status: 'sent', expiresAt: future() });
+    publishing.scheduleNotification({ _id: 'n3', status: 'sent' });
+
+    assert.equal(scheduler.isScheduled('notification:send', 'n1'), true);
+    assert.equal(scheduler.isScheduled('notification:expire', 'n2'), true);
+    assert.equal(scheduler.isScheduled('notification:expire', 'n3'), false);
+  });
+});
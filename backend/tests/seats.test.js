@@ -0,0 +1,142 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const seats = require('../services/seats');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Applies reserveSeat's conditional update to an in-memory event the way MongoDB does: atomically per call
+const fakeEventStore = (event) => async (filter, update) => {
+  const [left, right] = filter.$expr.$lt.map(path => path.replace('$registration.', ''));
+  if (!(event.registration[left] < event.registration[right])) return null;
+
+  event.registration.currentCount += update.$inc['registration.currentCount'];
+  return { registration: { ...event.registration } };
+};
+
+describe('seats', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('holdsSeat', () => {
+    it('counts every status that occupies a seat', () => {
+      ['pending', 'approved', 'offered', 'attended', 'absent'].forEach(status => {
+        assert.equal(seats.holdsSeat(status), true, status);
+      });
+    });
+
+    it('does not count released or queued registrations', () => {
+      ['rejected', 'cancelled', 'waitlisted'].forEach(status => {
+        assert.equal(seats.holdsSeat(status), false, status);
+      });
+    });
+  });
+
+  describe('reserveSeat', () => {
+    it('only increments while the count is below capacity', async () => {
+      const eventId = id();
+      const findOneAndUpdate = mock.method(Event, 'findOneAndUpdate', async () => null);
+
+      await seats.reserveSeat(eventId);
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+      assert.equal(filter._id, eventId);
+      assert.deepEqual(filter.$expr, { $lt: ['$registration.currentCount', '$registration.maxCapacity'] });
+      assert.deepEqual(update, { $inc: { 'registration.currentCount': 1 } });
+    });
+
+    it('never hands out more seats than the event has under concurrent sign-ups', async () => {
+      const event = { registration: { currentCount: 7, maxCapacity: 10 } };
+      mock.method(Event, 'findOneAndUpdate', fakeEventStore(event));
+
+      const results = await Promise.all(Array.from({ length: 8 }, () => seats.reserveSeat(id())));
+
+      assert.equal(results.filter(Boolean).length, 3);
+      assert.equal(event.registration.currentCount, 10);
+    });
+  });
+
+  describe('releaseSeat', () => {
+    it('never takes the count below zero', async () => {
+      const updateOne = mock.method(Event, 'updateOne', async () => ({}));
+
+      await seats.releaseSeat('e1');
+
+      const [filter, update] = updateOne.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: 'e1', 'registration.currentCount': { $gt: 0 } });
+      assert.deepEqual(update, { $inc: { 'registration.currentCount': -1 } });
+    });
+  });
+
+  describe('reconcile', () => {
+    const stubEvents = (events) => {
+      mock.method(Event, 'find', () => ({ select: async () => events }));
+    };
+    const stubCounts = (counts) => {
+      mock.method(Registration, 'aggregate', async () => counts.map(([eventId, count]) => ({ _id: eventId, count })));
+    };
+    const event = (currentCount, maxCapacity = 50) => ({
+      _id: id(),
+      title: 'Event',
+      registration: { currentCount, maxCapacity }
+    });
+
+    it('corrects drifted counts only if they still hold the value that was read', async () => {
+      const drifted = event(5);
+      const correct = event(3);
+      stubEvents([drifted, correct]);
+      stubCounts([[drifted._id, 4], [correct._id, 3]]);
+      const updateOne = mock.method(Event, 'updateOne', async () => ({ matchedCount: 1 }));
+
+      const result = await seats.reconcile();
+
+      assert.equal(result.checked, 2);
+      assert.deepEqual(result.corrected.map(entry => [entry.eventId, entry.previousCount, entry.currentCount]), [[drifted._id, 5, 4]]);
+      assert.deepEqual(result.skipped, []);
+      assert.equal(updateOne.mock.callCount(), 1);
+      assert.deepEqual(updateOne.mock.calls[0].arguments, [
+        { _id: drifted._id, 'registration.currentCount': 5 },
+        { $set: { 'registration.currentCount': 4 } }
+      ]);
+    });
+
+    it('treats events without seat-holding registrations as empty', async () => {
+      const emptied = event(2);
+      stubEvents([emptied]);
+      stubCounts([]);
+      mock.method(Event, 'updateOne', async () => ({ matchedCount: 1 }));
+
+      const result = await seats.reconcile();
+
+      assert.equal(result.corrected[0].currentCount, 0);
+    });
+
+    it('skips and reports events whose count changed while they were being checked', async () => {
+      const moved = event(5);
+      const drifted = event(9);
+      stubEvents([moved, drifted]);
+      stubCounts([[moved._id, 4], [drifted._id, 8]]);
+      mock.method(Event, 'updateOne', async (filter) => ({ matchedCount: filter._id === moved._id ? 0 : 1 }));
+
+      const result = await seats.reconcile();
+
+      assert.deepEqual(result.skipped.map(entry => entry.eventId), [moved._id]);
+      assert.deepEqual(result.corrected.map(entry => entry.eventId), [drifted._id]);
+    });
+
+    it('only counts the requested event when one is given', async () => {
+      const single = event(1);
+      stubEvents([single]);
+      const aggregate = mock.method(Registration, 'aggregate', async () => [{ _id: single._id, count: 1 }]);
+
+      const result = await seats.reconcile(single._id);
+
+      const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+      assert.deepEqual($match.event, { $in: [single._id] });
+      assert.deepEqual(result.corrected, []);
+    });
+  });
+});
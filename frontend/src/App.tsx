@@ -8,7 +8,10 @@ import Dashboard from './components/dashboard/Dashboard';
 import EventList from './components/events/EventList';
 import EventDetail from './components/events/EventDetail';
 import OrganizerDashboard from './components/organizer/OrganizerDashboard';
+import EventWizard from './components/organizer/EventWizard';
+import Approvals from './components/approvals/Approvals';
 import UserProfile from './components/profile/UserProfile';
+import VerifyCertificate from './components/certificates/VerifyCertificate';
 
 // Protected Route Component
 const ProtectedRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
@@ -63,6 +66,10 @@ const AppContent: React.FC = () => {
           }
         />
 
+        {/* Open Routes */}
+        <Route path="/verify" element={<VerifyCertificate />} />
+        <Route path="/verify/:code" element={<VerifyCertificate />} />
+
         {/* Protected Routes */}
         <Route
           path="/*"
@@ -74,7 +81,10 @@ const AppContent: React.FC = () => {
                   <Route path="/dashboard" element={<Dashboard />} />
                   <Route path="/events" element={<EventList />} />
                   <Route path="/events/:id" element={<EventDetail />} />
+                  <Route path="/events/:id/edit" element={<EventWizard />} />
+                  <Route path="/create-event" element={<EventWizard />} />
                   <Route path="/organizer-dashboard" element={<OrganizerDashboard />} />
+                  <Route path="/approvals" element={<Approvals />} />
                   <Route path="/profile" element={<UserProfile />} />
                   {/* Default route */}
                   <Route path="/" element={<Navigate to="/dashboard" />} />
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { isAxiosError } from 'axios';
+import { CheckCircle, XCircle, Clock, Circle, Calendar, MapPin, Users, Edit, RotateCcw, ClipboardCheck } from 'lucide-react';
+import { ApiResponse, ApprovalItem, ApprovalStep } from '../../types';
+import { useWebSocket } from '../../hooks/useWebSocket';
+import api from '../../services/api';
+
+type Tab = 'queue' | 'submitted';
+
+const STEP_STYLES: Record<ApprovalStep['status'], { icon: typeof Circle; className: string }> = {
+  approved: { icon: CheckCircle, className: 'text-green-600' },
+  rejected: { icon: XCircle, className: 'text-red-600' },
+  pending: { icon: Clock, className: 'text-yellow-600' },
+  waiting: { icon: Circle, className: 'text-gray-300' },
+};
+
+const errorMessage = (error: unknown, fallback: string) => {
+  if (isAxiosError(error)) {
+    return error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback;
+  }
+  return fallback;
+};
+
+const Approvals: React.FC = () => {
+  const [tab, setTab] = useState<Tab>('queue');
+  const [queue, setQueue] = useState<ApprovalItem[]>([]);
+  const [submitted, setSubmitted] = useState<ApprovalItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [comments, setComments] = useState<Record<string, string>>({});
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [processing, setProcessing] = useState<string | null>(null);
+  const { subscribe } = useWebSocket();
+
+  useEffect(() => {
+    Promise.all([fetchQueue(), fetchSubmitted()]).finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    const unsubscribeNeeded = subscribe('event-approval-needed', () => {
+      fetchQueue();
+    });
+    const unsubscribeResult = subscribe('event-approval-result', () => {
+      fetchSubmitted();
+    });
+
+    return () => {
+      unsubscribeNeeded();
+      unsubscribeResult();
+    };
+  }, [subscribe]);
+
+  const fetchQueue = async () => {
+    try {
+      const response = await api.get<ApiResponse<{ events: ApprovalItem[] }>>('/approvals');
+      if (response.data.success) {
+        setQueue(response.data.data.events);
+      }
+    } catch (error) {
+      console.error('Error fetching approval queue:', error);
+    }
+  };
+
+  const fetchSubmitted = async () => {
+    try {
+      const response = await api.get<ApiResponse<{ events: ApprovalItem[] }>>('/approvals/submitted');
+      if (response.data.success) {
+        setSubmitted(response.data.data.events);
+      }
+    } catch (error) {
+      console.error('Error fetching submitted events:', error);
+    }
+  };
+
+  const setItemError = (eventId: string, message: string) => {
+    setErrors(current => ({ ...current, [eventId]: message }));
+  };
+
+  const handleDecision = async (eventId: string, approved: boolean) => {
+    const comment = (comments[eventId] || '').trim();
+    if (!approved && !comment) {
+      setItemError(eventId, 'Please say why the event is being rejected');
+      return;
+    }
+
+    setProcessing(eventId);
+    setItemError(eventId, '');
+    try {
+      await api.post(`/events/${eventId}/approve`, {
+        approved,
+        ...(comment && { comment }),
+      });
+      setComments(current => ({ ...current, [eventId]: '' }));
+      await fetchQueue();
+    } catch (error) {
+      console.error('Error processing approval:', error);
+      setItemError(eventId, errorMessage(error, 'Failed to process approval'));
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const handleResubmit = async (eventId: string) => {
+    setProcessing(eventId);
+    setItemError(eventId, '');
+    try {
+      await api.post(`/events/${eventId}/submit`);
+      await fetchSubmitted();
+    } catch (error) {
+      console.error('Error resubmitting event:', error);
+      setItemError(eventId, errorMessage(error, 'Failed to resubmit event'));
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const renderSteps = (item: ApprovalItem) => (
+    <ol className="space-y-3">
+      {(item.approval?.steps || []).map(step => {
+        const { icon: Icon, className } = STEP_STYLES[step.status];
+        return (
+          <li key={step._id} className="flex items-start space-x-3">
+            <Icon className={`h-5 w-5 mt-0.5 flex-shrink-0 ${className}`} />
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-900">
+                {step.name}
+                {step.assignee && step.status !== 'approved' && step.status !== 'rejected' && (
+                  <span className="font-normal text-gray-500"> · {step.assignee.firstName} {step.assignee.lastName}</span>
+                )}
+              </p>
+              {step.decidedBy && step.decidedAt && (
+                <p className="text-xs text-gray-500">
+                  {step.status === 'approved' ? 'Approved' : 'Rejected'} by {step.decidedBy.firstName} {step.decidedBy.lastName} on {formatDate(step.decidedAt)}
+                </p>
+              )}
+              {step.comment && (
+                <p className="mt-1 text-sm text-gray-700 italic">"{step.comment}"</p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+
+  const renderItem = (item: ApprovalItem, actions: React.ReactNode) => (
+    <div key={item._id} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-col lg:flex-row lg:space-x-8 space-y-6 lg:space-y-0">
+        <div className="flex-1 min-w-0 space-y-3">
+          <div>
+            <Link to={`/events/${item._id}`} className="text-lg font-semibold text-gray-900 hover:text-blue-600">
+              {item.title}
+            </Link>
+            <p className="text-sm text-gray-500">
+              by {item.organizer?.firstName} {item.organizer?.lastName}
+              {item.category && ` · ${item.category.name}`}
+              {item.department && ` · ${item.department.code}`}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600">
+            <span className="flex items-center">
+              <Calendar className="h-4 w-4 mr-1" />
+              {formatDate(item.schedule.startDate)}
+              {item.occurrences > 1 && ` · ${item.occurrences} dates`}
+            </span>
+            <span className="flex items-center">
+              <MapPin className="h-4 w-4 mr-1" />
+              {item.venue.name}
+            </span>
+            <span className="flex items-center">
+              <Users className="h-4 w-4 mr-1" />
+              {item.registration.maxCapacity} seats
+              {item.registration.fee && item.registration.fee.amount > 0 && ` · ${item.registration.fee.currency} ${item.registration.fee.amount}`}
+            </span>
+          </div>
+          {item.shortDescription && (
+            <p className="text-sm text-gray-700">{item.shortDescription}</p>
+          )}
+          {actions}
+          {errors[item._id] && (
+            <p className="text-sm text-red-600">{errors[item._id]}</p>
+          )}
+        </div>
+        <div className="lg:w-80 flex-shrink-0">
+          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-3">
+            {item.approval?.chainName || 'Approval'}
+          </p>
+          {renderSteps(item)}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderQueueActions = (item: ApprovalItem) => (
+    <div className="space-y-2">
+      <textarea
+        value={comments[item._id] || ''}
+        onChange={(e) => setComments(current => ({ ...current, [item._id]: e.target.value }))}
+        rows={2}
+        maxLength={1000}
+        placeholder="Comment (required when rejecting)"
+        className="block w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      <div className="flex space-x-2">
+        <button
+          onClick={() => handleDecision(item._id, true)}
+          disabled={processing === item._id}
+          className="flex items-center px-4 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          <CheckCircle className="h-4 w-4 mr-1" />
+          Approve
+        </button>
+        <button
+          onClick={() => handleDecision(item._id, false)}
+          disabled={processing === item._id}
+          className="flex items-center px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+        >
+          <XCircle className="h-4 w-4 mr-1" />
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderSubmittedActions = (item: ApprovalItem) => {
+    if (item.approval?.status !== 'rejected') {
+      const step = item.approval?.steps?.[item.approval.currentStep];
+      return (
+        <p className="flex items-center text-sm text-yellow-700">
+          <Clock className="h-4 w-4 mr-1" />
+          Waiting on {step?.name || 'approval'}
+        </p>
+      );
+    }
+
+    return (
+      <div className="space-y-3">
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm font-medium text-red-800">Changes requested</p>
+          {item.approval.rejectionReason && (
+            <p className="mt-1 text-sm text-red-700">{item.approval.rejectionReason}</p>
+          )}
+        </div>
+        <div className="flex space-x-2">
+          <Link
+            to={`/events/${item._id}/edit`}
+            className="flex items-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Edit className="h-4 w-4 mr-1" />
+            Edit
+          </Link>
+          <button
+            onClick={() => handleResubmit(item._id)}
+            disabled={processing === item._id}
+            className="flex items-center px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            <RotateCcw className="h-4 w-4 mr-1" />
+            Resubmit
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const items = tab === 'queue' ? queue : submitted;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-3xl font-bold text-gray-900">Approvals</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Review events waiting on you and follow the ones you submitted
+          </p>
+          <div className="mt-4 flex space-x-2">
+            {([
+              ['queue', 'Waiting on me', queue.length],
+              ['submitted', 'My submissions', submitted.length],
+            ] as const).map(([value, label, count]) => (
+              <button
+                key={value}
+                onClick={() => setTab(value)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  tab === value ? 'bg-blue-50 text-blue-600' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {label}
+                <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                  {count}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-4">
+        {items.length === 0 ? (
+          <div className="text-center py-16">
+            <ClipboardCheck className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-600">
+              {tab === 'queue' ? 'Nothing is waiting on you' : 'None of your events are in approval'}
+            </p>
+          </div>
+        ) : (
+          items.map(item => renderItem(item, tab === 'queue' ? renderQueueActions(item) : renderSubmittedActions(item)))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Approvals;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Calendar, CheckCircle, XCircle, Search, ShieldCheck } from 'lucide-react';
+import { CertificateVerification, ApiResponse } from '../../types';
+import api from '../../services/api';
+
+const VerifyCertificate: React.FC = () => {
+  const { code } = useParams<{ code: string }>();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(code || '');
+  const [certificate, setCertificate] = useState<CertificateVerification | null>(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!code) return;
+
+    const verify = async () => {
+      setLoading(true);
+      setError('');
+      setCertificate(null);
+      try {
+        const response = await api.get<ApiResponse<{ certificate: CertificateVerification }>>(
+          `/certificates/verify/${encodeURIComponent(code)}`
+        );
+        if (response.data.success) {
+          setCertificate(response.data.data.certificate);
+        }
+      } catch {
+        setError('No certificate matches this verification code. It may have been mistyped or tampered with.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    setInput(code);
+    verify();
+  }, [code]);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (input.trim()) {
+      navigate(`/verify/${input.trim()}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-purple-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-lg w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="mx-auto w-16 h-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-2xl flex items-center justify-center mb-4">
+            <ShieldCheck className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-extrabold text-gray-900">Verify a Certificate</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the verification code printed at the bottom of a CampusEvents certificate
+          </p>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="flex space-x-2">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="e.g. 65A1B2C3D4E5F60718293A4B-1F2E3D4C5B6A7980"
+            className="flex-1 px-3 py-3 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm font-mono"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-lg font-medium transition-colors disabled:opacity-50"
+          >
+            <Search className="h-4 w-4" />
+            <span>{loading ? 'Verifying...' : 'Verify'}</span>
+          </button>
+        </form>
+
+        {/* Result */}
+        {error && (
+          <div className="flex items-start space-x-3 bg-red-50 border border-red-200 rounded-lg p-4">
+            <XCircle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {certificate && (
+          <div className="bg-white rounded-xl shadow-sm border border-green-200 p-6">
+            <div className="flex items-center space-x-2 mb-4">
+              <CheckCircle className="h-6 w-6 text-green-600" />
+              <h3 className="text-lg font-semibold text-green-700">Authentic certificate</h3>
+            </div>
+            <dl className="space-y-3 text-sm">
+              <div className="flex justify-between">
+                <dt className="text-gray-600">Issued to</dt>
+                <dd className="font-medium text-gray-900">{certificate.holderName}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-600">Event</dt>
+                <dd className="font-medium text-gray-900 text-right">{certificate.eventTitle}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-600">Event date</dt>
+                <dd className="font-medium text-gray-900 flex items-center space-x-1">
+                  <Calendar className="h-4 w-4 text-gray-400" />
+                  <span>{new Date(certificate.eventDate).toLocaleDateString()}</span>
+                </dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-600">Attendance</dt>
+                <dd className="font-medium text-gray-900">
+                  {certificate.attendanceStatus.charAt(0).toUpperCase() + certificate.attendanceStatus.slice(1)}
+                </dd>
+              </div>
+              {certificate.issuedAt && (
+                <div className="flex justify-between">
+                  <dt className="text-gray-600">Issued on</dt>
+                  <dd className="font-medium text-gray-900">{new Date(certificate.issuedAt).toLocaleDateString()}</dd>
+                </div>
+              )}
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
@@ -2,9 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { Bell, User, LogOut, Calendar, Settings, Menu, X, Search } from 'lucide-react';
-import { Notification } from '../../types';
+import { ApiResponse, Notification } from '../../types';
+import { useWebSocket } from '../../hooks/useWebSocket';
 import api from '../../services/api';
 
+type NotificationWithReadState = Omit<Notification, 'isRead'> & { read: boolean };
+
+const withReadState = (notification: NotificationWithReadState): Notification => ({
+  ...notification,
+  isRead: notification.read,
+});
+
 const Header: React.FC = () => {
   const { user, logout } = useAuth();
   const location = useLocation();
@@ -14,17 +22,37 @@ const Header: React.FC = () => {
   const [notifications, setNotifications] = useState<Notification[]>([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
+  const { subscribe } = useWebSocket();
 
   useEffect(() => {
     fetchNotifications();
   }, []);
 
+  useEffect(() => {
+    const unsubscribeNew = subscribe('new-notification', ({ notification }) => {
+      setNotifications(prev => [withReadState(notification), ...prev.filter(n => n._id !== notification._id)].slice(0, 10));
+      setUnreadCount(prev => prev + 1);
+    });
+
+    // The unread count comes from the server, so refetch rather than guess whether it changed
+    const unsubscribeExpired = subscribe('notification-expired', () => {
+      fetchNotifications();
+    });
+
+    return () => {
+      unsubscribeNew();
+      unsubscribeExpired();
+    };
+  }, [subscribe]);
+
   const fetchNotifications = async () => {
     try {
-      const response = await api.get('/notifications?limit=10&unread=true');
+      const response = await api.get<ApiResponse<{ notifications: NotificationWithReadState[]; unreadCount: number }>>(
+        '/notifications?limit=10&unread=true'
+      );
       if (response.data.success) {
-        setNotifications(response.data.data.items);
-        setUnreadCount(response.data.data.items.filter((n: Notification) => !n.isRead).length);
+        setNotifications(response.data.data.notifications.map(withReadState));
+        setUnreadCount(response.data.data.unreadCount);
       }
     } catch (error) {
       console.error('Error fetching notifications:', error);
@@ -55,6 +83,12 @@ const Header: React.FC = () => {
       );
     }
 
+    if (user && user.role !== 'student') {
+      common.push(
+        { path: '/approvals', label: 'Approvals', icon: Settings }
+      );
+    }
+
     if (user?.role === 'admin') {
       common.push(
         { path: '/users', label: 'Users', icon: User },
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { Event, Registration, ApiResponse, PaginatedResponse } from '../../types';
-import { Calendar, Users, CheckCircle, Clock, TrendingUp, Bell, Plus } from 'lucide-react';
+import { Event, RecommendedEvent, Registration, ApiResponse, PaginatedResponse } from '../../types';
+import { Calendar, Users, CheckCircle, Clock, TrendingUp, Bell, Plus, Sparkles } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { useWebSocket } from '../../hooks/useWebSocket';
 import api from '../../services/api';
@@ -22,6 +22,7 @@ const Dashboard: React.FC = () => {
     attendedEvents: 0,
   });
   const [upcomingEvents, setUpcomingEvents] = useState<Event[]>([]);
+  const [recommendedEvents, setRecommendedEvents] = useState<RecommendedEvent[]>([]);
   const [myRegistrations, setMyRegistrations] = useState<Registration[]>([]);
   const [loading, setLoading] = useState(true);
   const [recentActivity, setRecentActivity] = useState<any[]>([]);
@@ -30,14 +31,14 @@ const Dashboard: React.FC = () => {
   useEffect(() => {
     fetchDashboardData();
     
-    // Subscribe to real-time updates
-    const unsubscribe = subscribe('new-registration', (data: any) => {
-      if (data.userId === user?._id) {
+    // Subscribe to real-time updates sent to the user's own room
+    const unsubscribe = subscribe('waitlist-promoted', (data) => {
+      if (data.registration.user === user?._id) {
         fetchDashboardData();
       }
     });
 
-    const unsubscribeStatus = subscribe('registration-status-updated', (data: any) => {
+    const unsubscribeStatus = subscribe('registration-status-updated', (data) => {
       if (data.userId === user?._id) {
         fetchDashboardData();
       }
@@ -55,6 +56,7 @@ const Dashboard: React.FC = () => {
       await Promise.all([
         fetchStats(),
         fetchUpcomingEvents(),
+        fetchRecommendedEvents(),
         fetchMyRegistrations(),
         fetchRecentActivity(),
       ]);
@@ -105,6 +107,17 @@ const Dashboard: React.FC = () => {
     }
   };
 
+  const fetchRecommendedEvents = async () => {
+    try {
+      const response = await api.get<ApiResponse<{ events: RecommendedEvent[] }>>('/events/recommended?limit=4');
+      if (response.data.success) {
+        setRecommendedEvents(response.data.data.events);
+      }
+    } catch (error) {
+      console.error('Error fetching recommended events:', error);
+    }
+  };
+
   const fetchMyRegistrations = async () => {
     try {
       const response = await api.get<ApiResponse<PaginatedResponse<Registration>>>('/registrations?limit=5');
@@ -257,6 +270,38 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Recommended Events */}
+        {recommendedEvents.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-8">
+            <div className="p-6 border-b border-gray-200">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">Recommended for you</h2>
+                <Sparkles className="h-5 w-5 text-purple-500" />
+              </div>
+            </div>
+            <div className="p-6 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              {recommendedEvents.map((event) => (
+                <Link
+                  key={event._id}
+                  to={`/events/${event._id}`}
+                  className="block p-4 border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-gray-50 transition-colors"
+                >
+                  <p className="text-sm font-medium text-gray-900 truncate">{event.title}</p>
+                  <p className="text-sm text-gray-500">{formatDate(event.schedule.startDate)}</p>
+                  {event.recommendation.reasons.length > 0 && (
+                    <p className="mt-2 text-xs text-purple-700 line-clamp-2">
+                      {event.recommendation.reasons[0]}
+                    </p>
+                  )}
+                  <p className="mt-2 text-xs text-gray-500">
+                    {event.availableSlots > 0 ? `${event.availableSlots} spots left` : 'Full - waitlist may be open'}
+                  </p>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Upcoming Events */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200">
@@ -1,37 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { Event } from '../../types';
 import { Calendar, MapPin, Users, Clock, Tag, Heart } from 'lucide-react';
-import { useWebSocket } from '../../hooks/useWebSocket';
 
 interface EventCardProps {
   event: Event;
 }
 
 const EventCard: React.FC<EventCardProps> = ({ event }) => {
-  const [attendeeCount, setAttendeeCount] = useState(event.stats.approvedRegistrations);
+  const attendeeCount = event.stats.approvedRegistrations;
   const [isLiked, setIsLiked] = useState(false);
-  const { subscribe } = useWebSocket();
-
-  useEffect(() => {
-    // Subscribe to real-time updates for this event
-    const unsubscribe = subscribe('new-registration', (data: any) => {
-      if (data.eventId === event._id) {
-        setAttendeeCount(prev => prev + 1);
-      }
-    });
-
-    const unsubscribeStatus = subscribe('registration-status-updated', (data: any) => {
-      if (data.eventId === event._id) {
-        setAttendeeCount(data.approvedCount);
-      }
-    });
-
-    return () => {
-      unsubscribe();
-      unsubscribeStatus();
-    };
-  }, [event._id, subscribe]);
 
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
@@ -1,7 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { Event, Registration, ApiResponse } from '../../types';
+import { Event, EventOccurrence, Registration, ApiResponse } from '../../types';
 import { 
   Calendar, 
   MapPin, 
@@ -15,10 +15,21 @@ import {
   ArrowLeft,
   Share2,
   Heart,
-  MessageCircle
+  MessageCircle,
+  Download,
+  QrCode,
+  Navigation,
+  Repeat,
+  CalendarPlus,
+  Rss,
+  Eye
 } from 'lucide-react';
+import axios from 'axios';
 import { useWebSocket } from '../../hooks/useWebSocket';
 import api from '../../services/api';
+import { downloadCertificate } from '../../services/certificates';
+import { downloadEventCalendar, publicFeedLink } from '../../services/calendar';
+import EventResults from './EventResults';
 
 const EventDetail: React.FC = () => {
   const { id } = useParams<{ id: string }>();
@@ -29,8 +40,15 @@ const EventDetail: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [registering, setRegistering] = useState(false);
   const [attendeeCount, setAttendeeCount] = useState(0);
+  const [views, setViews] = useState(0);
+  const [newComments, setNewComments] = useState(0);
   const [isLiked, setIsLiked] = useState(false);
   const [showRegistrationForm, setShowRegistrationForm] = useState(false);
+  const [activeTab, setActiveTab] = useState<'details' | 'results'>('details');
+  const [checkInQr, setCheckInQr] = useState<string | null>(null);
+  const [checkingIn, setCheckingIn] = useState(false);
+  const [checkInMessage, setCheckInMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  const [occurrences, setOccurrences] = useState<EventOccurrence[]>([]);
   const [registrationData, setRegistrationData] = useState({
     dietary: '',
     accessibility: '',
@@ -42,10 +60,48 @@ const EventDetail: React.FC = () => {
   });
   const { subscribe, joinEvent, leaveEvent } = useWebSocket();
 
+  const fetchEvent = useCallback(async () => {
+    try {
+      const response = await api.get<ApiResponse<Event>>(`/events/${id}`);
+      if (response.data.success) {
+        setEvent(response.data.data);
+        setAttendeeCount(response.data.data.stats.approvedRegistrations);
+        setViews(response.data.data.stats.views);
+      }
+    } catch (error) {
+      console.error('Error fetching event:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  const fetchOccurrences = useCallback(async () => {
+    try {
+      const response = await api.get<ApiResponse<{ occurrences: EventOccurrence[] }>>(`/events/${id}/occurrences`);
+      if (response.data.success) {
+        setOccurrences(response.data.data.occurrences);
+      }
+    } catch (error) {
+      console.error('Error fetching event occurrences:', error);
+    }
+  }, [id]);
+
+  const fetchRegistration = useCallback(async () => {
+    try {
+      const response = await api.get<ApiResponse<{ items: Registration[] }>>(`/registrations?eventId=${id}`);
+      if (response.data.success && response.data.data.items.length > 0) {
+        setRegistration(response.data.data.items[0]);
+      }
+    } catch (error) {
+      console.error('Error fetching registration:', error);
+    }
+  }, [id]);
+
   useEffect(() => {
     if (id) {
       fetchEvent();
       fetchRegistration();
+      fetchOccurrences();
       joinEvent(id);
     }
 
@@ -54,58 +110,77 @@ const EventDetail: React.FC = () => {
         leaveEvent(id);
       }
     };
-  }, [id]);
+  }, [id, fetchEvent, fetchRegistration, fetchOccurrences, joinEvent, leaveEvent]);
 
-  useEffect(() => {
-    if (!event) return;
+  const eventId = event?._id;
 
-    setAttendeeCount(event.stats.approvedRegistrations);
+  useEffect(() => {
+    if (!eventId) return;
 
     // Subscribe to real-time updates
-    const unsubscribe = subscribe('new-registration', (data: any) => {
-      if (data.eventId === event._id) {
-        setAttendeeCount(prev => prev + 1);
+    const unsubscribe = subscribe('new-registration', (data) => {
+      if (data.eventId === eventId) {
+        setAttendeeCount(prev => data.currentCount ?? prev + 1);
       }
     });
 
-    const unsubscribeStatus = subscribe('registration-status-updated', (data: any) => {
-      if (data.eventId === event._id) {
-        setAttendeeCount(data.approvedCount);
-        if (data.userId === user?._id) {
-          fetchRegistration();
-        }
+    const unsubscribeStatus = subscribe('registration-status-updated', (data) => {
+      if (data.eventId === eventId && data.userId === user?._id) {
+        fetchRegistration();
+      }
+    });
+
+    const handleAttendanceChange = (data: { eventId: string; userId: string }) => {
+      if (data.eventId === eventId && data.userId === user?._id) {
+        fetchRegistration();
+      }
+    };
+    const unsubscribeWaitlist = subscribe('waitlist-promoted', (data) => {
+      if (data.registration?.user === user?._id) {
+        fetchRegistration();
+      }
+    });
+    const unsubscribeCheckIn = subscribe('attendance-marked', handleAttendanceChange);
+    const unsubscribeCheckOut = subscribe('attendance-checked-out', handleAttendanceChange);
+    const unsubscribeCancelled = subscribe('event-cancelled', (data) => {
+      if (data.eventId === eventId) {
+        fetchEvent();
+        fetchRegistration();
+        fetchOccurrences();
+      }
+    });
+    const unsubscribeUpdated = subscribe('event-updated', (data) => {
+      if (data.event?._id === eventId) {
+        setEvent(prev => (prev ? { ...prev, ...data.event } : prev));
+      } else if (data.eventId === eventId) {
+        // Series edits only say which occurrences changed
+        fetchEvent();
+        fetchOccurrences();
+      }
+    });
+    const unsubscribeViews = subscribe('event-view', (data) => {
+      if (data.eventId === eventId) {
+        setViews(data.views);
+      }
+    });
+    const unsubscribeComments = subscribe('new-comment', (data) => {
+      if (data.comment.author._id !== user?._id) {
+        setNewComments(prev => prev + 1);
       }
     });
 
     return () => {
       unsubscribe();
       unsubscribeStatus();
+      unsubscribeCheckIn();
+      unsubscribeCheckOut();
+      unsubscribeWaitlist();
+      unsubscribeCancelled();
+      unsubscribeUpdated();
+      unsubscribeViews();
+      unsubscribeComments();
     };
-  }, [event, user, subscribe]);
-
-  const fetchEvent = async () => {
-    try {
-      const response = await api.get<ApiResponse<Event>>(`/events/${id}`);
-      if (response.data.success) {
-        setEvent(response.data.data);
-      }
-    } catch (error) {
-      console.error('Error fetching event:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const fetchRegistration = async () => {
-    try {
-      const response = await api.get<ApiResponse<{ items: Registration[] }>>(`/registrations?eventId=${id}`);
-      if (response.data.success && response.data.data.items.length > 0) {
-        setRegistration(response.data.data.items[0]);
-      }
-    } catch (error) {
-      console.error('Error fetching registration:', error);
-    }
-  };
+  }, [eventId, user?._id, subscribe, fetchEvent, fetchRegistration, fetchOccurrences]);
 
   const handleRegister = async () => {
     if (!event) return;
@@ -151,6 +226,100 @@ const EventDetail: React.FC = () => {
     }
   };
 
+  const handleConfirmOffer = async () => {
+    if (!registration) return;
+
+    try {
+      const response = await api.post<ApiResponse<{ registration: Registration }>>(`/registrations/${registration._id}/confirm-offer`);
+      if (response.data.success) {
+        setRegistration(response.data.data.registration);
+      }
+    } catch (error) {
+      console.error('Error confirming seat:', error);
+      fetchRegistration();
+    }
+  };
+
+  const handleDownloadCertificate = async () => {
+    if (!registration || !event) return;
+
+    try {
+      await downloadCertificate(registration._id, `certificate-${event.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.pdf`);
+    } catch (error) {
+      console.error('Error downloading certificate:', error);
+    }
+  };
+
+  const handleAddToCalendar = async (series = false) => {
+    if (!event) return;
+
+    try {
+      await downloadEventCalendar(
+        event._id,
+        `${event.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.ics`,
+        series
+      );
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+    }
+  };
+
+  const handleToggleCheckInQr = async () => {
+    if (!registration) return;
+
+    if (checkInQr) {
+      setCheckInQr(null);
+      return;
+    }
+
+    try {
+      const response = await api.get<ApiResponse<{ token: string; qrCode: string }>>(`/registrations/${registration._id}/qr`);
+      if (response.data.success) {
+        setCheckInQr(response.data.data.qrCode);
+      }
+    } catch (error) {
+      console.error('Error fetching check-in code:', error);
+    }
+  };
+
+  const getCurrentPosition = () => new Promise<GeolocationCoordinates | null>((resolve) => {
+    if (!navigator.geolocation) {
+      resolve(null);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve(position.coords),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  });
+
+  const handleSelfCheckIn = async () => {
+    if (!event) return;
+
+    setCheckingIn(true);
+    setCheckInMessage(null);
+    try {
+      const coords = await getCurrentPosition();
+      const response = await api.post<ApiResponse<{ registration: Registration }>>(
+        `/events/${event._id}/self-check-in`,
+        coords ? { location: { latitude: coords.latitude, longitude: coords.longitude } } : {}
+      );
+      if (response.data.success) {
+        setRegistration(response.data.data.registration);
+        setCheckInMessage({ type: 'success', text: response.data.message });
+      }
+    } catch (error) {
+      const message = axios.isAxiosError(error) && error.response?.data?.message;
+      setCheckInMessage({ type: 'error', text: message || 'Check-in failed. Please try again.' });
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+
+  const canShowCheckInQr = registration?.status === 'approved' ||
+    (registration?.status === 'attended' && !registration.checkOut?.time);
+
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -187,6 +356,8 @@ const EventDetail: React.FC = () => {
   const isEventFull = attendeeCount >= (event?.registration.maxCapacity || 0);
   const registrationDeadlinePassed = event ? new Date() > new Date(event.registration.deadline) : false;
   const canRegister = event?.status === 'published' && !isEventFull && !registrationDeadlinePassed && !registration;
+  const canJoinWaitlist = event?.status === 'published' && isEventFull && !registrationDeadlinePassed && !registration &&
+    Boolean(event?.registration.waitlist?.enabled);
 
   if (loading) {
     return (
@@ -252,6 +423,10 @@ const EventDetail: React.FC = () => {
                 <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-white bg-opacity-20 text-white">
                   {event.category.name}
                 </span>
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-white bg-opacity-20 text-white">
+                  <Eye className="h-3 w-3 mr-1" />
+                  {views} views
+                </span>
               </div>
               <h1 className="text-3xl font-bold mb-2">{event.title}</h1>
               <p className="text-lg opacity-90">{event.shortDescription}</p>
@@ -333,32 +508,109 @@ const EventDetail: React.FC = () => {
                     <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
                       registration.status === 'approved' ? 'bg-green-100' :
                       registration.status === 'pending' ? 'bg-yellow-100' :
-                      registration.status === 'rejected' ? 'bg-red-100' : 'bg-gray-100'
+                      registration.status === 'rejected' ? 'bg-red-100' :
+                      registration.status === 'attended' ? 'bg-blue-100' :
+                      registration.status === 'waitlisted' || registration.status === 'offered' ? 'bg-purple-100' : 'bg-gray-100'
                     }`}>
                       {registration.status === 'approved' && <CheckCircle className="h-4 w-4 text-green-600" />}
                       {registration.status === 'pending' && <Clock className="h-4 w-4 text-yellow-600" />}
                       {registration.status === 'rejected' && <XCircle className="h-4 w-4 text-red-600" />}
+                      {registration.status === 'attended' && <CheckCircle className="h-4 w-4 text-blue-600" />}
+                      {(registration.status === 'waitlisted' || registration.status === 'offered') && <Clock className="h-4 w-4 text-purple-600" />}
                     </div>
                     <div>
                       <p className="font-medium text-gray-900">Registration Status</p>
                       <p className={`text-sm ${
                         registration.status === 'approved' ? 'text-green-600' :
                         registration.status === 'pending' ? 'text-yellow-600' :
-                        registration.status === 'rejected' ? 'text-red-600' : 'text-gray-600'
+                        registration.status === 'rejected' ? 'text-red-600' :
+                        registration.status === 'attended' ? 'text-blue-600' :
+                        registration.status === 'waitlisted' || registration.status === 'offered' ? 'text-purple-600' : 'text-gray-600'
                       }`}>
-                        {registration.status.charAt(0).toUpperCase() + registration.status.slice(1)}
+                        {registration.status === 'waitlisted'
+                          ? `Waitlisted${registration.waitlistPosition ? ` - #${registration.waitlistPosition} in line` : ''}`
+                          : registration.status === 'offered'
+                          ? 'Seat available - confirm to keep it'
+                          : registration.status.charAt(0).toUpperCase() + registration.status.slice(1)}
                       </p>
+                      {registration.status === 'offered' && registration.waitlist?.offerExpiresAt && (
+                        <p className="text-xs text-gray-500">
+                          Offer expires {formatDate(registration.waitlist.offerExpiresAt)} at {formatTime(registration.waitlist.offerExpiresAt)}
+                        </p>
+                      )}
                     </div>
                   </div>
-                  {registration.status === 'pending' && (
+                  {(registration.status === 'pending' || registration.status === 'waitlisted') && (
                     <button
                       onClick={handleCancelRegistration}
                       className="text-red-600 hover:text-red-800 text-sm font-medium"
                     >
-                      Cancel Registration
+                      {registration.status === 'waitlisted' ? 'Leave Waitlist' : 'Cancel Registration'}
+                    </button>
+                  )}
+                  {registration.status === 'offered' && (
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={handleCancelRegistration}
+                        className="text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        Decline
+                      </button>
+                      <button
+                        onClick={handleConfirmOffer}
+                        className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                      >
+                        Confirm Seat
+                      </button>
+                    </div>
+                  )}
+                  {registration.status === 'attended' && registration.certificate?.generated && (
+                    <button
+                      onClick={handleDownloadCertificate}
+                      className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      <Download className="h-4 w-4" />
+                      <span>Download certificate</span>
+                    </button>
+                  )}
+                  {canShowCheckInQr && (
+                    <button
+                      onClick={handleToggleCheckInQr}
+                      className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      <QrCode className="h-4 w-4" />
+                      <span>{checkInQr ? 'Hide check-in code' : 'Show check-in code'}</span>
                     </button>
                   )}
                 </div>
+                {registration.status === 'approved' && (
+                  <button
+                    onClick={handleSelfCheckIn}
+                    disabled={checkingIn}
+                    className="mt-4 flex items-center space-x-2 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    <Navigation className="h-4 w-4" />
+                    <span>{checkingIn ? 'Checking in...' : "I'm at the venue - check me in"}</span>
+                  </button>
+                )}
+                {checkInMessage && (
+                  <p className={`mt-2 text-sm ${checkInMessage.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+                    {checkInMessage.text}
+                  </p>
+                )}
+                {registration.checkIn?.flagged && registration.checkIn.review?.status === 'pending' && (
+                  <p className="mt-2 text-sm text-yellow-700">
+                    Your check-in was recorded {registration.checkIn.distance} m from the venue and is awaiting organizer review.
+                  </p>
+                )}
+                {checkInQr && canShowCheckInQr && (
+                  <div className="mt-4 flex flex-col items-center">
+                    <img src={checkInQr} alt="Check-in QR code" className="w-56 h-56" />
+                    <p className="mt-2 text-sm text-gray-600 text-center">
+                      Show this code at the venue to check in and again when you leave to check out.
+                    </p>
+                  </div>
+                )}
               </div>
             )}
 
@@ -373,7 +625,16 @@ const EventDetail: React.FC = () => {
                 </button>
               )}
               
-              {isEventFull && !registration && (
+              {canJoinWaitlist && (
+                <button
+                  onClick={() => setShowRegistrationForm(true)}
+                  className="flex-1 bg-purple-600 hover:bg-purple-700 text-white py-3 px-6 rounded-lg font-medium transition-colors"
+                >
+                  Event is Full - Join Waitlist
+                </button>
+              )}
+
+              {isEventFull && !registration && !canJoinWaitlist && (
                 <div className="flex-1 bg-red-100 text-red-700 py-3 px-6 rounded-lg font-medium text-center">
                   Event is Full
                 </div>
@@ -388,72 +649,197 @@ const EventDetail: React.FC = () => {
               <button className="bg-gray-100 hover:bg-gray-200 text-gray-700 py-3 px-6 rounded-lg font-medium transition-colors flex items-center space-x-2">
                 <MessageCircle className="h-4 w-4" />
                 <span>Comments</span>
+                {newComments > 0 && (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-600 text-white">
+                    {newComments} new
+                  </span>
+                )}
+              </button>
+            </div>
+
+            {/* Calendar */}
+            <div className="mt-4 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+              <button
+                onClick={() => handleAddToCalendar()}
+                className="flex items-center space-x-2 font-medium text-blue-600 hover:text-blue-800"
+              >
+                <CalendarPlus className="h-4 w-4" />
+                <span>Add to calendar</span>
               </button>
+              {occurrences.length > 1 && (
+                <button
+                  onClick={() => handleAddToCalendar(true)}
+                  className="flex items-center space-x-2 font-medium text-blue-600 hover:text-blue-800"
+                >
+                  <Repeat className="h-4 w-4" />
+                  <span>Add all dates</span>
+                </button>
+              )}
+              {event.department && (
+                <a
+                  href={publicFeedLink(`departments/${event.department._id}.ics`).webcal}
+                  className="flex items-center space-x-2 font-medium text-gray-600 hover:text-gray-900"
+                >
+                  <Rss className="h-4 w-4" />
+                  <span>Subscribe to {event.department.name} events</span>
+                </a>
+              )}
+              {event.category && (
+                <a
+                  href={publicFeedLink(`categories/${event.category._id}.ics`).webcal}
+                  className="flex items-center space-x-2 font-medium text-gray-600 hover:text-gray-900"
+                >
+                  <Rss className="h-4 w-4" />
+                  <span>Subscribe to {event.category.name} events</span>
+                </a>
+              )}
             </div>
           </div>
         </div>
 
-        {/* Event Description */}
-        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">About This Event</h2>
-          <div className="prose max-w-none text-gray-700">
-            <p>{event.description}</p>
-          </div>
+        {/* Tabs */}
+        <div className="border-b border-gray-200 mb-8">
+          <nav className="-mb-px flex space-x-8">
+            {[
+              { id: 'details', label: 'Details' },
+              { id: 'results', label: 'Results' },
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id as 'details' | 'results')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === tab.id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+        </div>
 
-          {/* Tags */}
-          {event.tags.length > 0 && (
-            <div className="mt-6">
-              <h3 className="text-sm font-medium text-gray-900 mb-2">Tags</h3>
-              <div className="flex flex-wrap gap-2">
-                {event.tags.map((tag, index) => (
-                  <span
-                    key={index}
-                    className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800"
-                  >
-                    <Tag className="h-3 w-3 mr-1" />
-                    {tag}
-                  </span>
-                ))}
-              </div>
+        {event.status === 'cancelled' && (
+          <div className="mb-8 flex items-start space-x-3 rounded-xl border border-red-200 bg-red-50 p-4">
+            <XCircle className="h-5 w-5 text-red-600 mt-0.5" />
+            <div>
+              <p className="font-medium text-red-800">This event has been cancelled</p>
+              {event.cancellation?.reason && (
+                <p className="text-sm text-red-700">{event.cancellation.reason}</p>
+              )}
             </div>
-          )}
-        </div>
+          </div>
+        )}
 
-        {/* Registration Requirements */}
-        {event.registration.isRequired && (
-          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Registration Requirements</h2>
-            <div className="space-y-3">
-              <div className="flex items-center space-x-2">
-                <AlertCircle className="h-4 w-4 text-blue-600" />
-                <span className="text-sm text-gray-700">
-                  Registration deadline: {formatDate(event.registration.deadline)}
-                </span>
+        {activeTab === 'results' && <EventResults eventId={event._id} />}
+
+        {activeTab === 'details' && (
+          <>
+            {/* Event Description */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">About This Event</h2>
+              <div className="prose max-w-none text-gray-700">
+                <p>{event.description}</p>
               </div>
-              {event.registration.approvalRequired && (
-                <div className="flex items-center space-x-2">
-                  <AlertCircle className="h-4 w-4 text-yellow-600" />
-                  <span className="text-sm text-gray-700">
-                    Registration requires approval from organizer
-                  </span>
+
+              {/* Tags */}
+              {event.tags.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="text-sm font-medium text-gray-900 mb-2">Tags</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {event.tags.map((tag, index) => (
+                      <span
+                        key={index}
+                        className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800"
+                      >
+                        <Tag className="h-3 w-3 mr-1" />
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
                 </div>
               )}
-              <div className="flex items-center space-x-2">
-                <Users className="h-4 w-4 text-green-600" />
-                <span className="text-sm text-gray-700">
-                  Open to: {event.registration.allowedRoles.join(', ')}
-                </span>
+            </div>
+
+            {/* Series Dates */}
+            {occurrences.length > 1 && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+                <h2 className="flex items-center text-xl font-semibold text-gray-900 mb-4">
+                  <Repeat className="h-5 w-5 mr-2 text-blue-600" />
+                  Other dates in this series
+                </h2>
+                <div className="divide-y divide-gray-100">
+                  {occurrences.map((occurrence) => {
+                    const isCurrent = occurrence._id === event._id;
+                    const isCancelled = occurrence.status === 'cancelled';
+
+                    return (
+                      <Link
+                        key={occurrence._id}
+                        to={`/events/${occurrence._id}`}
+                        className={`flex items-center justify-between py-3 ${
+                          isCurrent ? 'pointer-events-none' : 'hover:bg-gray-50'
+                        }`}
+                      >
+                        <div>
+                          <p className={`font-medium ${isCancelled ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                            {formatDate(occurrence.schedule.startDate)}
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            {formatTime(occurrence.schedule.startDate)} - {formatTime(occurrence.schedule.endDate)}
+                          </p>
+                        </div>
+                        <span className="text-sm text-gray-600">
+                          {isCurrent
+                            ? 'Viewing'
+                            : isCancelled
+                              ? 'Cancelled'
+                              : `${occurrence.registration.currentCount} / ${occurrence.registration.maxCapacity} registered`}
+                        </span>
+                      </Link>
+                    );
+                  })}
+                </div>
               </div>
-              {event.registration.allowedYears.length > 0 && (
-                <div className="flex items-center space-x-2">
-                  <Calendar className="h-4 w-4 text-purple-600" />
-                  <span className="text-sm text-gray-700">
-                    Year restrictions: {event.registration.allowedYears.join(', ')}
-                  </span>
+            )}
+
+            {/* Registration Requirements */}
+            {event.registration.isRequired && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4">Registration Requirements</h2>
+                <div className="space-y-3">
+                  <div className="flex items-center space-x-2">
+                    <AlertCircle className="h-4 w-4 text-blue-600" />
+                    <span className="text-sm text-gray-700">
+                      Registration deadline: {formatDate(event.registration.deadline)}
+                    </span>
+                  </div>
+                  {event.registration.approvalRequired && (
+                    <div className="flex items-center space-x-2">
+                      <AlertCircle className="h-4 w-4 text-yellow-600" />
+                      <span className="text-sm text-gray-700">
+                        Registration requires approval from organizer
+                      </span>
+                    </div>
+                  )}
+                  <div className="flex items-center space-x-2">
+                    <Users className="h-4 w-4 text-green-600" />
+                    <span className="text-sm text-gray-700">
+                      Open to: {event.registration.allowedRoles.join(', ')}
+                    </span>
+                  </div>
+                  {event.registration.allowedYears.length > 0 && (
+                    <div className="flex items-center space-x-2">
+                      <Calendar className="h-4 w-4 text-purple-600" />
+                      <span className="text-sm text-gray-700">
+                        Year restrictions: {event.registration.allowedYears.join(', ')}
+                      </span>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
-          </div>
+              </div>
+            )}
+          </>
         )}
       </div>
 
@@ -462,7 +848,7 @@ const EventDetail: React.FC = () => {
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-xl shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
             <div className="p-6">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Register for Event</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">{isEventFull ? 'Join Waitlist' : 'Register for Event'}</h3>
               
               <div className="space-y-4">
                 <div>
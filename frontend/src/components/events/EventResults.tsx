@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { EventResult, ApiResponse } from '../../types';
+import { Trophy, Star, Image, Users, TrendingUp, Award } from 'lucide-react';
+import api from '../../services/api';
+
+interface EventResultsProps {
+  eventId: string;
+}
+
+const EventResults: React.FC<EventResultsProps> = ({ eventId }) => {
+  const [result, setResult] = useState<EventResult | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get<ApiResponse<{ result: EventResult }>>(`/events/${eventId}/results`);
+        if (response.data.success) {
+          setResult(response.data.data.result);
+        }
+      } catch {
+        setResult(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, [eventId]);
+
+  const getPositionLabel = (position: number) => {
+    switch (position) {
+      case 1:
+        return '1st';
+      case 2:
+        return '2nd';
+      case 3:
+        return '3rd';
+      default:
+        return `${position}th`;
+    }
+  };
+
+  const getPositionColor = (position: number) => {
+    switch (position) {
+      case 1:
+        return 'bg-yellow-100 text-yellow-700';
+      case 2:
+        return 'bg-gray-100 text-gray-700';
+      case 3:
+        return 'bg-orange-100 text-orange-700';
+      default:
+        return 'bg-blue-100 text-blue-700';
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!result) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+        <Trophy className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900">Results not published yet</h3>
+        <p className="text-sm text-gray-600 mt-1">Check back after the event for winners, highlights and photos.</p>
+      </div>
+    );
+  }
+
+  const winners = [...result.winners].sort((a, b) => a.position - b.position);
+
+  return (
+    <div className="space-y-8">
+      {/* Summary */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Event Summary</h2>
+          {!result.isPublished && (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+              Draft
+            </span>
+          )}
+        </div>
+        <p className="text-gray-700">{result.summary}</p>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+          <div className="p-4 bg-blue-50 rounded-lg">
+            <Users className="h-5 w-5 text-blue-600 mb-2" />
+            <p className="text-2xl font-bold text-gray-900">{result.statistics.actualAttendees}</p>
+            <p className="text-sm text-gray-600">Attendees</p>
+          </div>
+          <div className="p-4 bg-green-50 rounded-lg">
+            <TrendingUp className="h-5 w-5 text-green-600 mb-2" />
+            <p className="text-2xl font-bold text-gray-900">{Math.round(result.statistics.attendanceRate)}%</p>
+            <p className="text-sm text-gray-600">Attendance Rate</p>
+          </div>
+          <div className="p-4 bg-yellow-50 rounded-lg">
+            <Star className="h-5 w-5 text-yellow-600 mb-2" />
+            <p className="text-2xl font-bold text-gray-900">{result.statistics.averageRating.toFixed(1)}</p>
+            <p className="text-sm text-gray-600">Average Rating</p>
+          </div>
+          <div className="p-4 bg-purple-50 rounded-lg">
+            <Award className="h-5 w-5 text-purple-600 mb-2" />
+            <p className="text-2xl font-bold text-gray-900">{result.statistics.totalRegistrations}</p>
+            <p className="text-sm text-gray-600">Registrations</p>
+          </div>
+        </div>
+
+        {result.highlights.length > 0 && (
+          <div className="mt-6">
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Highlights</h3>
+            <ul className="list-disc list-inside space-y-1 text-sm text-gray-700">
+              {result.highlights.map((highlight, index) => (
+                <li key={index}>{highlight}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Winners */}
+      {winners.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Winners</h2>
+          <div className="space-y-3">
+            {winners.map((winner) => (
+              <div key={winner._id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center space-x-3">
+                  <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold ${getPositionColor(winner.position)}`}>
+                    <Trophy className="h-4 w-4 mr-1" />
+                    {getPositionLabel(winner.position)}
+                  </span>
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {winner.participant.firstName} {winner.participant.lastName}
+                    </p>
+                    {winner.achievement && (
+                      <p className="text-sm text-gray-600">{winner.achievement}</p>
+                    )}
+                  </div>
+                </div>
+                {winner.prize && (
+                  <span className="text-sm font-medium text-gray-700">{winner.prize}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Speakers */}
+      {result.speakers.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Speakers</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {result.speakers.map((speaker) => (
+              <div key={speaker._id} className="p-4 border border-gray-200 rounded-lg">
+                <p className="font-medium text-gray-900">{speaker.name}</p>
+                {(speaker.designation || speaker.organization) && (
+                  <p className="text-sm text-gray-600">
+                    {[speaker.designation, speaker.organization].filter(Boolean).join(', ')}
+                  </p>
+                )}
+                {speaker.topic && <p className="text-sm text-gray-700 mt-1">{speaker.topic}</p>}
+                {speaker.rating !== undefined && (
+                  <div className="flex items-center mt-2">
+                    {[1, 2, 3, 4, 5].map((star) => (
+                      <Star
+                        key={star}
+                        className={`h-4 w-4 ${
+                          star <= Math.round(speaker.rating || 0) ? 'text-yellow-500 fill-current' : 'text-gray-300'
+                        }`}
+                      />
+                    ))}
+                    <span className="ml-2 text-sm text-gray-600">{speaker.rating.toFixed(1)}</span>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Photo Gallery */}
+      {result.media.photos.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center space-x-2">
+            <Image className="h-5 w-5 text-gray-600" />
+            <span>Photo Gallery</span>
+          </h2>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {result.media.photos.map((photo) => (
+              <a
+                key={photo._id}
+                href={photo.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="group block rounded-lg overflow-hidden bg-gray-100"
+              >
+                <img
+                  src={photo.url}
+                  alt={photo.caption || 'Event photo'}
+                  className="w-full h-40 object-cover group-hover:opacity-90 transition-opacity"
+                />
+                {photo.caption && (
+                  <p className="px-2 py-1 text-xs text-gray-600 truncate">{photo.caption}</p>
+                )}
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventResults;
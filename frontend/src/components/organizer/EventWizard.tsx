@@ -0,0 +1,408 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { isAxiosError } from 'axios';
+import { AlertCircle, ArrowLeft, ArrowRight, Check, Info, Save, X } from 'lucide-react';
+import { Category, Department, Event, EventApproval, ApiResponse, ValidationError } from '../../types';
+import api from '../../services/api';
+import { EventForm, FieldErrors, STEPS, addMinutes, buildPayload, emptyForm, formFromEvent, splitTags } from './wizard/form';
+import { fieldOf, stepOf, validateStep } from './wizard/validation';
+import BasicInfoStep from './wizard/BasicInfoStep';
+import CategoryStep from './wizard/CategoryStep';
+import VenueStep from './wizard/VenueStep';
+import ScheduleStep from './wizard/ScheduleStep';
+import RegistrationStep from './wizard/RegistrationStep';
+import FeaturesStep from './wizard/FeaturesStep';
+
+const DRAFT_PREFIX = 'eventDraft:';
+const AUTOSAVE_DELAY = 1000;
+
+interface EventDraft {
+  form: EventForm;
+  step: number;
+  savedAt: string;
+}
+
+const EventWizard: React.FC = () => {
+  const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const isEdit = Boolean(id);
+  const draftKey = `${DRAFT_PREFIX}${id || 'new'}`;
+
+  const [form, setForm] = useState<EventForm>(emptyForm);
+  const [step, setStep] = useState(0);
+  const [errors, setErrors] = useState<FieldErrors>({});
+  const [formError, setFormError] = useState('');
+  const [categories, setCategories] = useState<Category[]>([]);
+  const [departments, setDepartments] = useState<Department[]>([]);
+  const [eventStatus, setEventStatus] = useState<Event['status'] | null>(null);
+  const [approval, setApproval] = useState<EventApproval | null>(null);
+  const [loading, setLoading] = useState(isEdit);
+  const [submitting, setSubmitting] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [savedDraft, setSavedDraft] = useState<EventDraft | null>(null);
+  const [draftSavedAt, setDraftSavedAt] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    setSavedDraft(readDraft(draftKey));
+    if (id) {
+      fetchEvent(id);
+    }
+  }, [id, draftKey]);
+
+  useEffect(() => {
+    if (!dirty) return;
+
+    const timeout = setTimeout(() => {
+      const savedAt = new Date().toISOString();
+      localStorage.setItem(draftKey, JSON.stringify({ form, step, savedAt }));
+      setDraftSavedAt(savedAt);
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [form, step, dirty, draftKey]);
+
+  const readDraft = (key: string): EventDraft | null => {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : null;
+    } catch {
+      localStorage.removeItem(key);
+      return null;
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [categoriesResponse, departmentsResponse] = await Promise.all([
+        api.get<ApiResponse<{ categories: Category[] }>>('/categories'),
+        api.get<ApiResponse<{ departments: Department[] }>>('/departments'),
+      ]);
+      if (categoriesResponse.data.success) {
+        setCategories(categoriesResponse.data.data.categories);
+      }
+      if (departmentsResponse.data.success) {
+        setDepartments(departmentsResponse.data.data.departments);
+      }
+    } catch (error) {
+      console.error('Error fetching categories and departments:', error);
+    }
+  };
+
+  const fetchEvent = async (eventId: string) => {
+    setLoading(true);
+    try {
+      const response = await api.get<ApiResponse<{ event: Event }>>(`/events/${eventId}`);
+      if (response.data.success) {
+        setForm(formFromEvent(response.data.data.event));
+        setEventStatus(response.data.data.event.status);
+        setApproval(response.data.data.event.approval || null);
+      }
+    } catch (error) {
+      console.error('Error fetching event:', error);
+      setFormError('Could not load this event. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedCategory = categories.find(category => category._id === form.category);
+  const metadata = selectedCategory?.metadata || {};
+
+  const update = (changes: Partial<EventForm>) => {
+    setForm(current => ({ ...current, ...changes }));
+    setErrors(current => {
+      const next = { ...current };
+      Object.keys(next).forEach(path => {
+        if (stepOf(path) === step) delete next[path];
+      });
+      return next;
+    });
+    setDirty(true);
+  };
+
+  // Category metadata only fills fields that are still empty, so switching category never overwrites input
+  const selectCategory = (categoryId: string) => {
+    const categoryMetadata = categories.find(category => category._id === categoryId)?.metadata || {};
+
+    update({
+      category: categoryId,
+      venueName: form.venueName || categoryMetadata.suggestedVenues?.[0] || '',
+      tags: form.tags || (categoryMetadata.commonTags || []).join(', '),
+      endDate: form.endDate || (form.startDate && categoryMetadata.defaultDuration
+        ? addMinutes(form.startDate, categoryMetadata.defaultDuration)
+        : ''),
+    });
+  };
+
+  const changeStartDate = (startDate: string) => {
+    update({
+      startDate,
+      endDate: form.endDate || (startDate && metadata.defaultDuration ? addMinutes(startDate, metadata.defaultDuration) : ''),
+    });
+  };
+
+  const addTag = (tag: string) => {
+    const tags = splitTags(form.tags);
+    if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      update({ tags: [...tags, tag].join(', ') });
+    }
+  };
+
+  const restoreDraft = () => {
+    if (!savedDraft) return;
+    setForm({ ...emptyForm(), ...savedDraft.form });
+    setStep(Math.min(savedDraft.step, STEPS.length - 1));
+    setSavedDraft(null);
+    setDirty(true);
+  };
+
+  const discardDraft = () => {
+    localStorage.removeItem(draftKey);
+    setSavedDraft(null);
+  };
+
+  const goToStep = (target: number) => {
+    setFormError('');
+    setStep(target);
+  };
+
+  const nextStep = () => {
+    const stepErrors = validateStep(step, form);
+    setErrors(current => ({ ...current, ...stepErrors }));
+    if (Object.keys(stepErrors).length === 0) {
+      goToStep(step + 1);
+    }
+  };
+
+  const showErrors = (fieldErrors: FieldErrors) => {
+    setErrors(fieldErrors);
+    setStep(Math.min(...Object.keys(fieldErrors).map(stepOf)));
+    setFormError('Please fix the highlighted fields.');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (step < STEPS.length - 1) {
+      nextStep();
+      return;
+    }
+
+    const clientErrors = STEPS.reduce((all, _, index) => ({ ...all, ...validateStep(index, form) }), {} as FieldErrors);
+    if (Object.keys(clientErrors).length > 0) {
+      showErrors(clientErrors);
+      return;
+    }
+
+    setSubmitting(true);
+    setFormError('');
+    try {
+      const payload = buildPayload(form, isEdit);
+      const response = isEdit
+        ? await api.put<ApiResponse<{ event: Event }>>(`/events/${id}`, payload)
+        : await api.post<ApiResponse<{ event: Event }>>('/events', payload);
+
+      if (response.data.success) {
+        localStorage.removeItem(draftKey);
+        setDirty(false);
+        navigate(`/events/${response.data.data.event._id}`);
+      }
+    } catch (error) {
+      console.error('Error saving event:', error);
+      const data = isAxiosError(error) ? error.response?.data : undefined;
+      const serverErrors: ValidationError[] = data?.errors || [];
+
+      if (serverErrors.length > 0) {
+        showErrors(serverErrors.reduce((all, { path, msg }) => ({ ...all, [fieldOf(path)]: all[fieldOf(path)] || msg }), {} as FieldErrors));
+      } else {
+        setFormError(data?.error || data?.message || 'Failed to save the event. Please try again.');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const stepHasErrors = (index: number) => Object.keys(errors).some(path => stepOf(path) === index);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <Link to="/organizer-dashboard" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-2">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Back to dashboard
+          </Link>
+          <div className="flex items-center justify-between">
+            <h1 className="text-3xl font-bold text-gray-900">{isEdit ? 'Edit Event' : 'Create Event'}</h1>
+            {draftSavedAt && (
+              <span className="flex items-center text-xs text-gray-500">
+                <Save className="h-3 w-3 mr-1" />
+                Draft saved {new Date(draftSavedAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {savedDraft && (
+          <div className="flex items-center justify-between p-4 bg-blue-50 border border-blue-200 rounded-lg">
+            <p className="text-sm text-blue-800">
+              You have an unsaved draft from {new Date(savedDraft.savedAt).toLocaleString('en-US')}.
+            </p>
+            <div className="flex space-x-2">
+              <button
+                type="button"
+                onClick={restoreDraft}
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Restore
+              </button>
+              <button
+                type="button"
+                onClick={discardDraft}
+                className="px-3 py-1 text-sm text-blue-700 hover:text-blue-900"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isEdit && eventStatus === 'published' && (
+          <div className="flex items-start p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            <Info className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            This event is published. Saving changes sends it back for approval.
+          </div>
+        )}
+
+        {isEdit && approval?.status === 'rejected' && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+            <p className="font-medium">This event was sent back for changes</p>
+            {approval.rejectionReason && <p className="mt-1">{approval.rejectionReason}</p>}
+            <p className="mt-1">
+              After saving, resubmit it from{' '}
+              <Link to="/approvals" className="underline">Approvals</Link>.
+            </p>
+          </div>
+        )}
+
+        {/* Steps */}
+        <ol className="grid grid-cols-3 md:grid-cols-6 gap-2">
+          {STEPS.map((item, index) => (
+            <li key={item.title}>
+              <button
+                type="button"
+                onClick={() => goToStep(index)}
+                className={`w-full text-left p-2 rounded-lg border text-xs font-medium transition-colors ${
+                  index === step
+                    ? 'border-blue-600 bg-blue-50 text-blue-700'
+                    : stepHasErrors(index)
+                    ? 'border-red-300 bg-red-50 text-red-700'
+                    : 'border-gray-200 bg-white text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <span className="block text-gray-400">Step {index + 1}</span>
+                {item.title}
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-6">
+          {formError && (
+            <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+              {formError}
+            </div>
+          )}
+
+          {step === 0 && (
+            <BasicInfoStep form={form} errors={errors} update={update} category={selectedCategory} onAddTag={addTag} />
+          )}
+
+          {step === 1 && (
+            <CategoryStep
+              form={form}
+              errors={errors}
+              update={update}
+              isEdit={isEdit}
+              categories={categories}
+              departments={departments}
+              category={selectedCategory}
+              onSelectCategory={selectCategory}
+            />
+          )}
+
+          {step === 2 && (
+            <VenueStep form={form} errors={errors} update={update} category={selectedCategory} />
+          )}
+
+          {step === 3 && (
+            <ScheduleStep form={form} errors={errors} update={update} category={selectedCategory} onChangeStartDate={changeStartDate} />
+          )}
+
+          {step === 4 && (
+            <RegistrationStep form={form} errors={errors} update={update} departments={departments} />
+          )}
+
+          {step === 5 && (
+            <FeaturesStep form={form} errors={errors} update={update} />
+          )}
+
+          <div className="flex items-center justify-between pt-4 border-t border-gray-200">
+            {step > 0 ? (
+              <button
+                type="button"
+                onClick={() => goToStep(step - 1)}
+                className="flex items-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                <ArrowLeft className="h-4 w-4 mr-1" />
+                Back
+              </button>
+            ) : (
+              <Link
+                to="/organizer-dashboard"
+                className="flex items-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                <X className="h-4 w-4 mr-1" />
+                Cancel
+              </Link>
+            )}
+            {step < STEPS.length - 1 ? (
+              <button
+                type="submit"
+                className="flex items-center px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Next
+                <ArrowRight className="h-4 w-4 ml-1" />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex items-center px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Check className="h-4 w-4 mr-1" />
+                {submitting ? 'Saving...' : isEdit ? 'Save changes' : 'Create event'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EventWizard;
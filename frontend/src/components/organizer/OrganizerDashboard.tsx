@@ -13,7 +13,8 @@ import {
   UserCheck,
   UserX,
   Filter,
-  Search
+  Search,
+  MapPin
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import api from '../../services/api';
@@ -22,6 +23,7 @@ const OrganizerDashboard: React.FC = () => {
   const { user } = useAuth();
   const [myEvents, setMyEvents] = useState<Event[]>([]);
   const [pendingRegistrations, setPendingRegistrations] = useState<Registration[]>([]);
+  const [flaggedCheckIns, setFlaggedCheckIns] = useState<Registration[]>([]);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     totalEvents: 0,
@@ -42,6 +44,7 @@ const OrganizerDashboard: React.FC = () => {
       await Promise.all([
         fetchMyEvents(),
         fetchPendingRegistrations(),
+        fetchFlaggedCheckIns(),
         fetchStats(),
       ]);
     } catch (error) {
@@ -80,6 +83,23 @@ const OrganizerDashboard: React.FC = () => {
     }
   };
 
+  const fetchFlaggedCheckIns = async () => {
+    try {
+      const params = new URLSearchParams({
+        flagged: 'true',
+        limit: '50',
+        ...(selectedEvent && { eventId: selectedEvent }),
+      });
+
+      const response = await api.get<ApiResponse<{ registrations: Registration[] }>>(`/registrations?${params}`);
+      if (response.data.success) {
+        setFlaggedCheckIns(response.data.data.registrations);
+      }
+    } catch (error) {
+      console.error('Error fetching flagged check-ins:', error);
+    }
+  };
+
   const fetchStats = async () => {
     try {
       const eventsResponse = await api.get('/events/my-events?type=organized&limit=1000');
@@ -114,6 +134,15 @@ const OrganizerDashboard: React.FC = () => {
     }
   };
 
+  const handleReviewCheckIn = async (registrationId: string, accepted: boolean) => {
+    try {
+      await api.put(`/registrations/${registrationId}/check-in-review`, { accepted });
+      fetchFlaggedCheckIns();
+    } catch (error) {
+      console.error('Error reviewing check-in:', error);
+    }
+  };
+
   const handleBulkApprove = async (approved: boolean) => {
     try {
       const registrationIds = pendingRegistrations.map(r => r._id);
@@ -349,7 +378,10 @@ const OrganizerDashboard: React.FC = () => {
                   />
                 </div>
                 <button
-                  onClick={fetchPendingRegistrations}
+                  onClick={() => {
+                    fetchPendingRegistrations();
+                    fetchFlaggedCheckIns();
+                  }}
                   className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
                 >
                   <Filter className="h-4 w-4" />
@@ -400,6 +432,53 @@ const OrganizerDashboard: React.FC = () => {
             </div>
           </div>
         </div>
+
+        {/* Flagged Check-ins */}
+        {flaggedCheckIns.length > 0 && (
+          <div className="mt-8 bg-white rounded-xl shadow-sm border border-yellow-200">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Flagged Check-ins</h2>
+              <p className="mt-1 text-sm text-gray-600">
+                Self check-ins reported from outside the venue geofence
+              </p>
+            </div>
+            <div className="p-6 space-y-4">
+              {flaggedCheckIns.map((registration) => (
+                <div key={registration._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {registration.user.firstName} {registration.user.lastName}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {registration.event.title}
+                    </p>
+                    <p className="text-xs text-yellow-700 flex items-center">
+                      <MapPin className="h-3 w-3 mr-1" />
+                      {registration.checkIn?.distance} m from venue
+                      {registration.checkIn?.time && ` • ${formatDate(registration.checkIn.time)}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleReviewCheckIn(registration._id, true)}
+                      className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                      title="Accept check-in"
+                    >
+                      <UserCheck className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleReviewCheckIn(registration._id, false)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Reject check-in and mark absent"
+                    >
+                      <UserX className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Category } from '../../../types';
+import { StepProps } from './form';
+import { Field } from './fields';
+import { inputClass } from './styles';
+
+interface BasicInfoStepProps extends StepProps {
+  category?: Category;
+  onAddTag: (tag: string) => void;
+}
+
+const BasicInfoStep: React.FC<BasicInfoStepProps> = ({ form, errors, update, category, onAddTag }) => {
+  const metadata = category?.metadata || {};
+
+  return (
+    <>
+      <Field label="Title" error={errors.title}>
+        <input
+          type="text"
+          value={form.title}
+          onChange={(e) => update({ title: e.target.value })}
+          maxLength={200}
+          className={inputClass(errors.title)}
+          placeholder="e.g. Introduction to Machine Learning"
+        />
+      </Field>
+      <Field label="Short description" error={errors.shortDescription} hint={`${form.shortDescription.length}/300 — shown on event cards`}>
+        <input
+          type="text"
+          value={form.shortDescription}
+          onChange={(e) => update({ shortDescription: e.target.value })}
+          maxLength={300}
+          className={inputClass(errors.shortDescription)}
+        />
+      </Field>
+      <Field label="Description" error={errors.description} hint={`${form.description.length}/2000`}>
+        <textarea
+          value={form.description}
+          onChange={(e) => update({ description: e.target.value })}
+          maxLength={2000}
+          rows={6}
+          className={inputClass(errors.description)}
+        />
+      </Field>
+      <Field label="Tags" error={errors.tags} hint="Separate tags with commas">
+        <input
+          type="text"
+          value={form.tags}
+          onChange={(e) => update({ tags: e.target.value })}
+          className={inputClass(errors.tags)}
+          placeholder="AI, Workshop, Technology"
+        />
+      </Field>
+      {(metadata.commonTags || []).length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          <span className="text-xs text-gray-500">Common for {category?.name}:</span>
+          {metadata.commonTags?.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => onAddTag(tag)}
+              className="px-2 py-0.5 text-xs bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200"
+            >
+              + {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BasicInfoStep;
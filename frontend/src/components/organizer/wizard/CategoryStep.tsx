@@ -0,0 +1,66 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+import { Category, Department } from '../../../types';
+import { StepProps } from './form';
+import { Field } from './fields';
+import { inputClass } from './styles';
+
+interface CategoryStepProps extends StepProps {
+  isEdit: boolean;
+  categories: Category[];
+  departments: Department[];
+  category?: Category;
+  onSelectCategory: (categoryId: string) => void;
+}
+
+const CategoryStep: React.FC<CategoryStepProps> = ({ form, errors, update, isEdit, categories, departments, category, onSelectCategory }) => {
+  const metadata = category?.metadata || {};
+
+  return (
+    <>
+      <Field
+        label="Category"
+        error={errors.category}
+        hint={isEdit ? "An event's category can't be changed after it is created" : 'Choosing a category suggests a venue, tags and duration'}
+      >
+        <select
+          value={form.category}
+          onChange={(e) => onSelectCategory(e.target.value)}
+          disabled={isEdit}
+          className={inputClass(errors.category)}
+        >
+          <option value="">Select a category</option>
+          {categories.map(category => (
+            <option key={category._id} value={category._id}>{category.name}</option>
+          ))}
+        </select>
+      </Field>
+      {metadata.guidelines && (
+        <div className="flex items-start p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <Info className="h-4 w-4 mr-2 mt-0.5 text-blue-600 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-blue-900">Guidelines for {category?.name}</p>
+            <p className="mt-1 text-sm text-blue-800 whitespace-pre-line">{metadata.guidelines}</p>
+          </div>
+        </div>
+      )}
+      <Field label="Department" error={errors.department} hint="Optional — the department hosting the event">
+        <select
+          value={form.department}
+          onChange={(e) => update({ department: e.target.value })}
+          disabled={isEdit}
+          className={inputClass(errors.department)}
+        >
+          <option value="">No department</option>
+          {departments.map(department => (
+            <option key={department._id} value={department._id}>
+              {department.name} ({department.code})
+            </option>
+          ))}
+        </select>
+      </Field>
+    </>
+  );
+};
+
+export default CategoryStep;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { StepProps } from './form';
+import { Field, Toggle } from './fields';
+import { inputClass } from './styles';
+
+const FeaturesStep: React.FC<StepProps> = ({ form, errors, update }) => {
+  return (
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Toggle
+          label="Comments"
+          description="Attendees can discuss the event"
+          checked={form.allowComments}
+          onChange={(checked) => update({ allowComments: checked })}
+        />
+        <Toggle
+          label="Ratings"
+          description="Attendees can rate the event afterwards"
+          checked={form.allowRatings}
+          onChange={(checked) => update({ allowRatings: checked })}
+        />
+        <Toggle
+          label="Reminders"
+          description="Registrants are reminded before it starts"
+          checked={form.sendReminders}
+          onChange={(checked) => update({ sendReminders: checked })}
+        />
+        <Toggle
+          label="Attendance"
+          description="Record check-ins at the event"
+          checked={form.recordAttendance}
+          onChange={(checked) => update({ recordAttendance: checked })}
+        />
+        <Toggle
+          label="Certificates"
+          description="Issue participation certificates to attendees"
+          checked={form.generateCertificates}
+          onChange={(checked) => update({ generateCertificates: checked })}
+        />
+      </div>
+      {errors['features.reminderOffsets'] && (
+        <p className="text-sm text-red-600">{errors['features.reminderOffsets']}</p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Field label="Prerequisites" error={errors['requirements.prerequisites']} hint="One per line">
+          <textarea
+            value={form.prerequisites}
+            onChange={(e) => update({ prerequisites: e.target.value })}
+            rows={4}
+            className={inputClass(errors['requirements.prerequisites'])}
+          />
+        </Field>
+        <Field label="Materials" error={errors['requirements.materials']} hint="One per line">
+          <textarea
+            value={form.materials}
+            onChange={(e) => update({ materials: e.target.value })}
+            rows={4}
+            className={inputClass(errors['requirements.materials'])}
+          />
+        </Field>
+        <Field label="Equipment" error={errors['requirements.equipment']} hint="One per line">
+          <textarea
+            value={form.equipment}
+            onChange={(e) => update({ equipment: e.target.value })}
+            rows={4}
+            className={inputClass(errors['requirements.equipment'])}
+          />
+        </Field>
+      </div>
+    </>
+  );
+};
+
+export default FeaturesStep;
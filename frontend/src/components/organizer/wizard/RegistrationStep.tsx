@@ -0,0 +1,114 @@
+import React from 'react';
+import { Department } from '../../../types';
+import { ROLES, StepProps, YEARS, toggleValue } from './form';
+import { Field, Toggle } from './fields';
+import { inputClass } from './styles';
+
+interface RegistrationStepProps extends StepProps {
+  departments: Department[];
+}
+
+const RegistrationStep: React.FC<RegistrationStepProps> = ({ form, errors, update, departments }) => {
+  return (
+    <>
+      <Toggle
+        label="Registration required"
+        description="Attendees must register before the event"
+        checked={form.registrationRequired}
+        onChange={(checked) => update({ registrationRequired: checked })}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Field label="Capacity" error={errors['registration.maxCapacity']}>
+          <input
+            type="number"
+            min={1}
+            value={form.maxCapacity}
+            onChange={(e) => update({ maxCapacity: e.target.value })}
+            className={inputClass(errors['registration.maxCapacity'])}
+          />
+        </Field>
+        <Field label="Registration deadline" error={errors['registration.deadline']} hint={`Optional, in ${form.timezone}`}>
+          <input
+            type="datetime-local"
+            value={form.deadline}
+            max={form.startDate || undefined}
+            onChange={(e) => update({ deadline: e.target.value })}
+            className={inputClass(errors['registration.deadline'])}
+          />
+        </Field>
+        <Field label="Fee" error={errors['registration.fee.amount']} hint="0 for a free event">
+          <input
+            type="number"
+            min={0}
+            step="0.01"
+            value={form.feeAmount}
+            onChange={(e) => update({ feeAmount: e.target.value })}
+            className={inputClass(errors['registration.fee.amount'])}
+          />
+        </Field>
+        <Field label="Currency" error={errors['registration.fee.currency']}>
+          <input
+            type="text"
+            maxLength={3}
+            value={form.feeCurrency}
+            onChange={(e) => update({ feeCurrency: e.target.value })}
+            className={inputClass(errors['registration.fee.currency'])}
+          />
+        </Field>
+      </div>
+      <Toggle
+        label="Approval required"
+        description="Registrations stay pending until you approve them"
+        checked={form.approvalRequired}
+        onChange={(checked) => update({ approvalRequired: checked })}
+      />
+      <Field label="Open to roles" error={errors['registration.allowedRoles']} hint="Leave all unchecked to allow every role">
+        <div className="flex flex-wrap gap-2">
+          {ROLES.map(role => (
+            <label key={role} className="flex items-center space-x-1 px-2 py-1 border border-gray-200 rounded-lg text-sm capitalize">
+              <input
+                type="checkbox"
+                checked={form.allowedRoles.includes(role)}
+                onChange={() => update({ allowedRoles: toggleValue(form.allowedRoles, role) })}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <span>{role}</span>
+            </label>
+          ))}
+        </div>
+      </Field>
+      <Field label="Open to departments" error={errors['registration.allowedDepartments']} hint="Leave all unchecked to allow every department">
+        <div className="flex flex-wrap gap-2">
+          {departments.map(department => (
+            <label key={department._id} className="flex items-center space-x-1 px-2 py-1 border border-gray-200 rounded-lg text-sm">
+              <input
+                type="checkbox"
+                checked={form.allowedDepartments.includes(department._id)}
+                onChange={() => update({ allowedDepartments: toggleValue(form.allowedDepartments, department._id) })}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <span>{department.code}</span>
+            </label>
+          ))}
+        </div>
+      </Field>
+      <Field label="Open to years" error={errors['registration.allowedYears']} hint="Leave all unchecked to allow every year">
+        <div className="flex flex-wrap gap-2">
+          {YEARS.map(year => (
+            <label key={year} className="flex items-center space-x-1 px-2 py-1 border border-gray-200 rounded-lg text-sm">
+              <input
+                type="checkbox"
+                checked={form.allowedYears.includes(year)}
+                onChange={() => update({ allowedYears: toggleValue(form.allowedYears, year).sort((a, b) => a - b) })}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <span>Year {year}</span>
+            </label>
+          ))}
+        </div>
+      </Field>
+    </>
+  );
+};
+
+export default RegistrationStep;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Category } from '../../../types';
+import { StepProps, TIMEZONES, addMinutes } from './form';
+import { Field } from './fields';
+import { inputClass } from './styles';
+
+interface ScheduleStepProps extends StepProps {
+  category?: Category;
+  onChangeStartDate: (startDate: string) => void;
+}
+
+const ScheduleStep: React.FC<ScheduleStepProps> = ({ form, errors, update, category, onChangeStartDate }) => {
+  const metadata = category?.metadata || {};
+
+  return (
+    <>
+      <Field label="Timezone" error={errors['schedule.timezone']} hint="Start, end and deadline times are in this timezone">
+        <select
+          value={form.timezone}
+          onChange={(e) => update({ timezone: e.target.value })}
+          className={inputClass(errors['schedule.timezone'])}
+        >
+          {[...new Set([form.timezone, ...TIMEZONES])].map(timezone => (
+            <option key={timezone} value={timezone}>{timezone}</option>
+          ))}
+        </select>
+      </Field>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Field label="Starts" error={errors['schedule.startDate']}>
+          <input
+            type="datetime-local"
+            value={form.startDate}
+            onChange={(e) => onChangeStartDate(e.target.value)}
+            className={inputClass(errors['schedule.startDate'])}
+          />
+        </Field>
+        <Field label="Ends" error={errors['schedule.endDate']}>
+          <input
+            type="datetime-local"
+            value={form.endDate}
+            min={form.startDate || undefined}
+            onChange={(e) => update({ endDate: e.target.value })}
+            className={inputClass(errors['schedule.endDate'])}
+          />
+        </Field>
+      </div>
+      {metadata.defaultDuration && form.startDate && (
+        <p className="text-sm text-gray-600">
+          {category?.name} events usually run {metadata.defaultDuration} minutes.{' '}
+          <button
+            type="button"
+            onClick={() => update({ endDate: addMinutes(form.startDate, metadata.defaultDuration || 0) })}
+            className="text-blue-600 hover:text-blue-800 font-medium"
+          >
+            Use this length
+          </button>
+        </p>
+      )}
+    </>
+  );
+};
+
+export default ScheduleStep;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { Category } from '../../../types';
+import { StepProps } from './form';
+import { Field } from './fields';
+import { inputClass } from './styles';
+
+interface VenueStepProps extends StepProps {
+  category?: Category;
+}
+
+const VenueStep: React.FC<VenueStepProps> = ({ form, errors, update, category }) => {
+  const metadata = category?.metadata || {};
+
+  return (
+    <>
+      <Field label="Venue type" error={errors['venue.type']}>
+        <div className="grid grid-cols-3 gap-2">
+          {(['physical', 'virtual', 'hybrid'] as const).map(type => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => update({ venueType: type })}
+              className={`px-3 py-2 text-sm rounded-lg border capitalize ${
+                form.venueType === type ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+      </Field>
+      <Field label={form.venueType === 'virtual' ? 'Platform or room name' : 'Venue name'} error={errors['venue.name']}>
+        <input
+          type="text"
+          value={form.venueName}
+          onChange={(e) => update({ venueName: e.target.value })}
+          className={inputClass(errors['venue.name'])}
+          placeholder={form.venueType === 'virtual' ? 'e.g. Zoom' : 'e.g. Main Auditorium'}
+        />
+      </Field>
+      {(metadata.suggestedVenues || []).length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          <span className="text-xs text-gray-500">Suggested for {category?.name}:</span>
+          {metadata.suggestedVenues?.map(venue => (
+            <button
+              key={venue}
+              type="button"
+              onClick={() => update({ venueName: venue })}
+              className="px-2 py-0.5 text-xs bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200"
+            >
+              {venue}
+            </button>
+          ))}
+        </div>
+      )}
+      {form.venueType !== 'virtual' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <Field label="Address" error={errors['venue.address']}>
+              <input
+                type="text"
+                value={form.venueAddress}
+                onChange={(e) => update({ venueAddress: e.target.value })}
+                className={inputClass(errors['venue.address'])}
+                placeholder="Building A, Floor 2"
+              />
+            </Field>
+          </div>
+          <Field label="Seating capacity" error={errors['venue.capacity']}>
+            <input
+              type="number"
+              min={1}
+              value={form.venueCapacity}
+              onChange={(e) => update({ venueCapacity: e.target.value })}
+              className={inputClass(errors['venue.capacity'])}
+            />
+          </Field>
+        </div>
+      )}
+      {form.venueType !== 'physical' && (
+        <Field label="Meeting link" error={errors['venue.meetingLink']}>
+          <input
+            type="url"
+            value={form.meetingLink}
+            onChange={(e) => update({ meetingLink: e.target.value })}
+            className={inputClass(errors['venue.meetingLink'])}
+            placeholder="https://"
+          />
+        </Field>
+      )}
+    </>
+  );
+};
+
+export default VenueStep;
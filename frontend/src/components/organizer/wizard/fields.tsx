@@ -0,0 +1,28 @@
+import React from 'react';
+
+export const Field: React.FC<{ label: string; error?: string; hint?: string; children: React.ReactNode }> = ({ label, error, hint, children }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+    {children}
+    {error ? (
+      <p className="mt-1 text-sm text-red-600">{error}</p>
+    ) : hint && (
+      <p className="mt-1 text-xs text-gray-500">{hint}</p>
+    )}
+  </div>
+);
+
+export const Toggle: React.FC<{ label: string; description: string; checked: boolean; onChange: (checked: boolean) => void }> = ({ label, description, checked, onChange }) => (
+  <label className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+    />
+    <span>
+      <span className="block text-sm font-medium text-gray-900">{label}</span>
+      <span className="block text-xs text-gray-500">{description}</span>
+    </span>
+  </label>
+);
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { Event } from '../../../types';
+import { addMinutes, buildPayload, emptyForm, formFromEvent, fromWallClock, toWallClock } from './form';
+
+describe('toWallClock', () => {
+  it('shows an instant on the clock of the given timezone', () => {
+    expect(toWallClock('2026-01-05T04:30:00.000Z', 'Asia/Kolkata')).toBe('2026-01-05T10:00');
+    expect(toWallClock('2026-07-01T08:00:00.000Z', 'Europe/London')).toBe('2026-07-01T09:00');
+    expect(toWallClock('2026-01-01T08:00:00.000Z', 'Europe/London')).toBe('2026-01-01T08:00');
+  });
+});
+
+describe('fromWallClock', () => {
+  it('turns a wall-clock time back into the instant', () => {
+    expect(fromWallClock('2026-01-05T10:00', 'Asia/Kolkata')).toBe('2026-01-05T04:30:00.000Z');
+  });
+
+  it('uses the offset in force on that day', () => {
+    // New York moves to daylight saving time at 02:00 on 8 March 2026
+    expect(fromWallClock('2026-03-07T09:00', 'America/New_York')).toBe('2026-03-07T14:00:00.000Z');
+    expect(fromWallClock('2026-03-08T09:00', 'America/New_York')).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  it('round-trips with toWallClock', () => {
+    ['2026-03-08T01:30', '2026-03-08T03:30', '2026-11-01T00:30', '2026-11-01T02:30'].forEach(value => {
+      expect(toWallClock(fromWallClock(value, 'America/New_York'), 'America/New_York')).toBe(value);
+    });
+  });
+});
+
+describe('addMinutes', () => {
+  it('adds minutes on the wall clock, across days', () => {
+    expect(addMinutes('2026-01-05T23:30', 90)).toBe('2026-01-06T01:00');
+  });
+});
+
+describe('buildPayload', () => {
+  const form = {
+    ...emptyForm(),
+    title: '  Robotics workshop ',
+    description: 'Build a robot',
+    tags: 'Robotics, , Hardware ',
+    category: 'c1',
+    department: 'd1',
+    venueName: 'Lab 2',
+    startDate: '2026-01-05T10:00',
+    endDate: '2026-01-05T12:30',
+    deadline: '2026-01-04T18:00',
+    materials: 'Laptop\n\n Notebook ',
+  };
+
+  it('converts the form to the API shape in the event timezone', () => {
+    const payload = buildPayload(form, false);
+
+    expect(payload.title).toBe('Robotics workshop');
+    expect(payload.tags).toEqual(['Robotics', 'Hardware']);
+    expect(payload.category).toBe('c1');
+    expect(payload.department).toBe('d1');
+    expect(payload.schedule).toEqual({
+      startDate: '2026-01-05T04:30:00.000Z',
+      endDate: '2026-01-05T07:00:00.000Z',
+      timezone: 'Asia/Kolkata',
+      duration: 150,
+    });
+    expect(payload.registration.deadline).toBe('2026-01-04T12:30:00.000Z');
+    expect(payload.requirements.materials).toEqual(['Laptop', 'Notebook']);
+  });
+
+  it('leaves out category and department when editing', () => {
+    const payload = buildPayload(form, true);
+
+    expect(payload).not.toHaveProperty('category');
+    expect(payload).not.toHaveProperty('department');
+  });
+
+  it('clears the meeting link for physical venues', () => {
+    expect(buildPayload({ ...form, meetingLink: 'https://meet.example.com' }, false).venue.meetingLink).toBe('');
+  });
+});
+
+describe('formFromEvent', () => {
+  it('reads dates on the event clock and fills gaps with defaults', () => {
+    const event = {
+      title: 'Robotics workshop',
+      description: 'Build a robot',
+      category: { _id: 'c1', name: 'Workshop' },
+      department: 'd1',
+      venue: { type: 'physical', name: 'Lab 2' },
+      schedule: {
+        startDate: '2026-06-01T08:00:00.000Z',
+        endDate: '2026-06-01T10:00:00.000Z',
+        timezone: 'Europe/London',
+      },
+      registration: {
+        isRequired: true,
+        maxCapacity: 40,
+        approvalRequired: false,
+        allowedRoles: ['student'],
+      },
+    } as unknown as Event;
+
+    const form = formFromEvent(event);
+
+    expect(form.category).toBe('c1');
+    expect(form.department).toBe('d1');
+    expect(form.startDate).toBe('2026-06-01T09:00');
+    expect(form.endDate).toBe('2026-06-01T11:00');
+    expect(form.maxCapacity).toBe('40');
+    expect(form.feeCurrency).toBe('INR');
+    expect(form.allowComments).toBe(true);
+  });
+});
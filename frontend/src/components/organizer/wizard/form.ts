@@ -0,0 +1,242 @@
+import { Event } from '../../../types';
+
+export const ROLES = ['student', 'faculty', 'organizer', 'admin', 'authority', 'hod', 'principal', 'registrar'];
+export const YEARS = [1, 2, 3, 4];
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+export const TIMEZONES = [
+  'Asia/Kolkata',
+  'UTC',
+  'Asia/Dubai',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'Australia/Sydney',
+];
+
+// Each step owns the server fields (and their nested paths) whose errors it displays
+export const STEPS = [
+  { title: 'Basic info', fields: ['title', 'shortDescription', 'description', 'tags'] },
+  { title: 'Category', fields: ['category', 'department'] },
+  { title: 'Venue', fields: ['venue'] },
+  { title: 'Schedule', fields: ['schedule', 'isRecurring', 'recurrence'] },
+  { title: 'Registration', fields: ['registration'] },
+  { title: 'Features', fields: ['features', 'requirements'] },
+];
+
+export interface EventForm {
+  title: string;
+  shortDescription: string;
+  description: string;
+  tags: string;
+  category: string;
+  department: string;
+  venueType: Event['venue']['type'];
+  venueName: string;
+  venueAddress: string;
+  venueCapacity: string;
+  meetingLink: string;
+  timezone: string;
+  startDate: string;
+  endDate: string;
+  registrationRequired: boolean;
+  maxCapacity: string;
+  deadline: string;
+  approvalRequired: boolean;
+  feeAmount: string;
+  feeCurrency: string;
+  allowedRoles: string[];
+  allowedDepartments: string[];
+  allowedYears: number[];
+  allowComments: boolean;
+  allowRatings: boolean;
+  sendReminders: boolean;
+  generateCertificates: boolean;
+  recordAttendance: boolean;
+  prerequisites: string;
+  materials: string;
+  equipment: string;
+}
+
+export type FieldErrors = Record<string, string>;
+
+// What every step panel gets from the wizard; `update` merges changes into the form
+export interface StepProps {
+  form: EventForm;
+  errors: FieldErrors;
+  update: (changes: Partial<EventForm>) => void;
+}
+
+export const emptyForm = (): EventForm => ({
+  title: '',
+  shortDescription: '',
+  description: '',
+  tags: '',
+  category: '',
+  department: '',
+  venueType: 'physical',
+  venueName: '',
+  venueAddress: '',
+  venueCapacity: '',
+  meetingLink: '',
+  timezone: DEFAULT_TIMEZONE,
+  startDate: '',
+  endDate: '',
+  registrationRequired: true,
+  maxCapacity: '100',
+  deadline: '',
+  approvalRequired: false,
+  feeAmount: '0',
+  feeCurrency: 'INR',
+  allowedRoles: ['student', 'faculty'],
+  allowedDepartments: [],
+  allowedYears: [],
+  allowComments: true,
+  allowRatings: true,
+  sendReminders: true,
+  generateCertificates: false,
+  recordAttendance: true,
+  prerequisites: '',
+  materials: '',
+  equipment: '',
+});
+
+// Date inputs hold wall-clock times ('YYYY-MM-DDTHH:mm') in the event's timezone, not the browser's
+export const toWallClock = (date: string, timeZone: string) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(new Date(date));
+  const part = (type: Intl.DateTimeFormatPartTypes) => parts.find(p => p.type === type)?.value || '00';
+
+  return `${part('year')}-${part('month')}-${part('day')}T${part('hour')}:${part('minute')}`;
+};
+
+export const wallClockMs = (value: string) => Date.parse(`${value}:00Z`);
+
+// The offset is re-measured at the first guess so times next to a DST change land on the right side
+export const fromWallClock = (value: string, timeZone: string) => {
+  const target = wallClockMs(value);
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    guess = target - (wallClockMs(toWallClock(new Date(guess).toISOString(), timeZone)) - guess);
+  }
+  return new Date(guess).toISOString();
+};
+
+export const addMinutes = (value: string, minutes: number) => {
+  return new Date(wallClockMs(value) + minutes * 60000).toISOString().slice(0, 16);
+};
+
+export const splitTags = (value: string) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+const splitLines = (value: string) => value.split('\n').map(line => line.trim()).filter(Boolean);
+
+const idOf = (value: unknown) => {
+  if (value && typeof value === 'object' && '_id' in value) return String(value._id);
+  return value ? String(value) : '';
+};
+
+export const formFromEvent = (event: Event): EventForm => {
+  const timezone = event.schedule.timezone || DEFAULT_TIMEZONE;
+  const defaults = emptyForm();
+
+  return {
+    title: event.title,
+    shortDescription: event.shortDescription || '',
+    description: event.description,
+    tags: (event.tags || []).join(', '),
+    category: idOf(event.category),
+    department: idOf(event.department),
+    venueType: event.venue.type || 'physical',
+    venueName: event.venue.name || '',
+    venueAddress: event.venue.address || '',
+    venueCapacity: event.venue.capacity ? String(event.venue.capacity) : '',
+    meetingLink: event.venue.meetingLink || '',
+    timezone,
+    startDate: toWallClock(event.schedule.startDate, timezone),
+    endDate: toWallClock(event.schedule.endDate, timezone),
+    registrationRequired: event.registration.isRequired,
+    maxCapacity: String(event.registration.maxCapacity),
+    deadline: event.registration.deadline ? toWallClock(event.registration.deadline, timezone) : '',
+    approvalRequired: event.registration.approvalRequired,
+    feeAmount: String(event.registration.fee?.amount ?? 0),
+    feeCurrency: event.registration.fee?.currency || defaults.feeCurrency,
+    allowedRoles: event.registration.allowedRoles || [],
+    allowedDepartments: (event.registration.allowedDepartments || []).map(idOf),
+    allowedYears: event.registration.allowedYears || [],
+    allowComments: event.features?.allowComments ?? defaults.allowComments,
+    allowRatings: event.features?.allowRatings ?? defaults.allowRatings,
+    sendReminders: event.features?.sendReminders ?? defaults.sendReminders,
+    generateCertificates: event.features?.generateCertificates ?? defaults.generateCertificates,
+    recordAttendance: event.features?.recordAttendance ?? defaults.recordAttendance,
+    prerequisites: (event.requirements?.prerequisites || []).join('\n'),
+    materials: (event.requirements?.materials || []).join('\n'),
+    equipment: (event.requirements?.equipment || []).join('\n'),
+  };
+};
+
+// Category and department can't be changed through PUT /events/:id, so edits leave them out
+export const buildPayload = (form: EventForm, isEdit: boolean) => {
+  const startDate = fromWallClock(form.startDate, form.timezone);
+  const endDate = fromWallClock(form.endDate, form.timezone);
+
+  return {
+    title: form.title.trim(),
+    shortDescription: form.shortDescription.trim(),
+    description: form.description.trim(),
+    tags: splitTags(form.tags),
+    ...(!isEdit && {
+      category: form.category,
+      ...(form.department && { department: form.department }),
+    }),
+    venue: {
+      type: form.venueType,
+      name: form.venueName.trim(),
+      address: form.venueAddress.trim(),
+      ...(form.venueCapacity && { capacity: parseInt(form.venueCapacity) }),
+      meetingLink: form.venueType === 'physical' ? '' : form.meetingLink.trim(),
+    },
+    schedule: {
+      startDate,
+      endDate,
+      timezone: form.timezone,
+      duration: Math.round((Date.parse(endDate) - Date.parse(startDate)) / 60000),
+    },
+    registration: {
+      isRequired: form.registrationRequired,
+      maxCapacity: parseInt(form.maxCapacity),
+      approvalRequired: form.approvalRequired,
+      deadline: form.deadline ? fromWallClock(form.deadline, form.timezone) : null,
+      fee: {
+        amount: parseFloat(form.feeAmount) || 0,
+        currency: form.feeCurrency.trim().toUpperCase() || 'INR',
+      },
+      allowedRoles: form.allowedRoles,
+      allowedDepartments: form.allowedDepartments,
+      allowedYears: form.allowedYears,
+    },
+    features: {
+      allowComments: form.allowComments,
+      allowRatings: form.allowRatings,
+      sendReminders: form.sendReminders,
+      generateCertificates: form.generateCertificates,
+      recordAttendance: form.recordAttendance,
+    },
+    requirements: {
+      prerequisites: splitLines(form.prerequisites),
+      materials: splitLines(form.materials),
+      equipment: splitLines(form.equipment),
+    },
+  };
+};
+
+export const toggleValue = <T>(values: T[], value: T) =>
+  values.includes(value) ? values.filter(v => v !== value) : [...values, value];
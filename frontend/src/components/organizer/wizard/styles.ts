@@ -0,0 +1,2 @@
+export const inputClass = (error?: string) =>
+  `block w-full px-3 py-2 border ${error ? 'border-red-400' : 'border-gray-300'} placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 sm:text-sm disabled:bg-gray-100 disabled:text-gray-500`;
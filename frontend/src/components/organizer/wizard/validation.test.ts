@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { emptyForm, STEPS } from './form';
+import { fieldOf, stepOf, validateStep } from './validation';
+
+const validForm = {
+  ...emptyForm(),
+  title: 'Robotics workshop',
+  description: 'Build a robot',
+  category: 'c1',
+  venueName: 'Lab 2',
+  startDate: '2026-01-05T10:00',
+  endDate: '2026-01-05T12:00',
+};
+
+describe('validateStep', () => {
+  it('accepts a complete form on every step', () => {
+    STEPS.forEach((_, step) => {
+      expect(validateStep(step, validForm)).toEqual({});
+    });
+  });
+
+  it('requires a title and description', () => {
+    expect(validateStep(0, { ...validForm, title: ' ', description: '' })).toEqual({
+      title: 'Event title is required',
+      description: 'Event description is required',
+    });
+    expect(validateStep(0, { ...validForm, title: 'x'.repeat(201) }).title).toBe('Title cannot exceed 200 characters');
+  });
+
+  it('requires a category', () => {
+    expect(validateStep(1, { ...validForm, category: '' })).toEqual({ category: 'Valid category is required' });
+  });
+
+  it('requires a meeting link for virtual and hybrid venues', () => {
+    expect(validateStep(2, { ...validForm, venueType: 'virtual' })['venue.meetingLink']).toBe('A meeting link is required for virtual and hybrid events');
+    expect(validateStep(2, { ...validForm, venueType: 'hybrid', meetingLink: 'meet.example.com' })['venue.meetingLink']).toBe('Meeting link must be a http(s) URL');
+    expect(validateStep(2, { ...validForm, venueType: 'virtual', meetingLink: 'https://meet.example.com' })).toEqual({});
+  });
+
+  it('requires the event to end after it starts', () => {
+    expect(validateStep(3, { ...validForm, endDate: '2026-01-05T10:00' })).toEqual({
+      'schedule.endDate': 'The event must end after it starts',
+    });
+    expect(validateStep(3, { ...validForm, startDate: '', endDate: '' })).toEqual({
+      'schedule.startDate': 'Valid start date is required',
+      'schedule.endDate': 'Valid end date is required',
+    });
+  });
+
+  it('checks capacity, deadline and fee', () => {
+    expect(validateStep(4, { ...validForm, maxCapacity: '0', deadline: '2026-01-05T11:00', feeAmount: '-5' })).toEqual({
+      'registration.maxCapacity': 'Capacity must be positive',
+      'registration.deadline': 'The registration deadline must be before the event starts',
+      'registration.fee.amount': 'Fee cannot be negative',
+    });
+  });
+
+  it('only checks the fields on the given step', () => {
+    expect(validateStep(5, { ...emptyForm() })).toEqual({});
+  });
+});
+
+describe('fieldOf', () => {
+  it('shows errors on array items against the array field', () => {
+    expect(fieldOf('features.reminderOffsets[0]')).toBe('features.reminderOffsets');
+    expect(fieldOf('tags.2')).toBe('tags');
+    expect(fieldOf('venue.name')).toBe('venue.name');
+  });
+});
+
+describe('stepOf', () => {
+  it('finds the step that shows a server field', () => {
+    expect(stepOf('title')).toBe(0);
+    expect(stepOf('department')).toBe(1);
+    expect(stepOf('venue.meetingLink')).toBe(2);
+    expect(stepOf('recurrence.endDate')).toBe(3);
+    expect(stepOf('registration.fee.amount')).toBe(4);
+    expect(stepOf('requirements.materials')).toBe(5);
+    expect(stepOf('organizer')).toBe(0);
+  });
+});
@@ -0,0 +1,56 @@
+import { EventForm, FieldErrors, STEPS, wallClockMs } from './form';
+
+// Mirrors validateEvent and the Event schema so most mistakes are caught before the request
+export const validateStep = (step: number, form: EventForm): FieldErrors => {
+  const errors: FieldErrors = {};
+
+  if (step === 0) {
+    if (!form.title.trim()) errors.title = 'Event title is required';
+    else if (form.title.length > 200) errors.title = 'Title cannot exceed 200 characters';
+    if (form.shortDescription.length > 300) errors.shortDescription = 'Short description cannot exceed 300 characters';
+    if (!form.description.trim()) errors.description = 'Event description is required';
+    else if (form.description.length > 2000) errors.description = 'Description cannot exceed 2000 characters';
+  }
+
+  if (step === 1 && !form.category) {
+    errors.category = 'Valid category is required';
+  }
+
+  if (step === 2) {
+    if (!form.venueName.trim()) errors['venue.name'] = 'Venue name is required';
+    if (form.venueCapacity && !(parseInt(form.venueCapacity) > 0)) errors['venue.capacity'] = 'Venue capacity must be positive';
+    if (form.venueType !== 'physical') {
+      if (!form.meetingLink.trim()) {
+        errors['venue.meetingLink'] = 'A meeting link is required for virtual and hybrid events';
+      } else if (!/^https?:\/\/\S+$/.test(form.meetingLink.trim())) {
+        errors['venue.meetingLink'] = 'Meeting link must be a http(s) URL';
+      }
+    }
+  }
+
+  if (step === 3) {
+    if (!form.startDate) errors['schedule.startDate'] = 'Valid start date is required';
+    if (!form.endDate) errors['schedule.endDate'] = 'Valid end date is required';
+    else if (form.startDate && wallClockMs(form.endDate) <= wallClockMs(form.startDate)) {
+      errors['schedule.endDate'] = 'The event must end after it starts';
+    }
+  }
+
+  if (step === 4) {
+    if (!(parseInt(form.maxCapacity) >= 1)) errors['registration.maxCapacity'] = 'Capacity must be positive';
+    if (form.deadline && form.startDate && wallClockMs(form.deadline) > wallClockMs(form.startDate)) {
+      errors['registration.deadline'] = 'The registration deadline must be before the event starts';
+    }
+    if (form.feeAmount && !(parseFloat(form.feeAmount) >= 0)) errors['registration.fee.amount'] = 'Fee cannot be negative';
+  }
+
+  return errors;
+};
+
+// Server paths such as features.reminderOffsets[0] are shown on the field they belong to
+export const fieldOf = (path: string) => path.replace(/(\[\d+\]|\.\d+)+$/, '');
+
+export const stepOf = (path: string) => {
+  const index = STEPS.findIndex(step => step.fields.some(field => path === field || path.startsWith(`${field}.`)));
+  return index === -1 ? 0 : index;
+};
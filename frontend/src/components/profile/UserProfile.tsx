@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { User, Department, ApiResponse } from '../../types';
+import { User, Department, Registration, ApiResponse } from '../../types';
 import { 
   User as UserIcon, 
   Mail, 
@@ -12,15 +12,24 @@ import {
   X,
   Camera,
   Shield,
-  Award
+  Award,
+  Download,
+  Rss,
+  Copy,
+  RefreshCw
 } from 'lucide-react';
 import api from '../../services/api';
+import { downloadCertificate } from '../../services/certificates';
+import { CalendarFeeds } from '../../services/calendar';
 
 const UserProfile: React.FC = () => {
   const { user, updateUser } = useAuth();
   const [editing, setEditing] = useState(false);
   const [loading, setLoading] = useState(false);
   const [departments, setDepartments] = useState<Department[]>([]);
+  const [certificates, setCertificates] = useState<Registration[]>([]);
+  const [calendarFeeds, setCalendarFeeds] = useState<CalendarFeeds | null>(null);
+  const [feedCopied, setFeedCopied] = useState(false);
   const [formData, setFormData] = useState({
     firstName: user?.firstName || '',
     lastName: user?.lastName || '',
@@ -34,6 +43,8 @@ const UserProfile: React.FC = () => {
 
   useEffect(() => {
     fetchDepartments();
+    fetchCertificates();
+    fetchCalendarFeeds();
   }, []);
 
   const fetchDepartments = async () => {
@@ -50,6 +61,64 @@ const UserProfile: React.FC = () => {
     }
   };
 
+  const fetchCertificates = async () => {
+    try {
+      const response = await api.get<ApiResponse<{ certificates: Registration[] }>>('/certificates/my');
+      if (response.data.success) {
+        setCertificates(response.data.data.certificates);
+      }
+    } catch (error) {
+      console.error('Error fetching certificates:', error);
+    }
+  };
+
+  const fetchCalendarFeeds = async () => {
+    try {
+      const response = await api.get<ApiResponse<CalendarFeeds>>('/calendar/feeds');
+      if (response.data.success) {
+        setCalendarFeeds(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching calendar feeds:', error);
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    if (!calendarFeeds) return;
+
+    try {
+      await navigator.clipboard.writeText(calendarFeeds.personal.url);
+      setFeedCopied(true);
+      setTimeout(() => setFeedCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying calendar link:', error);
+    }
+  };
+
+  const handleResetFeed = async () => {
+    if (!window.confirm('Reset your calendar link? Calendars subscribed with the old link will stop updating.')) return;
+
+    try {
+      const response = await api.post<ApiResponse<Pick<CalendarFeeds, 'personal'>>>('/calendar/feeds/reset');
+      if (response.data.success && calendarFeeds) {
+        setCalendarFeeds({ ...calendarFeeds, personal: response.data.data.personal });
+      }
+    } catch (error) {
+      console.error('Error resetting calendar feed:', error);
+    }
+  };
+
+  const handleDownloadCertificate = async (certificate: Registration) => {
+    try {
+      await downloadCertificate(
+        certificate._id,
+        `certificate-${certificate.event.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.pdf`
+      );
+    } catch (error) {
+      console.error('Error downloading certificate:', error);
+    }
+  };
+
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
@@ -437,6 +506,97 @@ const UserProfile: React.FC = () => {
             </form>
           </div>
         </div>
+
+        {/* Calendar Subscription */}
+        {calendarFeeds && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mt-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Calendar</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Subscribe in Google Calendar, Outlook or Apple Calendar to see the events you are registered for. Keep this link private.
+            </p>
+            <div className="flex items-center space-x-2 mb-4">
+              <input
+                type="text"
+                readOnly
+                value={calendarFeeds.personal.url}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm font-mono text-gray-700"
+              />
+              <button
+                onClick={handleCopyFeed}
+                className="flex items-center space-x-1 px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm text-gray-700"
+              >
+                <Copy className="h-4 w-4" />
+                <span>{feedCopied ? 'Copied' : 'Copy'}</span>
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+              <a
+                href={calendarFeeds.personal.webcal}
+                className="flex items-center space-x-2 font-medium text-blue-600 hover:text-blue-800"
+              >
+                <Rss className="h-4 w-4" />
+                <span>Subscribe to my events</span>
+              </a>
+              {calendarFeeds.department && (
+                <a
+                  href={calendarFeeds.department.webcal}
+                  className="flex items-center space-x-2 font-medium text-blue-600 hover:text-blue-800"
+                >
+                  <Rss className="h-4 w-4" />
+                  <span>Subscribe to my department's events</span>
+                </a>
+              )}
+              <button
+                onClick={handleResetFeed}
+                className="flex items-center space-x-2 font-medium text-gray-600 hover:text-gray-900"
+              >
+                <RefreshCw className="h-4 w-4" />
+                <span>Reset link</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Certificates */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mt-8">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">My Certificates</h3>
+          {certificates.length > 0 ? (
+            <div className="space-y-3">
+              {certificates.map((certificate) => (
+                <div
+                  key={certificate._id}
+                  className="flex items-center justify-between p-4 bg-gray-50 rounded-lg"
+                >
+                  <div className="flex items-center space-x-3">
+                    <div className="w-10 h-10 bg-blue-100 rounded-lg flex items-center justify-center">
+                      <Award className="h-5 w-5 text-blue-600" />
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-900">{certificate.event.title}</p>
+                      <p className="text-sm text-gray-600">
+                        {new Date(certificate.event.schedule.startDate).toLocaleDateString()}
+                      </p>
+                      {certificate.certificate?.verificationCode && (
+                        <p className="text-xs text-gray-500 font-mono">
+                          Verification code: {certificate.certificate.verificationCode}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleDownloadCertificate(certificate)}
+                    className="flex items-center space-x-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+                  >
+                    <Download className="h-4 w-4" />
+                    <span>Download certificate</span>
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500">No certificates yet. Attend events to earn participation certificates.</p>
+          )}
+        </div>
       </div>
     </div>
   );
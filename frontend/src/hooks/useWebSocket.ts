@@ -1,40 +1,35 @@
-import { useEffect, useRef } from 'react';
+import { useCallback, useEffect } from 'react';
 import websocketService from '../services/websocket';
+import { SocketEvents } from '../types';
 
 export const useWebSocket = () => {
-  const isConnected = useRef(false);
-
   useEffect(() => {
-    if (!isConnected.current) {
-      websocketService.connect();
-      isConnected.current = true;
-    }
+    websocketService.connect();
 
     return () => {
       websocketService.disconnect();
-      isConnected.current = false;
     };
   }, []);
 
-  const subscribe = (event: string, callback: Function) => {
+  const subscribe = useCallback(<K extends keyof SocketEvents>(event: K, callback: (payload: SocketEvents[K]) => void) => {
     websocketService.on(event, callback);
-    
+
     return () => {
       websocketService.off(event, callback);
     };
-  };
+  }, []);
 
-  const joinEvent = (eventId: string) => {
+  const joinEvent = useCallback((eventId: string) => {
     websocketService.joinEvent(eventId);
-  };
+  }, []);
 
-  const leaveEvent = (eventId: string) => {
+  const leaveEvent = useCallback((eventId: string) => {
     websocketService.leaveEvent(eventId);
-  };
+  }, []);
 
   return {
     subscribe,
     joinEvent,
     leaveEvent,
   };
-};
\ No newline at end of file
+};
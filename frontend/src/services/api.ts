@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = 'https://infinite-locus-1.onrender.com/api';
+export const API_BASE_URL = 'https://infinite-locus-1.onrender.com/api';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
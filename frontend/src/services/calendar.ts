@@ -0,0 +1,35 @@
+import api from './api';
+
+export interface CalendarFeedLink {
+  url: string;
+  webcal: string;
+}
+
+export interface CalendarFeeds {
+  personal: CalendarFeedLink;
+  department: CalendarFeedLink | null;
+}
+
+export const publicFeedLink = (path: string): CalendarFeedLink => {
+  const url = `${api.defaults.baseURL}/calendar/${path}`;
+  return {
+    url,
+    webcal: url.replace(/^https?:/, 'webcal:'),
+  };
+};
+
+export const downloadEventCalendar = async (eventId: string, fileName = 'event.ics', series = false) => {
+  const response = await api.get<Blob>(`/events/${eventId}/ics`, {
+    params: series ? { series: 'true' } : undefined,
+    responseType: 'blob',
+  });
+
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,16 @@
+import api from './api';
+
+export const downloadCertificate = async (registrationId: string, fileName = 'certificate.pdf') => {
+  const response = await api.get<Blob>(`/certificates/${registrationId}/download`, {
+    responseType: 'blob',
+  });
+
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
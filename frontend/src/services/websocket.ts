@@ -1,101 +1,120 @@
+import { io, Socket } from 'socket.io-client';
+import { SocketEvents } from '../types';
+import { API_BASE_URL } from './api';
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || new URL(API_BASE_URL).origin;
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+type SocketEventName = keyof SocketEvents;
+type Listener<K extends SocketEventName> = (payload: SocketEvents[K]) => void;
+
 class WebSocketService {
-  private socket: WebSocket | null = null;
-  private listeners: Map<string, Set<Function>> = new Map();
-  private reconnectAttempts = 0;
-  private maxReconnectAttempts = 5;
-  private reconnectTimeout: NodeJS.Timeout | null = null;
+  private socket: Socket | null = null;
+  private listeners: Map<SocketEventName, Set<Listener<SocketEventName>>> = new Map();
+  // Event rooms with the number of components watching each, re-joined after every reconnect
+  private rooms: Map<string, number> = new Map();
+  private users = 0;
+  private retryAttempts = 0;
+  private retryTimeout: ReturnType<typeof setTimeout> | null = null;
 
   connect() {
-    try {
-      this.socket = new WebSocket('ws://localhost:5000');
-      
-      this.socket.onopen = () => {
-        console.log('WebSocket connected');
-        this.reconnectAttempts = 0;
-        this.emit('connection', 'connected');
-      };
-
-      this.socket.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          this.emit(data.type, data);
-        } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
-        }
-      };
-
-      this.socket.onclose = () => {
-        console.log('WebSocket disconnected');
-        this.emit('connection', 'disconnected');
-        this.attemptReconnect();
-      };
-
-      this.socket.onerror = (error) => {
-        console.error('WebSocket error:', error);
-        this.emit('connection', 'error');
-      };
-    } catch (error) {
-      console.error('Failed to connect to WebSocket:', error);
-    }
+    this.users++;
+    if (this.socket || !localStorage.getItem('token')) return;
+
+    this.socket = io(SOCKET_URL, {
+      // Read on every (re)connect so a refreshed token is picked up
+      auth: (callback) => callback({ token: localStorage.getItem('token') }),
+      reconnection: true,
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: RECONNECT_DELAY,
+      reconnectionDelayMax: MAX_RECONNECT_DELAY,
+    });
+
+    this.socket.on('connect', () => {
+      this.retryAttempts = 0;
+      this.rooms.forEach((_, eventId) => this.socket?.emit('join-event', eventId));
+    });
+
+    this.socket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+      // socket.io only retries network failures; a rejected token needs a manual retry
+      if (this.socket && !this.socket.active) {
+        this.scheduleRetry();
+      }
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      // Nor does it reconnect after the server drops the connection itself
+      if (reason === 'io server disconnect') {
+        this.scheduleRetry();
+      }
+    });
+
+    this.socket.onAny((event: string, payload: unknown) => {
+      this.listeners.get(event as SocketEventName)?.forEach(callback => callback(payload as SocketEvents[SocketEventName]));
+    });
   }
 
-  private attemptReconnect() {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      console.log(`Attempting to reconnect... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-      
-      this.reconnectTimeout = setTimeout(() => {
-        this.connect();
-      }, 3000 * this.reconnectAttempts);
-    }
+  private scheduleRetry() {
+    if (this.retryTimeout || !localStorage.getItem('token')) return;
+
+    const delay = Math.min(RECONNECT_DELAY * 2 ** this.retryAttempts, MAX_RECONNECT_DELAY);
+    this.retryAttempts++;
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.socket?.connect();
+    }, delay);
   }
 
   disconnect() {
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-      this.reconnectTimeout = null;
+    this.users = Math.max(0, this.users - 1);
+    if (this.users > 0) return;
+
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
     }
-    
+
     if (this.socket) {
-      this.socket.close();
+      this.socket.disconnect();
       this.socket = null;
     }
+    this.retryAttempts = 0;
   }
 
-  on(event: string, callback: Function) {
+  on<K extends SocketEventName>(event: K, callback: Listener<K>) {
     if (!this.listeners.has(event)) {
       this.listeners.set(event, new Set());
     }
-    this.listeners.get(event)!.add(callback);
+    this.listeners.get(event)!.add(callback as Listener<SocketEventName>);
   }
 
-  off(event: string, callback: Function) {
-    const eventListeners = this.listeners.get(event);
-    if (eventListeners) {
-      eventListeners.delete(callback);
-    }
+  off<K extends SocketEventName>(event: K, callback: Listener<K>) {
+    this.listeners.get(event)?.delete(callback as Listener<SocketEventName>);
   }
 
-  private emit(event: string, data: any) {
-    const eventListeners = this.listeners.get(event);
-    if (eventListeners) {
-      eventListeners.forEach(callback => callback(data));
+  joinEvent(eventId: string) {
+    const count = this.rooms.get(eventId) || 0;
+    this.rooms.set(eventId, count + 1);
+    if (count === 0 && this.socket?.connected) {
+      this.socket.emit('join-event', eventId);
     }
   }
 
-  send(event: string, data: any) {
-    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-      this.socket.send(JSON.stringify({ type: event, data }));
+  leaveEvent(eventId: string) {
+    const count = this.rooms.get(eventId) || 0;
+    if (count > 1) {
+      this.rooms.set(eventId, count - 1);
+      return;
     }
-  }
 
-  joinEvent(eventId: string) {
-    this.send('join-event', { eventId });
-  }
-
-  leaveEvent(eventId: string) {
-    this.send('leave-event', { eventId });
+    this.rooms.delete(eventId);
+    if (count === 1 && this.socket?.connected) {
+      this.socket.emit('leave-event', eventId);
+    }
   }
 }
 
-export default new WebSocketService();
\ No newline at end of file
+export default new WebSocketService();
@@ -3,7 +3,8 @@ export interface User {
   firstName: string;
   lastName: string;
   email: string;
-  role: 'student' | 'organizer' | 'admin' | 'faculty';
+  role: 'student' | 'organizer' | 'admin' | 'faculty' | 'authority' | 'hod' | 'principal' | 'registrar';
+  permissions?: string[];
   studentId?: string;
   department: string;
   year?: number;
@@ -30,20 +31,68 @@ export interface Event {
     address: string;
     capacity: number;
     type: 'physical' | 'virtual' | 'hybrid';
+    meetingLink?: string;
+    coordinates?: {
+      latitude: number;
+      longitude: number;
+    };
+    geofence?: {
+      enabled: boolean;
+      radius: number;
+      enforcement: 'reject' | 'flag';
+    };
   };
   schedule: {
     startDate: string;
     endDate: string;
+    duration?: number;
+    timezone?: string;
   };
   registration: {
     isRequired: boolean;
     maxCapacity: number;
     approvalRequired: boolean;
+    waitlist?: {
+      enabled: boolean;
+      maxSize: number;
+      confirmWindowHours: number;
+    };
     deadline: string;
+    fee?: {
+      amount: number;
+      currency: string;
+    };
     allowedRoles: string[];
+    allowedDepartments?: string[];
     allowedYears: number[];
   };
+  features?: {
+    allowComments: boolean;
+    allowRatings: boolean;
+    sendReminders: boolean;
+    reminderOffsets?: number[];
+    generateCertificates: boolean;
+    recordAttendance: boolean;
+  };
+  requirements?: {
+    prerequisites: string[];
+    materials: string[];
+    equipment: string[];
+  };
   status: 'draft' | 'published' | 'cancelled' | 'completed';
+  approval?: EventApproval;
+  isRecurring?: boolean;
+  recurrence?: EventRecurrence;
+  series?: {
+    id: string;
+    index: number;
+    originalStartDate: string;
+    isException: boolean;
+  };
+  cancellation?: {
+    reason?: string;
+    cancelledAt?: string;
+  };
   tags: string[];
   images?: string[];
   stats: {
@@ -57,11 +106,73 @@ export interface Event {
   updatedAt: string;
 }
 
+export interface RecommendedEvent extends Event {
+  currentRegistrations: number;
+  availableSlots: number;
+  recommendation: {
+    score: number;
+    reasons: string[];
+  };
+}
+
+export interface ApprovalStep {
+  _id: string;
+  name: string;
+  approverType: 'hod' | 'role' | 'permission';
+  role?: string;
+  permission?: string;
+  assignee?: Pick<User, '_id' | 'firstName' | 'lastName'>;
+  status: 'waiting' | 'pending' | 'approved' | 'rejected';
+  decidedBy?: Pick<User, '_id' | 'firstName' | 'lastName'>;
+  decidedAt?: string;
+  comment?: string;
+}
+
+export interface EventApproval {
+  status: 'pending' | 'approved' | 'rejected';
+  approvedAt?: string;
+  rejectionReason?: string;
+  chainName?: string;
+  currentStep: number;
+  steps: ApprovalStep[];
+  submittedAt?: string;
+}
+
+// A recurring series is listed once, with its number of dates
+export interface ApprovalItem extends Event {
+  occurrences: number;
+}
+
+export interface EventRecurrence {
+  frequency: 'daily' | 'weekly' | 'monthly' | 'yearly';
+  interval?: number;
+  endDate: string;
+  days?: number[];
+}
+
+export interface EventOccurrence {
+  _id: string;
+  title: string;
+  status: Event['status'];
+  schedule: {
+    startDate: string;
+    endDate: string;
+  };
+  registration: {
+    currentCount: number;
+    maxCapacity: number;
+  };
+  series: NonNullable<Event['series']>;
+  cancellation?: {
+    reason?: string;
+  };
+}
+
 export interface Registration {
   _id: string;
   user: User;
   event: Event;
-  status: 'pending' | 'approved' | 'rejected' | 'attended' | 'cancelled';
+  status: 'pending' | 'approved' | 'rejected' | 'attended' | 'cancelled' | 'absent' | 'waitlisted' | 'offered';
   preferences?: {
     dietary?: string;
     accessibility?: string;
@@ -73,11 +184,85 @@ export interface Registration {
   };
   approvedBy?: User;
   approvedAt?: string;
+  waitlist?: {
+    joinedAt?: string;
+    offeredAt?: string;
+    offerExpiresAt?: string;
+    confirmedAt?: string;
+  };
+  waitlistPosition?: number;
   reason?: string;
   attendedAt?: string;
+  certificate?: {
+    generated: boolean;
+    url?: string;
+    generatedAt?: string;
+    verificationCode?: string;
+  };
+  checkIn?: {
+    time?: string;
+    method?: 'qr' | 'manual' | 'nfc' | 'self';
+    distance?: number;
+    flagged?: boolean;
+    review?: {
+      status: 'pending' | 'accepted' | 'rejected';
+      reviewedAt?: string;
+      note?: string;
+    };
+  };
+  checkOut?: {
+    time?: string;
+  };
   createdAt: string;
 }
 
+export interface EventResult {
+  _id: string;
+  event: string | Pick<Event, '_id' | 'title' | 'schedule'>;
+  summary: string;
+  highlights: string[];
+  outcomes: string[];
+  statistics: {
+    totalRegistrations: number;
+    actualAttendees: number;
+    attendanceRate: number;
+    averageRating: number;
+    totalFeedback: number;
+  };
+  winners: {
+    _id: string;
+    position: number;
+    participant: Pick<User, '_id' | 'firstName' | 'lastName' | 'studentId'> & { avatar?: string };
+    prize?: string;
+    achievement?: string;
+  }[];
+  speakers: {
+    _id: string;
+    name: string;
+    designation?: string;
+    organization?: string;
+    topic?: string;
+    rating?: number;
+  }[];
+  media: {
+    photos: { _id: string; url: string; caption?: string; photographer?: string }[];
+    videos: { _id: string; url: string; title?: string; duration?: number }[];
+    presentations: { _id: string; title: string; url: string; speaker?: string }[];
+  };
+  isPublished: boolean;
+  publishedAt?: string;
+}
+
+export interface CertificateVerification {
+  verificationCode: string;
+  holderName: string;
+  eventTitle: string;
+  eventDate: string;
+  venue?: string;
+  attendanceStatus: string;
+  issuedAt?: string;
+}
+
 export interface Department {
   _id: string;
   name: string;
@@ -102,14 +287,20 @@ export interface Category {
   color: string;
   parent?: Category;
   isActive: boolean;
+  metadata?: {
+    defaultDuration?: number;
+    suggestedVenues?: string[];
+    commonTags?: string[];
+    guidelines?: string;
+  };
 }
 
 export interface Notification {
   _id: string;
   title: string;
   message: string;
-  type: 'info' | 'success' | 'warning' | 'error' | 'reminder';
-  priority: 'low' | 'normal' | 'high';
+  type: 'info' | 'success' | 'warning' | 'error' | 'event' | 'registration' | 'approval' | 'reminder' | 'digest';
+  priority: 'low' | 'normal' | 'high' | 'urgent';
   isRead: boolean;
   metadata?: {
     actionUrl?: string;
@@ -119,12 +310,91 @@ export interface Notification {
   expiresAt?: string;
 }
 
+// Server-to-client socket.io events and their payloads
+export interface SocketEvents {
+  'new-registration': {
+    eventId: string;
+    registrationId: string;
+    userId: string;
+    status: Registration['status'];
+    currentCount?: number;
+    fromWaitlist?: boolean;
+  };
+  'registration-status-updated': {
+    eventId: string;
+    userId: string;
+    registration: Registration;
+    approved: boolean;
+  };
+  'attendance-marked': {
+    eventId: string;
+    registrationId: string;
+    userId: string;
+    present: boolean;
+  };
+  'attendance-checked-out': {
+    eventId: string;
+    registrationId: string;
+    userId: string;
+  };
+  'new-comment': {
+    comment: {
+      _id: string;
+      content: string;
+      author: Pick<User, '_id' | 'firstName' | 'lastName'> & { avatar?: string };
+      createdAt: string;
+    };
+  };
+  'event-updated': {
+    event?: Event;
+    eventId?: string;
+    seriesId?: string;
+    scope?: 'this' | 'following' | 'all';
+  };
+  'event-view': {
+    eventId: string;
+    views: number;
+  };
+  'event-cancelled': {
+    eventId: string;
+    seriesId: string | null;
+    reason?: string;
+  };
+  'waitlist-promoted': {
+    eventId: string;
+    registration: Omit<Registration, 'user'> & { user: string };
+    offerExpiresAt: string;
+  };
+  'event-approval-needed': {
+    event: Event;
+    organizer: User;
+    step: string;
+  };
+  'event-approval-result': {
+    event: Event;
+    approved: boolean;
+    approver: User;
+  };
+  'new-notification': {
+    notification: Omit<Notification, 'isRead'> & { read: boolean };
+  };
+  'notification-expired': {
+    notificationId: string;
+  };
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   message: string;
   data: T;
 }
 
+// A field error from the server's express-validator rules
+export interface ValidationError {
+  path: string;
+  msg: string;
+}
+
 export interface PaginatedResponse<T> {
   items: T[];
   pagination: {